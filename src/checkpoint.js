@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+/**
+ * Checkpoint store that keeps one JSON file per multipart upload in a local directory.
+ *
+ * Any object with the same `load`, `save` and `remove` methods can be passed as a
+ * `checkpointStore` instead, e.g. one backed by Redis or a database.
+ */
+class FileCheckpointStore {
+  /**
+   * Creates a new file checkpoint store
+   * @param {string} directory - Directory the checkpoint files are written to
+   * @throws {ValidationError} When directory is missing
+   */
+  constructor(directory) {
+    if (!directory) {
+      throw new ValidationError('directory is required for FileCheckpointStore', 'directory');
+    }
+    this.directory = directory;
+  }
+
+  /**
+   * Resolves the checkpoint file for an upload
+   * @private
+   * @param {string} key - Object key
+   * @param {string} [bucketName] - Bucket name
+   * @returns {string} Checkpoint file path
+   */
+  filePath(key, bucketName) {
+    const id = crypto
+      .createHash('sha256')
+      .update(`${bucketName || ''}\n${key}`)
+      .digest('hex');
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Loads the checkpoint for an upload
+   * @param {string} key - Object key
+   * @param {string} [bucketName] - Bucket name
+   * @returns {Promise<Object|null>} The checkpoint, or null when none is stored
+   */
+  async load(key, bucketName) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(key, bucketName), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Writes a checkpoint, replacing any previous one for the same upload.
+   * The file is written to a temporary name first and renamed into place so a
+   * crash mid-write never leaves a truncated checkpoint behind.
+   * @param {Object} checkpoint - Checkpoint to store
+   * @returns {Promise<void>}
+   */
+  async save(checkpoint) {
+    const file = this.filePath(checkpoint.key, checkpoint.bucketName);
+    const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(temp, JSON.stringify(checkpoint, null, 2));
+    await fs.promises.rename(temp, file);
+  }
+
+  /**
+   * Removes the checkpoint for an upload, if any
+   * @param {string} key - Object key
+   * @param {string} [bucketName] - Bucket name
+   * @returns {Promise<void>}
+   */
+  async remove(key, bucketName) {
+    try {
+      await fs.promises.unlink(this.filePath(key, bucketName));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Lists every stored checkpoint
+   * @returns {Promise<Object[]>} Stored checkpoints
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const checkpoints = [];
+    for (const entry of entries.filter((name) => name.endsWith('.json'))) {
+      const content = await fs.promises.readFile(path.join(this.directory, entry), 'utf8');
+      checkpoints.push(JSON.parse(content));
+    }
+    return checkpoints;
+  }
+}
+
+module.exports = { FileCheckpointStore };
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const { Readable } = require('stream');
+const { ValidationError, IntegrityError } = require('./errors');
+const { normalizeEtag, isContentEtag } = require('./download');
+
+const CHECKSUM_ALGORITHMS = ['md5', 'sha256'];
+
+/**
+ * Validates a `checksum` option
+ * @param {boolean|string} [checksum] - true (MD5), "md5", "sha256", or false/undefined
+ * @returns {'md5'|'sha256'|null} Algorithm, or null when checksums are off
+ * @throws {ValidationError} When the algorithm is not supported
+ */
+function normalizeChecksum(checksum) {
+  if (!checksum) {
+    return null;
+  }
+  const algorithm = checksum === true ? 'md5' : String(checksum).toLowerCase();
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm)) {
+    throw new ValidationError('checksum must be true, "md5" or "sha256"', 'checksum');
+  }
+  return algorithm;
+}
+
+/**
+ * Hashes data incrementally. MD5 is always computed because it is what ETags
+ * are compared against; SHA-256 is added when requested.
+ * @param {'md5'|'sha256'} algorithm - Checksum sent to the service
+ * @returns {{update: (chunk: Buffer) => void, digest: () => {md5: string, sha256?: string}}}
+ */
+function createDigester(algorithm) {
+  const hashes = { md5: crypto.createHash('md5') };
+  if (algorithm === 'sha256') {
+    hashes.sha256 = crypto.createHash('sha256');
+  }
+  let digests = null;
+
+  return {
+    update(chunk) {
+      for (const hash of Object.values(hashes)) {
+        hash.update(chunk);
+      }
+    },
+    digest() {
+      if (!digests) {
+        digests = {};
+        for (const [name, hash] of Object.entries(hashes)) {
+          digests[name] = hash.digest('hex');
+        }
+      }
+      return digests;
+    },
+  };
+}
+
+/**
+ * Creates a stream that emits a digest once it is available. Used as the form
+ * field after the file, so the digest is only read after the file was streamed.
+ * @param {Promise<string>} digest - Resolves when the file data has been hashed
+ * @returns {Readable}
+ */
+function digestStream(digest) {
+  let requested = false;
+  return new Readable({
+    read() {
+      if (requested) {
+        return;
+      }
+      requested = true;
+      digest.then(
+        (value) => {
+          this.push(value);
+          this.push(null);
+        },
+        (error) => this.destroy(error)
+      );
+    },
+  });
+}
+
+/**
+ * Computes the ETag of a multipart object: the MD5 of the concatenated binary
+ * part MD5s, followed by the number of parts
+ * @param {string[]} partDigests - Hex MD5 of every part, in part order
+ * @returns {string}
+ */
+function compositeEtag(partDigests) {
+  const hash = crypto.createHash('md5');
+  for (const digest of partDigests) {
+    hash.update(Buffer.from(digest, 'hex'));
+  }
+  return `${hash.digest('hex')}-${partDigests.length}`;
+}
+
+/**
+ * Compares a computed checksum with the value the service reported
+ * @param {string} [expected] - Value reported by the service; nothing is checked without one
+ * @param {string} actual - Value computed from the data
+ * @param {Object} details - Error details
+ * @param {string} details.algorithm - Checksum algorithm
+ * @param {string} details.code - Error code, "ETagMismatch" or "ChecksumMismatch"
+ * @param {string} details.subject - What was checked, for the error message
+ * @throws {IntegrityError} When the values differ
+ */
+function assertChecksum(expected, actual, details) {
+  if (expected === undefined || expected.toLowerCase() === actual) {
+    return;
+  }
+  const { algorithm, code, subject, ...rest } = details;
+  throw new IntegrityError(
+    `${subject} ${algorithm.toUpperCase()} ${actual} does not match ${expected}`,
+    { ...rest, code, algorithm, expected, actual }
+  );
+}
+
+/**
+ * Checks the digests of uploaded data against an upload or part response.
+ * The MD5 is compared with a plain content ETag and the SHA-256, when one was
+ * computed, with the `ChecksumSHA256` the service echoes back.
+ * @param {{md5: string, sha256?: string}} digests - Digests of the data sent
+ * @param {Object} response - Upload or upload part response
+ * @param {{method: string, path: string}} request - The request, for error details
+ * @throws {IntegrityError} When a checksum does not match
+ */
+function verifyUploadDigests(digests, response, request) {
+  const etag = normalizeEtag(response && (response.ETag || response.etag));
+  assertChecksum(isContentEtag(etag) ? etag : undefined, digests.md5, {
+    ...request,
+    algorithm: 'md5',
+    code: 'ETagMismatch',
+    subject: 'Uploaded data',
+  });
+  if (digests.sha256) {
+    assertChecksum(response && response.ChecksumSHA256, digests.sha256, {
+      ...request,
+      algorithm: 'sha256',
+      code: 'ChecksumMismatch',
+      subject: 'Uploaded data',
+    });
+  }
+}
+
+/**
+ * Resolves the checksum a download is verified with. `verifyEtag` predates the
+ * `checksum` option and means the same as `checksum: "md5"`.
+ * @param {{checksum?: boolean|string, verifyEtag?: boolean}} options - Download options
+ * @returns {'md5'|'sha256'|null}
+ * @throws {ValidationError} When the algorithm is not supported
+ */
+function downloadChecksum(options) {
+  return normalizeChecksum(options.checksum) || (options.verifyEtag ? 'md5' : null);
+}
+
+/**
+ * Picks the value a download is checked against from its response headers:
+ * a plain content ETag for MD5, or the `X-Checksum-SHA256` header for SHA-256
+ * @param {'md5'|'sha256'} algorithm - Checksum algorithm
+ * @param {Object} headers - Response headers
+ * @returns {string|undefined} Expected hex digest, or undefined when it cannot be checked
+ */
+function expectedDownloadDigest(algorithm, headers) {
+  if (algorithm === 'sha256') {
+    return headers['x-checksum-sha256'] || undefined;
+  }
+  const etag = normalizeEtag(headers.etag);
+  return isContentEtag(etag) ? etag : undefined;
+}
+
+module.exports = {
+  normalizeChecksum,
+  createDigester,
+  digestStream,
+  compositeEtag,
+  assertChecksum,
+  verifyUploadDigests,
+  downloadChecksum,
+  expectedDownloadDigest,
+};
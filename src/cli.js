@@ -0,0 +1,553 @@
+const fs = require('fs');
+const path = require('path');
+const process = require('process');
+const readline = require('readline');
+const ApexxCloud = require('./sdk');
+const { ValidationError, AuthenticationError, NotFoundError, AbortError } = require('./errors');
+const { version } = require('../package.json');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_NOT_FOUND = 3;
+const EXIT_AUTH = 4;
+const EXIT_PARTIAL = 5;
+const EXIT_ABORTED = 130;
+
+const REMOTE_SCHEME = 'apexx://';
+
+const SIGNED_URL_TYPES = [
+  'upload',
+  'delete',
+  'start-multipart',
+  'uploadpart',
+  'completemultipart',
+  'cancelmultipart',
+  'download',
+];
+
+// Flag name -> type; "list" flags may be repeated
+const FLAGS = {
+  'access-key': 'string',
+  'secret-key': 'string',
+  profile: 'string',
+  region: 'string',
+  bucket: 'string',
+  'base-url': 'string',
+  json: 'boolean',
+  help: 'boolean',
+  version: 'boolean',
+  page: 'number',
+  limit: 'number',
+  all: 'boolean',
+  'max-items': 'number',
+  recursive: 'boolean',
+  yes: 'boolean',
+  'dry-run': 'boolean',
+  delete: 'boolean',
+  include: 'list',
+  exclude: 'list',
+  concurrency: 'number',
+  'part-size': 'number',
+  'content-type': 'string',
+  visibility: 'string',
+  checksum: 'string',
+  'expires-in': 'number',
+  'upload-id': 'string',
+  'part-number': 'number',
+  'total-parts': 'number',
+  'mime-type': 'string',
+  'key-prefix': 'string',
+};
+
+const ALIASES = { h: 'help', r: 'recursive', y: 'yes', n: 'dry-run' };
+
+const USAGE = `Usage: apexx [options] <command> [arguments]
+
+Commands:
+  ls [apexx://bucket/prefix]          List objects (--page and --limit, or --all [--max-items])
+  cp <source> <destination>           Copy a file between a local path and apexx://bucket/key
+  rm <apexx://bucket/key...>          Delete objects (-r for everything under a prefix)
+  purge <apexx://bucket/key...>       Purge objects from the CDN cache (-r for a prefix)
+  presign <type> <apexx://bucket/key> Print a signed URL (${SIGNED_URL_TYPES.join(', ')})
+  sync <source> <destination>         Sync a local directory with a key prefix
+
+Options:
+  --access-key, --secret-key  Credentials (default: environment, then ~/.apexxcloud/credentials)
+  --profile <name>            Profile in the credentials file
+  --region, --bucket          Default region and bucket
+  --base-url <url>            API endpoint
+  --json                      Print results as JSON
+  -r, --recursive             rm/purge: act on every key under the prefix
+  -y, --yes                   rm: do not ask for confirmation
+  -n, --dry-run               rm/sync: show what would change
+  --delete                    sync: remove files missing from the source
+  --include, --exclude <glob> sync: filter relative paths (repeatable)
+  --concurrency <n>           Operations run at once
+  --checksum <md5|sha256>     cp: verify data end to end
+
+Exit codes: 0 success, 1 error, 2 usage, 3 not found, 4 authentication, 5 partial failure`;
+
+/**
+ * Invalid command line; reported with the usage text and exit code 2
+ */
+class UsageError extends Error {}
+
+/**
+ * Splits arguments into positionals and flags
+ * @param {string[]} argv - Command line arguments
+ * @returns {{positionals: string[], flags: Object}}
+ * @throws {UsageError} When a flag is unknown or lacks a value
+ */
+function parseArgs(argv) {
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let name = arg.replace(/^--?/, '');
+    let value;
+    const equals = name.indexOf('=');
+    if (equals !== -1) {
+      value = name.slice(equals + 1);
+      name = name.slice(0, equals);
+    }
+    name = ALIASES[name] || name;
+    const type = FLAGS[name];
+    if (!type) {
+      throw new UsageError(`Unknown option ${arg}`);
+    }
+
+    if (type === 'boolean') {
+      flags[name] = value === undefined ? true : value !== 'false';
+      continue;
+    }
+    if (value === undefined) {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`Option --${name} needs a value`);
+      }
+      value = argv[++i];
+    }
+    if (type === 'number') {
+      const number = Number(value);
+      if (!Number.isFinite(number)) {
+        throw new UsageError(`Option --${name} must be a number`);
+      }
+      flags[name] = number;
+    } else if (type === 'list') {
+      flags[name] = (flags[name] || []).concat(value);
+    } else {
+      flags[name] = value;
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Checks whether an argument names a remote location
+ * @param {string} value - Argument
+ * @returns {boolean}
+ */
+function isRemote(value) {
+  return typeof value === 'string' && value.startsWith(REMOTE_SCHEME);
+}
+
+/**
+ * Parses `apexx://bucket/key`. A plain argument is taken as a key in the
+ * bucket from --bucket (or the client default).
+ * @param {string} value - Argument
+ * @param {Object} flags - Parsed flags
+ * @returns {{bucketName?: string, key: string}}
+ */
+function parseRemote(value, flags) {
+  if (!isRemote(value)) {
+    return { bucketName: flags.bucket, key: value || '' };
+  }
+  const rest = value.slice(REMOTE_SCHEME.length);
+  const slash = rest.indexOf('/');
+  const bucketName = slash === -1 ? rest : rest.slice(0, slash);
+  return {
+    bucketName: bucketName || flags.bucket,
+    key: slash === -1 ? '' : rest.slice(slash + 1),
+  };
+}
+
+/**
+ * Requires an exact number of positional arguments
+ * @param {string[]} args - Positional arguments after the command
+ * @param {number} min - Minimum count
+ * @param {number} max - Maximum count
+ * @param {string} usage - Usage line for the error
+ * @throws {UsageError}
+ */
+function expectArgs(args, min, max, usage) {
+  if (args.length < min || args.length > max) {
+    throw new UsageError(`Usage: apexx ${usage}`);
+  }
+}
+
+/**
+ * Asks a yes/no question on the terminal
+ * @param {Object} io - Streams
+ * @param {string} question - Question to ask
+ * @returns {Promise<boolean>}
+ */
+async function confirm(io, question) {
+  const rl = readline.createInterface({ input: io.stdin, output: io.stderr });
+  try {
+    const answer = await new Promise((resolve) => rl.question(`${question} [y/N] `, resolve));
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Reports upload or download progress on an interactive terminal
+ * @param {Object} io - Streams
+ * @param {Object} flags - Parsed flags
+ * @param {string} label - What is being transferred
+ * @returns {Function|undefined} Progress callback, or undefined when not reporting
+ */
+function progressReporter(io, flags, label) {
+  if (flags.json || !io.stderr.isTTY) {
+    return undefined;
+  }
+  return ({ loaded, total }) => {
+    const percent = total ? ` ${Math.floor((loaded / total) * 100)}%` : '';
+    io.stderr.write(`\r${label}: ${loaded} bytes${percent}`);
+    if (total && loaded >= total) {
+      io.stderr.write('\n');
+    }
+  };
+}
+
+/**
+ * Builds a batch result for rm and purge, failing with exit code 5 when some keys failed
+ * @param {Object} report - deleteMany/purgeMany report
+ * @param {string} verb - Past tense of the operation, for text output
+ * @returns {{result: Object, lines: string[], code: number}}
+ */
+function batchOutput(report, verb) {
+  const lines = report.results.map((entry) =>
+    entry.success ? `${verb}: ${entry.key}` : `failed: ${entry.key}: ${entry.error.message}`
+  );
+  return {
+    result: {
+      ...report,
+      results: report.results.map((entry) =>
+        entry.success ? entry : { key: entry.key, success: false, error: errorJson(entry.error) }
+      ),
+    },
+    lines,
+    code: report.failed ? EXIT_PARTIAL : EXIT_OK,
+  };
+}
+
+const COMMANDS = {
+  async ls(client, args, flags) {
+    expectArgs(args, 0, 1, 'ls [apexx://bucket/prefix]');
+    const { bucketName, key: prefix } = parseRemote(args[0], flags);
+
+    if (flags.all) {
+      const objects = [];
+      for await (const object of client.bucket.list({
+        bucketName,
+        prefix,
+        limit: flags.limit,
+        maxItems: flags['max-items'],
+      })) {
+        objects.push(object);
+      }
+      return {
+        result: { contents: objects },
+        lines: objects.map((object) => `${object.lastModified}\t${object.size}\t${object.key}`),
+      };
+    }
+
+    const page = await client.bucket.listContents({
+      bucketName,
+      prefix,
+      page: flags.page,
+      limit: flags.limit,
+    });
+    const contents = page.contents || [];
+    const lines = contents.map((object) => `${object.lastModified}\t${object.size}\t${object.key}`);
+    if (page.totalPages > 1) {
+      lines.push(`-- page ${page.page} of ${page.totalPages} (${page.totalItems} objects)`);
+    }
+    return { result: page, lines };
+  },
+
+  async cp(client, args, flags, io) {
+    expectArgs(args, 2, 2, 'cp <source> <destination>');
+    const [source, destination] = args;
+
+    if (isRemote(source) === isRemote(destination)) {
+      throw new UsageError('cp needs one local path and one apexx://bucket/key');
+    }
+
+    if (isRemote(destination)) {
+      const target = parseRemote(destination, flags);
+      const key =
+        !target.key || target.key.endsWith('/')
+          ? `${target.key}${path.basename(source)}`
+          : target.key;
+      const response = await client.files.uploadLarge(key, source, {
+        bucketName: target.bucketName,
+        region: flags.region,
+        partSize: flags['part-size'],
+        concurrency: flags.concurrency,
+        contentType: flags['content-type'],
+        visibility: flags.visibility,
+        checksum: flags.checksum,
+        onProgress: progressReporter(io, flags, key),
+      });
+      return {
+        result: { action: 'upload', source, bucketName: target.bucketName, key, response },
+        lines: [`upload: ${source} -> ${REMOTE_SCHEME}${target.bucketName || ''}/${key}`],
+      };
+    }
+
+    const remote = parseRemote(source, flags);
+    if (!remote.key || remote.key.endsWith('/')) {
+      throw new UsageError('cp downloads a single key; use sync for prefixes');
+    }
+    let filePath = destination;
+    const isDirectory =
+      destination.endsWith(path.sep) ||
+      destination.endsWith('/') ||
+      (await fs.promises.stat(destination).then(
+        (stat) => stat.isDirectory(),
+        () => false
+      ));
+    if (isDirectory) {
+      filePath = path.join(destination, path.posix.basename(remote.key));
+    }
+    const download = await client.files.downloadToFile(remote.key, filePath, {
+      bucketName: remote.bucketName,
+      region: flags.region,
+      checksum: flags.checksum,
+    });
+    return {
+      result: { action: 'download', bucketName: remote.bucketName, key: remote.key, ...download },
+      lines: [`download: ${source} -> ${filePath}`],
+    };
+  },
+
+  async rm(client, args, flags, io) {
+    if (!args.length) {
+      throw new UsageError('Usage: apexx rm [-r] <apexx://bucket/key...>');
+    }
+    const targets = args.map((arg) => parseRemote(arg, flags));
+    const bucketName = targets[0].bucketName;
+    if (targets.some((target) => target.bucketName !== bucketName || !target.key)) {
+      throw new UsageError('rm takes keys in a single bucket');
+    }
+    const options = { bucketName, region: flags.region, concurrency: flags.concurrency };
+
+    let keys = targets.map((target) => target.key);
+    if (flags.recursive) {
+      if (targets.length !== 1) {
+        throw new UsageError('rm -r takes a single prefix');
+      }
+      const plan = await client.files.deleteMany({ prefix: keys[0] }, { ...options, dryRun: true });
+      keys = plan.keys;
+      if (flags['dry-run'] || !keys.length) {
+        return { result: plan, lines: keys.map((key) => `would delete: ${key}`) };
+      }
+      if (!flags.yes) {
+        if (!io.stdin.isTTY) {
+          throw new UsageError(`Refusing to delete ${keys.length} objects without --yes`);
+        }
+        if (!(await confirm(io, `Delete ${keys.length} objects under ${args[0]}?`))) {
+          return { result: { ...plan, cancelled: true }, lines: ['cancelled'], code: EXIT_ABORTED };
+        }
+      }
+    } else if (flags['dry-run']) {
+      return {
+        result: { dryRun: true, keys, results: [], succeeded: 0, failed: 0 },
+        lines: keys.map((key) => `would delete: ${key}`),
+      };
+    }
+
+    return batchOutput(await client.files.deleteMany(keys, options), 'delete');
+  },
+
+  async purge(client, args, flags) {
+    if (!args.length) {
+      throw new UsageError('Usage: apexx purge [-r] <apexx://bucket/key...>');
+    }
+    const targets = args.map((arg) => parseRemote(arg, flags));
+    const bucketName = targets[0].bucketName;
+    if (targets.some((target) => target.bucketName !== bucketName || !target.key)) {
+      throw new UsageError('purge takes keys in a single bucket');
+    }
+    if (flags.recursive && targets.length !== 1) {
+      throw new UsageError('purge -r takes a single prefix');
+    }
+
+    const target = flags.recursive ? { prefix: targets[0].key } : targets.map((t) => t.key);
+    const report = await client.files.purgeMany(target, {
+      bucketName,
+      region: flags.region,
+      concurrency: flags.concurrency,
+    });
+    return batchOutput(report, 'purge');
+  },
+
+  async presign(client, args, flags) {
+    expectArgs(args, 2, 2, `presign <${SIGNED_URL_TYPES.join('|')}> <apexx://bucket/key>`);
+    const [type, location] = args;
+    if (!SIGNED_URL_TYPES.includes(type)) {
+      throw new UsageError(`Unknown signed URL type ${type}`);
+    }
+    const { bucketName, key } = parseRemote(location, flags);
+    const url = await client.files.getSignedUrl(type, {
+      bucketName,
+      region: flags.region,
+      ...(flags['key-prefix'] === undefined ? { key } : { keyPrefix: flags['key-prefix'] }),
+      expiresIn: flags['expires-in'],
+      visibility: flags.visibility,
+      uploadId: flags['upload-id'],
+      partNumber: flags['part-number'],
+      totalParts: flags['total-parts'],
+      mimeType: flags['mime-type'],
+    });
+    return { result: { type, bucketName, key, url }, lines: [url] };
+  },
+
+  async sync(client, args, flags) {
+    expectArgs(args, 2, 2, 'sync <source> <destination>');
+    const [source, destination] = args;
+    if (isRemote(source) === isRemote(destination)) {
+      throw new UsageError('sync needs one local directory and one apexx://bucket/prefix');
+    }
+
+    const options = {
+      region: flags.region,
+      include: flags.include,
+      exclude: flags.exclude,
+      deleteExtraneous: Boolean(flags.delete),
+      dryRun: Boolean(flags['dry-run']),
+      concurrency: flags.concurrency,
+    };
+    const report = isRemote(destination)
+      ? await client.bucket.syncUp(source, parseRemote(destination, flags).key, {
+          ...options,
+          bucketName: parseRemote(destination, flags).bucketName,
+          visibility: flags.visibility,
+        })
+      : await client.bucket.syncDown(parseRemote(source, flags).key, destination, {
+          ...options,
+          bucketName: parseRemote(source, flags).bucketName,
+        });
+
+    const prefix = report.dryRun ? 'would ' : '';
+    return {
+      result: report,
+      lines: report.changes.map(
+        (change) => `${prefix}${change.action}: ${change.key} (${change.reason})`
+      ),
+    };
+  },
+};
+
+/**
+ * Converts an error into a JSON-friendly object
+ * @param {Error} error - Error
+ * @returns {Object}
+ */
+function errorJson(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status,
+    field: error.field,
+  };
+}
+
+/**
+ * Maps an error to the exit code scripts can branch on
+ * @param {Error} error - Error
+ * @returns {number}
+ */
+function exitCodeFor(error) {
+  if (error instanceof UsageError || error instanceof ValidationError) return EXIT_USAGE;
+  if (error instanceof NotFoundError || error.code === 'ENOENT') return EXIT_NOT_FOUND;
+  if (error instanceof AuthenticationError) return EXIT_AUTH;
+  if (error instanceof AbortError) return EXIT_ABORTED;
+  return EXIT_FAILURE;
+}
+
+/**
+ * Runs the apexx command line
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @param {Object} [io] - Streams and environment, for embedding and testing
+ * @param {import('stream').Writable} [io.stdout] - Output stream
+ * @param {import('stream').Writable} [io.stderr] - Error and progress stream
+ * @param {import('stream').Readable} [io.stdin] - Input for confirmations
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+  io = { stdout: process.stdout, stderr: process.stderr, stdin: process.stdin, ...io };
+  let flags = {};
+
+  try {
+    const parsed = parseArgs(argv);
+    flags = parsed.flags;
+    const [command, ...args] = parsed.positionals;
+
+    if (flags.version) {
+      io.stdout.write(`${version}\n`);
+      return EXIT_OK;
+    }
+    if (flags.help || !command) {
+      (command || flags.help ? io.stdout : io.stderr).write(`${USAGE}\n`);
+      return flags.help ? EXIT_OK : EXIT_USAGE;
+    }
+    if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+      throw new UsageError(`Unknown command ${command}`);
+    }
+
+    const client = new ApexxCloud({
+      accessKey: flags['access-key'],
+      secretKey: flags['secret-key'],
+      profile: flags.profile,
+      region: flags.region,
+      bucket: flags.bucket,
+      baseUrl: flags['base-url'],
+    });
+
+    const output = await COMMANDS[command](client, args, flags, io);
+    if (flags.json) {
+      io.stdout.write(`${JSON.stringify(output.result, null, 2)}\n`);
+    } else if (output.lines.length) {
+      io.stdout.write(`${output.lines.join('\n')}\n`);
+    }
+    return output.code ?? EXIT_OK;
+  } catch (error) {
+    if (flags.json) {
+      io.stderr.write(`${JSON.stringify({ error: errorJson(error) })}\n`);
+    } else {
+      io.stderr.write(`apexx: ${error.message}\n`);
+      if (error instanceof UsageError) {
+        io.stderr.write('Run apexx --help for usage.\n');
+      }
+    }
+    return exitCodeFor(error);
+  }
+}
+
+module.exports = { run };
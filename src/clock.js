@@ -0,0 +1,51 @@
+// HTTP dates have one-second resolution, so smaller differences are noise
+const MIN_CORRECTION = 2000;
+
+/**
+ * Tracks how far the service's clock is ahead of the local one, from the
+ * `Date` header of its responses, so that signatures carry the service's time
+ * even when the local clock drifts.
+ */
+class ClockOffset {
+  /**
+   * Creates a clock offset of zero
+   */
+  constructor() {
+    /**
+     * Milliseconds to add to the local time to get the service's time
+     * @type {number}
+     */
+    this.offset = 0;
+  }
+
+  /**
+   * Current time corrected by the offset
+   * @returns {Date}
+   */
+  now() {
+    return new Date(Date.now() + this.offset);
+  }
+
+  /**
+   * Updates the offset from a response's Date header. Differences below two
+   * seconds are ignored, so the offset does not jitter with the header's
+   * resolution and network latency.
+   * @param {string} [date] - Date header value
+   * @returns {boolean} Whether the offset changed
+   */
+  update(date) {
+    const serverTime = date ? Date.parse(date) : NaN;
+    if (Number.isNaN(serverTime)) {
+      return false;
+    }
+    // The header is truncated to the second; assume the middle of that second
+    const measured = serverTime + 500 - Date.now();
+    if (Math.abs(measured - this.offset) < MIN_CORRECTION) {
+      return false;
+    }
+    this.offset = measured;
+    return true;
+  }
+}
+
+module.exports = { ClockOffset };
@@ -0,0 +1,385 @@
+const path = require('path');
+const { Buffer } = require('buffer');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+// Bytes of the data needed to recognise every signature below
+const SNIFF_LENGTH = 512;
+
+const MAX_METADATA_SIZE = 2048;
+
+const OBJECT_HEADER_OPTIONS = ['cacheControl', 'contentDisposition', 'contentEncoding', 'metadata'];
+
+const CONTENT_TYPES = {
+  '.aac': 'audio/aac',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.bz2': 'application/x-bzip2',
+  '.css': 'text/css',
+  '.csv': 'text/csv',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.epub': 'application/epub+zip',
+  '.flac': 'audio/flac',
+  '.gif': 'image/gif',
+  '.gz': 'application/gzip',
+  '.heic': 'image/heic',
+  '.htm': 'text/html',
+  '.html': 'text/html',
+  '.ico': 'image/vnd.microsoft.icon',
+  '.ics': 'text/calendar',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.jsonld': 'application/ld+json',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.m4a': 'audio/mp4',
+  '.md': 'text/markdown',
+  '.mjs': 'text/javascript',
+  '.mkv': 'video/x-matroska',
+  '.mov': 'video/quicktime',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.mpeg': 'video/mpeg',
+  '.oga': 'audio/ogg',
+  '.ogg': 'audio/ogg',
+  '.ogv': 'video/ogg',
+  '.otf': 'font/otf',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.rar': 'application/vnd.rar',
+  '.rtf': 'application/rtf',
+  '.svg': 'image/svg+xml',
+  '.tar': 'application/x-tar',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.ttf': 'font/ttf',
+  '.txt': 'text/plain',
+  '.wasm': 'application/wasm',
+  '.wav': 'audio/wav',
+  '.weba': 'audio/webm',
+  '.webm': 'video/webm',
+  '.webmanifest': 'application/manifest+json',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.xml': 'application/xml',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.zip': 'application/zip',
+  '.7z': 'application/x-7z-compressed',
+};
+
+// Checked in order; `offset` defaults to 0
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { type: 'image/webp', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8, riff: true },
+  { type: 'audio/wav', bytes: [0x57, 0x41, 0x56, 0x45], offset: 8, riff: true },
+  { type: 'video/x-msvideo', bytes: [0x41, 0x56, 0x49, 0x20], offset: 8, riff: true },
+  { type: 'image/bmp', bytes: [0x42, 0x4d] },
+  { type: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: 'image/vnd.microsoft.icon', bytes: [0x00, 0x00, 0x01, 0x00] },
+  { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-bzip2', bytes: [0x42, 0x5a, 0x68] },
+  { type: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: 'application/vnd.rar', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { type: 'application/x-tar', bytes: [0x75, 0x73, 0x74, 0x61, 0x72], offset: 257 },
+  { type: 'application/wasm', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { type: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { type: 'audio/flac', bytes: [0x66, 0x4c, 0x61, 0x43] },
+  { type: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { type: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: 'font/woff', bytes: [0x77, 0x4f, 0x46, 0x46] },
+  { type: 'font/woff2', bytes: [0x77, 0x4f, 0x46, 0x32] },
+];
+
+const TS_PACKET_SIZE = 188;
+
+// ISO base media brands (the four bytes after "ftyp")
+const FTYP_BRANDS = {
+  avif: 'image/avif',
+  avis: 'image/avif',
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heic',
+  qt: 'video/quicktime',
+  'M4A ': 'audio/mp4',
+};
+
+/**
+ * Looks up a content type from the extension of a key or file name
+ * @param {string} [name] - Object key or file name
+ * @returns {string|undefined} Content type, or undefined for unknown extensions
+ */
+function lookupContentType(name) {
+  if (typeof name !== 'string') {
+    return undefined;
+  }
+  return CONTENT_TYPES[path.posix.extname(name).toLowerCase()];
+}
+
+/**
+ * Recognises a content type from the first bytes of the data
+ * @param {Buffer} head - Start of the data (SNIFF_LENGTH bytes are enough)
+ * @returns {string|undefined} Content type, or undefined when nothing matches
+ */
+function sniffContentType(head) {
+  if (!head || !head.length) {
+    return undefined;
+  }
+
+  for (const signature of SIGNATURES) {
+    const offset = signature.offset || 0;
+    if (signature.riff && head.toString('latin1', 0, 4) !== 'RIFF') {
+      continue;
+    }
+    if (
+      head.length >= offset + signature.bytes.length &&
+      signature.bytes.every((byte, index) => head[offset + index] === byte)
+    ) {
+      return signature.type;
+    }
+  }
+
+  if (head.toString('latin1', 4, 8) === 'ftyp') {
+    const brand = head.toString('latin1', 8, 12);
+    return FTYP_BRANDS[brand] || FTYP_BRANDS[brand.trim()] || 'video/mp4';
+  }
+
+  // MPEG transport stream: a 0x47 sync byte every 188-byte packet. The .ts extension is
+  // not mapped, since it usually names TypeScript sources
+  if (
+    head.length > 2 * TS_PACKET_SIZE &&
+    [0, 1, 2].every((n) => head[n * TS_PACKET_SIZE] === 0x47)
+  ) {
+    return 'video/mp2t';
+  }
+
+  const text = head
+    .toString('utf8')
+    .replace(/^\uFEFF/, '')
+    .trimStart();
+  if (/^<svg[\s>]/i.test(text) || (/^<\?xml/i.test(text) && /<svg[\s>]/i.test(text))) {
+    return 'image/svg+xml';
+  }
+  if (/^<!doctype html|^<html[\s>]/i.test(text)) {
+    return 'text/html';
+  }
+  if (/^<\?xml/i.test(text)) {
+    return 'application/xml';
+  }
+  if (/^%!PS/.test(text)) {
+    return 'application/postscript';
+  }
+  return undefined;
+}
+
+/**
+ * Picks the content type of an upload: an explicit type wins, then the key's
+ * extension, then the data's magic bytes
+ * @param {string} [explicit] - Content type given by the caller
+ * @param {string} [key] - Object key or file name
+ * @param {() => Promise<Buffer|undefined>} [readHead] - Reads the start of the data;
+ *   only called when the extension is not recognised
+ * @returns {Promise<string>}
+ */
+async function resolveContentType(explicit, key, readHead) {
+  if (explicit) {
+    return explicit;
+  }
+  const byName = lookupContentType(key);
+  if (byName) {
+    return byName;
+  }
+  return (readHead && sniffContentType(await readHead())) || DEFAULT_CONTENT_TYPE;
+}
+
+/**
+ * Checks that a header value is printable ASCII without line breaks
+ * @param {*} value - Header value
+ * @param {string} field - Option name, for the error
+ * @returns {string}
+ * @throws {ValidationError} When the value is not a valid header value
+ */
+function requireHeaderValue(value, field) {
+  if (typeof value !== 'string' || !value.trim() || !/^[\x20-\x7e]+$/.test(value)) {
+    throw new ValidationError(
+      `${field} must be a non-empty string of printable ASCII characters`,
+      field
+    );
+  }
+  return value.trim();
+}
+
+/**
+ * Builds a Content-Disposition value. A `{type, filename}` object is encoded
+ * with an ASCII fallback and an RFC 5987 `filename*` for other characters.
+ * @param {string|{type?: 'inline'|'attachment', filename?: string}} disposition - Value
+ *   or parts
+ * @returns {string}
+ * @throws {ValidationError} When the disposition type is not inline or attachment
+ */
+function formatContentDisposition(disposition) {
+  if (typeof disposition === 'string') {
+    const value = requireHeaderValue(disposition, 'contentDisposition');
+    if (!/^(inline|attachment)\s*(;|$)/i.test(value)) {
+      throw new ValidationError(
+        'contentDisposition must start with "inline" or "attachment"',
+        'contentDisposition'
+      );
+    }
+    return value;
+  }
+
+  if (!disposition || typeof disposition !== 'object') {
+    throw new ValidationError(
+      'contentDisposition must be a string or {type, filename}',
+      'contentDisposition'
+    );
+  }
+  const type = disposition.type || 'attachment';
+  if (type !== 'inline' && type !== 'attachment') {
+    throw new ValidationError(
+      'contentDisposition.type must be "inline" or "attachment"',
+      'contentDisposition.type'
+    );
+  }
+  if (disposition.filename === undefined) {
+    return type;
+  }
+  if (typeof disposition.filename !== 'string' || !disposition.filename) {
+    throw new ValidationError(
+      'contentDisposition.filename must be a non-empty string',
+      'contentDisposition.filename'
+    );
+  }
+
+  const { filename } = disposition;
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  if (fallback === filename) {
+    return `${type}; filename="${filename}"`;
+  }
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Validates user metadata: keys are lowercase letters, digits, "-" and "_",
+ * values are printable ASCII, and the whole set stays within 2 KB
+ * @param {Object<string, string|number|boolean>} metadata - Metadata
+ * @returns {Object<string, string>}
+ * @throws {ValidationError} When a key or value is invalid or the set is too large
+ */
+function normalizeMetadata(metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new ValidationError('metadata must be an object of key/value pairs', 'metadata');
+  }
+
+  const normalized = {};
+  let size = 0;
+  for (const [name, raw] of Object.entries(metadata)) {
+    if (!/^[a-z0-9_-]+$/.test(name)) {
+      throw new ValidationError(
+        `metadata key "${name}" may only contain lowercase letters, digits, "-" and "_"`,
+        `metadata.${name}`
+      );
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof raw)) {
+      throw new ValidationError(
+        `metadata value for "${name}" must be a string`,
+        `metadata.${name}`
+      );
+    }
+    const value = String(raw);
+    if (!/^[\x20-\x7e]*$/.test(value)) {
+      throw new ValidationError(
+        `metadata value for "${name}" must be printable ASCII`,
+        `metadata.${name}`
+      );
+    }
+    normalized[name] = value;
+    size += Buffer.byteLength(name) + Buffer.byteLength(value);
+  }
+
+  if (size > MAX_METADATA_SIZE) {
+    throw new ValidationError(
+      `metadata is ${size} bytes; the limit is ${MAX_METADATA_SIZE}`,
+      'metadata'
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Validates the cache, disposition, encoding and metadata options of an upload
+ * and adds them to its query parameters, where the signature covers them
+ * @param {URLSearchParams} queryParams - Query parameters to extend
+ * @param {Object} options - Upload options
+ * @param {string} [options.cacheControl] - Cache-Control header to serve the object with
+ * @param {string|Object} [options.contentDisposition] - Content-Disposition header, or
+ *   `{type, filename}`
+ * @param {string} [options.contentEncoding] - Content-Encoding of the data, e.g. "gzip"
+ * @param {Object<string, string>} [options.metadata] - User metadata
+ * @throws {ValidationError} When an option is invalid
+ */
+function appendObjectHeaders(queryParams, options) {
+  if (options.cacheControl !== undefined) {
+    queryParams.append('cacheControl', requireHeaderValue(options.cacheControl, 'cacheControl'));
+  }
+  if (options.contentDisposition !== undefined) {
+    queryParams.append('contentDisposition', formatContentDisposition(options.contentDisposition));
+  }
+  if (options.contentEncoding !== undefined) {
+    const encoding = requireHeaderValue(options.contentEncoding, 'contentEncoding');
+    if (!/^[a-z0-9-]+(\s*,\s*[a-z0-9-]+)*$/i.test(encoding)) {
+      throw new ValidationError(
+        'contentEncoding must be a list of encodings such as "gzip" or "br"',
+        'contentEncoding'
+      );
+    }
+    queryParams.append('contentEncoding', encoding);
+  }
+  if (options.metadata !== undefined) {
+    queryParams.append('metadata', JSON.stringify(normalizeMetadata(options.metadata)));
+  }
+}
+
+/**
+ * Copies the header options of an upload, for passing them on to another call
+ * @param {Object} options - Upload options
+ * @returns {{cacheControl?: string, contentDisposition?: string|Object, contentEncoding?: string, metadata?: Object}}
+ */
+function pickObjectHeaders(options) {
+  const headers = {};
+  for (const name of OBJECT_HEADER_OPTIONS) {
+    if (options[name] !== undefined) {
+      headers[name] = options[name];
+    }
+  }
+  return headers;
+}
+
+module.exports = {
+  DEFAULT_CONTENT_TYPE,
+  SNIFF_LENGTH,
+  lookupContentType,
+  sniffContentType,
+  resolveContentType,
+  appendObjectHeaders,
+  pickObjectHeaders,
+};
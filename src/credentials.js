@@ -0,0 +1,249 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const process = require('process');
+const { ValidationError, AuthenticationError } = require('./errors');
+
+const DEFAULT_PROFILE = 'default';
+const DEFAULT_REFRESH_WINDOW = 5 * 60 * 1000;
+
+/**
+ * Provider that reads APEXXCLOUD_ACCESS_KEY and APEXXCLOUD_SECRET_KEY
+ * @returns {() => Promise<{accessKey: string, secretKey: string}|null>} Provider that
+ *   resolves to null when the variables are not set
+ */
+function fromEnv() {
+  return async () => {
+    const accessKey = process.env.APEXXCLOUD_ACCESS_KEY;
+    const secretKey = process.env.APEXXCLOUD_SECRET_KEY;
+    return accessKey && secretKey ? { accessKey, secretKey } : null;
+  };
+}
+
+/**
+ * Parses an INI file into sections of key/value pairs. Lines starting with
+ * `#` or `;` are comments.
+ * @param {string} text - File contents
+ * @returns {Object<string, Object<string, string>>}
+ */
+function parseIni(text) {
+  const sections = {};
+  let current = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) {
+      continue;
+    }
+    const section = line.match(/^\[\s*(?:profile\s+)?([^\]]+?)\s*\]$/);
+    if (section) {
+      current = sections[section[1]] = sections[section[1]] || {};
+      continue;
+    }
+    const separator = line.indexOf('=');
+    if (current && separator > 0) {
+      current[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+  return sections;
+}
+
+/**
+ * Provider that reads a profile from an INI-style credentials file:
+ *
+ *     [default]
+ *     access_key = ...
+ *     secret_key = ...
+ *
+ * @param {Object} [options] - Profile options
+ * @param {string} [options.profile] - Profile name (defaults to APEXXCLOUD_PROFILE, then "default")
+ * @param {string} [options.filepath] - Credentials file (defaults to
+ *   APEXXCLOUD_CREDENTIALS_FILE, then ~/.apexxcloud/credentials)
+ * @returns {() => Promise<{accessKey: string, secretKey: string}|null>} Provider that
+ *   resolves to null when the file or profile does not exist
+ * @throws {ValidationError} From the provider, when the profile is incomplete
+ */
+function fromProfile(options = {}) {
+  return async () => {
+    const profile = options.profile || process.env.APEXXCLOUD_PROFILE || DEFAULT_PROFILE;
+    const filepath =
+      options.filepath ||
+      process.env.APEXXCLOUD_CREDENTIALS_FILE ||
+      path.join(os.homedir(), '.apexxcloud', 'credentials');
+
+    let text;
+    try {
+      text = await fs.promises.readFile(filepath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const section = parseIni(text)[profile];
+    if (!section) {
+      return null;
+    }
+    if (!section.access_key || !section.secret_key) {
+      throw new ValidationError(
+        `Profile ${profile} in ${filepath} must set access_key and secret_key`,
+        'credentials'
+      );
+    }
+    return { accessKey: section.access_key, secretKey: section.secret_key };
+  };
+}
+
+/**
+ * Combines providers; the first one that resolves to credentials wins
+ * @param {...Function} providers - Providers to try in order
+ * @returns {() => Promise<Object|null>}
+ */
+function chain(...providers) {
+  return async () => {
+    for (const provider of providers) {
+      const credentials = await provider();
+      if (credentials) {
+        return credentials;
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Caches the credentials of a provider and refreshes them shortly before they
+ * expire. Concurrent callers share a single refresh, and while the current
+ * credentials are still valid a failed refresh falls back to them.
+ */
+class CredentialCache {
+  /**
+   * Creates a new credential cache
+   * @param {Function} provider - Resolves to `{accessKey, secretKey, expiration?}`, or null
+   * @param {number} [refreshWindow=300000] - Refresh this many milliseconds before expiry
+   */
+  constructor(provider, refreshWindow = DEFAULT_REFRESH_WINDOW) {
+    this.provider = provider;
+    this.refreshWindow = refreshWindow;
+    this.current = null;
+    this.pending = null;
+  }
+
+  /**
+   * Returns valid credentials, refreshing them first when needed
+   * @returns {Promise<{accessKey: string, secretKey: string, expiration?: number}>}
+   * @throws {AuthenticationError} When no provider returns credentials
+   */
+  async get() {
+    const now = Date.now();
+    if (this.current && !this.expiresWithin(now, this.refreshWindow)) {
+      return this.current;
+    }
+
+    if (!this.pending) {
+      this.pending = this.load().finally(() => {
+        this.pending = null;
+      });
+    }
+    try {
+      return await this.pending;
+    } catch (error) {
+      if (this.current && !this.expiresWithin(Date.now(), 0)) {
+        return this.current;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Checks whether the current credentials expire within a window
+   * @private
+   * @param {number} now - Current time in milliseconds
+   * @param {number} window - Window in milliseconds
+   * @returns {boolean}
+   */
+  expiresWithin(now, window) {
+    const { expiration } = this.current;
+    return expiration !== undefined && expiration - window <= now;
+  }
+
+  /**
+   * Fetches and validates credentials from the provider
+   * @private
+   * @returns {Promise<{accessKey: string, secretKey: string, expiration?: number}>}
+   */
+  async load() {
+    const credentials = await this.provider();
+    if (!credentials) {
+      throw new AuthenticationError(
+        'No ApexxCloud credentials found: pass accessKey and secretKey, set ' +
+          'APEXXCLOUD_ACCESS_KEY and APEXXCLOUD_SECRET_KEY, or add a profile to ' +
+          '~/.apexxcloud/credentials',
+        { code: 'CredentialsNotFound' }
+      );
+    }
+    if (!credentials.accessKey || !credentials.secretKey) {
+      throw new ValidationError(
+        'Credential provider must return accessKey and secretKey',
+        'credentials'
+      );
+    }
+
+    let expiration;
+    if (credentials.expiration !== undefined && credentials.expiration !== null) {
+      expiration = new Date(credentials.expiration).getTime();
+      if (Number.isNaN(expiration)) {
+        throw new ValidationError('Credential expiration is not a valid date', 'credentials');
+      }
+    }
+
+    this.current = {
+      accessKey: credentials.accessKey,
+      secretKey: credentials.secretKey,
+      expiration,
+    };
+    return this.current;
+  }
+}
+
+/**
+ * Turns the `credentials` client option into a provider
+ * @param {Object} config - Client configuration
+ * @param {string} [config.accessKey] - Static access key
+ * @param {string} [config.secretKey] - Static secret key
+ * @param {Function|{accessKey: string, secretKey: string}} [config.credentials] - Provider,
+ *   or static credentials
+ * @param {string} [config.profile] - Profile for the default chain
+ * @returns {Function} Provider
+ * @throws {ValidationError} When only one of accessKey and secretKey is given
+ */
+function resolveProvider(config) {
+  if (config.accessKey || config.secretKey) {
+    if (!config.accessKey || !config.secretKey) {
+      throw new ValidationError(
+        'Access key and secret key are required',
+        config.accessKey ? 'secretKey' : 'accessKey'
+      );
+    }
+    const credentials = { accessKey: config.accessKey, secretKey: config.secretKey };
+    return async () => credentials;
+  }
+
+  if (typeof config.credentials === 'function') {
+    return config.credentials;
+  }
+  if (config.credentials) {
+    const { credentials } = config;
+    return async () => credentials;
+  }
+  return chain(fromEnv(), fromProfile({ profile: config.profile }));
+}
+
+module.exports = {
+  fromEnv,
+  fromProfile,
+  chain,
+  CredentialCache,
+  resolveProvider,
+};
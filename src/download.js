@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Buffer } = require('buffer');
+const { ValidationError } = require('./errors');
+const { isReadable, readStream } = require('./source');
+
+/**
+ * Validates a byte range given as `{start, end}` (both inclusive)
+ * @param {{start?: number, end?: number}} [range] - Requested range
+ * @returns {{start: number, end?: number}} Normalised range
+ * @throws {ValidationError} When the bounds are not valid byte offsets
+ */
+function normalizeRange(range = {}) {
+  const start = range.start ?? 0;
+  const { end } = range;
+  if (!Number.isInteger(start) || start < 0) {
+    throw new ValidationError('range.start must be a non-negative integer', 'range.start');
+  }
+  if (end !== undefined && (!Number.isInteger(end) || end < start)) {
+    throw new ValidationError(
+      'range.end must be an integer no smaller than range.start',
+      'range.end'
+    );
+  }
+  return { start, end };
+}
+
+/**
+ * Formats an HTTP Range header value
+ * @param {number} start - First byte
+ * @param {number} [end] - Last byte (inclusive); open-ended when omitted
+ * @returns {string|undefined} Header value, or undefined when the whole object is wanted
+ */
+function formatRange(start, end) {
+  if (!start && end === undefined) {
+    return undefined;
+  }
+  return `bytes=${start}-${end === undefined ? '' : end}`;
+}
+
+/**
+ * Checks that a response holds the requested range: a 206 whose Content-Range
+ * starts at `start`
+ * @param {{status: number, headers: Object}} response - Download response
+ * @param {number} start - First byte requested
+ * @returns {boolean}
+ */
+function isRangeResponse(response, start) {
+  const match = /^bytes (\d+)-/.exec(response.headers['content-range'] || '');
+  return response.status === 206 && Boolean(match) && Number(match[1]) === start;
+}
+
+/**
+ * Strips quotes and weak-validator prefixes from an ETag
+ * @param {string} [etag] - ETag header value
+ * @returns {string|undefined}
+ */
+function normalizeEtag(etag) {
+  return etag ? etag.replace(/^W\//, '').replace(/"/g, '') : undefined;
+}
+
+/**
+ * Checks whether an ETag is a plain content MD5 that data can be compared
+ * against. Multipart ETags (`<md5>-<parts>`) are not.
+ * @param {string} [etag] - Normalised ETag
+ * @returns {boolean}
+ */
+function isContentEtag(etag) {
+  return /^[0-9a-f]{32}$/i.test(etag || '');
+}
+
+/**
+ * Computes the hex digest of a file
+ * @param {string} filePath - File to hash
+ * @param {string} [algorithm="md5"] - Hash algorithm
+ * @returns {Promise<string>}
+ */
+async function hashFile(filePath, algorithm = 'md5') {
+  const hash = crypto.createHash(algorithm);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Replaces a streamed error response body with its parsed content so that
+ * error messages can include it
+ * @param {Error} error - Error thrown by axios
+ * @returns {Promise<Error>} The same error
+ */
+async function bufferErrorBody(error) {
+  if (error.response && isReadable(error.response.data)) {
+    const text = (await readStream(error.response.data).catch(() => Buffer.alloc(0))).toString();
+    try {
+      error.response.data = JSON.parse(text);
+    } catch {
+      error.response.data = text ? { message: text } : {};
+    }
+  }
+  return error;
+}
+
+module.exports = {
+  normalizeRange,
+  formatRange,
+  isRangeResponse,
+  normalizeEtag,
+  isContentEtag,
+  hashFile,
+  bufferErrorBody,
+};
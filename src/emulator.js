@@ -0,0 +1,1061 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { Buffer } = require('buffer');
+const { computeSignature, verifySignedUrl, verifyRequestHeaders } = require('./verify');
+const { compositeEtag } = require('./checksum');
+const { normalizeEtag } = require('./download');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_ACCESS_KEY = 'emulator-access-key';
+const DEFAULT_SECRET_KEY = 'emulator-secret-key';
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 1000;
+
+// Checked in order: "multipart/start" must win over "multipart/:uploadId"
+const ROUTES = [
+  { name: 'upload', method: 'PUT', pattern: /^\/api\/v1\/files\/upload$/ },
+  { name: 'delete', method: 'DELETE', pattern: /^\/api\/v1\/files\/delete$/ },
+  { name: 'purge', method: 'POST', pattern: /^\/api\/v1\/files\/purge$/ },
+  { name: 'contents', method: 'GET', pattern: /^\/api\/v1\/files\/contents$/ },
+  { name: 'signed-url', method: 'GET', pattern: /^\/api\/v1\/files\/signed-url$/ },
+  { name: 'download', method: 'GET', pattern: /^\/api\/v1\/files\/download$/ },
+  { name: 'multipart-start', method: 'POST', pattern: /^\/api\/v1\/files\/multipart\/start$/ },
+  {
+    name: 'multipart-complete',
+    method: 'POST',
+    pattern: /^\/api\/v1\/files\/multipart\/([^/]+)\/complete$/,
+  },
+  { name: 'upload-part', method: 'POST', pattern: /^\/api\/v1\/files\/multipart\/([^/]+)$/ },
+  { name: 'multipart-cancel', method: 'DELETE', pattern: /^\/api\/v1\/files\/multipart\/([^/]+)$/ },
+];
+
+/**
+ * A request the emulator rejects, sent as `{code, message, field}` JSON
+ */
+class EmulatorError extends Error {
+  /**
+   * Creates a new emulator error
+   * @param {number} status - HTTP status code
+   * @param {string} code - Service error code
+   * @param {string} message - Error message
+   * @param {string} [field] - Offending parameter
+   */
+  constructor(status, code, message, field) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.field = field;
+  }
+}
+
+/**
+ * Emulator storage that keeps objects in memory. FileBackend implements the same methods.
+ */
+class MemoryBackend {
+  constructor() {
+    this.objects = new Map();
+  }
+
+  /**
+   * Stores an object, replacing any previous one with the same key
+   * @param {Object} object - Object record with bucket, key, data and metadata
+   * @returns {Promise<void>}
+   */
+  async put(object) {
+    this.objects.set(`${object.bucket}\n${object.key}`, object);
+  }
+
+  /**
+   * Loads an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<Object|null>} The object record, or null when it does not exist
+   */
+  async get(bucket, key) {
+    return this.objects.get(`${bucket}\n${key}`) || null;
+  }
+
+  /**
+   * Removes an object
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<boolean>} Whether the object existed
+   */
+  async delete(bucket, key) {
+    return this.objects.delete(`${bucket}\n${key}`);
+  }
+
+  /**
+   * Lists the objects of a bucket, in no particular order
+   * @param {string} bucket - Bucket name
+   * @returns {Promise<Object[]>} Object records (the file backend omits their data)
+   */
+  async list(bucket) {
+    return [...this.objects.values()].filter((object) => object.bucket === bucket);
+  }
+}
+
+/**
+ * Emulator storage that keeps each object as a data file and a JSON metadata
+ * file in a local directory, so objects survive restarts
+ */
+class FileBackend {
+  /**
+   * Creates a new file backend
+   * @param {string} directory - Directory the objects are written to
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Resolves the files of an object
+   * @private
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {{data: string, meta: string}}
+   */
+  files(bucket, key) {
+    const id = crypto.createHash('sha256').update(`${bucket}\n${key}`).digest('hex');
+    return {
+      data: path.join(this.directory, `${id}.bin`),
+      meta: path.join(this.directory, `${id}.json`),
+    };
+  }
+
+  async put(object) {
+    const { data, ...meta } = object;
+    const files = this.files(object.bucket, object.key);
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(files.data, data);
+    await fs.promises.writeFile(files.meta, JSON.stringify(meta));
+  }
+
+  async get(bucket, key) {
+    const files = this.files(bucket, key);
+    try {
+      const meta = JSON.parse(await fs.promises.readFile(files.meta, 'utf8'));
+      return { ...meta, data: await fs.promises.readFile(files.data) };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async delete(bucket, key) {
+    const files = this.files(bucket, key);
+    try {
+      await fs.promises.unlink(files.meta);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+    await fs.promises.rm(files.data, { force: true });
+    return true;
+  }
+
+  async list(bucket) {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const objects = [];
+    for (const name of names.filter((entry) => entry.endsWith('.json'))) {
+      const meta = JSON.parse(await fs.promises.readFile(path.join(this.directory, name), 'utf8'));
+      if (meta.bucket === bucket) {
+        objects.push(meta);
+      }
+    }
+    return objects;
+  }
+}
+
+/**
+ * Local stand-in for the ApexxCloud API, for testing code that uses the SDK
+ * without network access. It implements the routes the SDK calls, checks
+ * signed headers and signed URLs exactly like the service, and can inject
+ * latency, errors, throttling and dropped connections.
+ *
+ * Multipart uploads in progress are always held in memory; completed objects
+ * go to the configured backend.
+ */
+class Emulator {
+  /**
+   * Creates a new emulator
+   * @param {Object} [options] - Emulator options
+   * @param {string} [options.accessKey="emulator-access-key"] - Access key to accept
+   * @param {string} [options.secretKey="emulator-secret-key"] - Secret key of that access key
+   * @param {Object<string, string>} [options.keys] - Several access keys, mapped to their
+   *   secret keys, instead of accessKey and secretKey
+   * @param {string[]} [options.buckets] - Only these buckets exist (default: any bucket)
+   * @param {string} [options.dataDir] - Keep objects in this directory instead of in memory
+   * @param {number} [options.latency=0] - Delay every response by this many milliseconds
+   * @param {number} [options.clockSkew=300] - Tolerated signature clock difference in seconds
+   * @param {number} [options.clockOffset=0] - Run the emulator's clock this many milliseconds
+   *   ahead of the local clock (negative: behind), for testing clock skew handling
+   * @param {Object[]} [options.faults] - Faults to inject from the start (see injectFault)
+   */
+  constructor(options = {}) {
+    this.accessKey = options.accessKey || DEFAULT_ACCESS_KEY;
+    this.secretKey = options.secretKey || DEFAULT_SECRET_KEY;
+    this.keys = options.keys || { [this.accessKey]: this.secretKey };
+    this.buckets = options.buckets ? new Set(options.buckets) : null;
+    this.backend = options.dataDir ? new FileBackend(options.dataDir) : new MemoryBackend();
+    this.latency = options.latency || 0;
+    this.clockSkew = options.clockSkew;
+    this.clockOffset = options.clockOffset || 0;
+
+    this.uploads = new Map();
+    this.faults = [];
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+
+    /**
+     * Request listener, for mounting the emulator in an existing HTTP server
+     * @type {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => void}
+     */
+    this.handler = (req, res) => {
+      this.handle(req, res);
+    };
+
+    for (const fault of options.faults || []) {
+      this.injectFault(fault);
+    }
+  }
+
+  /**
+   * Starts listening on localhost
+   * @param {Object} [options] - Listen options
+   * @param {number} [options.port=0] - Port (0 picks a free one)
+   * @param {string} [options.host="127.0.0.1"] - Interface to bind
+   * @returns {Promise<string>} Base URL to pass to the client as `baseUrl`
+   */
+  async start(options = {}) {
+    const host = options.host || '127.0.0.1';
+    this.server = http.createServer(this.handler);
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(options.port || 0, host, resolve);
+    });
+    this.url = `http://${host}:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stops listening and closes open connections, including idle keep-alive ones
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    this.url = null;
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+    });
+  }
+
+  /**
+   * Client configuration pointing at this emulator
+   * @returns {{baseUrl: string, accessKey: string, secretKey: string}}
+   * @throws {ValidationError} When the emulator was not started
+   */
+  clientConfig() {
+    if (!this.url) {
+      throw new ValidationError('Start the emulator before asking for its URL', 'url');
+    }
+    return { baseUrl: this.url, accessKey: this.accessKey, secretKey: this.secretKey };
+  }
+
+  /**
+   * Injects a fault into matching requests. A fault with a status answers with
+   * that error instead of handling the request; `reset` drops the connection,
+   * `resetAfter` drops a download after that many body bytes, and `ignoreRange`
+   * answers a ranged download with the whole object. A fault with only
+   * `latency` delays requests and lets them through.
+   * @param {Object} fault - Fault to inject
+   * @param {string|string[]} [fault.route] - Routes to affect (default: all): upload, delete,
+   *   purge, contents, signed-url, download, multipart-start, upload-part,
+   *   multipart-complete or multipart-cancel
+   * @param {number} [fault.status] - Error status to answer with, e.g. 503 or 429
+   * @param {string} [fault.code] - Error code in the response body
+   * @param {number} [fault.retryAfter] - Retry-After header in seconds
+   * @param {number} [fault.latency] - Delay in milliseconds before answering
+   * @param {boolean} [fault.reset] - Drop the connection without answering
+   * @param {number} [fault.resetAfter] - Drop a download after sending this many bytes
+   * @param {boolean} [fault.ignoreRange] - Send a download's whole object with a 200,
+   *   like a server without Range support
+   * @param {number} [fault.times=Infinity] - Affect only this many requests
+   * @param {number} [fault.probability=1] - Chance of affecting a matching request
+   * @returns {() => void} Removes the fault
+   */
+  injectFault(fault) {
+    const entry = { times: Infinity, probability: 1, ...fault };
+    if (entry.route !== undefined) {
+      const routes = [].concat(entry.route);
+      const unknown = routes.find((route) => !ROUTES.some((known) => known.name === route));
+      if (unknown) {
+        throw new ValidationError(`Unknown emulator route ${unknown}`, 'route');
+      }
+      entry.route = routes;
+    }
+    this.faults.push(entry);
+    return () => {
+      this.faults = this.faults.filter((candidate) => candidate !== entry);
+    };
+  }
+
+  /**
+   * Removes every injected fault
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * The emulator's current time
+   * @private
+   * @returns {Date}
+   */
+  now() {
+    return new Date(Date.now() + this.clockOffset);
+  }
+
+  /**
+   * Handles one API request
+   * @private
+   * @param {import('http').IncomingMessage} req - Request
+   * @param {import('http').ServerResponse} res - Response
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const route = ROUTES.find((r) => r.method === req.method && r.pattern.test(url.pathname));
+    const entry = { method: req.method, path: url.pathname, route: route && route.name };
+    this.requests.push(entry);
+    res.on('finish', () => {
+      entry.status = res.statusCode;
+    });
+    res.setHeader('Date', this.now().toUTCString());
+
+    try {
+      const body = await readBody(req);
+      if (!route) {
+        throw new EmulatorError(404, 'NoSuchRoute', `No route for ${req.method} ${url.pathname}`);
+      }
+
+      const fault = this.takeFault(route.name);
+      const latency = this.latency + ((fault && fault.latency) || 0);
+      if (latency) {
+        await new Promise((resolve) => setTimeout(resolve, latency));
+      }
+      if (fault && fault.reset) {
+        req.socket.destroy();
+        return;
+      }
+      if (fault && fault.status) {
+        if (fault.retryAfter !== undefined) {
+          res.setHeader('Retry-After', String(fault.retryAfter));
+        }
+        throw new EmulatorError(
+          fault.status,
+          fault.code || (fault.status === 429 ? 'Throttled' : 'InjectedFault'),
+          `Injected ${fault.status} response`
+        );
+      }
+
+      const auth = await this.authenticate(req, url, route);
+      const params = url.searchParams;
+      const context = {
+        req,
+        res,
+        url,
+        body,
+        auth,
+        params,
+        match: route.pattern.exec(url.pathname),
+        origin: `http://${req.headers.host}`,
+        fault,
+      };
+      context.bucket = this.requireBucket(params);
+
+      const result = await this[ROUTE_HANDLERS[route.name]](context);
+      if (result !== undefined) {
+        sendJson(res, 200, result);
+      }
+    } catch (error) {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      if (error instanceof EmulatorError) {
+        sendJson(res, error.status, {
+          code: error.code,
+          message: error.message,
+          field: error.field,
+        });
+      } else {
+        sendJson(res, 500, { code: 'InternalError', message: error.message });
+      }
+    }
+  }
+
+  /**
+   * Picks the first fault matching a route and counts it against its limit
+   * @private
+   * @param {string} routeName - Route being handled
+   * @returns {Object|null}
+   */
+  takeFault(routeName) {
+    const fault = this.faults.find(
+      (candidate) =>
+        candidate.times > 0 &&
+        (!candidate.route || candidate.route.includes(routeName)) &&
+        Math.random() < candidate.probability
+    );
+    if (!fault) {
+      return null;
+    }
+    fault.times--;
+    return fault;
+  }
+
+  /**
+   * Checks the signed headers of a request, or its signed URL parameters when it
+   * has no signed headers. Downloads are only accepted through signed URLs.
+   * @private
+   * @param {import('http').IncomingMessage} req - Request
+   * @param {URL} url - Parsed request URL
+   * @param {{name: string}} route - Matched route
+   * @returns {Promise<{accessKey: string, signedUrl: boolean}>}
+   * @throws {EmulatorError} 401 when the signature is missing or invalid
+   */
+  async authenticate(req, url, route) {
+    const secretKey = (accessKey) => this.keys[accessKey];
+    const options = { secretKey, clockSkew: this.clockSkew, now: this.now().getTime() };
+    const signedUrl = route.name === 'download' || !req.headers['x-signature'];
+
+    const result = signedUrl
+      ? await verifySignedUrl(req.url, req.method, options)
+      : await verifyRequestHeaders(req, options);
+    if (!result.valid) {
+      throw new EmulatorError(401, result.reason, result.message);
+    }
+    return { accessKey: result.accessKey, signedUrl };
+  }
+
+  /**
+   * Applies the upload policy of a signed URL
+   * @private
+   * @param {Object} context - Request context
+   * @param {{key: string, contentType?: string, contentLength?: number}} upload - The upload
+   * @throws {EmulatorError} 403 when the upload is outside the policy
+   */
+  async checkPolicy(context, upload) {
+    if (!context.auth.signedUrl) {
+      return;
+    }
+    const result = await verifySignedUrl(context.req.url, context.req.method, {
+      secretKey: this.keys[context.auth.accessKey],
+      clockSkew: this.clockSkew,
+      now: this.now().getTime(),
+      request: upload,
+    });
+    if (!result.valid) {
+      throw new EmulatorError(403, result.reason, result.message);
+    }
+  }
+
+  /**
+   * Reads the bucket_name parameter and checks that the bucket exists
+   * @private
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {string}
+   */
+  requireBucket(params) {
+    const bucket = params.get('bucket_name');
+    if (!bucket || bucket === 'undefined') {
+      throw new EmulatorError(400, 'InvalidRequest', 'bucket_name is required', 'bucket_name');
+    }
+    if (this.buckets && !this.buckets.has(bucket)) {
+      throw new EmulatorError(404, 'NoSuchBucket', `Bucket ${bucket} does not exist`);
+    }
+    return bucket;
+  }
+
+  /**
+   * Loads an existing object
+   * @private
+   * @param {string} bucket - Bucket name
+   * @param {string} key - Object key
+   * @returns {Promise<Object>}
+   */
+  async requireObject(bucket, key) {
+    const object = await this.backend.get(bucket, requireParam(key, 'key'));
+    if (!object) {
+      throw new EmulatorError(404, 'NoSuchKey', `Object ${key} does not exist`);
+    }
+    return object;
+  }
+
+  /**
+   * Loads a multipart upload in progress
+   * @private
+   * @param {Object} context - Request context
+   * @returns {Object}
+   */
+  requireUpload(context) {
+    const upload = this.uploads.get(decodeURIComponent(context.match[1]));
+    if (!upload) {
+      throw new EmulatorError(404, 'NoSuchUpload', `Upload ${context.match[1]} does not exist`);
+    }
+    if (context.params.get('key') !== upload.key) {
+      throw new EmulatorError(400, 'InvalidRequest', 'key does not match the upload', 'key');
+    }
+    return upload;
+  }
+
+  /**
+   * PUT /api/v1/files/upload: stores a form upload. With a keyPrefix URL the key is
+   * the prefix followed by the "key" form field, or else the file name.
+   * @private
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response body
+   */
+  async handleUpload(context) {
+    const { params } = context;
+    const fields = parseMultipart(context.body, context.req.headers['content-type']);
+    const file = requireFile(fields);
+
+    let key = params.get('key');
+    if (params.has('keyPrefix')) {
+      const chosen = fields.key ? fields.key.data.toString('utf8') : file.filename;
+      key = params.get('keyPrefix') + requireParam(chosen, 'key');
+    }
+    requireParam(key, 'key');
+    await this.checkPolicy(context, {
+      key,
+      contentType: file.contentType,
+      contentLength: file.data.length,
+    });
+
+    const digests = checkDigest(file.data, fields, params);
+    const object = createObject(context.bucket, key, file.data, {
+      ...readObjectHeaders(params),
+      contentType: file.contentType,
+      visibility: params.get('visibility') || 'public',
+      etag: digests.md5,
+    });
+    await this.backend.put(object);
+
+    return {
+      key,
+      bucket: context.bucket,
+      region: params.get('region'),
+      visibility: object.visibility,
+      size: object.size,
+      contentType: object.contentType,
+      ETag: object.etag,
+      ...(params.get('checksumAlgorithm') === 'sha256' && { ChecksumSHA256: digests.sha256 }),
+    };
+  }
+
+  /**
+   * DELETE /api/v1/files/delete
+   * @private
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response body
+   */
+  async handleDelete(context) {
+    const key = requireParam(context.params.get('key'), 'key');
+    if (!(await this.backend.delete(context.bucket, key))) {
+      throw new EmulatorError(404, 'NoSuchKey', `Object ${key} does not exist`);
+    }
+    return { success: true, key };
+  }
+
+  /**
+   * POST /api/v1/files/purge: there is no CDN, so this only checks the object exists
+   * @private
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response body
+   */
+  async handlePurge(context) {
+    const object = await this.requireObject(context.bucket, context.params.get('key'));
+    return { success: true, key: object.key, purgedAt: this.now().toISOString() };
+  }
+
+  /**
+   * GET /api/v1/files/contents: one page of the objects under a prefix, sorted by key
+   * @private
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response body
+   */
+  async handleContents(context) {
+    const { params } = context;
+    const prefix = params.get('prefix') || '';
+    const page = positiveInteger(params.get('page') || '1', 'page');
+    const limit = Math.min(
+      positiveInteger(params.get('limit') || String(DEFAULT_LIST_LIMIT), 'limit'),
+      MAX_LIST_LIMIT
+    );
+
+    const objects = (await this.backend.list(context.bucket))
+      .filter((object) => object.key.startsWith(prefix))
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    return {
+      contents: objects.slice((page - 1) * limit, page * limit).map((object) => ({
+        key: object.key,
+        size: object.size,
+        lastModified: object.lastModified,
+        etag: object.etag,
+        contentType: object.contentType,
+        visibility: object.visibility,
+        ...(object.cacheControl && { cacheControl: object.cacheControl }),
+        ...(object.contentDisposition && { contentDisposition: object.contentDisposition }),
+        ...(object.contentEncoding && { contentEncoding: object.contentEncoding }),
+        ...(object.metadata && { metadata: object.metadata }),
+      })),
+      page,
+      limit,
+      totalItems: objects.length,
+      totalPages: Math.ceil(objects.length / limit),
+    };
+  }
+
+  /**
+   * GET /api/v1/files/signed-url: a download URL signed with the caller's key
+   * @private
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response body
+   */
+  async handleSignedUrl(context) {
+    const { params, bucket } = context;
+    const query = new URLSearchParams({
+      bucket_name: bucket,
+      region: params.get('region') || '',
+      key: requireParam(params.get('key'), 'key'),
+      expiresIn: params.get('expiresIn') || '3600',
+    });
+    const timestamp = this.now().toISOString();
+    const signedPath = `/api/v1/files/download?${query.toString()}`;
+    query.append('access_key', context.auth.accessKey);
+    query.append(
+      'signature',
+      computeSignature(this.keys[context.auth.accessKey], 'GET', signedPath, timestamp)
+    );
+    query.append('timestamp', timestamp);
+    return { url: `${context.origin}/api/v1/files/download?${query.toString()}` };
+  }
+
+  /**
+   * GET /api/v1/files/download: serves an object through a signed URL, with Range,
+   * If-Range and If-Match support
+   * @private
+   * @param {Object} context - Request context
+   * @returns {Promise<undefined>} Nothing; the object is streamed directly
+   */
+  async handleDownload(context) {
+    const { req, res, fault } = context;
+    const object = await this.requireObject(context.bucket, context.params.get('key'));
+
+    const ifMatch = req.headers['if-match'];
+    if (ifMatch && normalizeEtag(ifMatch) !== object.etag) {
+      throw new EmulatorError(412, 'PreconditionFailed', 'The object has changed');
+    }
+
+    // A range is only honoured while If-Range still names the stored object
+    const ifRange = req.headers['if-range'];
+    const useRange =
+      req.headers.range &&
+      !(fault && fault.ignoreRange) &&
+      !(ifRange && normalizeEtag(ifRange) !== object.etag);
+
+    let start = 0;
+    let end = object.size - 1;
+    const range = useRange && /^bytes=(\d*)-(\d*)$/.exec(req.headers.range);
+    if (range) {
+      start = range[1] ? Number(range[1]) : Math.max(0, object.size - Number(range[2]));
+      end = range[1] && range[2] ? Math.min(Number(range[2]), object.size - 1) : end;
+      if (start >= object.size || start > end) {
+        res.setHeader('Content-Range', `bytes */${object.size}`);
+        throw new EmulatorError(
+          416,
+          'InvalidRange',
+          `Range ${req.headers.range} is not satisfiable`
+        );
+      }
+    }
+
+    const data = object.data.subarray(start, end + 1);
+    res.writeHead(range ? 206 : 200, {
+      'Content-Type': object.contentType,
+      'Content-Length': data.length,
+      'Accept-Ranges': 'bytes',
+      ETag: `"${object.etag}"`,
+      'Last-Modified': new Date(object.lastModified).toUTCString(),
+      'X-Checksum-SHA256': object.sha256,
+      ...(object.cacheControl && { 'Cache-Control': object.cacheControl }),
+      ...(object.contentDisposition && { 'Content-Disposition': object.contentDisposition }),
+      ...(object.contentEncoding && { 'Content-Encoding': object.contentEncoding }),
+      ...(range && { 'Content-Range': `bytes ${start}-${end}/${object.size}` }),
+    });
+
+    if (fault && fault.resetAfter !== undefined) {
+      res.write(data.subarray(0, fault.resetAfter), () => res.destroy());
+      return undefined;
+    }
+    res.end(data);
+    return undefined;
+  }
+
+  /**
+   * POST /api/v1/files/multipart/start
+   * @private
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response body
+   */
+  async handleMultipartStart(context) {
+    const { params } = context;
+    const key = requireParam(params.get('key'), 'key');
+    const totalParts = positiveInteger(params.get('totalParts'), 'totalParts');
+    const contentType = params.get('mimeType') || 'application/octet-stream';
+
+    // The size is unknown until completion, where maxContentLength is enforced
+    await this.checkPolicy(context, { key, contentType, contentLength: 0 });
+
+    const uploadId = crypto.randomBytes(12).toString('hex');
+    this.uploads.set(uploadId, {
+      uploadId,
+      bucket: context.bucket,
+      key,
+      totalParts,
+      contentType,
+      headers: readObjectHeaders(params),
+      visibility: params.get('visibility') || 'public',
+      maxContentLength: params.has('maxContentLength')
+        ? Number(params.get('maxContentLength'))
+        : undefined,
+      parts: new Map(),
+    });
+    return { uploadId, key, bucket: context.bucket, totalParts };
+  }
+
+  /**
+   * POST /api/v1/files/multipart/:uploadId: stores a part, replacing an earlier copy
+   * @private
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response body
+   */
+  async handleUploadPart(context) {
+    const { params } = context;
+    const upload = this.requireUpload(context);
+    const partNumber = positiveInteger(params.get('partNumber'), 'partNumber');
+    if (partNumber > upload.totalParts) {
+      throw new EmulatorError(
+        400,
+        'InvalidPart',
+        `partNumber ${partNumber} exceeds totalParts ${upload.totalParts}`,
+        'partNumber'
+      );
+    }
+
+    const fields = parseMultipart(context.body, context.req.headers['content-type']);
+    const file = requireFile(fields);
+    const digests = checkDigest(file.data, fields, params);
+    upload.parts.set(partNumber, { data: file.data, etag: digests.md5 });
+
+    return {
+      ETag: digests.md5,
+      PartNumber: partNumber,
+      ...(params.get('checksumAlgorithm') === 'sha256' && { ChecksumSHA256: digests.sha256 }),
+    };
+  }
+
+  /**
+   * POST /api/v1/files/multipart/:uploadId/complete: joins the listed parts, whose
+   * ETags must match what was uploaded
+   * @private
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response body
+   */
+  async handleMultipartComplete(context) {
+    const upload = this.requireUpload(context);
+    let parts;
+    try {
+      ({ parts } = JSON.parse(context.body.toString('utf8') || '{}'));
+    } catch {
+      throw new EmulatorError(400, 'MalformedJSON', 'Body must be JSON with a parts array');
+    }
+    if (!Array.isArray(parts) || !parts.length) {
+      throw new EmulatorError(400, 'InvalidRequest', 'parts must be a non-empty array', 'parts');
+    }
+
+    const ordered = parts.slice().sort((a, b) => a.PartNumber - b.PartNumber);
+    const chunks = ordered.map((part) => {
+      const stored = upload.parts.get(part.PartNumber);
+      if (!stored || normalizeEtag(part.ETag) !== stored.etag) {
+        throw new EmulatorError(
+          400,
+          'InvalidPart',
+          `Part ${part.PartNumber} was not uploaded with ETag ${part.ETag}`,
+          'parts'
+        );
+      }
+      return stored;
+    });
+
+    const data = Buffer.concat(chunks.map((chunk) => chunk.data));
+    if (upload.maxContentLength !== undefined && data.length > upload.maxContentLength) {
+      throw new EmulatorError(
+        403,
+        'POLICY_VIOLATION',
+        `Content length ${data.length} exceeds ${upload.maxContentLength} bytes`
+      );
+    }
+
+    const object = createObject(upload.bucket, upload.key, data, {
+      ...upload.headers,
+      contentType: upload.contentType,
+      visibility: upload.visibility,
+      etag: compositeEtag(chunks.map((chunk) => chunk.etag)),
+    });
+    await this.backend.put(object);
+    this.uploads.delete(upload.uploadId);
+
+    return {
+      Location: `${context.origin}/${upload.bucket}/${encodeURI(upload.key)}`,
+      Bucket: upload.bucket,
+      Key: upload.key,
+      ETag: object.etag,
+    };
+  }
+
+  /**
+   * DELETE /api/v1/files/multipart/:uploadId
+   * @private
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Response body
+   */
+  async handleMultipartCancel(context) {
+    const upload = this.requireUpload(context);
+    this.uploads.delete(upload.uploadId);
+    return { success: true, uploadId: upload.uploadId };
+  }
+}
+
+const ROUTE_HANDLERS = {
+  upload: 'handleUpload',
+  delete: 'handleDelete',
+  purge: 'handlePurge',
+  contents: 'handleContents',
+  'signed-url': 'handleSignedUrl',
+  download: 'handleDownload',
+  'multipart-start': 'handleMultipartStart',
+  'upload-part': 'handleUploadPart',
+  'multipart-complete': 'handleMultipartComplete',
+  'multipart-cancel': 'handleMultipartCancel',
+};
+
+/**
+ * Reads a whole request body
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Sends a JSON response
+ * @param {import('http').ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Splits a multipart/form-data body into its fields
+ * @param {Buffer} body - Request body
+ * @param {string} [contentType] - Content-Type header with the boundary
+ * @returns {Object<string, {data: Buffer, filename?: string, contentType?: string}>}
+ * @throws {EmulatorError} When the body is not multipart/form-data
+ */
+function parseMultipart(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!/^multipart\/form-data/i.test(contentType || '') || !boundary) {
+    throw new EmulatorError(400, 'InvalidRequest', 'Expected a multipart/form-data body');
+  }
+
+  // Every delimiter but the first is preceded by CRLF; prefixing one makes them uniform
+  const data = Buffer.concat([Buffer.from('\r\n'), body]);
+  const delimiter = Buffer.from(`\r\n--${boundary[1] || boundary[2]}`);
+  const fields = {};
+
+  let start = data.indexOf(delimiter);
+  while (start !== -1) {
+    const next = data.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) {
+      break;
+    }
+    const part = data.subarray(start + delimiter.length + 2, next);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const disposition =
+        /content-disposition:[^\r\n]*?\bname="([^"]*)"(?:;\s*filename="([^"]*)")?/i.exec(headers);
+      const type = /content-type:\s*([^\r\n]+)/i.exec(headers);
+      if (disposition) {
+        fields[disposition[1]] = {
+          data: part.subarray(headerEnd + 4),
+          filename: disposition[2],
+          contentType: type ? type[1].trim() : undefined,
+        };
+      }
+    }
+    start = next;
+  }
+  return fields;
+}
+
+/**
+ * Returns the "file" field of a form upload
+ * @param {Object} fields - Parsed form fields
+ * @returns {{data: Buffer, filename?: string, contentType?: string}}
+ */
+function requireFile(fields) {
+  if (!fields.file) {
+    throw new EmulatorError(400, 'InvalidRequest', 'The form has no "file" field', 'file');
+  }
+  return fields.file;
+}
+
+/**
+ * Hashes uploaded data and compares it with the "checksum" field, when the
+ * client sent one
+ * @param {Buffer} data - Uploaded data
+ * @param {Object} fields - Parsed form fields
+ * @param {URLSearchParams} params - Query parameters with checksumAlgorithm
+ * @returns {{md5: string, sha256: string}}
+ * @throws {EmulatorError} 400 BadDigest when the checksum does not match
+ */
+function checkDigest(data, fields, params) {
+  const digests = {
+    md5: crypto.createHash('md5').update(data).digest('hex'),
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+  };
+  if (fields.checksum) {
+    const algorithm = params.get('checksumAlgorithm') === 'sha256' ? 'sha256' : 'md5';
+    const sent = fields.checksum.data.toString('utf8').trim();
+    if (sent !== digests[algorithm]) {
+      throw new EmulatorError(
+        400,
+        'BadDigest',
+        `The ${algorithm} checksum ${sent} does not match the data`,
+        'checksum'
+      );
+    }
+  }
+  return digests;
+}
+
+/**
+ * Builds a stored object record
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Object key
+ * @param {Buffer} data - Object data
+ * @param {Object} details - Object details: etag, visibility, contentType and the
+ *   optional headers from readObjectHeaders
+ * @returns {Object}
+ */
+function createObject(bucket, key, data, details) {
+  return {
+    ...details,
+    bucket,
+    key,
+    data,
+    size: data.length,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    contentType: details.contentType || 'application/octet-stream',
+    lastModified: new Date().toISOString(),
+  };
+}
+
+/**
+ * Reads the optional object headers and metadata of an upload
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {{cacheControl?: string, contentDisposition?: string, contentEncoding?: string,
+ *   metadata?: Object<string, string>}}
+ */
+function readObjectHeaders(params) {
+  const headers = {};
+  for (const name of ['cacheControl', 'contentDisposition', 'contentEncoding']) {
+    if (params.has(name)) {
+      headers[name] = params.get(name);
+    }
+  }
+  if (params.has('metadata')) {
+    try {
+      headers.metadata = JSON.parse(params.get('metadata'));
+    } catch (error) {
+      throw new EmulatorError(400, 'InvalidRequest', 'metadata must be JSON', 'metadata');
+    }
+  }
+  return headers;
+}
+
+/**
+ * Requires a non-empty parameter
+ * @param {string} [value] - Parameter value
+ * @param {string} field - Parameter name
+ * @returns {string}
+ */
+function requireParam(value, field) {
+  if (!value || value === 'undefined') {
+    throw new EmulatorError(400, 'InvalidRequest', `${field} is required`, field);
+  }
+  return value;
+}
+
+/**
+ * Parses a positive integer parameter
+ * @param {string} [value] - Parameter value
+ * @param {string} field - Parameter name
+ * @returns {number}
+ */
+function positiveInteger(value, field) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new EmulatorError(400, 'InvalidRequest', `${field} must be a positive integer`, field);
+  }
+  return number;
+}
+
+module.exports = { Emulator };
@@ -0,0 +1,201 @@
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ERR_SOCKET_CONNECTION_TIMEOUT',
+];
+
+/**
+ * Base class for every error thrown by the SDK
+ */
+class ApexxCloudError extends Error {
+  /**
+   * Creates a new ApexxCloud error
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status code of the response
+   * @param {string} [details.code] - Service or system error code
+   * @param {*} [details.body] - Raw response body
+   * @param {string} [details.method] - HTTP method of the failed request
+   * @param {string} [details.path] - Path of the failed request
+   * @param {boolean} [details.retryable=false] - Whether repeating the request may succeed
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status;
+    this.code = details.code;
+    this.body = details.body;
+    this.method = details.method;
+    this.path = details.path;
+    this.retryable = Boolean(details.retryable);
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+}
+
+/**
+ * Invalid input, rejected either client-side or by the service (400/422)
+ */
+class ValidationError extends ApexxCloudError {
+  /**
+   * Creates a new validation error
+   * @param {string} message - Error message
+   * @param {string} [field] - Name of the offending field
+   * @param {Object} [details] - Error details (see ApexxCloudError)
+   */
+  constructor(message, field, details = {}) {
+    super(message, details);
+    this.field = field;
+  }
+}
+
+/**
+ * Missing, invalid or expired credentials or signature (401/403)
+ */
+class AuthenticationError extends ApexxCloudError {}
+
+/**
+ * The bucket, object or upload does not exist (404)
+ */
+class NotFoundError extends ApexxCloudError {}
+
+/**
+ * The service is rate limiting the client (429)
+ */
+class ThrottlingError extends ApexxCloudError {}
+
+/**
+ * The service failed to handle the request (5xx)
+ */
+class ServerError extends ApexxCloudError {}
+
+/**
+ * The request never got a response: connection failures, resets and timeouts
+ */
+class NetworkError extends ApexxCloudError {}
+
+/**
+ * The operation was cancelled through an AbortSignal
+ */
+class AbortError extends ApexxCloudError {}
+
+/**
+ * Data was corrupted in transit: a checksum computed by the SDK does not match
+ * the ETag or checksum reported by the service
+ */
+class IntegrityError extends ApexxCloudError {
+  /**
+   * Creates a new integrity error
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details (see ApexxCloudError), plus:
+   * @param {string} [details.algorithm] - Checksum algorithm ("md5" or "sha256")
+   * @param {string} [details.expected] - Value reported by the service
+   * @param {string} [details.actual] - Value computed from the data
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.algorithm = details.algorithm;
+    this.expected = details.expected;
+    this.actual = details.actual;
+  }
+}
+
+/**
+ * Decides whether a failed request is worth retrying: throttling, server
+ * errors, timeouts and dropped connections are; other client errors are not.
+ * @param {number} [status] - HTTP status code, when a response was received
+ * @param {string} [code] - System error code, when no response was received
+ * @returns {boolean}
+ */
+function isRetryable(status, code) {
+  if (status) {
+    return RETRYABLE_STATUS_CODES.includes(status);
+  }
+  return RETRYABLE_ERROR_CODES.includes(code);
+}
+
+/**
+ * Picks the error class for an HTTP status code
+ * @param {number} status - HTTP status code
+ * @returns {typeof ApexxCloudError}
+ */
+function errorClassForStatus(status) {
+  if (status === 400 || status === 422) return ValidationError;
+  if (status === 401 || status === 403) return AuthenticationError;
+  if (status === 404) return NotFoundError;
+  if (status === 429) return ThrottlingError;
+  if (status >= 500) return ServerError;
+  return ApexxCloudError;
+}
+
+/**
+ * Converts an axios error into a typed ApexxCloud error
+ * @param {Error} error - Error thrown by axios
+ * @param {{method: string, path: string}} request - The request that failed
+ * @returns {ApexxCloudError}
+ */
+function createApiError(error, request) {
+  if (error instanceof ApexxCloudError) {
+    return error;
+  }
+
+  const { method, path } = request;
+
+  if (error.code === 'ERR_CANCELED' || error.name === 'AbortError') {
+    return new AbortError('The operation was aborted', {
+      code: 'ABORT_ERR',
+      method,
+      path,
+      cause: error,
+    });
+  }
+
+  if (!error.response) {
+    return new NetworkError(error.message, {
+      code: error.code,
+      method,
+      path,
+      retryable: isRetryable(undefined, error.code),
+      cause: error,
+    });
+  }
+
+  const { status, data } = error.response;
+  const details = {
+    status,
+    code: (data && (data.code || data.error)) || undefined,
+    body: data,
+    method,
+    path,
+    retryable: isRetryable(status),
+    cause: error,
+  };
+  const message = `API Error ${status}: ${(data && data.message) || JSON.stringify(data)}`;
+  const ErrorClass = errorClassForStatus(status);
+
+  return ErrorClass === ValidationError
+    ? new ValidationError(message, data && data.field, details)
+    : new ErrorClass(message, details);
+}
+
+module.exports = {
+  ApexxCloudError,
+  ValidationError,
+  AuthenticationError,
+  NotFoundError,
+  ThrottlingError,
+  ServerError,
+  NetworkError,
+  AbortError,
+  IntegrityError,
+  isRetryable,
+  createApiError,
+};
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const { performance } = require('perf_hooks');
+const { ValidationError } = require('./errors');
+
+const HOOK_NAMES = ['beforeRequest', 'afterResponse', 'onError', 'onRetry'];
+
+const REDACTED = '[REDACTED]';
+
+// Query parameters and text fragments that may carry a signature or a secret
+const SECRET_PARAM = /signature|secret|token|password|credential/i;
+const SECRET_TEXT = /\b([\w-]*(?:signature|secret|token|password)[\w-]*)([=:]\s*)[^&\s,;"']+/gi;
+
+/**
+ * Replaces secret query parameter values in a request path
+ * @param {string} path - Path, optionally with a query string
+ * @returns {string}
+ */
+function redactPath(path) {
+  const index = path.indexOf('?');
+  if (index === -1) {
+    return path;
+  }
+  const params = new URLSearchParams(path.slice(index + 1));
+  for (const name of new Set(params.keys())) {
+    if (SECRET_PARAM.test(name)) {
+      params.set(name, REDACTED);
+    }
+  }
+  return `${path.slice(0, index)}?${params.toString()}`;
+}
+
+/**
+ * Replaces `name=value` fragments that look like signatures or secrets
+ * @param {string} [text] - Text such as an error message
+ * @returns {string|undefined}
+ */
+function redactText(text) {
+  return typeof text === 'string' ? text.replace(SECRET_TEXT, `$1$2${REDACTED}`) : text;
+}
+
+/**
+ * Summarises an error for hooks, without its cause or request config (which
+ * hold the signed headers)
+ * @param {Error} error - Typed SDK error
+ * @returns {{name: string, message: string, code?: string, status?: number, retryable: boolean}}
+ */
+function describeError(error) {
+  return {
+    name: error.name,
+    message: redactText(error.message),
+    code: error.code,
+    status: error.status,
+    retryable: Boolean(error.retryable),
+  };
+}
+
+/**
+ * Byte size of a request or response body, when it can be known without reading it
+ * @param {*} data - Body: Buffer, string, form-data, JSON value or stream
+ * @returns {number|undefined}
+ */
+function bodySize(data) {
+  if (data === undefined || data === null) {
+    return 0;
+  }
+  if (Buffer.isBuffer(data) || typeof data === 'string') {
+    return Buffer.byteLength(data);
+  }
+  if (typeof data.hasKnownLength === 'function') {
+    return data.hasKnownLength() ? data.getLengthSync() : undefined;
+  }
+  if (typeof data.pipe === 'function') {
+    return undefined;
+  }
+  return Buffer.byteLength(JSON.stringify(data));
+}
+
+/**
+ * Byte size of a response body, from Content-Length or the parsed body
+ * @param {Object} response - Axios response
+ * @returns {number|undefined}
+ */
+function responseSize(response) {
+  const length = response.headers && response.headers['content-length'];
+  if (length !== undefined) {
+    return Number(length);
+  }
+  return bodySize(response.data);
+}
+
+/**
+ * Checks a hooks object
+ * @param {Object} hooks - Hooks object
+ * @returns {Object}
+ * @throws {ValidationError} When it is not an object of hook functions
+ */
+function validateHooks(hooks) {
+  if (!hooks || typeof hooks !== 'object') {
+    throw new ValidationError('hooks must be an object of hook functions', 'hooks');
+  }
+  for (const [name, hook] of Object.entries(hooks)) {
+    if (!HOOK_NAMES.includes(name)) {
+      throw new ValidationError(
+        `Unknown hook ${name}; expected one of ${HOOK_NAMES.join(', ')}`,
+        'hooks'
+      );
+    }
+    if (hook !== undefined && typeof hook !== 'function') {
+      throw new ValidationError(`hooks.${name} must be a function`, `hooks.${name}`);
+    }
+  }
+  return hooks;
+}
+
+/**
+ * The lifecycle hooks registered on a client. Every attempt of a request gets
+ * an event with the operation, method, path, bucket, key, request ID and
+ * attempt number; `beforeRequest` sees it first, then exactly one of
+ * `afterResponse` (with status, duration and byte counts) or `onError` (with
+ * the error and whether it will be retried), then `onRetry` when another
+ * attempt follows.
+ *
+ * Hooks are called synchronously and not awaited. Anything they throw or
+ * reject with is ignored, so observability can never fail a request.
+ */
+class Hooks {
+  /**
+   * Creates a hook set
+   * @param {Object|Object[]} [hooks] - Hooks object, or a list of them
+   * @throws {ValidationError} When a hooks object is invalid
+   */
+  constructor(hooks) {
+    this.list = [];
+    for (const entry of [].concat(hooks || [])) {
+      this.add(entry);
+    }
+  }
+
+  /**
+   * Whether any hooks are registered
+   * @type {boolean}
+   */
+  get active() {
+    return this.list.length > 0;
+  }
+
+  /**
+   * Registers a hooks object
+   * @param {Object} hooks - Hooks object
+   * @returns {() => void} Removes the hooks again
+   * @throws {ValidationError} When the hooks object is invalid
+   */
+  add(hooks) {
+    const entry = validateHooks(hooks);
+    this.list.push(entry);
+    return () => {
+      const index = this.list.indexOf(entry);
+      if (index !== -1) this.list.splice(index, 1);
+    };
+  }
+
+  /**
+   * Starts the event of one attempt
+   * @param {{method: string, path: string, operation?: string, bucket?: string,
+   *   key?: string}} request - The request; bucket and key default to the
+   *   `bucket_name` and `key` query parameters
+   * @param {string} requestId - ID shared by every attempt of the request
+   * @param {number} attempt - Attempt number, from 1
+   * @returns {Object} Event
+   */
+  start(request, requestId, attempt) {
+    const query = new URLSearchParams(request.path.split('?')[1] || '');
+    return {
+      operation: request.operation,
+      method: request.method,
+      path: redactPath(request.path),
+      bucket: request.bucket ?? query.get('bucket_name') ?? undefined,
+      key: request.key ?? query.get('key') ?? undefined,
+      requestId,
+      attempt,
+      startTime: performance.now(),
+    };
+  }
+
+  /**
+   * Calls every registered hook of a kind with a copy of the event. Every hook
+   * but beforeRequest also gets the attempt's duration in milliseconds.
+   * @param {string} name - Hook name
+   * @param {Object} event - Event
+   * @param {Object} [details] - Fields added to the event for this hook
+   */
+  emit(name, event, details) {
+    if (!this.list.length) {
+      return;
+    }
+    const { startTime, ...fields } = event;
+    const payload = { ...fields, ...details };
+    if (name !== 'beforeRequest') {
+      payload.duration = performance.now() - startTime;
+    }
+    for (const hooks of this.list) {
+      if (typeof hooks[name] !== 'function') continue;
+      try {
+        const result = hooks[name](payload);
+        if (result && typeof result.catch === 'function') {
+          result.catch(() => {});
+        }
+      } catch {
+        // A failing hook must not fail the request
+      }
+    }
+  }
+}
+
+/**
+ * Creates an ID for a request, sent as X-Request-Id
+ * @returns {string}
+ */
+function createRequestId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+module.exports = {
+  Hooks,
+  describeError,
+  bodySize,
+  responseSize,
+  createRequestId,
+};
@@ -0,0 +1,263 @@
+const { Writable, Readable } = require('stream');
+const { Buffer } = require('buffer');
+const { ValidationError } = require('./errors');
+
+const MAX_HEADER_SIZE = 16 * 1024;
+const DEFAULT_MAX_FIELDS = 100;
+const DEFAULT_MAX_FIELD_SIZE = 1024 * 1024;
+
+/**
+ * Reads the boundary of a multipart/form-data Content-Type
+ * @param {string} [contentType] - Content-Type header
+ * @returns {string|null} Boundary, or null when it is not a form upload
+ */
+function formBoundary(contentType) {
+  if (!/^multipart\/form-data\b/i.test(contentType || '')) {
+    return null;
+  }
+  const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Parses the headers of a form part
+ * @param {string} block - Header lines
+ * @returns {{name?: string, filename?: string, contentType?: string}}
+ */
+function parsePartHeaders(block) {
+  const part = {};
+  for (const line of block.split('\r\n')) {
+    const separator = line.indexOf(':');
+    const name = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+    if (name === 'content-type') {
+      part.contentType = value;
+    } else if (name === 'content-disposition') {
+      const params = /;\s*([\w*-]+)=(?:"((?:[^"\\]|\\.)*)"|([^;\s]*))/g;
+      for (let match = params.exec(value); match; match = params.exec(value)) {
+        const param = match[1].toLowerCase();
+        const text = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+        if (param === 'name') {
+          part.name = text;
+        } else if (param === 'filename' && part.filename === undefined) {
+          part.filename = text;
+        } else if (param === 'filename*') {
+          // RFC 5987: charset'language'percent-encoded, and preferred over filename
+          const encoded = /^utf-8'[^']*'(.*)$/i.exec(text);
+          if (encoded) {
+            try {
+              part.filename = decodeURIComponent(encoded[1]);
+            } catch {
+              // Keep the plain filename
+            }
+          }
+        }
+      }
+    }
+  }
+  return part;
+}
+
+/**
+ * Streaming multipart/form-data parser. Write the request body into it; it
+ * emits `field` with `(name, value)` for text fields and `file` with
+ * `(info, stream)` for file parts, where `info` holds the field `name`,
+ * `filename` and `contentType`. Each file stream must be consumed (or
+ * destroyed) for parsing to continue, so a slow consumer slows the request
+ * down instead of buffering it.
+ */
+class FormParser extends Writable {
+  /**
+   * Creates a parser
+   * @param {string} boundary - Form boundary
+   * @param {Object} [limits] - Parser limits
+   * @param {number} [limits.maxFields=100] - Maximum text fields
+   * @param {number} [limits.maxFieldSize=1048576] - Maximum bytes of a text field
+   */
+  constructor(boundary, limits = {}) {
+    super();
+    // Every delimiter but the first is preceded by CRLF; prefixing one makes them uniform
+    this.delimiter = Buffer.from(`\r\n--${boundary}`);
+    this.buffer = Buffer.from('\r\n');
+    this.state = 'preamble';
+    this.maxFields = limits.maxFields ?? DEFAULT_MAX_FIELDS;
+    this.maxFieldSize = limits.maxFieldSize ?? DEFAULT_MAX_FIELD_SIZE;
+    this.fieldCount = 0;
+    this.part = null;
+    this.resume = null;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    this.parse(callback);
+  }
+
+  _final(callback) {
+    if (this.state !== 'done') {
+      callback(invalidForm('Form data ended unexpectedly'));
+      return;
+    }
+    callback();
+  }
+
+  _destroy(error, callback) {
+    if (this.part && this.part.stream) {
+      this.part.stream.destroy(error || invalidForm('Form data ended unexpectedly'));
+    }
+    callback(error);
+  }
+
+  /**
+   * Consumes as much of the buffer as possible, then calls `callback`; waits
+   * first when a file stream is full
+   * @private
+   * @param {Function} callback - Write callback
+   */
+  parse(callback) {
+    if (this.destroyed) {
+      return;
+    }
+    try {
+      for (;;) {
+        if (this.state === 'preamble' || this.state === 'body') {
+          const index = this.buffer.indexOf(this.delimiter);
+          const end =
+            index === -1 ? Math.max(0, this.buffer.length - this.delimiter.length + 1) : index;
+          const full = this.state === 'body' && !this.pushData(this.buffer.subarray(0, end));
+          this.buffer = this.buffer.subarray(index === -1 ? end : index + this.delimiter.length);
+          if (index !== -1) {
+            if (this.state === 'body') this.endPart();
+            this.state = 'delimiter';
+          }
+          if (full && index === -1) {
+            // Continue once the file stream asks for more
+            this.resume = () => this.parse(callback);
+            return;
+          }
+          if (index === -1) break;
+        } else if (this.state === 'delimiter') {
+          if (this.buffer.length < 2) break;
+          const marker = this.buffer.toString('latin1', 0, 2);
+          if (marker === '--') {
+            this.state = 'done';
+            this.buffer = Buffer.alloc(0);
+            break;
+          }
+          if (marker !== '\r\n') {
+            throw invalidForm('Malformed form boundary');
+          }
+          this.buffer = this.buffer.subarray(2);
+          this.state = 'headers';
+        } else if (this.state === 'headers') {
+          const index = this.buffer.indexOf('\r\n\r\n');
+          if (index === -1) {
+            if (this.buffer.length > MAX_HEADER_SIZE) {
+              throw invalidForm('Form part headers are too large');
+            }
+            break;
+          }
+          this.startPart(parsePartHeaders(this.buffer.toString('utf8', 0, index)));
+          this.buffer = this.buffer.subarray(index + 4);
+          this.state = 'body';
+        } else {
+          // done: ignore the epilogue
+          this.buffer = Buffer.alloc(0);
+          break;
+        }
+      }
+    } catch (error) {
+      callback(error);
+      return;
+    }
+    callback();
+  }
+
+  /**
+   * Starts a field or file part
+   * @private
+   * @param {{name?: string, filename?: string, contentType?: string}} info - Part headers
+   */
+  startPart(info) {
+    if (info.name === undefined) {
+      throw invalidForm('Form part has no name');
+    }
+    if (info.filename === undefined) {
+      if (++this.fieldCount > this.maxFields) {
+        throw new ValidationError(`Form has more than ${this.maxFields} fields`, info.name, {
+          status: 413,
+          code: 'TOO_MANY_FIELDS',
+        });
+      }
+      this.part = { info, chunks: [], size: 0 };
+      return;
+    }
+
+    const resume = () => {
+      const next = this.resume;
+      this.resume = null;
+      if (next) next();
+    };
+    // An abandoned stream must not stall the form: its remaining data is skipped
+    const stream = new Readable({
+      read: resume,
+      destroy: (error, callback) => {
+        callback(error);
+        resume();
+      },
+    });
+    this.part = { info, stream };
+    this.emit('file', info, stream);
+  }
+
+  /**
+   * Adds data to the current part
+   * @private
+   * @param {Buffer} data - Part data
+   * @returns {boolean} False when the file stream wants no more data for now
+   */
+  pushData(data) {
+    const { part } = this;
+    if (!data.length) {
+      return true;
+    }
+    if (part.stream) {
+      // A destroyed stream was abandoned by its consumer; skip the rest of it
+      return part.stream.destroyed || part.stream.push(Buffer.from(data));
+    }
+    part.size += data.length;
+    if (part.size > this.maxFieldSize) {
+      throw new ValidationError(
+        `Form field ${part.info.name} is larger than ${this.maxFieldSize} bytes`,
+        part.info.name,
+        { status: 413, code: 'FIELD_TOO_LARGE' }
+      );
+    }
+    part.chunks.push(Buffer.from(data));
+    return true;
+  }
+
+  /**
+   * Finishes the current part
+   * @private
+   */
+  endPart() {
+    const { part } = this;
+    this.part = null;
+    if (part.stream) {
+      if (!part.stream.destroyed) part.stream.push(null);
+      return;
+    }
+    this.emit('field', part.info.name, Buffer.concat(part.chunks).toString('utf8'));
+  }
+}
+
+/**
+ * Creates the error for a malformed form
+ * @param {string} message - Error message
+ * @returns {ValidationError}
+ */
+function invalidForm(message) {
+  return new ValidationError(message, undefined, { status: 400, code: 'INVALID_FORM' });
+}
+
+module.exports = { FormParser, formBoundary };
@@ -0,0 +1,49 @@
+/**
+ * Runs `worker` over every item produced by `source` with at most `concurrency`
+ * calls in flight. Items are pulled lazily, so a generator source is only
+ * advanced as fast as workers free up.
+ *
+ * On the first failure no further items are pulled; calls already in flight are
+ * allowed to settle and the first error is then rethrown.
+ *
+ * @param {Iterable|AsyncIterable} source - Items to process
+ * @param {number} concurrency - Maximum number of concurrent worker calls
+ * @param {(item: *, index: number) => Promise<*>} worker - Called once per item
+ * @returns {Promise<Array>} Worker results in source order
+ */
+async function runPool(source, concurrency, worker) {
+  const iterator = source[Symbol.asyncIterator]
+    ? source[Symbol.asyncIterator]()
+    : source[Symbol.iterator]();
+  const results = [];
+  let index = 0;
+  let failure = null;
+
+  const drain = async () => {
+    try {
+      while (!failure) {
+        const { value, done } = await iterator.next();
+        if (done || failure) {
+          return;
+        }
+        const current = index++;
+        results[current] = await worker(value, current);
+      }
+    } catch (error) {
+      failure = failure || { error };
+    }
+  };
+
+  const workers = Math.max(1, Math.floor(concurrency) || 1);
+  await Promise.all(Array.from({ length: workers }, drain));
+
+  if (failure) {
+    if (typeof iterator.return === 'function') {
+      await Promise.resolve(iterator.return()).catch(() => {});
+    }
+    throw failure.error;
+  }
+  return results;
+}
+
+module.exports = { runPool };
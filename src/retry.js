@@ -0,0 +1,128 @@
+const { ValidationError, AbortError } = require('./errors');
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 100,
+  maxDelay: 20000,
+  idempotentOnly: true,
+};
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'DELETE'];
+
+/**
+ * Merges user retry settings with the defaults
+ * @param {Object|false} [retry] - Retry settings, or false to disable retries
+ * @returns {{maxAttempts: number, baseDelay: number, maxDelay: number, idempotentOnly: boolean}}
+ * @throws {ValidationError} When maxAttempts is not a positive integer, or a delay is negative,
+ *   not finite or baseDelay exceeds maxDelay
+ */
+function normalizeRetryPolicy(retry) {
+  if (retry === false) {
+    return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  }
+
+  const policy = { ...DEFAULT_RETRY_POLICY, ...retry };
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new ValidationError('retry.maxAttempts must be a positive integer', 'retry.maxAttempts');
+  }
+  for (const field of ['baseDelay', 'maxDelay']) {
+    if (!Number.isFinite(policy[field]) || policy[field] < 0) {
+      throw new ValidationError(
+        `retry.${field} must be a finite non-negative number`,
+        `retry.${field}`
+      );
+    }
+  }
+  if (policy.baseDelay > policy.maxDelay) {
+    throw new ValidationError('retry.baseDelay must not exceed retry.maxDelay', 'retry.baseDelay');
+  }
+  return policy;
+}
+
+/**
+ * Checks whether a request body can be sent again. Streams (including
+ * form-data bodies) are consumed by the first attempt.
+ * @param {*} data - Request body
+ * @returns {boolean}
+ */
+function isReplayable(data) {
+  return !(data && typeof data.pipe === 'function');
+}
+
+/**
+ * Parses a Retry-After header given either in seconds or as an HTTP date
+ * @param {string} [value] - Header value
+ * @returns {number|null} Delay in milliseconds, or null when absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Computes how long to wait before the next attempt. A Retry-After header on
+ * a 429 or 503 response wins; otherwise exponential backoff with full jitter
+ * is used. Both are capped at `maxDelay`.
+ * @param {Object} policy - Normalised retry policy
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Error} error - Error thrown by axios
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(policy, attempt, error) {
+  const { response } = error;
+  if (response && (response.status === 429 || response.status === 503)) {
+    const retryAfter = parseRetryAfter(response.headers && response.headers['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, policy.maxDelay);
+    }
+  }
+
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Resolves after the given number of milliseconds, or rejects early when the
+ * signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cancels the wait
+ * @returns {Promise<void>}
+ * @throws {AbortError} When the signal is aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError('The operation was aborted', { code: 'ABORT_ERR' }));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  IDEMPOTENT_METHODS,
+  normalizeRetryPolicy,
+  isReplayable,
+  parseRetryAfter,
+  retryDelay,
+  sleep,
+};
@@ -1,8 +1,95 @@
-const axios = require('axios');
 const crypto = require('crypto');
 const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
+const { promisify } = require('util');
+const { Readable, pipeline: pipelineCallback } = require('stream');
+const { runPool } = require('./pool');
+const {
+  dataLength,
+  tapStream,
+  peekHead,
+  peekSource,
+  resolveSource,
+  readSource,
+  iterateParts,
+} = require('./source');
+const {
+  DEFAULT_CONTENT_TYPE,
+  SNIFF_LENGTH,
+  lookupContentType,
+  resolveContentType,
+  appendObjectHeaders,
+  pickObjectHeaders,
+} = require('./content');
+const { FileCheckpointStore } = require('./checkpoint');
+const { createStatCache } = require('./stat-cache');
+const { ClockOffset } = require('./clock');
+const { Hooks, describeError, bodySize, responseSize, createRequestId } = require('./hooks');
+const { createOpenTelemetryHooks } = require('./telemetry');
+const { UploadStream } = require('./upload-stream');
+const { normalizeBaseUrl, normalizeTimeout, createHttpClient } = require('./transport');
+const { fromEnv, fromProfile, chain, CredentialCache, resolveProvider } = require('./credentials');
+const {
+  normalizeChecksum,
+  createDigester,
+  digestStream,
+  compositeEtag,
+  assertChecksum,
+  verifyUploadDigests,
+  downloadChecksum,
+  expectedDownloadDigest,
+} = require('./checksum');
+const {
+  computeSignature,
+  verifySignedUrl,
+  verifyRequestHeaders,
+  createSignatureMiddleware,
+} = require('./verify');
+const {
+  syncReason,
+  createPathFilter,
+  walkDirectory,
+  normalizeSyncPrefix,
+  resolveLocalPath,
+} = require('./sync');
+const {
+  normalizeRange,
+  formatRange,
+  isRangeResponse,
+  normalizeEtag,
+  isContentEtag,
+  hashFile,
+  bufferErrorBody,
+} = require('./download');
+const {
+  ApexxCloudError,
+  ValidationError,
+  AuthenticationError,
+  NotFoundError,
+  ThrottlingError,
+  ServerError,
+  NetworkError,
+  AbortError,
+  IntegrityError,
+  createApiError,
+} = require('./errors');
+const {
+  IDEMPOTENT_METHODS,
+  normalizeRetryPolicy,
+  isReplayable,
+  retryDelay,
+  sleep,
+} = require('./retry');
+
+const pipeline = promisify(pipelineCallback);
+
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+const DEFAULT_MULTIPART_THRESHOLD = 16 * 1024 * 1024;
+const DEFAULT_UPLOAD_CONCURRENCY = 4;
+const DEFAULT_LIST_PAGE_SIZE = 100;
 
 /**
  * ApexxCloud SDK for Node.js
@@ -11,26 +98,85 @@ const path = require('path');
 class ApexxCloud {
   /**
    * Creates a new ApexxCloud client instance
-   * @param {Object} config - Configuration options
-   * @param {string} config.accessKey - Your ApexxCloud access key
-   * @param {string} config.secretKey - Your ApexxCloud secret key
+   * @param {Object} [config] - Configuration options
+   * @param {string} [config.accessKey] - Your ApexxCloud access key
+   * @param {string} [config.secretKey] - Your ApexxCloud secret key
+   * @param {Function|Object} [config.credentials] - Instead of accessKey and secretKey: an
+   *   async provider resolving to `{accessKey, secretKey, expiration?}` (called again shortly
+   *   before the expiration), or such an object. Without either, the APEXXCLOUD_ACCESS_KEY and
+   *   APEXXCLOUD_SECRET_KEY environment variables are used, then ~/.apexxcloud/credentials
+   * @param {string} [config.profile] - Profile to read from the credentials file
    * @param {string} [config.region] - The region to use for requests
    * @param {string} [config.bucket] - Default bucket name for operations
-   * @throws {Error} When access key or secret key is missing
+   * @param {Object|false} [config.retry] - Retry policy, or false to disable retries
+   * @param {number} [config.retry.maxAttempts=3] - Total attempts per request, including the first
+   * @param {number} [config.retry.baseDelay=100] - Backoff base delay in milliseconds
+   * @param {number} [config.retry.maxDelay=20000] - Upper bound for any single delay in milliseconds
+   * @param {boolean} [config.retry.idempotentOnly=true] - Only retry idempotent operations
+   *   (GET, DELETE and multipart part uploads)
+   * @param {string} [config.baseUrl="https://api.apexxcloud.com"] - API endpoint, e.g. a
+   *   staging environment or a local emulator
+   * @param {number} [config.timeout=60000] - Default socket inactivity timeout in
+   *   milliseconds (0 disables it); most methods also accept a per-request `timeout`
+   * @param {boolean} [config.keepAlive=true] - Reuse connections between requests
+   * @param {number} [config.maxSockets=50] - Maximum concurrent sockets per host
+   * @param {number} [config.maxFreeSockets] - Maximum idle sockets kept open per host
+   * @param {import('http').Agent} [config.httpAgent] - Agent for http endpoints
+   * @param {import('https').Agent} [config.httpsAgent] - Agent for https endpoints
+   * @param {string|Object|false} [config.proxy] - Proxy URL or axios proxy config; false
+   *   ignores the HTTP_PROXY/HTTPS_PROXY environment variables
+   * @param {import('axios').AxiosInstance} [config.httpClient] - Axios instance to send
+   *   requests through; timeout, agent and proxy options are then left to the instance
+   * @param {number|Object|false} [config.statCache] - Cache `files.stat` and `files.exists`
+   *   lookups for this many milliseconds, or `{ttl, maxEntries}`; off by default
+   * @param {Object|Object[]} [config.hooks] - Request lifecycle hooks `{beforeRequest,
+   *   afterResponse, onError, onRetry}`, or a list of such objects (see addHooks)
+   * @throws {ValidationError} When only one of access key and secret key is given, or an
+   *   option is invalid
    */
-  constructor(config) {
-    if (!config.accessKey || !config.secretKey) {
-      throw new Error('Access key and secret key are required');
-    }
+  constructor(config = {}) {
+    /**
+     * Credentials used for signing, refreshed before they expire
+     * @private
+     * @type {CredentialCache}
+     */
+    this.credentials = new CredentialCache(resolveProvider(config));
 
     this.config = {
-      accessKey: config.accessKey,
-      secretKey: config.secretKey,
-      baseUrl: 'https://api.apexxcloud.com',
+      baseUrl: normalizeBaseUrl(config.baseUrl),
       region: config.region,
       defaultBucket: config.bucket,
+      retry: normalizeRetryPolicy(config.retry),
     };
 
+    /**
+     * Axios instance every request is sent through
+     * @private
+     * @type {import('axios').AxiosInstance}
+     */
+    this.http = createHttpClient(config);
+
+    /**
+     * Cache of object lookups, or null when disabled
+     * @private
+     * @type {StatCache|null}
+     */
+    this.statCache = createStatCache(config.statCache);
+
+    /**
+     * Request lifecycle hooks
+     * @private
+     * @type {Hooks}
+     */
+    this.hooks = new Hooks(config.hooks);
+
+    /**
+     * Offset of the service's clock, learned from response Date headers
+     * @private
+     * @type {ClockOffset}
+     */
+    this.clock = new ClockOffset();
+
     /**
      * File operations
      * @type {{
@@ -42,8 +188,71 @@ class ApexxCloud {
      *     filename?: string,
      *     contentType?: string
      *   }) => Promise<{url: string}>,
+     *   uploadLarge: (key: string, source: (string|Buffer|import('stream').Readable), options?: {
+     *     bucketName?: string,
+     *     region?: string,
+     *     visibility?: 'public'|'private',
+     *     filename?: string,
+     *     contentType?: string,
+     *     size?: number,
+     *     partSize?: number,
+     *     multipartThreshold?: number,
+     *     concurrency?: number,
+     *     checkpointStore?: Object
+     *   }) => Promise<Object>,
+     *   resumeUpload: (checkpoint: Object, source?: (string|Buffer|import('stream').Readable), options?: {
+     *     checkpointStore?: Object,
+     *     concurrency?: number
+     *   }) => Promise<Object>,
+     *   createWriteStream: (key: string, options?: {
+     *     bucketName?: string,
+     *     region?: string,
+     *     visibility?: 'public'|'private',
+     *     contentType?: string,
+     *     size?: number,
+     *     partSize?: number,
+     *     concurrency?: number
+     *   }) => import('stream').Writable,
+     *   stat: (key: string, options?: {
+     *     bucketName?: string,
+     *     region?: string,
+     *     cache?: boolean
+     *   }) => Promise<{key: string, size: number, lastModified: string, etag: string}>,
+     *   exists: (key: string, options?: {
+     *     bucketName?: string,
+     *     region?: string,
+     *     cache?: boolean
+     *   }) => Promise<boolean>,
+     *   copy: (source: (string|{prefix: string}), destination: (string|{prefix: string}), options?: {
+     *     srcBucket?: string,
+     *     destBucket?: string,
+     *     region?: string,
+     *     visibility?: 'public'|'private',
+     *     concurrency?: number,
+     *     dryRun?: boolean
+     *   }) => Promise<Object>,
+     *   move: (source: (string|{prefix: string}), destination: (string|{prefix: string}), options?: {
+     *     srcBucket?: string,
+     *     destBucket?: string,
+     *     region?: string,
+     *     visibility?: 'public'|'private',
+     *     concurrency?: number,
+     *     dryRun?: boolean
+     *   }) => Promise<Object>,
      *   delete: (bucketName: string, key: string) => Promise<{success: boolean}>,
      *   purge: (bucketName: string, key: string) => Promise<{message: string, purged_urls: string[]}>,
+     *   deleteMany: (target: (string[]|{prefix: string}), options?: {
+     *     bucketName?: string,
+     *     region?: string,
+     *     concurrency?: number,
+     *     dryRun?: boolean
+     *   }) => Promise<{dryRun: boolean, keys: string[], results: Object[], succeeded: number, failed: number}>,
+     *   purgeMany: (target: (string[]|{prefix: string}), options?: {
+     *     bucketName?: string,
+     *     region?: string,
+     *     concurrency?: number,
+     *     dryRun?: boolean
+     *   }) => Promise<{dryRun: boolean, keys: string[], results: Object[], succeeded: number, failed: number}>,
      *   getSignedUrl: (bucketName: string, key: string, options: {
      *     type: ('upload'|'delete'|'start-multipart'|'uploadpart'|'completemultipart'|'cancelmultipart'|'download'),
      *     expiresIn?: number
@@ -67,18 +276,54 @@ class ApexxCloud {
      *   cancelMultipartUpload: (uploadId: string, options: {
      *     key: string,
      *     bucketName?: string
-     *   }) => Promise<{success: boolean}>
+     *   }) => Promise<{success: boolean}>,
+     *   download: (key: string, options?: {
+     *     bucketName?: string,
+     *     region?: string,
+     *     range?: {start?: number, end?: number},
+     *     verifyEtag?: boolean
+     *   }) => Promise<import('stream').Readable>,
+     *   downloadToFile: (key: string, filePath: string, options?: {
+     *     bucketName?: string,
+     *     region?: string,
+     *     resume?: boolean,
+     *     verifyEtag?: boolean
+     *   }) => Promise<{path: string, size: number, etag: string}>,
+     *   createUploadPlan: (key: string, options: {
+     *     size: number,
+     *     bucketName?: string,
+     *     region?: string,
+     *     mimeType?: string,
+     *     partSize?: number,
+     *     visibility?: 'public'|'private',
+     *     expiresIn?: number
+     *   }) => Promise<Object>,
+     *   finalizeUploadPlan: (plan: Object, parts: Array<(string|{ETag: string, PartNumber: number})>)
+     *     => Promise<{Location: string, Bucket: string, Key: string, ETag: string}>
      * }}
      */
     this.files = {
       upload: this.uploadFile.bind(this),
+      uploadLarge: this.uploadLarge.bind(this),
+      resumeUpload: this.resumeUpload.bind(this),
+      createWriteStream: this.createWriteStream.bind(this),
+      stat: this.stat.bind(this),
+      exists: this.exists.bind(this),
+      copy: this.copy.bind(this),
+      move: this.move.bind(this),
       delete: this.deleteFile.bind(this),
       purge: this.purgeFile.bind(this),
+      deleteMany: this.deleteMany.bind(this),
+      purgeMany: this.purgeMany.bind(this),
       getSignedUrl: this.generateSignedUrl.bind(this),
       startMultipartUpload: this.startMultipartUpload.bind(this),
       uploadPart: this.uploadPart.bind(this),
       completeMultipartUpload: this.completeMultipartUpload.bind(this),
       cancelMultipartUpload: this.cancelMultipartUpload.bind(this),
+      download: this.download.bind(this),
+      downloadToFile: this.downloadToFile.bind(this),
+      createUploadPlan: this.createUploadPlan.bind(this),
+      finalizeUploadPlan: this.finalizeUploadPlan.bind(this),
     };
 
     /**
@@ -98,28 +343,55 @@ class ApexxCloud {
      *     page: number,
      *     totalPages: number,
      *     totalItems: number
+     *   }>,
+     *   list: (options?: {
+     *     bucketName?: string,
+     *     region?: string,
+     *     prefix?: string,
+     *     limit?: number,
+     *     maxItems?: number
+     *   }) => AsyncGenerator<{key: string, size: number, lastModified: string, etag: string}>,
+     *   listFolders: (prefix?: string, options?: {
+     *     bucketName?: string,
+     *     region?: string,
+     *     delimiter?: string
+     *   }) => Promise<{
+     *     prefix: string,
+     *     folders: string[],
+     *     files: Array<{key: string, size: number, lastModified: string, etag: string}>
+     *   }>,
+     *   syncUp: (localDir: string, prefix: string, options?: Object) => Promise<{
+     *     dryRun: boolean,
+     *     changes: Array<{action: 'upload'|'delete', key: string, path?: string, size: number, reason: string}>,
+     *     purged: string[]
+     *   }>,
+     *   syncDown: (prefix: string, localDir: string, options?: Object) => Promise<{
+     *     dryRun: boolean,
+     *     changes: Array<{action: 'download'|'delete', key: string, path: string, size: number, reason: string}>
      *   }>
      * }}
      */
     this.bucket = {
       listContents: this.getBucketContents.bind(this),
+      list: this.listObjects.bind(this),
+      listFolders: this.listFolders.bind(this),
+      syncUp: this.syncUp.bind(this),
+      syncDown: this.syncDown.bind(this),
     };
   }
 
   /**
    * Generates a signature for API requests
    * @private
+   * @param {{secretKey: string}} credentials - Credentials to sign with
    * @param {string} method - HTTP method
    * @param {string} path - Request path
-   * @param {string} [timestamp] - ISO timestamp (defaults to current time)
+   * @param {string} [timestamp] - ISO timestamp (defaults to the current time, corrected
+   *   by the service's clock offset)
    * @returns {{signature: string, timestamp: string}} Signature and timestamp
    */
-  generateSignature(method, path, timestamp = new Date().toISOString()) {
-    const stringToSign = `${method}\n${path}\n${timestamp}`;
-    const signature = crypto
-      .createHmac('sha256', this.config.secretKey)
-      .update(stringToSign)
-      .digest('hex');
+  generateSignature(credentials, method, path, timestamp = this.clock.now().toISOString()) {
+    const signature = computeSignature(credentials.secretKey, method, path, timestamp);
 
     return {
       signature,
@@ -127,42 +399,267 @@ class ApexxCloud {
     };
   }
 
-  generateHeaders(method, path) {
-    const { signature, timestamp } = this.generateSignature(method, path);
+  /**
+   * Generates the authentication headers for an API request
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path including the query string
+   * @returns {Promise<Object>} X-Access-Key, X-Signature and X-Timestamp headers
+   */
+  async generateHeaders(method, path) {
+    const credentials = await this.credentials.get();
+    const { signature, timestamp } = this.generateSignature(credentials, method, path);
 
     return {
-      'X-Access-Key': this.config.accessKey,
+      'X-Access-Key': credentials.accessKey,
       'X-Signature': signature,
       'X-Timestamp': timestamp,
     };
   }
 
+  /**
+   * Sends a signed API request, retrying transient failures according to the
+   * client's retry policy. Every attempt is signed with a fresh timestamp.
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path including the query string
+   * @param {Object} [options] - Extra axios options, plus:
+   * @param {boolean} [options.idempotent] - Whether the request is safe to repeat
+   *   (defaults to true for GET, HEAD, OPTIONS and DELETE)
+   * @param {Function} [options.createBody] - Builds `{data, headers}` for each attempt,
+   *   for bodies such as form-data that can only be sent once
+   * @param {boolean} [options.replayable] - Whether `createBody` can be called again
+   * @param {AbortSignal} [options.signal] - Cancels the request, including retry waits
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds, overriding
+   *   the client default
+   * @param {string} [options.operation] - Operation name reported to hooks, e.g. "upload"
+   * @returns {Promise<*>} Response data
+   * @throws {AbortError} When the signal is aborted
+   */
   async makeRequest(method, path, options = {}) {
-    const headers = this.generateHeaders(method, path);
+    const { idempotent, createBody, replayable, operation, ...requestOptions } = options;
+    if (requestOptions.timeout === undefined) {
+      delete requestOptions.timeout;
+    } else {
+      normalizeTimeout(requestOptions.timeout, 'timeout');
+    }
     const url = `${this.config.baseUrl}${path}`;
+    const policy = this.config.retry;
 
-    try {
-      const response = await axios({
+    const canReplay = createBody ? replayable !== false : isReplayable(requestOptions.data);
+    const safeToRepeat = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const maxAttempts =
+      canReplay && (safeToRepeat || !policy.idempotentOnly) ? policy.maxAttempts : 1;
+
+    const request = { method, path, operation, replayable: canReplay };
+    const send = async (attempt, event) => {
+      if (requestOptions.signal && requestOptions.signal.aborted) {
+        throw new AbortError('The operation was aborted', { code: 'ABORT_ERR', method, path });
+      }
+      const body = createBody ? await createBody() : { data: requestOptions.data };
+      const headers = await this.generateHeaders(method, path);
+      if (this.hooks.active) {
+        event.bytesSent = bodySize(body.data);
+      }
+
+      return this.http.request({
         method,
         url,
-        ...options,
+        ...requestOptions,
+        data: body.data,
         headers: {
           ...headers,
-          ...options.headers,
+          'X-Request-Id': event.requestId,
+          ...body.headers,
+          ...requestOptions.headers,
         },
       });
-      return response.data;
-    } catch (error) {
-      throw this.handleError(error);
+    };
+    const response = await this.withRetry(request, maxAttempts, requestOptions.signal, send);
+    return response.data;
+  }
+
+  /**
+   * Runs a request, repeating it while it fails with a retryable error and
+   * attempts remain. Every attempt is reported to the lifecycle hooks.
+   *
+   * The Date header of every response updates the clock offset. When an
+   * authentication failure moves the offset, the signature was most likely
+   * rejected for the local clock, so the request is signed again and repeated
+   * once, outside the retry policy (the service did not process it).
+   * @private
+   * @param {{method: string, path: string, operation?: string, bucket?: string,
+   *   key?: string, replayable?: boolean}} request - The request, for error details and
+   *   hooks; `replayable: false` rules out repeating it after a clock correction
+   * @param {number} maxAttempts - Maximum attempts, including the first
+   * @param {AbortSignal} [signal] - Cancels the wait between attempts
+   * @param {(attempt: number, event: Object) => Promise<Object>} send - Sends one attempt
+   *   and resolves to the axios response; `event.requestId` is sent as X-Request-Id, and
+   *   `event.bytesSent` may be set once the body is known
+   * @returns {Promise<Object>} Response of the first successful attempt
+   */
+  async withRetry(request, maxAttempts, signal, send) {
+    const requestId = createRequestId();
+    let attemptLimit = maxAttempts;
+    let resigned = false;
+    for (let attempt = 1; ; attempt++) {
+      const event = this.hooks.start(request, requestId, attempt);
+      const signedOffset = this.clock.offset;
+      this.hooks.emit('beforeRequest', event);
+      try {
+        const response = await send(attempt, event);
+        this.clock.update(response.headers && response.headers.date);
+        this.hooks.emit('afterResponse', event, {
+          status: response.status,
+          bytesReceived: responseSize(response),
+          serverRequestId: response.headers && response.headers['x-request-id'],
+        });
+        return response;
+      } catch (error) {
+        const apiError = this.handleError(error, request);
+        const { response } = error;
+        this.clock.update(response && response.headers && response.headers.date);
+        const resign =
+          !resigned &&
+          request.replayable !== false &&
+          apiError instanceof AuthenticationError &&
+          this.clock.offset !== signedOffset;
+        if (resign) {
+          resigned = true;
+          attemptLimit++;
+        }
+        const willRetry = attempt < attemptLimit && (resign || apiError.retryable);
+        this.hooks.emit('onError', event, {
+          status: apiError.status,
+          error: describeError(apiError),
+          willRetry,
+        });
+        if (!willRetry) {
+          throw apiError;
+        }
+        const delay = resign ? 0 : retryDelay(this.config.retry, attempt, error);
+        this.hooks.emit('onRetry', event, {
+          error: describeError(apiError),
+          nextAttempt: attempt + 1,
+          delay,
+        });
+        await sleep(delay, signal).catch((abort) => {
+          throw this.handleError(abort, request);
+        });
+      }
     }
   }
 
-  handleError(error) {
-    if (error.response) {
-      const { status, data } = error.response;
-      return new Error(`API Error ${status}: ${data.message || JSON.stringify(data)}`);
+  /**
+   * Registers request lifecycle hooks. Each hook receives an event with the
+   * `operation` (such as "upload", "uploadPart" or "listContents"), `method`,
+   * `path`, `bucket`, `key`, `requestId` and `attempt`:
+   *
+   * - `beforeRequest` before each attempt
+   * - `afterResponse` with `status`, `duration`, `bytesSent` and `bytesReceived`
+   * - `onError` with `error`, `status`, `duration` and `willRetry`
+   * - `onRetry` with `error`, `nextAttempt` and `delay` before waiting to retry
+   *
+   * Signatures and secrets are redacted from paths and error messages, and
+   * errors are passed as plain `{name, message, code, status, retryable}`
+   * objects. Hooks are not awaited, and anything they throw is ignored.
+   * @param {Object} hooks - Hook functions
+   * @param {Function} [hooks.beforeRequest]
+   * @param {Function} [hooks.afterResponse]
+   * @param {Function} [hooks.onError]
+   * @param {Function} [hooks.onRetry]
+   * @returns {() => void} Removes the hooks again
+   * @throws {ValidationError} When a hook is not a function or its name is unknown
+   */
+  addHooks(hooks) {
+    return this.hooks.add(hooks);
+  }
+
+  /**
+   * Returns how far the service's clock is ahead of the local clock, as learned
+   * from the Date headers of its responses. Signatures and signed URLs are
+   * timestamped with the local time plus this offset. It is 0 until a response
+   * shows a difference of two seconds or more.
+   * @returns {number} Offset in milliseconds; negative when the local clock is ahead
+   */
+  getClockOffset() {
+    return this.clock.offset;
+  }
+
+  /**
+   * Builds a multipart/form-data body with the data in a single "file" field.
+   * Buffers and file streams are sent with a known length; other streams are
+   * sent with chunked transfer encoding. With a checksum algorithm, the data is
+   * hashed as it streams and the digest follows it in a "checksum" field.
+   * @private
+   * @param {Buffer|ReadStream} fileData - File data
+   * @param {Object} options - Field options
+   * @param {string} options.filename - Filename sent with the field
+   * @param {string} options.contentType - MIME type sent with the field
+   * @param {boolean} [options.withLength] - Whether to add a Content-Length header
+   *   when the length is known
+   * @param {(progress: {loaded: number, total?: number}) => void} [options.onProgress] -
+   *   Called as the file data is sent
+   * @param {'md5'|'sha256'} [options.checksum] - Checksum to compute and send
+   * @returns {Promise<{data: FormData, headers: Object, digest?: () => Object}>} Form, its
+   *   headers, and with a checksum a function returning the digests once the data was sent
+   */
+  async createFormBody(fileData, options) {
+    const form = new FormData();
+    const total = await dataLength(fileData);
+    const { onProgress, checksum } = options;
+    const digester = checksum && createDigester(checksum);
+
+    let value = fileData;
+    let hashed;
+    if (onProgress || digester) {
+      let loaded = 0;
+      hashed = new Promise((resolve) => {
+        value = tapStream(
+          fileData,
+          (chunk) => {
+            if (digester) digester.update(chunk);
+            if (onProgress) {
+              loaded += chunk.length;
+              onProgress({ loaded, total });
+            }
+          },
+          resolve
+        );
+      });
+    }
+
+    // The field name MUST be "file" to match multer's expectations
+    form.append('file', value, {
+      filename: options.filename,
+      contentType: options.contentType,
+      knownLength: total,
+    });
+
+    if (digester) {
+      const digest = hashed.then(() => digester.digest()[checksum]);
+      form.append('checksum', digestStream(digest), {
+        contentType: 'text/plain',
+        knownLength: checksum === 'sha256' ? 64 : 32,
+      });
     }
-    return error;
+
+    const headers = form.getHeaders();
+    if (options.withLength && form.hasKnownLength()) {
+      headers['Content-Length'] = form.getLengthSync();
+    }
+    return { data: form, headers, digest: digester && (() => digester.digest()) };
+  }
+
+  /**
+   * Converts a failed request into a typed error
+   * @private
+   * @param {Error} error - Error thrown by axios
+   * @param {{method: string, path: string}} [request] - The request that failed
+   * @returns {ApexxCloudError} Typed error exposing status, code, body and retryable
+   */
+  handleError(error, request = {}) {
+    return createApiError(error, request);
   }
 
   /**
@@ -174,26 +671,32 @@ class ApexxCloud {
    * @param {string} [options.region] - Target region
    * @param {string} [options.visibility="public"] - File visibility
    * @param {string} [options.filename] - Original filename
-   * @param {string} [options.contentType] - File MIME type
+   * @param {string} [options.contentType] - File MIME type (defaults to the type of the
+   *   key's extension, then to the type recognised from the data's first bytes)
+   * @param {string} [options.cacheControl] - Cache-Control header to serve the file with
+   * @param {string|{type?: string, filename?: string}} [options.contentDisposition] -
+   *   Content-Disposition header, or its type and filename
+   * @param {string} [options.contentEncoding] - Content-Encoding of the data, e.g. "gzip"
+   * @param {Object<string, string>} [options.metadata] - User metadata
+   * @param {Function} [options.onProgress] - Called with `{loaded, total}` as data is sent;
+   *   `total` is undefined for streams of unknown length
+   * @param {AbortSignal} [options.signal] - Cancels the upload
+   * @param {boolean|string} [options.checksum] - Compute a checksum while the data streams
+   *   (true or "md5", or "sha256"), send it with the upload and check it against the response
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
    * @returns {Promise<Object>} Upload response
-   * @throws {Error} When required parameters are missing
+   * @throws {ValidationError} When required parameters are missing or a header is invalid
+   * @throws {AbortError} When the signal is aborted
+   * @throws {IntegrityError} When the checksum does not match the returned ETag or checksum
    */
   async uploadFile(key, fileData, options = {}) {
     if (!fileData) {
-      throw new Error('fileData is required for upload operation');
+      throw new ValidationError('fileData is required for upload operation', 'fileData');
     }
     if (!key) {
-      throw new Error('key is required for upload operation');
+      throw new ValidationError('key is required for upload operation', 'key');
     }
-
-    const form = new FormData();
-
-    // The field name MUST be "file" to match multer's expectations
-    form.append('file', fileData, {
-      filename: options.filename || key,
-      contentType: options.contentType || 'application/octet-stream',
-      knownLength: fileData.length, // Add the buffer length
-    });
+    const checksum = normalizeChecksum(options.checksum);
 
     const queryParams = new URLSearchParams({
       bucket_name: options.bucketName || this.config.defaultBucket,
@@ -201,26 +704,72 @@ class ApexxCloud {
       visibility: options.visibility || 'public',
       key: key,
     });
+    if (checksum) {
+      queryParams.append('checksumAlgorithm', checksum);
+    }
+    appendObjectHeaders(queryParams, options);
+
+    let data = fileData;
+    const contentType = await resolveContentType(options.contentType, key, async () => {
+      const peeked = await peekHead(fileData, SNIFF_LENGTH);
+      data = peeked.data;
+      return peeked.head;
+    });
 
     const path = `/api/v1/files/upload?${queryParams.toString()}`;
 
-    // Get the form length
-    const formLength = await new Promise((resolve, reject) => {
-      form.getLength((err, length) => {
-        if (err) reject(err);
-        resolve(length);
-      });
-    });
+    try {
+      return await this.sendFormUpload(
+        'PUT',
+        path,
+        data,
+        {
+          filename: options.filename || key,
+          contentType,
+          withLength: true,
+          onProgress: options.onProgress,
+          checksum,
+        },
+        {
+          operation: 'upload',
+          signal: options.signal,
+          timeout: options.timeout,
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity,
+        }
+      );
+    } finally {
+      this.forgetStat(key, options);
+    }
+  }
 
-    return this.makeRequest('PUT', path, {
-      data: form,
-      headers: {
-        ...form.getHeaders(),
-        'Content-Length': formLength, // Add Content-Length header
+  /**
+   * Sends file data as a form upload and, when a checksum was computed while it
+   * streamed, checks it against the response
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path including the query string
+   * @param {Buffer|ReadStream} fileData - File data
+   * @param {Object} bodyOptions - Form options (see createFormBody)
+   * @param {Object} requestOptions - Request options (see makeRequest)
+   * @returns {Promise<Object>} Response data
+   * @throws {IntegrityError} When the checksum does not match
+   */
+  async sendFormUpload(method, path, fileData, bodyOptions, requestOptions) {
+    let body;
+    const response = await this.makeRequest(method, path, {
+      ...requestOptions,
+      createBody: async () => {
+        body = await this.createFormBody(fileData, bodyOptions);
+        return body;
       },
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity,
+      replayable: isReplayable(fileData),
     });
+
+    if (body.digest) {
+      verifyUploadDigests(body.digest(), response, { method, path });
+    }
+    return response;
   }
 
   /**
@@ -229,12 +778,13 @@ class ApexxCloud {
    * @param {Object} options - Delete options
    * @param {string} [options.bucketName] - Bucket name
    * @param {string} [options.region] - Region
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
    * @returns {Promise<Object>} Deletion response
-   * @throws {Error} When key is missing
+   * @throws {ValidationError} When key is missing
    */
   async deleteFile(key, options = {}) {
     if (!key) {
-      throw new Error('key is required for delete operation');
+      throw new ValidationError('key is required for delete operation', 'key');
     }
 
     const queryParams = new URLSearchParams({
@@ -244,7 +794,111 @@ class ApexxCloud {
     });
 
     const path = `/api/v1/files/delete?${queryParams.toString()}`;
-    return this.makeRequest('DELETE', path);
+    try {
+      return await this.makeRequest('DELETE', path, {
+        operation: 'delete',
+        timeout: options.timeout,
+      });
+    } finally {
+      this.forgetStat(key, options);
+    }
+  }
+
+  /**
+   * Looks up a single object by its exact key. The bucket listing is searched with
+   * the key as prefix, so longer keys that merely start with it (`a.txt.bak` for
+   * `a.txt`) are never mistaken for it.
+   * @param {string} key - Object key
+   * @param {Object} [options] - Lookup options
+   * @param {string} [options.bucketName] - Bucket name
+   * @param {string} [options.region] - Region
+   * @param {boolean} [options.cache=true] - Use a cached result when the client has a
+   *   statCache; a fresh result is cached either way
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
+   * @returns {Promise<{key: string, size: number, lastModified: string, etag: string,
+   *   contentType?: string, cacheControl?: string, contentDisposition?: string,
+   *   contentEncoding?: string, metadata?: Object<string, string>}>}
+   * @throws {ValidationError} When key is missing
+   * @throws {NotFoundError} With code "NoSuchKey" when the object does not exist
+   */
+  async stat(key, options = {}) {
+    const object = await this.lookupObject(key, options, 'stat');
+    if (!object) {
+      throw new NotFoundError(`Object ${key} does not exist`, { status: 404, code: 'NoSuchKey' });
+    }
+    return object;
+  }
+
+  /**
+   * Checks whether an object exists, by its exact key (see stat)
+   * @param {string} key - Object key
+   * @param {Object} [options] - Lookup options (see stat)
+   * @returns {Promise<boolean>}
+   * @throws {ValidationError} When key is missing
+   */
+  async exists(key, options = {}) {
+    return Boolean(await this.lookupObject(key, options, 'exists'));
+  }
+
+  /**
+   * Finds an object in the listing, going through the stat cache
+   * @private
+   * @param {string} key - Object key
+   * @param {Object} options - Lookup options (see stat)
+   * @param {string} operation - Operation name for the validation message
+   * @returns {Promise<Object|null>} The object, or null when it does not exist
+   */
+  async lookupObject(key, options, operation) {
+    if (!key) {
+      throw new ValidationError(`key is required for ${operation} operation`, 'key');
+    }
+    const bucketName = options.bucketName || this.config.defaultBucket;
+    if (this.statCache && options.cache !== false) {
+      const cached = this.statCache.get(bucketName, key);
+      if (cached !== undefined) {
+        return cached && { ...cached };
+      }
+    }
+
+    let found = null;
+    for await (const item of this.listObjects({
+      bucketName: options.bucketName,
+      region: options.region,
+      prefix: key,
+      timeout: options.timeout,
+    })) {
+      if (item.key === key) {
+        found = {
+          key: item.key,
+          size: item.size,
+          lastModified: item.lastModified,
+          etag: item.etag,
+          ...(item.contentType && { contentType: item.contentType }),
+          ...(item.cacheControl && { cacheControl: item.cacheControl }),
+          ...(item.contentDisposition && { contentDisposition: item.contentDisposition }),
+          ...(item.contentEncoding && { contentEncoding: item.contentEncoding }),
+          ...(item.metadata && { metadata: item.metadata }),
+        };
+        break;
+      }
+    }
+
+    if (this.statCache) {
+      this.statCache.set(bucketName, key, found);
+    }
+    return found && { ...found };
+  }
+
+  /**
+   * Drops the cached lookup of an object this client has changed
+   * @private
+   * @param {string} key - Object key
+   * @param {Object} options - Options with the bucketName
+   */
+  forgetStat(key, options) {
+    if (this.statCache) {
+      this.statCache.delete(options.bucketName || this.config.defaultBucket, key);
+    }
   }
 
   /**
@@ -253,12 +907,13 @@ class ApexxCloud {
    * @param {Object} options - Purge options
    * @param {string} [options.bucketName] - Bucket name
    * @param {string} [options.region] - Region
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
    * @returns {Promise<Object>} Purge response
-   * @throws {Error} When key is missing
+   * @throws {ValidationError} When key is missing
    */
   async purgeFile(key, options = {}) {
     if (!key) {
-      throw new Error('key is required for purge operation');
+      throw new ValidationError('key is required for purge operation', 'key');
     }
 
     const queryParams = new URLSearchParams({
@@ -268,7 +923,276 @@ class ApexxCloud {
     });
 
     const path = `/api/v1/files/purge?${queryParams.toString()}`;
-    return this.makeRequest('POST', path);
+    return this.makeRequest('POST', path, { operation: 'purge', timeout: options.timeout });
+  }
+
+  /**
+   * Deletes many files, either a list of keys or everything under a prefix.
+   * Failures are reported per key instead of stopping the batch.
+   * @param {string[]|{prefix: string}} target - Keys to delete, or a prefix to expand
+   *   through the bucket listing
+   * @param {Object} [options] - Batch options
+   * @param {string} [options.bucketName] - Bucket name
+   * @param {string} [options.region] - Region
+   * @param {number} [options.concurrency=4] - Maximum deletions run at once
+   * @param {boolean} [options.dryRun=false] - Only resolve the keys, delete nothing
+   * @returns {Promise<Object>} Batch report with `keys`, per-key `results`, and
+   *   `succeeded`/`failed` counts
+   * @throws {ValidationError} When the target is invalid
+   */
+  async deleteMany(target, options = {}) {
+    return this.runBatch(target, options, (key, keyOptions) => this.deleteFile(key, keyOptions));
+  }
+
+  /**
+   * Purges many files from the CDN cache, either a list of keys or everything
+   * under a prefix. Failures are reported per key instead of stopping the batch.
+   * @param {string[]|{prefix: string}} target - Keys to purge, or a prefix to expand
+   *   through the bucket listing
+   * @param {Object} [options] - Batch options
+   * @param {string} [options.bucketName] - Bucket name
+   * @param {string} [options.region] - Region
+   * @param {number} [options.concurrency=4] - Maximum purges run at once
+   * @param {boolean} [options.dryRun=false] - Only resolve the keys, purge nothing
+   * @returns {Promise<Object>} Batch report with `keys`, per-key `results`, and
+   *   `succeeded`/`failed` counts
+   * @throws {ValidationError} When the target is invalid
+   */
+  async purgeMany(target, options = {}) {
+    return this.runBatch(target, options, (key, keyOptions) => this.purgeFile(key, keyOptions));
+  }
+
+  /**
+   * Resolves a batch target to keys and runs an operation on each of them
+   * @private
+   * @param {string[]|{prefix: string}} target - Keys, or a prefix to expand
+   * @param {Object} options - Batch options
+   * @param {(key: string, options: Object) => Promise<*>} operation - Per-key operation
+   * @returns {Promise<Object>} Batch report
+   */
+  async runBatch(target, options, operation) {
+    const keyOptions = { bucketName: options.bucketName, region: options.region };
+    let keys;
+
+    if (Array.isArray(target)) {
+      if (target.some((key) => typeof key !== 'string' || !key)) {
+        throw new ValidationError('keys must be non-empty strings', 'keys');
+      }
+      keys = [...new Set(target)];
+    } else if (target && typeof target.prefix === 'string') {
+      // An empty prefix would match the whole bucket; require callers to be explicit
+      if (!target.prefix) {
+        throw new ValidationError('prefix must not be empty', 'prefix');
+      }
+      keys = [];
+      for await (const object of this.listObjects({ ...keyOptions, prefix: target.prefix })) {
+        if (object.key.startsWith(target.prefix)) {
+          keys.push(object.key);
+        }
+      }
+    } else {
+      throw new ValidationError('target must be an array of keys or {prefix}', 'target');
+    }
+
+    if (options.dryRun) {
+      return { dryRun: true, keys, results: [], succeeded: 0, failed: 0 };
+    }
+
+    const results = await runPool(
+      keys,
+      options.concurrency || DEFAULT_UPLOAD_CONCURRENCY,
+      async (key) => {
+        try {
+          return { key, success: true, response: await operation(key, keyOptions) };
+        } catch (error) {
+          return { key, success: false, error };
+        }
+      }
+    );
+    const succeeded = results.filter((result) => result.success).length;
+
+    return { dryRun: false, keys, results, succeeded, failed: results.length - succeeded };
+  }
+
+  /**
+   * Copies an object, or every object under a prefix, by streaming it from a
+   * download straight into an upload; nothing is written to disk. Objects above
+   * the multipart threshold are copied with a multipart upload. The content type,
+   * cache, disposition and encoding headers and user metadata are carried over,
+   * and the data is checked with MD5 on the way down and on the way up.
+   * @param {string|{prefix: string}} source - Source key, or `{prefix}` to copy every
+   *   object under it
+   * @param {string|{prefix: string}} destination - Destination key, or `{prefix}` that
+   *   replaces the source prefix in each copied key
+   * @param {Object} [options] - Copy options
+   * @param {string} [options.srcBucket] - Source bucket (defaults to the client's bucket)
+   * @param {string} [options.destBucket] - Destination bucket (defaults to the client's bucket)
+   * @param {string} [options.region] - Region
+   * @param {string} [options.visibility="public"] - Visibility of the copies
+   * @param {number} [options.concurrency=4] - Objects copied at once with a prefix
+   * @param {boolean} [options.dryRun=false] - With a prefix, only resolve the keys
+   * @param {AbortSignal} [options.signal] - Cancels the upload of the copy
+   * @param {number} [options.timeout] - Socket inactivity timeout for each request
+   * @returns {Promise<Object>} `{srcKey, destKey, srcBucket, destBucket, size, etag}`, or
+   *   with a prefix a batch report whose per-key `response` is that object
+   * @throws {ValidationError} When the keys are invalid or the source and destination
+   *   are the same object
+   * @throws {NotFoundError} When the source object does not exist
+   */
+  async copy(source, destination, options = {}) {
+    return this.transferObjects(source, destination, options, (srcKey, destKey) =>
+      this.copyObject(srcKey, destKey, options)
+    );
+  }
+
+  /**
+   * Moves an object, or every object under a prefix, by copying it (see copy) and
+   * deleting the source once the copy has been checked. If the copy cannot be
+   * verified the source is kept and the move fails.
+   * @param {string|{prefix: string}} source - Source key, or `{prefix}`
+   * @param {string|{prefix: string}} destination - Destination key, or `{prefix}`
+   * @param {Object} [options] - Move options (see copy)
+   * @returns {Promise<Object>} As for copy
+   * @throws {ValidationError} When the keys are invalid or the source and destination
+   *   are the same object
+   * @throws {NotFoundError} When the source object does not exist
+   * @throws {IntegrityError} When the copy does not match what was uploaded
+   */
+  async move(source, destination, options = {}) {
+    return this.transferObjects(source, destination, options, async (srcKey, destKey) => {
+      const copied = await this.copyObject(srcKey, destKey, options);
+      const stored = await this.stat(destKey, {
+        bucketName: copied.destBucket,
+        region: options.region,
+        cache: false,
+        timeout: options.timeout,
+      });
+      if (
+        stored.size !== copied.size ||
+        (copied.etag && normalizeEtag(stored.etag) !== normalizeEtag(copied.etag))
+      ) {
+        throw new IntegrityError(`Copy of ${srcKey} at ${destKey} does not match the source`, {
+          code: 'CopyMismatch',
+          expected: `${copied.size} bytes, ETag ${copied.etag}`,
+          actual: `${stored.size} bytes, ETag ${stored.etag}`,
+        });
+      }
+      await this.deleteFile(srcKey, {
+        bucketName: copied.srcBucket,
+        region: options.region,
+        timeout: options.timeout,
+      });
+      return copied;
+    });
+  }
+
+  /**
+   * Runs a copy or move on one key, or on every key under a prefix
+   * @private
+   * @param {string|{prefix: string}} source - Source key or prefix
+   * @param {string|{prefix: string}} destination - Destination key or prefix
+   * @param {Object} options - Copy options
+   * @param {(srcKey: string, destKey: string) => Promise<Object>} transfer - Per-key operation
+   * @returns {Promise<Object>} Operation result, or batch report
+   */
+  async transferObjects(source, destination, options, transfer) {
+    const srcBucket = options.srcBucket || this.config.defaultBucket;
+    const destBucket = options.destBucket || this.config.defaultBucket;
+
+    if ((typeof source === 'string') !== (typeof destination === 'string')) {
+      throw new ValidationError(
+        'source and destination must both be keys or both be {prefix}',
+        'destination'
+      );
+    }
+    if (typeof source === 'string') {
+      if (!source || !destination) {
+        throw new ValidationError('source and destination keys must not be empty', 'key');
+      }
+      if (srcBucket === destBucket && source === destination) {
+        throw new ValidationError('source and destination are the same object', 'destination');
+      }
+      return transfer(source, destination);
+    }
+
+    if (!source || typeof source.prefix !== 'string') {
+      throw new ValidationError('source must be a key or {prefix}', 'source');
+    }
+    if (!destination || typeof destination.prefix !== 'string') {
+      throw new ValidationError('destination must be a key or {prefix}', 'destination');
+    }
+    if (srcBucket === destBucket && source.prefix === destination.prefix) {
+      throw new ValidationError('source and destination are the same prefix', 'destination');
+    }
+
+    // Keys are listed before anything is copied, so a destination inside the
+    // source prefix never feeds copies back into the batch
+    return this.runBatch({ prefix: source.prefix }, { ...options, bucketName: srcBucket }, (key) =>
+      transfer(key, destination.prefix + key.slice(source.prefix.length))
+    );
+  }
+
+  /**
+   * Copies a single object through a download stream
+   * @private
+   * @param {string} srcKey - Source key
+   * @param {string} destKey - Destination key
+   * @param {Object} options - Copy options (see copy)
+   * @returns {Promise<{srcKey: string, destKey: string, srcBucket: string,
+   *   destBucket: string, size: number, etag: string}>}
+   */
+  async copyObject(srcKey, destKey, options) {
+    const srcBucket = options.srcBucket || this.config.defaultBucket;
+    const destBucket = options.destBucket || this.config.defaultBucket;
+    const object = await this.stat(srcKey, {
+      bucketName: srcBucket,
+      region: options.region,
+      cache: false,
+      timeout: options.timeout,
+    });
+
+    const url = await this.getDownloadUrl(srcKey, {
+      bucketName: srcBucket,
+      region: options.region,
+      timeout: options.timeout,
+    });
+    const { stream, response } = await this.openDownloadStream(url, 0, undefined, {
+      checksum: 'md5',
+      timeout: options.timeout,
+    });
+    const { headers } = response;
+    const size = Number(headers['content-length'] ?? object.size);
+
+    let result;
+    try {
+      result = await this.uploadLarge(destKey, stream, {
+        bucketName: destBucket,
+        region: options.region,
+        size,
+        visibility: options.visibility,
+        contentType: headers['content-type'] || object.contentType,
+        cacheControl: object.cacheControl,
+        contentDisposition: object.contentDisposition,
+        contentEncoding: object.contentEncoding,
+        metadata: object.metadata,
+        checksum: 'md5',
+        signal: options.signal,
+        timeout: options.timeout,
+      });
+    } finally {
+      // Releases the connection when the upload failed before reading everything
+      stream.destroy();
+      response.data.destroy();
+    }
+
+    return {
+      srcKey,
+      destKey,
+      srcBucket,
+      destBucket,
+      size,
+      etag: normalizeEtag(result && (result.ETag || result.etag)),
+    };
   }
 
   /**
@@ -278,29 +1202,42 @@ class ApexxCloud {
    * @param {string} [options.bucketName] - Bucket name
    * @param {string} [options.region] - Region
    * @param {number} options.totalParts - Total number of parts
-   * @param {string} [options.mimeType="application/octet-stream"] - File MIME type
+   * @param {string} [options.mimeType] - File MIME type (defaults to the type of the key's
+   *   extension, then to "application/octet-stream")
    * @param {string} [options.visibility="public"] - File visibility
+   * @param {string} [options.cacheControl] - Cache-Control header to serve the file with
+   * @param {string|{type?: string, filename?: string}} [options.contentDisposition] -
+   *   Content-Disposition header, or its type and filename
+   * @param {string} [options.contentEncoding] - Content-Encoding of the data, e.g. "gzip"
+   * @param {Object<string, string>} [options.metadata] - User metadata
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
    * @returns {Promise<Object>} Multipart upload initialization response
-   * @throws {Error} When required parameters are missing
+   * @throws {ValidationError} When required parameters are missing or a header is invalid
    */
   async startMultipartUpload(key, options = {}) {
     if (!key) {
-      throw new Error('key is required for multipart upload');
+      throw new ValidationError('key is required for multipart upload', 'key');
     }
     if (!options.totalParts) {
-      throw new Error('totalParts is required for multipart upload');
+      throw new ValidationError('totalParts is required for multipart upload', 'totalParts');
     }
     const queryParams = new URLSearchParams({
       bucket_name: options.bucketName || this.config.defaultBucket,
       region: options.region || this.config.region,
       key: key,
-      mimeType: options.mimeType || 'application/octet-stream',
+      mimeType: options.mimeType || lookupContentType(key) || DEFAULT_CONTENT_TYPE,
       visibility: options.visibility || 'public',
       totalParts: options.totalParts?.toString() || '0',
     });
+    appendObjectHeaders(queryParams, options);
 
     const path = `/api/v1/files/multipart/start?${queryParams.toString()}`;
-    return this.makeRequest('POST', path);
+    return this.makeRequest('POST', path, {
+      operation: 'startMultipartUpload',
+      signal: options.signal,
+      timeout: options.timeout,
+    });
   }
 
   /**
@@ -314,30 +1251,30 @@ class ApexxCloud {
    * @param {string} [options.uploadId] - Upload ID
    * @param {number} [options.partNumber] - Part number
    * @param {string} [options.mimeType] - File MIME type
+   * @param {Function} [options.onProgress] - Called with `{loaded, total, part}` as data is sent
+   * @param {AbortSignal} [options.signal] - Cancels the part upload
+   * @param {boolean|string} [options.checksum] - Compute a checksum while the part streams
+   *   (true or "md5", or "sha256") and check it against the part's ETag
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
    * @returns {Promise<Object>} Upload part response
-   * @throws {Error} When required parameters are missing
+   * @throws {ValidationError} When required parameters are missing
+   * @throws {AbortError} When the signal is aborted
+   * @throws {IntegrityError} When the checksum does not match the part's ETag or checksum
    */
   async uploadPart(key, filePart, options = {}) {
     if (!options.uploadId) {
-      throw new Error('uploadId is required for upload part');
+      throw new ValidationError('uploadId is required for upload part', 'uploadId');
     }
     if (!options.partNumber) {
-      throw new Error('partNumber is required for upload part');
+      throw new ValidationError('partNumber is required for upload part', 'partNumber');
     }
     if (!key) {
-      throw new Error('key is required for upload part');
+      throw new ValidationError('key is required for upload part', 'key');
     }
     if (!options.totalParts) {
-      throw new Error('totalParts is required for upload part');
+      throw new ValidationError('totalParts is required for upload part', 'totalParts');
     }
-
-    const form = new FormData();
-
-    form.append('file', filePart, {
-      filename: key,
-      contentType: options.mimeType || 'application/octet-stream',
-      knownLength: filePart.length, // Add the buffer length
-    });
+    const checksum = normalizeChecksum(options.checksum);
 
     const queryParams = new URLSearchParams({
       bucket_name: options.bucketName || this.config.defaultBucket,
@@ -346,13 +1283,33 @@ class ApexxCloud {
       key: key,
       totalParts: options.totalParts,
     });
+    if (checksum) {
+      queryParams.append('checksumAlgorithm', checksum);
+    }
 
     const path = `/api/v1/files/multipart/${options.uploadId}?${queryParams.toString()}`;
 
-    return this.makeRequest('POST', path, {
-      data: form,
-      headers: form.getHeaders(),
-    });
+    // Re-sending a part replaces it, so part uploads are safe to retry
+    return this.sendFormUpload(
+      'POST',
+      path,
+      filePart,
+      {
+        filename: key,
+        contentType: options.mimeType || 'application/octet-stream',
+        onProgress:
+          options.onProgress &&
+          ((progress) => options.onProgress({ ...progress, part: options.partNumber })),
+        checksum,
+      },
+      {
+        operation: 'uploadPart',
+        idempotent: true,
+        signal: options.signal,
+        timeout: options.timeout,
+        maxBodyLength: Infinity,
+      }
+    );
   }
 
   /**
@@ -363,18 +1320,23 @@ class ApexxCloud {
    * @param {string} [options.bucketName] - Bucket name
    * @param {string} [options.region] - Region
    * @param {string} [options.uploadId] - Upload ID
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {boolean} [options.checksum] - Check the object's ETag against the composite
+   *   ETag computed from the part ETags (which `uploadPart` verified with a checksum)
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
    * @returns {Promise<Object>} Complete multipart upload response
-   * @throws {Error} When required parameters are missing
+   * @throws {ValidationError} When required parameters are missing
+   * @throws {IntegrityError} When the object's ETag does not match the parts
    */
   async completeMultipartUpload(key, parts, options = {}) {
     if (!options.uploadId) {
-      throw new Error('uploadId is required for complete multipart upload');
+      throw new ValidationError('uploadId is required for complete multipart upload', 'uploadId');
     }
     if (!Array.isArray(parts)) {
-      throw new Error('parts must be an array of {ETag, PartNumber}');
+      throw new ValidationError('parts must be an array of {ETag, PartNumber}', 'parts');
     }
     if (!key) {
-      throw new Error('key is required for complete multipart upload');
+      throw new ValidationError('key is required for complete multipart upload', 'key');
     }
 
     const queryParams = new URLSearchParams({
@@ -385,9 +1347,36 @@ class ApexxCloud {
 
     const path = `/api/v1/files/multipart/${options.uploadId}/complete?${queryParams.toString()}`;
 
-    return this.makeRequest('POST', path, {
-      data: { parts },
-    });
+    let result;
+    try {
+      result = await this.makeRequest('POST', path, {
+        operation: 'completeMultipartUpload',
+        data: { parts },
+        signal: options.signal,
+        timeout: options.timeout,
+      });
+    } finally {
+      this.forgetStat(key, options);
+    }
+
+    if (options.checksum) {
+      const partEtags = parts
+        .slice()
+        .sort((a, b) => a.PartNumber - b.PartNumber)
+        .map((part) => normalizeEtag(part.ETag));
+      const etag = normalizeEtag(result && result.ETag);
+      // Only plain MD5 part ETags can be combined, and only a multipart ETag compared
+      if (partEtags.every(isContentEtag) && /^[0-9a-f]{32}-\d+$/i.test(etag || '')) {
+        assertChecksum(etag, compositeEtag(partEtags), {
+          method: 'POST',
+          path,
+          algorithm: 'md5',
+          code: 'ETagMismatch',
+          subject: 'Multipart object',
+        });
+      }
+    }
+    return result;
   }
 
   /**
@@ -397,15 +1386,16 @@ class ApexxCloud {
    * @param {string} [options.bucketName] - Bucket name
    * @param {string} [options.region] - Region
    * @param {string} [options.uploadId] - Upload ID
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
    * @returns {Promise<Object>} Cancel multipart upload response
-   * @throws {Error} When required parameters are missing
+   * @throws {ValidationError} When required parameters are missing
    */
   async cancelMultipartUpload(key, options = {}) {
     if (!options.uploadId) {
-      throw new Error('uploadId is required for cancel multipart upload');
+      throw new ValidationError('uploadId is required for cancel multipart upload', 'uploadId');
     }
     if (!key) {
-      throw new Error('key is required for cancel multipart upload');
+      throw new ValidationError('key is required for cancel multipart upload', 'key');
     }
 
     const queryParams = new URLSearchParams({
@@ -415,7 +1405,778 @@ class ApexxCloud {
     });
 
     const path = `/api/v1/files/multipart/${options.uploadId}?${queryParams.toString()}`;
-    return this.makeRequest('DELETE', path);
+    return this.makeRequest('DELETE', path, {
+      operation: 'cancelMultipartUpload',
+      timeout: options.timeout,
+    });
+  }
+
+  /**
+   * Uploads a file of any size, switching to a multipart upload above a size threshold.
+   * Parts are uploaded with bounded concurrency and the multipart upload is cancelled
+   * if any part fails, unless a checkpoint store is given. Aborting the signal always
+   * cancels the multipart upload.
+   * @param {string} key - Object key/path in the bucket
+   * @param {string|Buffer|ReadStream} source - File path, Buffer or Readable stream
+   * @param {Object} [options] - Upload options
+   * @param {string} [options.bucketName] - Target bucket name
+   * @param {string} [options.region] - Target region
+   * @param {string} [options.visibility="public"] - File visibility
+   * @param {string} [options.filename] - Original filename (single-shot uploads)
+   * @param {string} [options.contentType] - File MIME type (defaults to the type of the
+   *   key's extension, then to the type recognised from the data's first bytes)
+   * @param {string} [options.cacheControl] - Cache-Control header to serve the file with
+   * @param {string|Object} [options.contentDisposition] - Content-Disposition header, or
+   *   `{type, filename}`
+   * @param {string} [options.contentEncoding] - Content-Encoding of the data, e.g. "gzip"
+   * @param {Object<string, string>} [options.metadata] - User metadata
+   * @param {number} [options.size] - Byte size of a stream source. Without it, up to
+   *   `multipartThreshold` bytes are buffered to choose the upload type, and larger
+   *   streams are uploaded part by part until they end, limited to 10000 parts
+   * @param {number} [options.partSize=8388608] - Part size in bytes (minimum 5 MiB)
+   * @param {number} [options.multipartThreshold=16777216] - Sizes above this use multipart
+   * @param {number} [options.concurrency=4] - Maximum parts uploaded at once
+   * @param {Object} [options.checkpointStore] - Store that records multipart progress so
+   *   the upload can be finished with `resumeUpload` after a crash (see FileCheckpointStore)
+   * @param {Function} [options.onProgress] - Called with `{loaded, total, part}` as data is
+   *   sent; `loaded` counts bytes across all parts and `part` is the part that progressed
+   * @param {AbortSignal} [options.signal] - Cancels the upload
+   * @param {boolean|string} [options.checksum] - Verify every part (true or "md5", or
+   *   "sha256") and the composite ETag of the completed object
+   * @param {number} [options.timeout] - Socket inactivity timeout for each request
+   * @returns {Promise<Object>} Upload response, or complete multipart upload response
+   * @throws {ValidationError} When required parameters are missing or invalid
+   * @throws {AbortError} When the signal is aborted
+   * @throws {IntegrityError} When a checksum does not match
+   */
+  async uploadLarge(key, source, options = {}) {
+    if (!key) {
+      throw new ValidationError('key is required for upload operation', 'key');
+    }
+    if (!source) {
+      throw new ValidationError('source is required for upload operation', 'source');
+    }
+    if (options.partSize !== undefined && !(options.partSize >= MIN_PART_SIZE)) {
+      throw new ValidationError(`partSize must be at least ${MIN_PART_SIZE} bytes`, 'partSize');
+    }
+    const checksum = normalizeChecksum(options.checksum);
+
+    let input = await resolveSource(source, options.size);
+    const threshold = options.multipartThreshold ?? DEFAULT_MULTIPART_THRESHOLD;
+    const target = {
+      bucketName: options.bucketName,
+      region: options.region,
+    };
+
+    let head;
+    if (input.size === undefined) {
+      // Read just past the threshold: a stream that ends first fits a single upload
+      const peeked = await peekHead(input.stream, threshold + 1);
+      input =
+        peeked.head.length <= threshold
+          ? { buffer: peeked.head, size: peeked.head.length }
+          : { stream: peeked.data, size: undefined };
+      head = peeked.head;
+    }
+
+    if (input.size !== undefined && input.size <= threshold) {
+      return this.uploadFile(key, await readSource(input), {
+        ...target,
+        visibility: options.visibility,
+        filename: options.filename,
+        contentType: options.contentType,
+        ...pickObjectHeaders(options),
+        onProgress: options.onProgress,
+        signal: options.signal,
+        timeout: options.timeout,
+        checksum,
+      });
+    }
+
+    const contentType = await resolveContentType(options.contentType, key, async () =>
+      head ? head.subarray(0, SNIFF_LENGTH) : peekSource(input, SNIFF_LENGTH)
+    );
+
+    // Grow the part size if needed so the upload stays within the part limit. The
+    // part count of an unsized stream is unknown, so the limit is declared instead.
+    let partSize = options.partSize || DEFAULT_PART_SIZE;
+    let totalParts = MAX_PARTS;
+    if (input.size !== undefined) {
+      partSize = Math.max(partSize, Math.ceil(input.size / MAX_PARTS));
+      totalParts = Math.ceil(input.size / partSize);
+    }
+
+    const { uploadId } = await this.startMultipartUpload(key, {
+      ...target,
+      ...pickObjectHeaders(options),
+      totalParts,
+      mimeType: contentType,
+      visibility: options.visibility,
+      signal: options.signal,
+      timeout: options.timeout,
+    });
+
+    const checkpoint = {
+      uploadId,
+      key,
+      bucketName: target.bucketName || this.config.defaultBucket,
+      region: target.region || this.config.region,
+      partSize,
+      totalParts,
+      contentType,
+      source: {
+        path: input.path ? path.resolve(input.path) : input.stream?.path,
+        size: input.size,
+        mtimeMs: input.mtimeMs,
+      },
+      parts: [],
+    };
+
+    return this.uploadRemainingParts(checkpoint, input, options);
+  }
+
+  /**
+   * Resumes a multipart upload started by `uploadLarge` with a checkpoint store.
+   * Parts recorded in the checkpoint are skipped; the rest are uploaded and the
+   * upload is completed.
+   * @param {Object} checkpoint - Checkpoint loaded from a checkpoint store
+   * @param {string|Buffer|ReadStream} [source] - The same source the upload was started
+   *   with (defaults to the file path recorded in the checkpoint)
+   * @param {Object} [options] - Resume options
+   * @param {Object} [options.checkpointStore] - Store to keep updating while parts finish
+   * @param {number} [options.concurrency=4] - Maximum parts uploaded at once
+   * @param {Function} [options.onProgress] - Called with `{loaded, total, part}`; bytes of
+   *   parts uploaded before the resume count as loaded
+   * @param {AbortSignal} [options.signal] - Cancels the upload, including on the server
+   * @param {boolean|string} [options.checksum] - Verify the remaining parts and the object
+   * @returns {Promise<Object>} Complete multipart upload response
+   * @throws {ValidationError} When the checkpoint is invalid or the source has changed since it was written
+   * @throws {AbortError} When the signal is aborted
+   */
+  async resumeUpload(checkpoint, source, options = {}) {
+    if (!checkpoint || !checkpoint.uploadId || !checkpoint.key) {
+      throw new ValidationError(
+        'checkpoint with uploadId and key is required to resume an upload',
+        'checkpoint'
+      );
+    }
+    if (!checkpoint.partSize || !checkpoint.totalParts || !Array.isArray(checkpoint.parts)) {
+      throw new ValidationError(
+        'checkpoint must include partSize, totalParts and parts',
+        'checkpoint'
+      );
+    }
+
+    const expected = checkpoint.source || {};
+    const input = await resolveSource(source || expected.path, expected.size);
+    if (input.size !== expected.size) {
+      throw new ValidationError(
+        `Cannot resume upload: source size is ${input.size} bytes, checkpoint expects ${expected.size}`,
+        'source'
+      );
+    }
+    if (expected.mtimeMs !== undefined && input.mtimeMs !== expected.mtimeMs) {
+      throw new ValidationError(
+        'Cannot resume upload: source has been modified since the checkpoint',
+        'source'
+      );
+    }
+
+    return this.uploadRemainingParts(
+      { ...checkpoint, parts: checkpoint.parts.slice() },
+      input,
+      options
+    );
+  }
+
+  /**
+   * Uploads every part not yet recorded in the checkpoint and completes the upload.
+   * With a checkpoint store, progress is saved after each part and a failed upload
+   * is left open so it can be resumed; without one, it is cancelled. An aborted
+   * upload is always cancelled and its checkpoint removed.
+   * @private
+   * @param {Object} checkpoint - Multipart upload state, updated as parts finish
+   * @param {Object} input - Resolved upload source
+   * @param {Object} options - Upload options
+   * @returns {Promise<Object>} Complete multipart upload response
+   */
+  async uploadRemainingParts(checkpoint, input, options) {
+    const { key, uploadId, partSize, totalParts } = checkpoint;
+    const target = { bucketName: checkpoint.bucketName, region: checkpoint.region };
+    const { onProgress, signal } = options;
+    const checksum = normalizeChecksum(options.checksum);
+    const store = options.checkpointStore;
+
+    // Bytes of finished parts, plus the progress of the parts still in flight
+    const partLength = (partNumber) =>
+      input.size === undefined
+        ? partSize
+        : Math.min(partSize, input.size - (partNumber - 1) * partSize);
+    let uploaded = checkpoint.parts.reduce((sum, part) => sum + partLength(part.PartNumber), 0);
+    const inFlight = new Map();
+    const report = (part) => {
+      let loaded = uploaded;
+      for (const bytes of inFlight.values()) {
+        loaded += bytes;
+      }
+      onProgress({ loaded, total: input.size, part });
+    };
+
+    // Saves are chained so a store never sees an older snapshot after a newer one
+    let saving = Promise.resolve();
+    const persist = () => {
+      if (store) {
+        const snapshot = { ...checkpoint, parts: checkpoint.parts.slice() };
+        saving = saving.then(() => store.save(snapshot));
+      }
+      return saving;
+    };
+
+    try {
+      await persist();
+
+      const done = new Set(checkpoint.parts.map((part) => part.PartNumber));
+      await runPool(
+        iterateParts(input, partSize, done),
+        options.concurrency || DEFAULT_UPLOAD_CONCURRENCY,
+        async ({ partNumber, body }) => {
+          if (partNumber > totalParts) {
+            throw new ValidationError(
+              `Stream is larger than ${totalParts} parts of ${partSize} bytes; ` +
+                'pass its size or a larger partSize',
+              'size'
+            );
+          }
+          const result = await this.uploadPart(key, body, {
+            ...target,
+            uploadId,
+            partNumber,
+            totalParts,
+            mimeType: checkpoint.contentType,
+            signal,
+            timeout: options.timeout,
+            checksum,
+            onProgress:
+              onProgress &&
+              (({ loaded }) => {
+                inFlight.set(partNumber, loaded);
+                report(partNumber);
+              }),
+          });
+          inFlight.delete(partNumber);
+          uploaded += body.length;
+          checkpoint.parts.push({ ETag: result.ETag, PartNumber: partNumber });
+          await persist();
+        }
+      );
+
+      const parts = checkpoint.parts.slice().sort((a, b) => a.PartNumber - b.PartNumber);
+      const result = await this.completeMultipartUpload(key, parts, {
+        ...target,
+        uploadId,
+        signal,
+        timeout: options.timeout,
+        checksum: Boolean(checksum),
+      });
+      if (store) {
+        await store.remove(key, checkpoint.bucketName);
+      }
+      return result;
+    } catch (error) {
+      const aborted = error instanceof AbortError;
+      if (!store || aborted) {
+        await this.cancelMultipartUpload(key, { ...target, uploadId }).catch(() => {});
+      }
+      if (store && aborted) {
+        // Let pending saves land first so they cannot recreate the checkpoint
+        await saving.catch(() => {});
+        await store.remove(key, checkpoint.bucketName).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a Writable that uploads everything written to it, for data generated
+   * on the fly (exports, archives, compressed streams). Parts are uploaded as
+   * they fill, with backpressure while `concurrency` parts are in flight; data
+   * smaller than one part is sent with a single upload. Use it with
+   * `stream.pipeline`; the upload response is on the stream's `result` property
+   * once it finishes, and a stream error cancels the multipart upload.
+   * @param {string} key - Object key/path in the bucket
+   * @param {Object} [options] - Upload options
+   * @param {string} [options.bucketName] - Target bucket name
+   * @param {string} [options.region] - Target region
+   * @param {string} [options.visibility="public"] - File visibility
+   * @param {string} [options.filename] - Original filename (single-shot uploads)
+   * @param {string} [options.contentType] - File MIME type (defaults to the type of the
+   *   key's extension, then to the type recognised from the data's first bytes)
+   * @param {string} [options.cacheControl] - Cache-Control header to serve the file with
+   * @param {string|Object} [options.contentDisposition] - Content-Disposition header, or
+   *   `{type, filename}`
+   * @param {string} [options.contentEncoding] - Content-Encoding of the data, e.g. "gzip"
+   * @param {Object<string, string>} [options.metadata] - User metadata
+   * @param {number} [options.size] - Expected byte size, when known; sets the exact part
+   *   count and grows the part size as needed for large streams
+   * @param {number} [options.partSize=8388608] - Part size in bytes (minimum 5 MiB); without
+   *   `size`, streams are limited to 10000 parts of this size
+   * @param {number} [options.concurrency=4] - Maximum parts uploaded at once
+   * @param {Function} [options.onProgress] - Called with `{loaded, total, part}` as data is
+   *   sent; `total` is only set when `size` is given
+   * @param {AbortSignal} [options.signal] - Destroys the stream and cancels the upload
+   * @param {boolean|string} [options.checksum] - Verify every part (true or "md5", or
+   *   "sha256") and the composite ETag of the completed object
+   * @param {number} [options.timeout] - Socket inactivity timeout for each request
+   * @returns {import('stream').Writable} Upload stream
+   * @throws {ValidationError} When required parameters are missing or invalid
+   */
+  createWriteStream(key, options = {}) {
+    if (!key) {
+      throw new ValidationError('key is required for upload operation', 'key');
+    }
+    if (options.partSize !== undefined && !(options.partSize >= MIN_PART_SIZE)) {
+      throw new ValidationError(`partSize must be at least ${MIN_PART_SIZE} bytes`, 'partSize');
+    }
+    if (options.size !== undefined && !(Number.isInteger(options.size) && options.size >= 0)) {
+      throw new ValidationError('size must be a non-negative integer', 'size');
+    }
+    // Check the headers now rather than after data has been written
+    appendObjectHeaders(new URLSearchParams(), options);
+
+    let partSize = options.partSize || DEFAULT_PART_SIZE;
+    let totalParts = MAX_PARTS;
+    if (options.size !== undefined) {
+      partSize = Math.max(partSize, Math.ceil(options.size / MAX_PARTS));
+      totalParts = Math.max(1, Math.ceil(options.size / partSize));
+    }
+
+    return new UploadStream(this, key, {
+      ...options,
+      checksum: normalizeChecksum(options.checksum),
+      partSize,
+      totalParts,
+      concurrency: options.concurrency || DEFAULT_UPLOAD_CONCURRENCY,
+    });
+  }
+
+  /**
+   * Downloads an object as a stream. A connection dropped mid-download is
+   * resumed from the last byte received, within the client's retry policy.
+   * @param {string} key - Object key
+   * @param {Object} [options] - Download options
+   * @param {string} [options.bucketName] - Bucket name
+   * @param {string} [options.region] - Region
+   * @param {{start?: number, end?: number}} [options.range] - Byte range to fetch (inclusive)
+   * @param {boolean} [options.verifyEtag] - Check the data against the object's ETag when
+   *   the stream ends (whole objects only; multipart ETags cannot be checked)
+   * @param {boolean|string} [options.checksum] - Check the data when the stream ends: true or
+   *   "md5" against the ETag (like verifyEtag), "sha256" against the X-Checksum-SHA256 header
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
+   * @returns {Promise<Readable>} Object data; the stream errors with an IntegrityError on a
+   *   checksum mismatch
+   * @throws {ValidationError} When required parameters are missing or invalid
+   */
+  async download(key, options = {}) {
+    if (!key) {
+      throw new ValidationError('key is required for download operation', 'key');
+    }
+    const checksum = downloadChecksum(options);
+    if (checksum && options.range) {
+      throw new ValidationError('checksum cannot be combined with range', 'checksum');
+    }
+    const { start, end } = normalizeRange(options.range);
+
+    const url = await this.getDownloadUrl(key, options);
+    const { stream } = await this.openDownloadStream(url, start, end, {
+      checksum,
+      timeout: options.timeout,
+    });
+    return stream;
+  }
+
+  /**
+   * Downloads an object to a local file. Data is written to `<filePath>.partial`
+   * and renamed into place once complete, so `filePath` never holds a partial
+   * object. A `.partial` file left by an interrupted download is resumed.
+   * @param {string} key - Object key
+   * @param {string} filePath - Destination file path
+   * @param {Object} [options] - Download options
+   * @param {string} [options.bucketName] - Bucket name
+   * @param {string} [options.region] - Region
+   * @param {boolean} [options.resume=true] - Continue from an existing `.partial` file
+   * @param {boolean} [options.verifyEtag] - Check the file against the object's ETag
+   *   before renaming it (multipart ETags cannot be checked)
+   * @param {boolean|string} [options.checksum] - Check the file before renaming it: true or
+   *   "md5" against the ETag (like verifyEtag), "sha256" against the X-Checksum-SHA256 header
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
+   * @returns {Promise<{path: string, size: number, etag: string}>} Downloaded file details
+   * @throws {ValidationError} When required parameters are missing
+   * @throws {IntegrityError} When the file does not match; the partial file is removed
+   */
+  async downloadToFile(key, filePath, options = {}) {
+    if (!key) {
+      throw new ValidationError('key is required for download operation', 'key');
+    }
+    if (!filePath) {
+      throw new ValidationError('filePath is required for download operation', 'filePath');
+    }
+
+    const checksum = downloadChecksum(options);
+    const partial = `${filePath}.partial`;
+    // ETag of the object version the partial file holds; without it the partial file
+    // cannot be trusted and is downloaded again
+    const partialEtag = `${partial}.etag`;
+    const url = await this.getDownloadUrl(key, options);
+
+    let offset = 0;
+    let etag;
+    if (options.resume !== false) {
+      etag = await fs.promises.readFile(partialEtag, 'utf8').then(
+        (value) => value.trim() || undefined,
+        () => undefined
+      );
+      offset = etag
+        ? await fs.promises.stat(partial).then(
+            (stat) => stat.size,
+            () => 0
+          )
+        : 0;
+    }
+
+    let download;
+    try {
+      download = await this.openDownloadStream(url, offset, undefined, {
+        ifRange: offset ? etag : undefined,
+        timeout: options.timeout,
+      });
+    } catch (error) {
+      // A 416 means the partial file is as long as (or longer than) the object: start over
+      if (!offset || error.status !== 416) {
+        throw error;
+      }
+      offset = 0;
+      download = await this.openDownloadStream(url, 0, undefined, { timeout: options.timeout });
+    }
+
+    // A 200 instead of a 206 means the object changed since the partial file was written
+    // (If-Range did not match), and the whole object is coming
+    const append = offset > 0 && download.response.status === 206;
+    await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    if (!append) {
+      await fs.promises.unlink(partialEtag).catch(() => {});
+      if (download.response.headers.etag) {
+        await fs.promises.writeFile(partialEtag, download.response.headers.etag);
+      }
+    }
+    await pipeline(download.stream, fs.createWriteStream(partial, { flags: append ? 'a' : 'w' }));
+
+    const expected = checksum && expectedDownloadDigest(checksum, download.response.headers);
+    if (expected) {
+      try {
+        assertChecksum(expected, await hashFile(partial, checksum), {
+          ...download.request,
+          algorithm: checksum,
+          code: checksum === 'md5' ? 'ETagMismatch' : 'ChecksumMismatch',
+          subject: 'Downloaded file',
+        });
+      } catch (error) {
+        await fs.promises.unlink(partial).catch(() => {});
+        await fs.promises.unlink(partialEtag).catch(() => {});
+        throw error;
+      }
+    }
+
+    await fs.promises.rename(partial, filePath);
+    await fs.promises.unlink(partialEtag).catch(() => {});
+    const { size } = await fs.promises.stat(filePath);
+    return { path: filePath, size, etag: download.etag };
+  }
+
+  /**
+   * Gets a signed download URL for an object
+   * @private
+   * @param {string} key - Object key
+   * @param {Object} options - Download options
+   * @returns {Promise<string>} Signed URL
+   */
+  async getDownloadUrl(key, options) {
+    const result = await this.generateSignedUrl('download', {
+      key,
+      bucketName: options.bucketName,
+      region: options.region,
+      remote: true,
+      timeout: options.timeout,
+    });
+    const url = typeof result === 'string' ? result : result && (result.url || result.signedUrl);
+    if (!url) {
+      throw new ApexxCloudError('Signed URL response did not include a URL', { body: result });
+    }
+    return url;
+  }
+
+  /**
+   * Opens a download and wraps the body in a stream that transparently
+   * re-requests the remaining bytes if the connection drops. Resumed requests
+   * send `If-Match` with the original ETag so a changed object is not spliced in,
+   * and must be answered with the requested range.
+   * @private
+   * @param {string} url - Signed download URL
+   * @param {number} start - First byte to fetch
+   * @param {number} [end] - Last byte to fetch (inclusive)
+   * @param {Object} [options] - Stream options
+   * @param {'md5'|'sha256'} [options.checksum] - Check the streamed data against the ETag
+   *   or the X-Checksum-SHA256 header
+   * @param {string} [options.ifRange] - ETag sent as If-Range; the whole object is then
+   *   accepted (with a 200) in place of the range when the object has changed
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
+   * @returns {Promise<{stream: Readable, response: Object, etag: string, request: Object}>}
+   * @throws {IntegrityError} When the service answers a range request with other data
+   */
+  async openDownloadStream(url, start, end, options = {}) {
+    const { checksum } = options;
+    const { pathname, searchParams } = new URL(url);
+    const request = {
+      method: 'GET',
+      path: pathname,
+      operation: 'download',
+      bucket: searchParams.get('bucket_name') || undefined,
+      key: searchParams.get('key') || undefined,
+    };
+    const policy = this.config.retry;
+
+    const open = (offset, ifMatch) =>
+      this.withRetry(request, policy.maxAttempts, undefined, (attempt, event) => {
+        const headers = { 'X-Request-Id': event.requestId };
+        const range = formatRange(offset, end);
+        if (range) headers.Range = range;
+        if (ifMatch) headers['If-Match'] = ifMatch;
+        if (range && options.ifRange && !ifMatch) headers['If-Range'] = options.ifRange;
+
+        return this.http
+          .request({
+            method: 'GET',
+            url,
+            headers,
+            responseType: 'stream',
+            // Keep Content-Encoding: gzip objects as stored, so checksums and resumed ranges match
+            decompress: false,
+            ...(options.timeout !== undefined && { timeout: options.timeout }),
+          })
+          .catch(async (error) => {
+            throw await bufferErrorBody(error);
+          });
+      });
+
+    // A server that ignores Range sends the object from byte 0, which must never be
+    // appended to data already received
+    const assertRange = (current, offset) => {
+      if (!formatRange(offset, end) || isRangeResponse(current, offset)) {
+        return;
+      }
+      current.data.destroy();
+      throw new IntegrityError(`Download was not resumed at byte ${offset}`, {
+        ...request,
+        status: current.status,
+        code: 'RangeMismatch',
+        expected: `bytes ${offset}-`,
+        actual: current.headers['content-range'],
+      });
+    };
+
+    const response = await open(start);
+    if (!(options.ifRange && response.status === 200)) {
+      assertRange(response, start);
+    }
+    const rawEtag = response.headers.etag;
+    const etag = normalizeEtag(rawEtag);
+    const expected = checksum && expectedDownloadDigest(checksum, response.headers);
+    const hash = expected ? crypto.createHash(checksum) : null;
+    const client = this;
+
+    async function* body() {
+      let current = response;
+      let offset = start;
+      for (let attempt = 1; ; attempt++) {
+        try {
+          for await (const chunk of current.data) {
+            offset += chunk.length;
+            if (hash) hash.update(chunk);
+            yield chunk;
+          }
+          break;
+        } catch (error) {
+          if (attempt >= policy.maxAttempts) {
+            throw client.handleError(error, request);
+          }
+          await sleep(retryDelay(policy, attempt, error));
+          current = await open(offset, rawEtag);
+          assertRange(current, offset);
+        }
+      }
+
+      if (hash) {
+        assertChecksum(expected, hash.digest('hex'), {
+          ...request,
+          algorithm: checksum,
+          code: checksum === 'md5' ? 'ETagMismatch' : 'ChecksumMismatch',
+          subject: 'Downloaded data',
+        });
+      }
+    }
+
+    return { stream: Readable.from(body(), { objectMode: false }), response, etag, request };
+  }
+
+  /**
+   * Prepares a multipart upload that a browser can perform on its own. The upload is
+   * started here; the returned plan is JSON-serializable and holds a signed URL for
+   * every part (in order), plus URLs to complete or cancel the upload.
+   * @param {string} key - Object key
+   * @param {Object} options - Plan options
+   * @param {number} options.size - Size of the file in bytes
+   * @param {string} [options.bucketName] - Bucket name
+   * @param {string} [options.region] - Region
+   * @param {string} [options.mimeType] - File MIME type (defaults to the type of the key's
+   *   extension, then to "application/octet-stream")
+   * @param {number} [options.partSize=8388608] - Part size in bytes (minimum 5 MiB)
+   * @param {string} [options.visibility="public"] - File visibility
+   * @param {string} [options.cacheControl] - Cache-Control header to serve the file with
+   * @param {string|Object} [options.contentDisposition] - Content-Disposition header
+   * @param {string} [options.contentEncoding] - Content-Encoding of the data
+   * @param {Object<string, string>} [options.metadata] - User metadata
+   * @param {number} [options.expiresIn=3600] - Lifetime of the signed URLs in seconds
+   * @returns {Promise<Object>} Upload plan
+   * @throws {ValidationError} When required parameters are missing or invalid
+   */
+  async createUploadPlan(key, options = {}) {
+    if (!key) {
+      throw new ValidationError('key is required for upload plan', 'key');
+    }
+    if (!Number.isInteger(options.size) || options.size <= 0) {
+      throw new ValidationError('size must be a positive integer', 'size');
+    }
+    if (options.partSize !== undefined && !(options.partSize >= MIN_PART_SIZE)) {
+      throw new ValidationError(`partSize must be at least ${MIN_PART_SIZE} bytes`, 'partSize');
+    }
+
+    const partSize = options.partSize || DEFAULT_PART_SIZE;
+    const totalParts = Math.ceil(options.size / partSize);
+    if (totalParts > MAX_PARTS) {
+      throw new ValidationError(
+        `size needs ${totalParts} parts of ${partSize} bytes; the limit is ${MAX_PARTS}`,
+        'partSize'
+      );
+    }
+
+    const mimeType = options.mimeType || lookupContentType(key) || DEFAULT_CONTENT_TYPE;
+    const expiresIn = options.expiresIn || 3600;
+    const target = {
+      key,
+      bucketName: options.bucketName || this.config.defaultBucket,
+      region: options.region || this.config.region,
+    };
+
+    const { uploadId } = await this.startMultipartUpload(key, {
+      ...target,
+      ...pickObjectHeaders(options),
+      totalParts,
+      mimeType,
+      visibility: options.visibility,
+    });
+
+    const parts = [];
+    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+      const offset = (partNumber - 1) * partSize;
+      parts.push({
+        partNumber,
+        offset,
+        length: Math.min(partSize, options.size - offset),
+        method: 'POST',
+        url: await this.generateSignedUrl('uploadpart', {
+          ...target,
+          uploadId,
+          partNumber,
+          totalParts,
+          expiresIn,
+        }),
+      });
+    }
+
+    return {
+      uploadId,
+      ...target,
+      size: options.size,
+      mimeType,
+      partSize,
+      totalParts,
+      fieldName: 'file',
+      expiresAt: new Date(this.clock.now().getTime() + expiresIn * 1000).toISOString(),
+      parts,
+      complete: {
+        method: 'POST',
+        url: await this.generateSignedUrl('completemultipart', { ...target, uploadId, expiresIn }),
+      },
+      cancel: {
+        method: 'DELETE',
+        url: await this.generateSignedUrl('cancelmultipart', { ...target, uploadId, expiresIn }),
+      },
+    };
+  }
+
+  /**
+   * Completes an upload made from a plan, after checking that the browser
+   * reported exactly one ETag for every part
+   * @param {Object} plan - Plan returned by `createUploadPlan`
+   * @param {Array<string|{ETag: string, PartNumber: number}>} parts - ETags in part order,
+   *   or `{ETag, PartNumber}` entries in any order
+   * @returns {Promise<Object>} Complete multipart upload response
+   * @throws {ValidationError} When the plan or the reported parts are invalid
+   */
+  async finalizeUploadPlan(plan, parts) {
+    if (!plan || !plan.uploadId || !plan.key || !plan.totalParts) {
+      throw new ValidationError('plan with uploadId, key and totalParts is required', 'plan');
+    }
+    if (!Array.isArray(parts)) {
+      throw new ValidationError('parts must be an array of ETags', 'parts');
+    }
+
+    const normalized = parts.map((part, index) =>
+      typeof part === 'string'
+        ? { ETag: part, PartNumber: index + 1 }
+        : { ETag: part && part.ETag, PartNumber: part && part.PartNumber }
+    );
+
+    const seen = new Set();
+    for (const part of normalized) {
+      if (
+        !Number.isInteger(part.PartNumber) ||
+        part.PartNumber < 1 ||
+        part.PartNumber > plan.totalParts
+      ) {
+        throw new ValidationError(`Invalid part number ${part.PartNumber}`, 'parts');
+      }
+      if (seen.has(part.PartNumber)) {
+        throw new ValidationError(`Part ${part.PartNumber} was reported twice`, 'parts');
+      }
+      if (typeof part.ETag !== 'string' || !/^"?[\w-]+"?$/.test(part.ETag)) {
+        throw new ValidationError(`Part ${part.PartNumber} has an invalid ETag`, 'parts');
+      }
+      seen.add(part.PartNumber);
+    }
+    if (seen.size !== plan.totalParts) {
+      const missing = [];
+      for (let partNumber = 1; partNumber <= plan.totalParts; partNumber++) {
+        if (!seen.has(partNumber)) missing.push(partNumber);
+      }
+      throw new ValidationError(`Missing ETags for parts ${missing.join(', ')}`, 'parts');
+    }
+
+    normalized.sort((a, b) => a.PartNumber - b.PartNumber);
+    return this.completeMultipartUpload(plan.key, normalized, {
+      uploadId: plan.uploadId,
+      bucketName: plan.bucketName,
+      region: plan.region,
+    });
   }
 
   /**
@@ -426,6 +2187,7 @@ class ApexxCloud {
    * @param {string} [options.prefix=""] - Filter results by prefix
    * @param {number} [options.page=1] - Page number
    * @param {number} [options.limit=20] - Results per page
+   * @param {number} [options.timeout] - Socket inactivity timeout in milliseconds
    * @returns {Promise<Object>} Bucket contents
    */
   async getBucketContents(options = {}) {
@@ -438,7 +2200,279 @@ class ApexxCloud {
     });
 
     const path = `/api/v1/files/contents?${queryParams.toString()}`;
-    return this.makeRequest('GET', path);
+    return this.makeRequest('GET', path, { operation: 'listContents', timeout: options.timeout });
+  }
+
+  /**
+   * Lists every object in a bucket, fetching pages as the iterator is consumed.
+   * Breaking out of a `for await` loop stops further page requests.
+   * @param {Object} [options] - Listing options
+   * @param {string} [options.bucketName] - Bucket name
+   * @param {string} [options.region] - Region
+   * @param {string} [options.prefix=""] - Filter results by prefix
+   * @param {number} [options.limit=100] - Results per page request
+   * @param {number} [options.maxItems] - Stop after this many objects
+   * @returns {AsyncGenerator<Object>} Objects with key, size, lastModified and etag
+   */
+  async *listObjects(options = {}) {
+    const { maxItems, ...listOptions } = options;
+    const limit = options.limit || DEFAULT_LIST_PAGE_SIZE;
+    let yielded = 0;
+
+    for (let page = 1; ; page++) {
+      const result = await this.getBucketContents({ ...listOptions, page, limit });
+      const contents = result.contents || [];
+
+      for (const item of contents) {
+        if (maxItems !== undefined && yielded >= maxItems) {
+          return;
+        }
+        yielded++;
+        yield item;
+      }
+
+      if (!contents.length || page >= (result.totalPages || 0)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Lists the direct children of a prefix, grouping deeper keys into folders
+   * the way a file browser would show them
+   * @param {string} [prefix=""] - Folder to list, normally ending with the delimiter
+   * @param {Object} [options] - Listing options
+   * @param {string} [options.bucketName] - Bucket name
+   * @param {string} [options.region] - Region
+   * @param {string} [options.delimiter="/"] - Character that separates folder names
+   * @returns {Promise<{prefix: string, folders: string[], files: Object[]}>} Common prefixes
+   *   (each ending with the delimiter) and the objects directly under `prefix`
+   * @throws {ValidationError} When delimiter is empty
+   */
+  async listFolders(prefix = '', options = {}) {
+    const delimiter = options.delimiter ?? '/';
+    if (typeof delimiter !== 'string' || !delimiter) {
+      throw new ValidationError('delimiter must be a non-empty string', 'delimiter');
+    }
+
+    const folders = new Set();
+    const files = [];
+
+    for await (const item of this.listObjects({
+      bucketName: options.bucketName,
+      region: options.region,
+      prefix,
+    })) {
+      if (!item.key.startsWith(prefix)) {
+        continue;
+      }
+      const rest = item.key.slice(prefix.length);
+      const index = rest.indexOf(delimiter);
+      if (index === -1) {
+        files.push(item);
+      } else {
+        folders.add(prefix + rest.slice(0, index + delimiter.length));
+      }
+    }
+
+    return { prefix, folders: [...folders].sort(), files };
+  }
+
+  /**
+   * Uploads the files in a local directory that are missing or changed under a key prefix.
+   * Files are compared by size, then by MD5 against the ETag when possible, and otherwise
+   * by modification time.
+   * @param {string} localDir - Directory to upload from
+   * @param {string} prefix - Key prefix to upload to (a trailing "/" is added if missing)
+   * @param {Object} [options] - Sync options
+   * @param {string} [options.bucketName] - Bucket name
+   * @param {string} [options.region] - Region
+   * @param {string} [options.visibility="public"] - Visibility of uploaded files
+   * @param {string|string[]} [options.include] - Only sync relative paths matching these globs
+   * @param {string|string[]} [options.exclude] - Skip relative paths matching these globs
+   * @param {boolean} [options.deleteExtraneous=false] - Delete remote objects with no local file
+   * @param {boolean} [options.dryRun=false] - Only return the plan, change nothing
+   * @param {boolean} [options.purge=false] - Purge overwritten and deleted keys from the CDN
+   * @param {number} [options.concurrency=4] - Maximum operations run at once
+   * @returns {Promise<{dryRun: boolean, changes: Object[], purged: string[]}>} The changes made
+   *   (or planned) and the keys purged (or to be purged)
+   * @throws {ValidationError} When localDir is missing
+   */
+  async syncUp(localDir, prefix, options = {}) {
+    if (!localDir) {
+      throw new ValidationError('localDir is required for sync operation', 'localDir');
+    }
+
+    const root = normalizeSyncPrefix(prefix);
+    const target = { bucketName: options.bucketName, region: options.region };
+    const concurrency = options.concurrency || DEFAULT_UPLOAD_CONCURRENCY;
+    const filter = createPathFilter(options);
+
+    const localFiles = (await walkDirectory(localDir)).filter((file) => filter(file.relativePath));
+    const remote = await this.listSyncObjects(root, filter, target);
+
+    const uploads = await runPool(localFiles, concurrency, async (file) => {
+      const object = remote.get(file.relativePath);
+      remote.delete(file.relativePath);
+      const reason = await syncReason(file, object, 'up');
+      return (
+        reason && {
+          action: 'upload',
+          key: root + file.relativePath,
+          path: file.path,
+          size: file.size,
+          reason,
+        }
+      );
+    });
+
+    const changes = uploads.filter(Boolean);
+    if (options.deleteExtraneous) {
+      for (const object of remote.values()) {
+        changes.push({
+          action: 'delete',
+          key: object.key,
+          size: object.size,
+          reason: 'extraneous',
+        });
+      }
+    }
+
+    // New keys have nothing cached yet; everything else may be stale on the CDN
+    const purged = options.purge
+      ? changes.filter((change) => change.reason !== 'new').map((change) => change.key)
+      : [];
+
+    if (options.dryRun) {
+      return { dryRun: true, changes, purged };
+    }
+
+    await runPool(changes, concurrency, (change) =>
+      change.action === 'upload'
+        ? this.uploadLarge(change.key, change.path, { ...target, visibility: options.visibility })
+        : this.deleteFile(change.key, target)
+    );
+    await runPool(purged, concurrency, (key) => this.purgeFile(key, target));
+
+    return { dryRun: false, changes, purged };
+  }
+
+  /**
+   * Downloads the objects under a key prefix that are missing or changed in a local directory.
+   * Files are compared the same way as in `syncUp`, and downloaded files get the object's
+   * last-modified time.
+   * @param {string} prefix - Key prefix to download from (a trailing "/" is added if missing)
+   * @param {string} localDir - Directory to download into
+   * @param {Object} [options] - Sync options
+   * @param {string} [options.bucketName] - Bucket name
+   * @param {string} [options.region] - Region
+   * @param {string|string[]} [options.include] - Only sync relative paths matching these globs
+   * @param {string|string[]} [options.exclude] - Skip relative paths matching these globs
+   * @param {boolean} [options.deleteExtraneous=false] - Delete local files with no remote object
+   * @param {boolean} [options.dryRun=false] - Only return the plan, change nothing
+   * @param {number} [options.concurrency=4] - Maximum operations run at once
+   * @returns {Promise<{dryRun: boolean, changes: Object[]}>} The changes made (or planned)
+   * @throws {ValidationError} When localDir is missing
+   */
+  async syncDown(prefix, localDir, options = {}) {
+    if (!localDir) {
+      throw new ValidationError('localDir is required for sync operation', 'localDir');
+    }
+
+    const root = normalizeSyncPrefix(prefix);
+    const target = { bucketName: options.bucketName, region: options.region };
+    const concurrency = options.concurrency || DEFAULT_UPLOAD_CONCURRENCY;
+    const filter = createPathFilter(options);
+
+    const localFiles = new Map();
+    const exists = await fs.promises.stat(localDir).then(
+      (stat) => stat.isDirectory(),
+      () => false
+    );
+    if (exists) {
+      for (const file of await walkDirectory(localDir)) {
+        if (filter(file.relativePath)) {
+          localFiles.set(file.relativePath, file);
+        }
+      }
+    }
+
+    const remote = await this.listSyncObjects(root, filter, target);
+    const downloads = await runPool(remote, concurrency, async ([relativePath, object]) => {
+      const filePath = resolveLocalPath(localDir, relativePath);
+      if (!filePath) {
+        return null;
+      }
+      const file = localFiles.get(relativePath);
+      localFiles.delete(relativePath);
+      const reason = await syncReason(file, object, 'down');
+      return (
+        reason && {
+          action: 'download',
+          key: object.key,
+          path: filePath,
+          size: object.size,
+          lastModified: object.lastModified,
+          reason,
+        }
+      );
+    });
+
+    const changes = downloads.filter(Boolean);
+    if (options.deleteExtraneous) {
+      for (const file of localFiles.values()) {
+        changes.push({
+          action: 'delete',
+          key: root + file.relativePath,
+          path: file.path,
+          size: file.size,
+          reason: 'extraneous',
+        });
+      }
+    }
+
+    if (options.dryRun) {
+      return { dryRun: true, changes };
+    }
+
+    await runPool(changes, concurrency, async (change) => {
+      if (change.action === 'delete') {
+        await fs.promises.unlink(change.path);
+        return;
+      }
+      await this.downloadToFile(change.key, change.path, { ...target, resume: false });
+      const modified = new Date(change.lastModified);
+      if (!Number.isNaN(modified.getTime())) {
+        await fs.promises.utimes(change.path, modified, modified);
+      }
+    });
+
+    return { dryRun: false, changes };
+  }
+
+  /**
+   * Lists the objects under a sync prefix, keyed by path relative to it
+   * @private
+   * @param {string} root - Normalised sync prefix
+   * @param {(relativePath: string) => boolean} filter - Include/exclude filter
+   * @param {Object} target - Bucket name and region
+   * @returns {Promise<Map<string, Object>>} Objects by relative path
+   */
+  async listSyncObjects(root, filter, target) {
+    const objects = new Map();
+    for await (const object of this.listObjects({ ...target, prefix: root })) {
+      const relativePath = object.key.slice(root.length);
+      // Keys ending in "/" are folder placeholders, not files
+      if (
+        object.key.startsWith(root) &&
+        relativePath &&
+        !relativePath.endsWith('/') &&
+        filter(relativePath)
+      ) {
+        objects.set(relativePath, object);
+      }
+    }
+    return objects;
   }
 
   /**
@@ -449,13 +2483,29 @@ class ApexxCloud {
    * @param {string} [options.bucketName] - Bucket name
    * @param {string} [options.region] - Region
    * @param {string} [options.visibility] - File visibility (for upload operations)
-   * @param {number} [options.expiresIn] - URL expiration in seconds (for download)
+   * @param {number} [options.expiresIn] - URL lifetime in seconds, covered by the signature
+   *   (defaults to 3600 for download, no limit is signed for other operations)
+   * @param {boolean} [options.remote=false] - Have the API issue the download URL instead
+   *   of signing it locally
+   * @param {string} [options.keyPrefix] - Let the holder pick any key under this prefix
+   *   (upload only, instead of key)
+   * @param {string[]} [options.allowedContentTypes] - Content types the holder may upload,
+   *   e.g. ['image/png', 'video/*'] (upload and start-multipart)
+   * @param {number} [options.maxContentLength] - Largest upload in bytes the holder may send
+   *   (upload and start-multipart)
    * @param {string} [options.uploadId] - Upload ID (for multipart operations)
    * @param {number} [options.partNumber] - Part number (for uploadpart)
    * @param {number} [options.totalParts] - Total parts (for multipart operations)
-   * @param {string} [options.mimeType] - File MIME type (for start-multipart)
+   * @param {string} [options.mimeType] - File MIME type (for start-multipart; defaults to
+   *   the type of the key's extension)
+   * @param {string} [options.cacheControl] - Cache-Control header (upload and start-multipart)
+   * @param {string|Object} [options.contentDisposition] - Content-Disposition header, or
+   *   `{type, filename}` (upload and start-multipart)
+   * @param {string} [options.contentEncoding] - Content-Encoding (upload and start-multipart)
+   * @param {Object<string, string>} [options.metadata] - User metadata (upload and
+   *   start-multipart)
    * @returns {Promise<string>} Signed URL
-   * @throws {Error} When required parameters are missing or operation type is invalid
+   * @throws {ValidationError} When required parameters are missing or operation type is invalid
    */
   async generateSignedUrl(type, options = {}) {
     // Add validation for operation type first
@@ -469,11 +2519,11 @@ class ApexxCloud {
       'download',
     ];
     if (!validOperations.includes(type)) {
-      throw new Error(`Unsupported operation type: ${type}`);
+      throw new ValidationError(`Unsupported operation type: ${type}`, 'type');
     }
 
     // Handle other operation types (existing generateSignedUrl logic)
-    const timestamp = new Date().toISOString();
+    const timestamp = this.clock.now().toISOString();
     let path;
     let method;
     const queryParams = new URLSearchParams({
@@ -484,14 +2534,26 @@ class ApexxCloud {
 
     switch (type) {
       case 'upload':
+        if (options.keyPrefix !== undefined) {
+          if (options.key) {
+            throw new ValidationError('key and keyPrefix cannot be combined', 'keyPrefix');
+          }
+          if (typeof options.keyPrefix !== 'string' || !options.keyPrefix) {
+            throw new ValidationError('keyPrefix must be a non-empty string', 'keyPrefix');
+          }
+          queryParams.delete('key');
+          queryParams.append('keyPrefix', options.keyPrefix);
+        }
         path = '/api/v1/files/upload';
         method = 'PUT';
         queryParams.append('visibility', options.visibility || 'public');
+        appendUploadPolicy(queryParams, options);
+        appendObjectHeaders(queryParams, options);
         break;
 
       case 'delete':
         if (!options.key) {
-          throw new Error('key is required for delete operation');
+          throw new ValidationError('key is required for delete operation', 'key');
         }
         path = '/api/v1/files/delete';
         method = 'DELETE';
@@ -500,35 +2562,49 @@ class ApexxCloud {
 
       case 'start-multipart':
         if (!options.key) {
-          throw new Error('key is required for start-multipart operation');
+          throw new ValidationError('key is required for start-multipart operation', 'key');
         }
         if (!options.totalParts) {
-          throw new Error('totalParts is required for start-multipart operation');
+          throw new ValidationError(
+            'totalParts is required for start-multipart operation',
+            'totalParts'
+          );
         }
-        if (!options.mimeType) {
-          throw new Error('mimeType is required for start-multipart operation');
+        if (!options.mimeType && !lookupContentType(options.key)) {
+          throw new ValidationError(
+            'mimeType is required for start-multipart operation',
+            'mimeType'
+          );
         }
 
         path = '/api/v1/files/multipart/start';
         method = 'POST';
 
         queryParams.append('totalParts', options.totalParts);
-        queryParams.append('mimeType', options.mimeType);
+        queryParams.append('mimeType', options.mimeType || lookupContentType(options.key));
         queryParams.append('visibility', options.visibility || 'public');
+        appendUploadPolicy(queryParams, options);
+        appendObjectHeaders(queryParams, options);
         break;
 
       case 'uploadpart':
         if (!options.uploadId) {
-          throw new Error('uploadId is required for uploadpart operation');
+          throw new ValidationError('uploadId is required for uploadpart operation', 'uploadId');
         }
         if (!options.partNumber) {
-          throw new Error('partNumber is required for uploadpart operation');
+          throw new ValidationError(
+            'partNumber is required for uploadpart operation',
+            'partNumber'
+          );
         }
         if (!options.key) {
-          throw new Error('key is required for uploadpart operation');
+          throw new ValidationError('key is required for uploadpart operation', 'key');
         }
         if (!options.totalParts) {
-          throw new Error('totalParts is required for uploadpart operation');
+          throw new ValidationError(
+            'totalParts is required for uploadpart operation',
+            'totalParts'
+          );
         }
         path = `/api/v1/files/multipart/${options.uploadId}`;
         method = 'POST';
@@ -539,10 +2615,13 @@ class ApexxCloud {
 
       case 'completemultipart':
         if (!options.uploadId) {
-          throw new Error('uploadId is required for completemultipart operation');
+          throw new ValidationError(
+            'uploadId is required for completemultipart operation',
+            'uploadId'
+          );
         }
         if (!options.key) {
-          throw new Error('key is required for completemultipart operation');
+          throw new ValidationError('key is required for completemultipart operation', 'key');
         }
         path = `/api/v1/files/multipart/${options.uploadId}/complete`;
         method = 'POST';
@@ -551,10 +2630,13 @@ class ApexxCloud {
 
       case 'cancelmultipart':
         if (!options.uploadId) {
-          throw new Error('uploadId is required for cancelmultipart operation');
+          throw new ValidationError(
+            'uploadId is required for cancelmultipart operation',
+            'uploadId'
+          );
         }
         if (!options.key) {
-          throw new Error('key is required for cancelmultipart operation');
+          throw new ValidationError('key is required for cancelmultipart operation', 'key');
         }
         path = `/api/v1/files/multipart/${options.uploadId}`;
         method = 'DELETE';
@@ -563,25 +2645,43 @@ class ApexxCloud {
 
       case 'download':
         if (!options.key) {
-          throw new Error('key is required for signed URL operation');
+          throw new ValidationError('key is required for signed URL operation', 'key');
         }
 
         method = 'GET';
 
         queryParams.append('expiresIn', options.expiresIn || 3600);
-        path = '/api/v1/files/signed-url?' + queryParams.toString();
-        return this.makeRequest('GET', path, {});
+        if (options.remote) {
+          path = '/api/v1/files/signed-url?' + queryParams.toString();
+          return this.makeRequest('GET', path, {
+            operation: 'getSignedUrl',
+            timeout: options.timeout,
+          });
+        }
+        path = '/api/v1/files/download';
+        break;
 
       default:
-        throw new Error(`Unsupported operation type: ${type}`);
+        throw new ValidationError(`Unsupported operation type: ${type}`, 'type');
+    }
+
+    if (type !== 'download' && options.expiresIn !== undefined) {
+      queryParams.append('expiresIn', options.expiresIn);
+    }
+    if (queryParams.has('expiresIn')) {
+      const expiresIn = Number(queryParams.get('expiresIn'));
+      if (!Number.isInteger(expiresIn) || expiresIn <= 0) {
+        throw new ValidationError('expiresIn must be a positive number of seconds', 'expiresIn');
+      }
     }
 
     // Add the queryParams to the path before generating signature
     const fullPath = `${path}?${queryParams.toString()}`;
-    const { signature } = this.generateSignature(method, fullPath, timestamp);
+    const credentials = await this.credentials.get();
+    const { signature } = this.generateSignature(credentials, method, fullPath, timestamp);
 
     // Add auth params
-    queryParams.append('access_key', this.config.accessKey);
+    queryParams.append('access_key', credentials.accessKey);
     queryParams.append('signature', signature);
     queryParams.append('timestamp', timestamp);
 
@@ -589,4 +2689,62 @@ class ApexxCloud {
   }
 }
 
+/**
+ * Adds upload policy constraints to signed URL query parameters so that they
+ * are covered by the signature
+ * @param {URLSearchParams} queryParams - Query parameters to extend
+ * @param {Object} options - Signed URL options
+ * @param {string[]} [options.allowedContentTypes] - Allowed content types
+ * @param {number} [options.maxContentLength] - Maximum upload size in bytes
+ * @throws {ValidationError} When a constraint is malformed
+ */
+function appendUploadPolicy(queryParams, options) {
+  const { allowedContentTypes, maxContentLength } = options;
+
+  if (allowedContentTypes !== undefined) {
+    if (
+      !Array.isArray(allowedContentTypes) ||
+      !allowedContentTypes.length ||
+      allowedContentTypes.some((type) => !/^[\w.+-]+\/(\*|[\w.+-]+)$/.test(type))
+    ) {
+      throw new ValidationError(
+        'allowedContentTypes must be a non-empty array of MIME types',
+        'allowedContentTypes'
+      );
+    }
+    queryParams.append('allowedContentTypes', allowedContentTypes.join(','));
+  }
+
+  if (maxContentLength !== undefined) {
+    if (!Number.isInteger(maxContentLength) || maxContentLength <= 0) {
+      throw new ValidationError('maxContentLength must be a positive integer', 'maxContentLength');
+    }
+    queryParams.append('maxContentLength', maxContentLength);
+  }
+}
+
+ApexxCloud.FileCheckpointStore = FileCheckpointStore;
+// The emulator is an HTTP server for tests; it is only loaded when it is used
+Object.defineProperty(ApexxCloud, 'Emulator', {
+  configurable: true,
+  enumerable: true,
+  get: () => require('./emulator').Emulator,
+});
+ApexxCloud.createOpenTelemetryHooks = createOpenTelemetryHooks;
+ApexxCloud.credentials = { fromEnv, fromProfile, chain };
+ApexxCloud.verifySignedUrl = verifySignedUrl;
+ApexxCloud.verifyRequestHeaders = verifyRequestHeaders;
+ApexxCloud.signatureMiddleware = createSignatureMiddleware;
+ApexxCloud.uploadMiddleware = (client, options) =>
+  require('./upload-middleware').createUploadMiddleware(client, options);
+ApexxCloud.ApexxCloudError = ApexxCloudError;
+ApexxCloud.ValidationError = ValidationError;
+ApexxCloud.AuthenticationError = AuthenticationError;
+ApexxCloud.NotFoundError = NotFoundError;
+ApexxCloud.ThrottlingError = ThrottlingError;
+ApexxCloud.ServerError = ServerError;
+ApexxCloud.NetworkError = NetworkError;
+ApexxCloud.AbortError = AbortError;
+ApexxCloud.IntegrityError = IntegrityError;
+
 module.exports = ApexxCloud;
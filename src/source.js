@@ -0,0 +1,316 @@
+const fs = require('fs');
+const { Buffer } = require('buffer');
+const { Readable, Transform } = require('stream');
+const { ApexxCloudError, ValidationError } = require('./errors');
+
+/**
+ * Checks whether a value looks like a Node.js readable stream
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isReadable(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value.pipe === 'function' &&
+    typeof value.read === 'function'
+  );
+}
+
+/**
+ * Reads a stream to completion into a single Buffer
+ * @param {import('stream').Readable} stream - Stream to consume
+ * @returns {Promise<Buffer>}
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Sizes a file read stream with `fs.stat`, honouring its `start` and `end` options
+ * @param {import('fs').ReadStream} stream - Stream created by `fs.createReadStream`
+ * @returns {Promise<{size: number, mtimeMs: number}>}
+ */
+async function statFileStream(stream) {
+  const stat = await fs.promises.stat(stream.path);
+  const start = stream.start || 0;
+  const end = Number.isFinite(stream.end) ? Math.min(stream.end, stat.size - 1) : stat.size - 1;
+  return { size: Math.max(0, end - start + 1), mtimeMs: stat.mtimeMs };
+}
+
+/**
+ * Finds the byte length of upload data without reading it
+ * @param {Buffer|string|import('stream').Readable} data - Upload data
+ * @returns {Promise<number|undefined>} Length, or undefined for streams that are not
+ *   file streams (these are sent with chunked transfer encoding)
+ */
+async function dataLength(data) {
+  if (Buffer.isBuffer(data)) {
+    return data.length;
+  }
+  if (typeof data === 'string') {
+    return Buffer.byteLength(data);
+  }
+  if (isReadable(data) && typeof data.path === 'string') {
+    return (await statFileStream(data)).size;
+  }
+  return undefined;
+}
+
+/**
+ * Wraps upload data in a stream that passes every chunk to `onChunk` as it is
+ * consumed, and calls `onEnd` once all of it has been read
+ * @param {Buffer|string|import('stream').Readable} data - Upload data
+ * @param {(chunk: Buffer) => void} onChunk - Called with each chunk
+ * @param {() => void} [onEnd] - Called after the last chunk
+ * @returns {import('stream').Readable}
+ */
+function tapStream(data, onChunk, onEnd) {
+  const source = isReadable(data)
+    ? data
+    : Readable.from([Buffer.isBuffer(data) ? data : Buffer.from(data)], { objectMode: false });
+  const tap = new Transform({
+    transform(chunk, encoding, callback) {
+      onChunk(chunk);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (onEnd) onEnd();
+      callback();
+    },
+  });
+  source.on('error', (error) => tap.destroy(error));
+  return source.pipe(tap);
+}
+
+/**
+ * Reads the first bytes of upload data without consuming it. Buffers and file
+ * streams are left untouched; any other stream is read until `length` bytes
+ * arrive, and a stream that replays them before the rest must be uploaded instead.
+ * @param {Buffer|string|import('stream').Readable} data - Upload data
+ * @param {number} length - Bytes wanted (fewer when the data is shorter)
+ * @returns {Promise<{head: Buffer, data: Buffer|string|import('stream').Readable}>} The
+ *   first bytes, and the data to upload in place of the original
+ */
+async function peekHead(data, length) {
+  if (Buffer.isBuffer(data) || typeof data === 'string') {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    return { head: buffer.subarray(0, length), data };
+  }
+
+  if (isReadable(data) && typeof data.path === 'string') {
+    return { head: await readFileHead(data.path, data.start || 0, length), data };
+  }
+
+  const iterator = data[Symbol.asyncIterator]();
+  const chunks = [];
+  let received = 0;
+  let done = false;
+  while (received < length && !done) {
+    const next = await iterator.next();
+    done = next.done;
+    if (!done) {
+      const chunk = Buffer.isBuffer(next.value) ? next.value : Buffer.from(next.value);
+      chunks.push(chunk);
+      received += chunk.length;
+    }
+  }
+  async function* replay() {
+    yield* chunks;
+    while (!done) {
+      const next = await iterator.next();
+      done = next.done;
+      if (!done) {
+        yield next.value;
+      }
+    }
+  }
+  return {
+    head: Buffer.concat(chunks).subarray(0, length),
+    data: Readable.from(replay(), { objectMode: false }),
+  };
+}
+
+/**
+ * Reads bytes from the start of a file region
+ * @param {string} filePath - File to read
+ * @param {number} start - Offset to read from
+ * @param {number} length - Maximum bytes to read
+ * @returns {Promise<Buffer>}
+ */
+async function readFileHead(filePath, start, length) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, start);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Reads the first bytes of a resolved source. A plain stream source has its
+ * `stream` replaced with one that replays the bytes read.
+ * @param {{buffer?: Buffer, path?: string, stream?: import('stream').Readable}} source - Resolved
+ *   source, updated in place
+ * @param {number} length - Bytes wanted
+ * @returns {Promise<Buffer>}
+ */
+async function peekSource(source, length) {
+  if (source.buffer) {
+    return source.buffer.subarray(0, length);
+  }
+  if (source.path) {
+    return readFileHead(source.path, 0, length);
+  }
+  const peeked = await peekHead(source.stream, length);
+  source.stream = peeked.data;
+  return peeked.head;
+}
+
+/**
+ * Normalises an upload source into a descriptor with its byte size. File read
+ * streams are sized with `fs.stat`; any other stream without an explicit
+ * `size` is left unsized rather than read into memory.
+ * @param {string|Buffer|import('stream').Readable} source - File path, Buffer or stream
+ * @param {number} [size] - Byte size of a stream source, when known
+ * @returns {Promise<{size?: number, mtimeMs?: number, buffer?: Buffer, path?: string, stream?: import('stream').Readable}>}
+ * @throws {ValidationError} When the source is of an unsupported type or is not a regular file
+ */
+async function resolveSource(source, size) {
+  if (Buffer.isBuffer(source)) {
+    return { buffer: source, size: source.length };
+  }
+
+  if (typeof source === 'string') {
+    const stat = await fs.promises.stat(source);
+    if (!stat.isFile()) {
+      throw new ValidationError(`${source} is not a regular file`, 'source');
+    }
+    return { path: source, size: stat.size, mtimeMs: stat.mtimeMs };
+  }
+
+  if (isReadable(source)) {
+    if (Number.isFinite(size)) {
+      return { stream: source, size };
+    }
+    if (typeof source.path === 'string') {
+      return { stream: source, ...(await statFileStream(source)) };
+    }
+    return { stream: source, size: undefined };
+  }
+
+  throw new ValidationError('source must be a file path, Buffer or Readable stream', 'source');
+}
+
+/**
+ * Reads a resolved source fully into memory
+ * @param {{buffer?: Buffer, path?: string, stream?: import('stream').Readable}} source - Resolved source
+ * @returns {Promise<Buffer>}
+ */
+async function readSource(source) {
+  if (source.buffer) {
+    return source.buffer;
+  }
+  if (source.path) {
+    return fs.promises.readFile(source.path);
+  }
+  return readStream(source.stream);
+}
+
+/**
+ * Splits a resolved source into numbered parts of `partSize` bytes (the last
+ * part may be shorter). Parts are produced on demand so at most one part per
+ * consumer is held in memory. Parts listed in `skip` are not yielded; for
+ * buffers and files they are not read at all. A stream without a size is
+ * split until it ends.
+ * @param {{size?: number, buffer?: Buffer, path?: string, stream?: import('stream').Readable}} source - Resolved source
+ * @param {number} partSize - Part size in bytes
+ * @param {Set<number>} [skip] - Part numbers that are already uploaded
+ * @returns {AsyncGenerator<{partNumber: number, body: Buffer}>}
+ * @throws {ApexxCloudError} When the source yields a different number of bytes than its size
+ */
+async function* iterateParts(source, partSize, skip = new Set()) {
+  const { size } = source;
+
+  if (source.buffer) {
+    for (let offset = 0, partNumber = 1; offset < size; offset += partSize, partNumber++) {
+      if (skip.has(partNumber)) {
+        continue;
+      }
+      yield { partNumber, body: source.buffer.subarray(offset, offset + partSize) };
+    }
+    return;
+  }
+
+  if (source.path) {
+    const handle = await fs.promises.open(source.path, 'r');
+    try {
+      for (let offset = 0, partNumber = 1; offset < size; offset += partSize, partNumber++) {
+        if (skip.has(partNumber)) {
+          continue;
+        }
+        const length = Math.min(partSize, size - offset);
+        const body = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(body, 0, length, offset);
+        if (bytesRead !== length) {
+          throw new ApexxCloudError(`${source.path} changed while it was being read`);
+        }
+        yield { partNumber, body };
+      }
+    } finally {
+      await handle.close();
+    }
+    return;
+  }
+
+  let pending = [];
+  let pendingLength = 0;
+  let total = 0;
+  let partNumber = 1;
+
+  for await (const chunk of source.stream) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    total += buffer.length;
+    if (size !== undefined && total > size) {
+      throw new ApexxCloudError(`stream produced more than the expected ${size} bytes`);
+    }
+    pending.push(buffer);
+    pendingLength += buffer.length;
+
+    while (pendingLength >= partSize) {
+      const joined = Buffer.concat(pending, pendingLength);
+      const rest = joined.subarray(partSize);
+      pending = rest.length ? [rest] : [];
+      pendingLength = rest.length;
+      const current = partNumber++;
+      if (!skip.has(current)) {
+        yield { partNumber: current, body: joined.subarray(0, partSize) };
+      }
+    }
+  }
+
+  if (size !== undefined && total !== size) {
+    throw new ApexxCloudError(`stream produced ${total} bytes but ${size} were expected`);
+  }
+  if (pendingLength > 0 && !skip.has(partNumber)) {
+    yield { partNumber, body: Buffer.concat(pending, pendingLength) };
+  }
+}
+
+module.exports = {
+  isReadable,
+  readStream,
+  dataLength,
+  tapStream,
+  peekHead,
+  peekSource,
+  resolveSource,
+  readSource,
+  iterateParts,
+};
@@ -0,0 +1,117 @@
+const { ValidationError } = require('./errors');
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * Short-lived cache of object lookups made by `files.stat` and `files.exists`.
+ * Missing objects are cached too (as null), so repeated checks for a key that
+ * does not exist yet stay cheap. Writes and deletes made through the same
+ * client drop the entry for their key; changes made elsewhere show up once
+ * the entry expires.
+ */
+class StatCache {
+  /**
+   * Creates a new stat cache
+   * @param {number} ttl - Time an entry stays valid, in milliseconds
+   * @param {number} [maxEntries=1000] - Entries kept before the oldest are evicted
+   * @throws {ValidationError} When ttl or maxEntries is invalid
+   */
+  constructor(ttl, maxEntries = DEFAULT_MAX_ENTRIES) {
+    if (!(Number.isFinite(ttl) && ttl > 0)) {
+      throw new ValidationError('statCache.ttl must be a positive number', 'statCache.ttl');
+    }
+    if (!(Number.isInteger(maxEntries) && maxEntries > 0)) {
+      throw new ValidationError(
+        'statCache.maxEntries must be a positive integer',
+        'statCache.maxEntries'
+      );
+    }
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Builds the cache key of an object
+   * @private
+   * @param {string} [bucketName] - Bucket name
+   * @param {string} key - Object key
+   * @returns {string}
+   */
+  static entryKey(bucketName, key) {
+    return `${bucketName || ''}\n${key}`;
+  }
+
+  /**
+   * Looks up an object
+   * @param {string} [bucketName] - Bucket name
+   * @param {string} key - Object key
+   * @returns {Object|null|undefined} The object, null when it was missing, or
+   *   undefined when nothing valid is cached
+   */
+  get(bucketName, key) {
+    const id = StatCache.entryKey(bucketName, key);
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expires <= Date.now()) {
+      this.entries.delete(id);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Stores a lookup result, evicting the oldest entry when full
+   * @param {string} [bucketName] - Bucket name
+   * @param {string} key - Object key
+   * @param {Object|null} value - The object, or null when it does not exist
+   */
+  set(bucketName, key, value) {
+    const id = StatCache.entryKey(bucketName, key);
+    this.entries.delete(id);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(id, { value, expires: Date.now() + this.ttl });
+  }
+
+  /**
+   * Drops the entry of an object
+   * @param {string} [bucketName] - Bucket name
+   * @param {string} key - Object key
+   */
+  delete(bucketName, key) {
+    this.entries.delete(StatCache.entryKey(bucketName, key));
+  }
+
+  /**
+   * Drops every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Creates the stat cache for a client config
+ * @param {number|Object|false} [option] - TTL in milliseconds, or `{ttl, maxEntries}`;
+ *   nothing or false disables caching
+ * @returns {StatCache|null}
+ * @throws {ValidationError} When the option is invalid
+ */
+function createStatCache(option) {
+  if (option === undefined || option === false || option === 0) {
+    return null;
+  }
+  if (typeof option === 'number') {
+    return new StatCache(option);
+  }
+  if (option && typeof option === 'object') {
+    return new StatCache(option.ttl, option.maxEntries);
+  }
+  throw new ValidationError('statCache must be a TTL in milliseconds or an object', 'statCache');
+}
+
+module.exports = { StatCache, createStatCache };
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeEtag, isContentEtag, hashFile } = require('./download');
+
+/**
+ * Converts a glob pattern into a regular expression. Supports `**` (any number
+ * of path segments), `*` (anything but `/`), `?` (one character but `/`) and
+ * `[...]` character classes.
+ * @param {string} pattern - Glob pattern matched against `/`-separated relative paths
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" also matches zero segments, so "**/a" matches "a"
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const close = pattern.indexOf(']', i + 1);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern
+          .slice(i + 1, close)
+          .replace(/^!/, '^')
+          .replace(/\\/g, '\\\\')}]`;
+        i = close;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Builds a filter from include and exclude globs. A path passes when it matches
+ * at least one include pattern (or none are given) and no exclude pattern.
+ * @param {Object} [options] - Filter options
+ * @param {string|string[]} [options.include] - Globs a path must match
+ * @param {string|string[]} [options.exclude] - Globs a path must not match
+ * @returns {(relativePath: string) => boolean}
+ */
+function createPathFilter(options = {}) {
+  const toList = (value) => (value === undefined ? [] : [].concat(value));
+  const include = toList(options.include).map(globToRegExp);
+  const exclude = toList(options.exclude).map(globToRegExp);
+
+  return (relativePath) =>
+    (!include.length || include.some((regex) => regex.test(relativePath))) &&
+    !exclude.some((regex) => regex.test(relativePath));
+}
+
+/**
+ * Recursively lists the regular files in a directory
+ * @param {string} directory - Directory to walk
+ * @returns {Promise<Array<{relativePath: string, path: string, size: number, mtimeMs: number}>>}
+ *   Files with `/`-separated paths relative to `directory`
+ */
+async function walkDirectory(directory) {
+  const files = [];
+
+  const walk = async (current, relative) => {
+    const entries = await fs.promises.readdir(current, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await walk(entryPath, entryRelative);
+      } else if (entry.isFile()) {
+        const stat = await fs.promises.stat(entryPath);
+        files.push({
+          relativePath: entryRelative,
+          path: entryPath,
+          size: stat.size,
+          mtimeMs: stat.mtimeMs,
+        });
+      }
+    }
+  };
+
+  await walk(directory, '');
+  return files;
+}
+
+/**
+ * Normalises a key prefix used as a sync root so that it ends with `/`
+ * @param {string} [prefix] - Key prefix
+ * @returns {string}
+ */
+function normalizeSyncPrefix(prefix) {
+  if (!prefix) {
+    return '';
+  }
+  return prefix.endsWith('/') ? prefix : `${prefix}/`;
+}
+
+/**
+ * Maps a `/`-separated relative key onto a path inside `directory`, refusing
+ * keys that would escape it (e.g. containing `..` segments)
+ * @param {string} directory - Root directory
+ * @param {string} relativeKey - Key relative to the sync prefix
+ * @returns {string|null} Local path, or null when the key is unsafe
+ */
+function resolveLocalPath(directory, relativeKey) {
+  const root = path.resolve(directory);
+  const target = path.resolve(root, ...relativeKey.split('/'));
+  return target.startsWith(root + path.sep) ? target : null;
+}
+
+/**
+ * Decides whether a file needs to be copied to bring the destination in line
+ * with the source. Sizes are compared first; when the ETag is a plain MD5 the
+ * local file is hashed, otherwise the newer modification time wins.
+ * @param {{path: string, size: number, mtimeMs: number}} [local] - Local file
+ * @param {{size: number, lastModified: string, etag: string}} [remote] - Remote object
+ * @param {'up'|'down'} direction - Which side is the source
+ * @returns {Promise<'new'|'size'|'etag'|'mtime'|null>} Why the file changed, or null if it did not
+ */
+async function syncReason(local, remote, direction) {
+  const destination = direction === 'up' ? remote : local;
+  if (!destination) {
+    return 'new';
+  }
+  if (local.size !== remote.size) {
+    return 'size';
+  }
+
+  const etag = normalizeEtag(remote.etag);
+  if (isContentEtag(etag)) {
+    return (await hashFile(local.path)) === etag ? null : 'etag';
+  }
+
+  const localTime = Math.floor(local.mtimeMs / 1000);
+  const remoteTime = Math.floor(Date.parse(remote.lastModified) / 1000);
+  const newer = direction === 'up' ? localTime > remoteTime : remoteTime > localTime;
+  return newer ? 'mtime' : null;
+}
+
+module.exports = {
+  syncReason,
+  globToRegExp,
+  createPathFilter,
+  walkDirectory,
+  normalizeSyncPrefix,
+  resolveLocalPath,
+};
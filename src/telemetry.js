@@ -0,0 +1,135 @@
+const { ValidationError } = require('./errors');
+
+// Numeric values of SpanKind.CLIENT and SpanStatusCode from @opentelemetry/api,
+// so the SDK does not have to depend on it
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_OK = 1;
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Creates lifecycle hooks that report every request attempt to OpenTelemetry.
+ * Each attempt becomes a client span named `apexxcloud.<operation>`; a meter
+ * records the attempt duration as a histogram and counts errors and retries.
+ * Metric attributes are limited to the operation, method, status and error
+ * code so that object keys do not explode their cardinality.
+ *
+ * The tracer and meter come from the application's own `@opentelemetry/api`,
+ * e.g. `trace.getTracer('apexxcloud')` and `metrics.getMeter('apexxcloud')`.
+ * @param {Object} options - Adapter options
+ * @param {Object} [options.tracer] - OpenTelemetry tracer
+ * @param {Object} [options.meter] - OpenTelemetry meter
+ * @returns {{beforeRequest: Function, afterResponse: Function, onError: Function,
+ *   onRetry: Function}} Hooks for `config.hooks` or `client.addHooks`
+ * @throws {ValidationError} When neither a tracer nor a meter is given, or one is invalid
+ */
+function createOpenTelemetryHooks(options = {}) {
+  const { tracer, meter } = options;
+  if (!tracer && !meter) {
+    throw new ValidationError('A tracer or a meter is required', 'tracer');
+  }
+  if (tracer && typeof tracer.startSpan !== 'function') {
+    throw new ValidationError('tracer must be an OpenTelemetry tracer', 'tracer');
+  }
+  if (meter && typeof meter.createHistogram !== 'function') {
+    throw new ValidationError('meter must be an OpenTelemetry meter', 'meter');
+  }
+
+  const duration =
+    meter &&
+    meter.createHistogram('apexxcloud.client.request.duration', {
+      description: 'Duration of ApexxCloud API request attempts',
+      unit: 'ms',
+    });
+  const errors =
+    meter &&
+    meter.createCounter('apexxcloud.client.request.errors', {
+      description: 'Failed ApexxCloud API request attempts',
+    });
+  const retries =
+    meter &&
+    meter.createCounter('apexxcloud.client.request.retries', {
+      description: 'Retried ApexxCloud API requests',
+    });
+
+  const spans = new Map();
+  const spanId = (event) => `${event.requestId}:${event.attempt}`;
+
+  const metricAttributes = (event) => ({
+    'apexxcloud.operation': event.operation,
+    'http.request.method': event.method,
+    ...(event.status !== undefined && { 'http.response.status_code': event.status }),
+    ...(event.error && { 'error.type': event.error.code || event.error.name }),
+  });
+
+  const finishSpan = (event, attributes, status) => {
+    const span = spans.get(spanId(event));
+    if (!span) {
+      return;
+    }
+    spans.delete(spanId(event));
+    span.setAttributes(attributes);
+    if (event.error) {
+      span.recordException({
+        name: event.error.name,
+        message: event.error.message,
+        code: event.error.code,
+      });
+    }
+    span.setStatus(status);
+    span.end();
+  };
+
+  return {
+    beforeRequest(event) {
+      if (!tracer) return;
+      const span = tracer.startSpan(`apexxcloud.${event.operation || 'request'}`, {
+        kind: SPAN_KIND_CLIENT,
+        attributes: {
+          'apexxcloud.operation': event.operation,
+          ...(event.bucket && { 'apexxcloud.bucket': event.bucket }),
+          ...(event.key && { 'apexxcloud.key': event.key }),
+          'apexxcloud.request_id': event.requestId,
+          'apexxcloud.attempt': event.attempt,
+          'http.request.method': event.method,
+          'url.path': event.path.split('?')[0],
+        },
+      });
+      spans.set(spanId(event), span);
+    },
+
+    afterResponse(event) {
+      finishSpan(
+        event,
+        {
+          'http.response.status_code': event.status,
+          ...(event.bytesSent !== undefined && { 'http.request.body.size': event.bytesSent }),
+          ...(event.bytesReceived !== undefined && {
+            'http.response.body.size': event.bytesReceived,
+          }),
+        },
+        { code: SPAN_STATUS_OK }
+      );
+      if (duration) duration.record(event.duration, metricAttributes(event));
+    },
+
+    onError(event) {
+      finishSpan(
+        event,
+        {
+          ...(event.status !== undefined && { 'http.response.status_code': event.status }),
+          'error.type': event.error.code || event.error.name,
+          'apexxcloud.will_retry': event.willRetry,
+        },
+        { code: SPAN_STATUS_ERROR, message: event.error.message }
+      );
+      if (duration) duration.record(event.duration, metricAttributes(event));
+      if (errors) errors.add(1, metricAttributes(event));
+    },
+
+    onRetry(event) {
+      if (retries) retries.add(1, { 'apexxcloud.operation': event.operation });
+    },
+  };
+}
+
+module.exports = { createOpenTelemetryHooks };
@@ -8,51 +8,510 @@ declare module '@apexxcloud/sdk-node' {
     | 'cancelmultipart'
     | 'download';
 
-  interface SignedUrlOptions {
+  interface ContentDisposition {
+    type?: 'inline' | 'attachment';
+    filename?: string;
+  }
+
+  interface ObjectHeaderOptions {
+    cacheControl?: string;
+    contentDisposition?: string | ContentDisposition;
+    contentEncoding?: string;
+    metadata?: Record<string, string>;
+  }
+
+  interface SignedUrlOptions extends ObjectHeaderOptions {
     bucketName?: string;
     region?: string;
-    key: string;
+    key?: string;
     mimeType?: string;
     totalParts?: number;
     partNumber?: number;
     uploadId?: string;
     visibility?: 'public' | 'private';
     expiresIn?: number;
+    remote?: boolean;
+    keyPrefix?: string;
+    allowedContentTypes?: string[];
+    maxContentLength?: number;
   }
 
-  interface BucketConfig {
+  interface RetryPolicy {
+    maxAttempts?: number;
+    baseDelay?: number;
+    maxDelay?: number;
+    idempotentOnly?: boolean;
+  }
+
+  interface ProxyConfig {
+    protocol?: string;
+    host: string;
+    port: number;
+    auth?: { username: string; password: string };
+  }
+
+  interface Credentials {
     accessKey: string;
     secretKey: string;
+    expiration?: Date | string | number;
+  }
+
+  type CredentialProvider = () => Promise<Credentials | null>;
+
+  interface ProfileOptions {
+    profile?: string;
+    filepath?: string;
+  }
+
+  interface BucketConfig {
+    accessKey?: string;
+    secretKey?: string;
+    credentials?: CredentialProvider | Credentials;
+    profile?: string;
     baseUrl?: string;
     region?: string;
     bucket?: string;
+    retry?: RetryPolicy | false;
+    timeout?: number;
+    keepAlive?: boolean;
+    maxSockets?: number;
+    maxFreeSockets?: number;
+    httpAgent?: import('http').Agent;
+    httpsAgent?: import('https').Agent;
+    proxy?: string | ProxyConfig | false;
+    httpClient?: import('axios').AxiosInstance;
+    statCache?: number | StatCacheOptions | false;
+    hooks?: RequestHooks | RequestHooks[];
+  }
+
+  type RequestOperation =
+    | 'upload'
+    | 'uploadPart'
+    | 'startMultipartUpload'
+    | 'completeMultipartUpload'
+    | 'cancelMultipartUpload'
+    | 'delete'
+    | 'purge'
+    | 'download'
+    | 'listContents'
+    | 'getSignedUrl';
+
+  interface RequestEvent {
+    operation: RequestOperation;
+    method: string;
+    /** Path and query string, with signatures and secrets redacted */
+    path: string;
+    bucket?: string;
+    key?: string;
+    /** Shared by every attempt of a request and sent as X-Request-Id */
+    requestId: string;
+    attempt: number;
+  }
+
+  interface HookError {
+    name: string;
+    message: string;
+    code?: string;
+    status?: number;
+    retryable: boolean;
   }
 
-  interface UploadOptions {
+  interface ResponseEvent extends RequestEvent {
+    status: number;
+    duration: number;
+    bytesSent?: number;
+    bytesReceived?: number;
+    serverRequestId?: string;
+  }
+
+  interface ErrorEvent extends RequestEvent {
+    status?: number;
+    duration: number;
+    bytesSent?: number;
+    error: HookError;
+    willRetry: boolean;
+  }
+
+  interface RetryEvent extends RequestEvent {
+    duration: number;
+    error: HookError;
+    nextAttempt: number;
+    delay: number;
+  }
+
+  interface RequestHooks {
+    beforeRequest?: (event: RequestEvent) => void;
+    afterResponse?: (event: ResponseEvent) => void;
+    onError?: (event: ErrorEvent) => void;
+    onRetry?: (event: RetryEvent) => void;
+  }
+
+  interface OpenTelemetryHooksOptions {
+    /** A tracer from @opentelemetry/api */
+    tracer?: any;
+    /** A meter from @opentelemetry/api */
+    meter?: any;
+  }
+
+  interface StatCacheOptions {
+    ttl: number;
+    maxEntries?: number;
+  }
+
+  type ChecksumAlgorithm = 'md5' | 'sha256';
+
+  interface UploadProgress {
+    loaded: number;
+    total?: number;
+    part?: number;
+  }
+
+  interface UploadOptions extends ObjectHeaderOptions {
     bucketName?: string;
     region?: string;
     visibility?: 'public' | 'private';
     filename?: string;
     contentType?: string;
+    onProgress?: (progress: UploadProgress) => void;
+    signal?: AbortSignal;
+    checksum?: boolean | ChecksumAlgorithm;
+    timeout?: number;
+  }
+
+  interface UploadLargeOptions extends UploadOptions {
+    size?: number;
+    partSize?: number;
+    multipartThreshold?: number;
+    concurrency?: number;
+    checkpointStore?: CheckpointStore;
+  }
+
+  interface WriteStreamOptions extends UploadOptions {
+    size?: number;
+    partSize?: number;
+    concurrency?: number;
+  }
+
+  interface UploadWriteStream extends NodeJS.WritableStream {
+    /** Upload response, set once the stream has finished */
+    result?: { url: string } | CompleteMultipartResponse;
+  }
+
+  interface UploadCheckpoint {
+    uploadId: string;
+    key: string;
+    bucketName?: string;
+    region?: string;
+    partSize: number;
+    totalParts: number;
+    contentType?: string;
+    source: {
+      path?: string;
+      size: number;
+      mtimeMs?: number;
+    };
+    parts: Array<UploadPartResponse>;
+  }
+
+  interface CheckpointStore {
+    load(key: string, bucketName?: string): Promise<UploadCheckpoint | null>;
+    save(checkpoint: UploadCheckpoint): Promise<void>;
+    remove(key: string, bucketName?: string): Promise<void>;
+  }
+
+  interface ResumeUploadOptions {
+    checkpointStore?: CheckpointStore;
+    concurrency?: number;
+    onProgress?: (progress: UploadProgress) => void;
+    signal?: AbortSignal;
+    checksum?: boolean | ChecksumAlgorithm;
+  }
+
+  interface ApexxCloudErrorDetails {
+    status?: number;
+    code?: string;
+    body?: unknown;
+    method?: string;
+    path?: string;
+    retryable?: boolean;
+    cause?: Error;
+  }
+
+  export class ApexxCloudError extends Error {
+    constructor(message: string, details?: ApexxCloudErrorDetails);
+    status?: number;
+    code?: string;
+    body?: unknown;
+    method?: string;
+    path?: string;
+    retryable: boolean;
+    cause?: Error;
+  }
+
+  export class ValidationError extends ApexxCloudError {
+    constructor(message: string, field?: string, details?: ApexxCloudErrorDetails);
+    field?: string;
+  }
+
+  export class AuthenticationError extends ApexxCloudError {}
+  export class NotFoundError extends ApexxCloudError {}
+  export class ThrottlingError extends ApexxCloudError {}
+  export class ServerError extends ApexxCloudError {}
+  export class NetworkError extends ApexxCloudError {}
+  export class AbortError extends ApexxCloudError {}
+
+  interface IntegrityErrorDetails extends ApexxCloudErrorDetails {
+    algorithm?: ChecksumAlgorithm;
+    expected?: string;
+    actual?: string;
+  }
+
+  export class IntegrityError extends ApexxCloudError {
+    constructor(message: string, details?: IntegrityErrorDetails);
+    algorithm?: ChecksumAlgorithm;
+    expected?: string;
+    actual?: string;
+  }
+
+  type SecretKeyResolver = (
+    accessKey: string
+  ) => string | undefined | null | Promise<string | undefined | null>;
+
+  interface VerifyOptions {
+    secretKey: string | SecretKeyResolver;
+    accessKey?: string;
+    maxAge?: number;
+    clockSkew?: number;
+    now?: number;
+  }
+
+  interface VerifySignedUrlOptions extends VerifyOptions {
+    request?: {
+      key?: string;
+      contentType?: string;
+      contentLength?: number;
+    };
+  }
+
+  type VerificationFailureReason =
+    | 'MISSING_SIGNATURE'
+    | 'MISSING_TIMESTAMP'
+    | 'MISSING_ACCESS_KEY'
+    | 'INVALID_TIMESTAMP'
+    | 'TIMESTAMP_IN_FUTURE'
+    | 'EXPIRED'
+    | 'UNKNOWN_ACCESS_KEY'
+    | 'SIGNATURE_MISMATCH'
+    | 'INVALID_EXPIRY'
+    | 'POLICY_VIOLATION';
+
+  type VerificationResult =
+    | { valid: true; accessKey: string; timestamp: string }
+    | { valid: false; reason: VerificationFailureReason; message: string };
+
+  interface IncomingSignedRequest {
+    method: string;
+    url: string;
+    originalUrl?: string;
+    headers: Record<string, string | string[] | undefined>;
+  }
+
+  interface SignatureMiddlewareOptions extends VerifyOptions {
+    allowSignedUrls?: boolean;
+    onRejected?: (
+      req: any,
+      res: any,
+      next: (err?: any) => void,
+      result: VerificationResult
+    ) => void;
+  }
+
+  interface UploadMiddlewareFile {
+    fieldName: string;
+    originalName: string;
+    contentType: string;
+    /** Text fields sent before the file */
+    fields: Record<string, string | string[]>;
+  }
+
+  interface UploadMiddlewareOptions {
+    bucketName?: string;
+    region?: string;
+    visibility?: 'public' | 'private';
+    /** Prefix of the default `<prefix><random hex ID><extension>` keys */
+    prefix?: string;
+    key?: (file: UploadMiddlewareFile, req: any) => string | Promise<string>;
+    maxFileSize?: number;
+    /** Content types such as "image/png", or "image/*" for every subtype */
+    allowedContentTypes?: string[];
+    maxFiles?: number;
+    maxFields?: number;
+    maxFieldSize?: number;
+    /** Part size, and the size above which multipart upload is used */
+    partSize?: number;
+    concurrency?: number;
+  }
+
+  interface UploadedFile {
+    fieldName: string;
+    originalName: string;
+    key: string;
+    bucket: string;
+    contentType: string;
+    size: number;
+    url?: string;
+    etag?: string;
+  }
+
+  export class FileCheckpointStore implements CheckpointStore {
+    constructor(directory: string);
+    directory: string;
+    load(key: string, bucketName?: string): Promise<UploadCheckpoint | null>;
+    save(checkpoint: UploadCheckpoint): Promise<void>;
+    remove(key: string, bucketName?: string): Promise<void>;
+    list(): Promise<UploadCheckpoint[]>;
+  }
+
+  type EmulatorRoute =
+    | 'upload'
+    | 'delete'
+    | 'purge'
+    | 'contents'
+    | 'signed-url'
+    | 'download'
+    | 'multipart-start'
+    | 'upload-part'
+    | 'multipart-complete'
+    | 'multipart-cancel';
+
+  interface EmulatorFault {
+    route?: EmulatorRoute | EmulatorRoute[];
+    status?: number;
+    code?: string;
+    retryAfter?: number;
+    latency?: number;
+    reset?: boolean;
+    resetAfter?: number;
+    /** Answer a ranged download with the whole object */
+    ignoreRange?: boolean;
+    times?: number;
+    probability?: number;
+  }
+
+  interface EmulatorOptions {
+    accessKey?: string;
+    secretKey?: string;
+    keys?: Record<string, string>;
+    buckets?: string[];
+    dataDir?: string;
+    latency?: number;
+    clockSkew?: number;
+    clockOffset?: number;
+    faults?: EmulatorFault[];
+  }
+
+  interface EmulatorRequest {
+    method: string;
+    path: string;
+    route?: EmulatorRoute;
+    status?: number;
+  }
+
+  export class Emulator {
+    constructor(options?: EmulatorOptions);
+    accessKey: string;
+    secretKey: string;
+    url: string | null;
+    requests: EmulatorRequest[];
+    handler: (req: any, res: any) => void;
+    start(options?: { port?: number; host?: string }): Promise<string>;
+    stop(): Promise<void>;
+    clientConfig(): { baseUrl: string; accessKey: string; secretKey: string };
+    injectFault(fault: EmulatorFault): () => void;
+    clearFaults(): void;
+  }
+
+  interface StatOptions {
+    bucketName?: string;
+    region?: string;
+    cache?: boolean;
+    timeout?: number;
+  }
+
+  interface ObjectStat {
+    key: string;
+    size: number;
+    lastModified: string;
+    etag: string;
+    contentType?: string;
+    cacheControl?: string;
+    contentDisposition?: string;
+    contentEncoding?: string;
+    metadata?: Record<string, string>;
   }
 
   interface DeleteOptions {
     bucketName?: string;
     region?: string;
+    timeout?: number;
   }
 
   interface PurgeOptions {
     bucketName?: string;
     region?: string;
+    timeout?: number;
+  }
+
+  type BatchTarget = string[] | { prefix: string };
+
+  interface BatchOptions {
+    bucketName?: string;
+    region?: string;
+    concurrency?: number;
+    dryRun?: boolean;
   }
 
-  interface MultipartUploadOptions {
+  type BatchResult<T> =
+    | { key: string; success: true; response: T }
+    | { key: string; success: false; error: ApexxCloudError };
+
+  interface BatchResponse<T> {
+    dryRun: boolean;
+    keys: string[];
+    results: Array<BatchResult<T>>;
+    succeeded: number;
+    failed: number;
+  }
+
+  interface CopyOptions {
+    srcBucket?: string;
+    destBucket?: string;
+    region?: string;
+    visibility?: 'public' | 'private';
+    concurrency?: number;
+    dryRun?: boolean;
+    signal?: AbortSignal;
+    timeout?: number;
+  }
+
+  interface CopyResponse {
+    srcKey: string;
+    destKey: string;
+    srcBucket: string;
+    destBucket: string;
+    size: number;
+    etag: string;
+  }
+
+  interface MultipartUploadOptions extends ObjectHeaderOptions {
     key: string;
     bucketName?: string;
     region?: string;
     totalParts: number;
     mimeType?: string;
     visibility?: 'public' | 'private';
+    signal?: AbortSignal;
+    timeout?: number;
   }
 
   interface UploadPartOptions {
@@ -62,18 +521,86 @@ declare module '@apexxcloud/sdk-node' {
     uploadId: string;
     partNumber: number;
     mimeType?: string;
+    onProgress?: (progress: UploadProgress) => void;
+    signal?: AbortSignal;
+    checksum?: boolean | ChecksumAlgorithm;
+    timeout?: number;
   }
 
   interface CompleteMultipartOptions {
     bucketName?: string;
     region?: string;
     uploadId: string;
+    signal?: AbortSignal;
+    checksum?: boolean;
+    timeout?: number;
   }
 
   interface CancelMultipartOptions {
     bucketName?: string;
     region?: string;
     uploadId: string;
+    timeout?: number;
+  }
+
+  interface ByteRange {
+    start?: number;
+    end?: number;
+  }
+
+  interface DownloadOptions {
+    bucketName?: string;
+    region?: string;
+    range?: ByteRange;
+    verifyEtag?: boolean;
+    checksum?: boolean | ChecksumAlgorithm;
+    timeout?: number;
+  }
+
+  interface DownloadToFileOptions {
+    bucketName?: string;
+    region?: string;
+    resume?: boolean;
+    verifyEtag?: boolean;
+    checksum?: boolean | ChecksumAlgorithm;
+    timeout?: number;
+  }
+
+  interface DownloadToFileResponse {
+    path: string;
+    size: number;
+    etag: string;
+  }
+
+  interface UploadPlanOptions extends ObjectHeaderOptions {
+    size: number;
+    bucketName?: string;
+    region?: string;
+    mimeType?: string;
+    partSize?: number;
+    visibility?: 'public' | 'private';
+    expiresIn?: number;
+  }
+
+  interface SignedRequest {
+    method: string;
+    url: string;
+  }
+
+  interface UploadPlan {
+    uploadId: string;
+    key: string;
+    bucketName?: string;
+    region?: string;
+    size: number;
+    mimeType: string;
+    partSize: number;
+    totalParts: number;
+    fieldName: string;
+    expiresAt: string;
+    parts: Array<SignedRequest & { partNumber: number; offset: number; length: number }>;
+    complete: SignedRequest;
+    cancel: SignedRequest;
   }
 
   interface BucketContentsOptions {
@@ -82,6 +609,71 @@ declare module '@apexxcloud/sdk-node' {
     prefix?: string;
     page?: number;
     limit?: number;
+    timeout?: number;
+  }
+
+  interface ListObjectsOptions {
+    bucketName?: string;
+    region?: string;
+    prefix?: string;
+    limit?: number;
+    maxItems?: number;
+  }
+
+  interface ListFoldersOptions {
+    bucketName?: string;
+    region?: string;
+    delimiter?: string;
+  }
+
+  interface BucketObject {
+    key: string;
+    size: number;
+    lastModified: string;
+    etag: string;
+  }
+
+  interface ListFoldersResponse {
+    prefix: string;
+    folders: string[];
+    files: BucketObject[];
+  }
+
+  interface SyncOptions {
+    bucketName?: string;
+    region?: string;
+    include?: string | string[];
+    exclude?: string | string[];
+    deleteExtraneous?: boolean;
+    dryRun?: boolean;
+    concurrency?: number;
+  }
+
+  interface SyncUpOptions extends SyncOptions {
+    visibility?: 'public' | 'private';
+    purge?: boolean;
+  }
+
+  type SyncReason = 'new' | 'size' | 'etag' | 'mtime' | 'extraneous';
+
+  interface SyncChange {
+    action: 'upload' | 'download' | 'delete';
+    key: string;
+    path?: string;
+    size: number;
+    lastModified?: string;
+    reason: SyncReason;
+  }
+
+  interface SyncUpResponse {
+    dryRun: boolean;
+    changes: SyncChange[];
+    purged: string[];
+  }
+
+  interface SyncDownResponse {
+    dryRun: boolean;
+    changes: SyncChange[];
   }
 
   interface UploadPartResponse {
@@ -97,28 +689,98 @@ declare module '@apexxcloud/sdk-node' {
   }
 
   interface BucketContentsResponse {
-    contents: Array<{
-      key: string;
-      size: number;
-      lastModified: string;
-      etag: string;
-    }>;
+    contents: Array<BucketObject>;
     page: number;
     totalPages: number;
     totalItems: number;
   }
 
   export default class ApexxCloud {
-    constructor(config: BucketConfig);
+    constructor(config?: BucketConfig);
+
+    static credentials: {
+      fromEnv(): CredentialProvider;
+      fromProfile(options?: ProfileOptions): CredentialProvider;
+      chain(...providers: CredentialProvider[]): CredentialProvider;
+    };
+    static FileCheckpointStore: typeof FileCheckpointStore;
+    static Emulator: typeof Emulator;
+    static createOpenTelemetryHooks(options: OpenTelemetryHooksOptions): Required<RequestHooks>;
+    static verifySignedUrl(
+      url: string,
+      method: string,
+      options: VerifySignedUrlOptions
+    ): Promise<VerificationResult>;
+    static verifyRequestHeaders(
+      req: IncomingSignedRequest,
+      options: VerifyOptions
+    ): Promise<VerificationResult>;
+    static signatureMiddleware(
+      options: SignatureMiddlewareOptions
+    ): (req: any, res: any, next: (err?: any) => void) => void;
+    /** Express/Connect `(req, res, next)` or Koa `(ctx, next)` middleware */
+    static uploadMiddleware(
+      client: ApexxCloud,
+      options?: UploadMiddlewareOptions
+    ): (...args: any[]) => any;
+    static ApexxCloudError: typeof ApexxCloudError;
+    static ValidationError: typeof ValidationError;
+    static AuthenticationError: typeof AuthenticationError;
+    static NotFoundError: typeof NotFoundError;
+    static ThrottlingError: typeof ThrottlingError;
+    static ServerError: typeof ServerError;
+    static NetworkError: typeof NetworkError;
+    static AbortError: typeof AbortError;
+    static IntegrityError: typeof IntegrityError;
+
+    /** Registers lifecycle hooks; returns a function that removes them */
+    addHooks(hooks: RequestHooks): () => void;
+    /** Milliseconds the service's clock is ahead of the local clock */
+    getClockOffset(): number;
 
     files: {
       upload(
         key: string,
-        file: Buffer | NodeJS.ReadStream,
+        file: Buffer | NodeJS.ReadableStream,
         options: UploadOptions
       ): Promise<{ url: string }>;
+      uploadLarge(
+        key: string,
+        source: string | Buffer | NodeJS.ReadableStream,
+        options?: UploadLargeOptions
+      ): Promise<{ url: string } | CompleteMultipartResponse>;
+      resumeUpload(
+        checkpoint: UploadCheckpoint,
+        source?: string | Buffer | NodeJS.ReadableStream,
+        options?: ResumeUploadOptions
+      ): Promise<CompleteMultipartResponse>;
+      createWriteStream(key: string, options?: WriteStreamOptions): UploadWriteStream;
+      /** Rejects with a NotFoundError (code "NoSuchKey") when the object does not exist */
+      stat(key: string, options?: StatOptions): Promise<ObjectStat>;
+      exists(key: string, options?: StatOptions): Promise<boolean>;
+      copy(source: string, destination: string, options?: CopyOptions): Promise<CopyResponse>;
+      copy(
+        source: { prefix: string },
+        destination: { prefix: string },
+        options?: CopyOptions
+      ): Promise<BatchResponse<CopyResponse>>;
+      /** Deletes the source only after the copy has been verified */
+      move(source: string, destination: string, options?: CopyOptions): Promise<CopyResponse>;
+      move(
+        source: { prefix: string },
+        destination: { prefix: string },
+        options?: CopyOptions
+      ): Promise<BatchResponse<CopyResponse>>;
       delete(key: string, options: DeleteOptions): Promise<{ success: boolean }>;
       purge(key: string, options: PurgeOptions): Promise<{ success: boolean }>;
+      deleteMany(
+        target: BatchTarget,
+        options?: BatchOptions
+      ): Promise<BatchResponse<{ success: boolean }>>;
+      purgeMany(
+        target: BatchTarget,
+        options?: BatchOptions
+      ): Promise<BatchResponse<{ success: boolean }>>;
 
       startMultipartUpload(
         key: string,
@@ -126,7 +788,7 @@ declare module '@apexxcloud/sdk-node' {
       ): Promise<{ uploadId: string }>;
       uploadPart(
         key: string,
-        filePart: Buffer | NodeJS.ReadStream,
+        filePart: Buffer | NodeJS.ReadableStream,
         options: UploadPartOptions
       ): Promise<UploadPartResponse>;
       completeMultipartUpload(
@@ -139,10 +801,25 @@ declare module '@apexxcloud/sdk-node' {
         options: CancelMultipartOptions
       ): Promise<{ success: boolean }>;
       getSignedUrl(type: string, options: SignedUrlOptions): Promise<string>;
+      createUploadPlan(key: string, options: UploadPlanOptions): Promise<UploadPlan>;
+      finalizeUploadPlan(
+        plan: UploadPlan,
+        parts: Array<string | UploadPartResponse>
+      ): Promise<CompleteMultipartResponse>;
+      download(key: string, options?: DownloadOptions): Promise<NodeJS.ReadableStream>;
+      downloadToFile(
+        key: string,
+        filePath: string,
+        options?: DownloadToFileOptions
+      ): Promise<DownloadToFileResponse>;
     };
 
     bucket: {
       listContents(options?: BucketContentsOptions): Promise<BucketContentsResponse>;
+      list(options?: ListObjectsOptions): AsyncGenerator<BucketObject, void, undefined>;
+      listFolders(prefix?: string, options?: ListFoldersOptions): Promise<ListFoldersResponse>;
+      syncUp(localDir: string, prefix: string, options?: SyncUpOptions): Promise<SyncUpResponse>;
+      syncDown(prefix: string, localDir: string, options?: SyncOptions): Promise<SyncDownResponse>;
     };
 
     generateSignedUrl(type: SignedUrlType, options: SignedUrlOptions): Promise<string>;
@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const { Readable, Transform, pipeline: pipelineCallback } = require('stream');
+const { FormParser, formBoundary } = require('./multipart');
+const {
+  SNIFF_LENGTH,
+  DEFAULT_CONTENT_TYPE,
+  lookupContentType,
+  sniffContentType,
+} = require('./content');
+const { peekHead } = require('./source');
+const { ValidationError, AbortError } = require('./errors');
+
+const pipeline = promisify(pipelineCallback);
+
+const DEFAULT_MAX_FILES = 10;
+
+/**
+ * Checks the middleware options
+ * @param {Object} client - ApexxCloud client
+ * @param {Object} options - Middleware options
+ * @throws {ValidationError} When an option is invalid
+ */
+function validateOptions(client, options) {
+  if (!client || !client.files || typeof client.files.createWriteStream !== 'function') {
+    throw new ValidationError('An ApexxCloud client is required', 'client');
+  }
+  if (options.key !== undefined && typeof options.key !== 'function') {
+    throw new ValidationError('key must be a function returning the object key', 'key');
+  }
+  for (const name of ['maxFileSize', 'maxFiles', 'maxFields', 'maxFieldSize']) {
+    const value = options[name];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+      throw new ValidationError(`${name} must be a non-negative integer`, name);
+    }
+  }
+  if (
+    options.allowedContentTypes !== undefined &&
+    !(Array.isArray(options.allowedContentTypes) && options.allowedContentTypes.length)
+  ) {
+    throw new ValidationError(
+      'allowedContentTypes must be a non-empty array of content types',
+      'allowedContentTypes'
+    );
+  }
+}
+
+/**
+ * Picks the content type of an uploaded file: the type recognised from its
+ * data, then the type the browser declared, then the type of the filename's
+ * extension
+ * @param {{filename: string, contentType?: string}} info - Form part headers
+ * @param {Buffer} head - First bytes of the file
+ * @returns {string}
+ */
+function fileContentType(info, head) {
+  const declared = info.contentType && info.contentType.split(';')[0].trim().toLowerCase();
+  return (
+    sniffContentType(head) ||
+    (declared && declared !== DEFAULT_CONTENT_TYPE ? declared : undefined) ||
+    lookupContentType(info.filename) ||
+    DEFAULT_CONTENT_TYPE
+  );
+}
+
+/**
+ * Checks a content type against a list of allowed types, where `type/*`
+ * matches every subtype
+ * @param {string} contentType - Content type
+ * @param {string[]} allowed - Allowed content types
+ * @returns {boolean}
+ */
+function isAllowedType(contentType, allowed) {
+  return allowed.some((pattern) => {
+    const type = pattern.toLowerCase();
+    return type.endsWith('/*')
+      ? contentType.startsWith(type.slice(0, -1))
+      : contentType === type || type === '*/*';
+  });
+}
+
+/**
+ * Default object key: the prefix, a random hex ID and the original extension
+ * @param {string} prefix - Key prefix
+ * @param {string} originalName - Filename sent by the client
+ * @returns {string}
+ */
+function defaultKey(prefix, originalName) {
+  const id = crypto.randomBytes(16).toString('hex');
+  const extension = path.extname(originalName || '').toLowerCase();
+  return `${prefix}${id}${/^\.[a-z0-9]{1,16}$/.test(extension) ? extension : ''}`;
+}
+
+/**
+ * Adds a form field, collecting repeated names into an array
+ * @param {Object} fields - Fields so far
+ * @param {string} name - Field name
+ * @param {string} value - Field value
+ */
+function addField(fields, name, value) {
+  if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+    fields[name] = value;
+  } else if (Array.isArray(fields[name])) {
+    fields[name].push(value);
+  } else {
+    fields[name] = [fields[name], value];
+  }
+}
+
+/**
+ * Streams the files of a multipart/form-data request to storage
+ * @param {Object} client - ApexxCloud client
+ * @param {import('http').IncomingMessage} req - Node request
+ * @param {string} boundary - Form boundary
+ * @param {Object} options - Middleware options
+ * @param {Object} context - Request object handed to the key callback
+ * @returns {Promise<{files: Object[], fields: Object}>}
+ * @throws {ValidationError} When the form or a file is rejected
+ * @throws {AbortError} When the client disconnects before the form is complete
+ */
+async function handleForm(client, req, boundary, options, context) {
+  const target = { bucketName: options.bucketName, region: options.region };
+  const maxFiles = options.maxFiles ?? DEFAULT_MAX_FILES;
+  const parser = new FormParser(boundary, {
+    maxFields: options.maxFields,
+    maxFieldSize: options.maxFieldSize,
+  });
+
+  const fields = Object.create(null);
+  const uploads = [];
+  const streams = new Set();
+  let failure = null;
+
+  // Stop reading the form and cancel uploads still receiving data; uploads that
+  // already have all their data are left to finish and deleted afterwards
+  const fail = (error) => {
+    if (failure) return;
+    failure = error;
+    req.unpipe(parser);
+    req.resume();
+    parser.destroy(error);
+    for (const stream of streams) {
+      if (!stream.writableEnded) stream.destroy(error);
+    }
+  };
+
+  const uploadFile = async (info, stream) => {
+    const { head, data } = await peekHead(stream, SNIFF_LENGTH);
+    const contentType = fileContentType(info, head);
+    if (options.allowedContentTypes && !isAllowedType(contentType, options.allowedContentTypes)) {
+      throw new ValidationError(`Content type ${contentType} is not allowed`, info.name, {
+        status: 415,
+        code: 'CONTENT_TYPE_NOT_ALLOWED',
+      });
+    }
+
+    const file = {
+      fieldName: info.name,
+      originalName: info.filename,
+      contentType,
+      fields: { ...fields },
+    };
+    const key = options.key
+      ? await options.key(file, context)
+      : defaultKey(options.prefix || '', info.filename);
+    if (!key || typeof key !== 'string') {
+      throw new ValidationError('The key option must return a non-empty string', 'key');
+    }
+    if (failure) throw failure;
+
+    let size = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (options.maxFileSize !== undefined && size > options.maxFileSize) {
+          callback(
+            new ValidationError(
+              `File ${info.filename} is larger than ${options.maxFileSize} bytes`,
+              info.name,
+              { status: 413, code: 'FILE_TOO_LARGE' }
+            )
+          );
+          return;
+        }
+        callback(null, chunk);
+      },
+    });
+    const upload = client.files.createWriteStream(key, {
+      ...target,
+      visibility: options.visibility,
+      filename: info.filename,
+      contentType,
+      partSize: options.partSize,
+      concurrency: options.concurrency,
+    });
+    streams.add(upload);
+    await pipeline(Readable.from(data), limiter, upload);
+
+    const result = upload.result || {};
+    return {
+      fieldName: info.name,
+      originalName: info.filename,
+      key,
+      bucket: options.bucketName || client.config.defaultBucket,
+      contentType,
+      size,
+      url: result.url || result.Location,
+      etag: result.ETag,
+    };
+  };
+
+  parser.on('field', (name, value) => addField(fields, name, value));
+  parser.on('file', (info, stream) => {
+    if (uploads.length >= maxFiles) {
+      stream.destroy();
+      fail(
+        new ValidationError(`Form has more than ${maxFiles} files`, info.name, {
+          status: 413,
+          code: 'TOO_MANY_FILES',
+        })
+      );
+      return;
+    }
+    const upload = uploadFile(info, stream);
+    upload.catch(fail);
+    uploads.push(upload);
+  });
+
+  const received = new Promise((resolve, reject) => {
+    // Node reports a dropped connection as an "aborted" error, or only by closing
+    const disconnected = (cause) =>
+      reject(
+        new AbortError('The client disconnected before the upload finished', {
+          code: 'CLIENT_DISCONNECTED',
+          cause,
+        })
+      );
+    parser.on('finish', resolve);
+    parser.on('error', reject);
+    req.on('error', disconnected);
+    req.on('close', () => {
+      if (!req.complete) disconnected();
+    });
+  });
+  req.pipe(parser);
+
+  await received.catch(fail);
+  const settled = await Promise.allSettled(uploads);
+  if (!failure) {
+    return { files: settled.map((outcome) => outcome.value), fields: { ...fields } };
+  }
+
+  // Nothing of a rejected form is kept
+  await Promise.all(
+    settled
+      .filter((outcome) => outcome.status === 'fulfilled')
+      .map((outcome) => client.files.delete(outcome.value.key, target).catch(() => {}))
+  );
+  throw failure;
+}
+
+/**
+ * Creates an Express/Connect or Koa middleware that streams the files of
+ * multipart/form-data requests straight to storage, without buffering them
+ * in memory or on disk. Each file goes through `files.createWriteStream`, so
+ * files up to `partSize` are sent with a single upload and larger ones with a
+ * multipart upload. Other requests pass through untouched.
+ *
+ * Uploaded files are listed on `req.files` (Koa: `ctx.request.files`) and
+ * text fields are merged into `req.body` (Koa: `ctx.request.body`). When a
+ * file is rejected, the form is malformed or the client disconnects, uploads
+ * in progress are cancelled, files of the same request that were already
+ * stored are deleted, and the error is passed to `next` (Koa: thrown). Errors
+ * carry an HTTP `status` and a `code`: FILE_TOO_LARGE, TOO_MANY_FILES,
+ * TOO_MANY_FIELDS and FIELD_TOO_LARGE (413), CONTENT_TYPE_NOT_ALLOWED (415),
+ * INVALID_FORM (400) or CLIENT_DISCONNECTED.
+ * @param {Object} client - ApexxCloud client
+ * @param {Object} [options] - Middleware options
+ * @param {string} [options.bucketName] - Target bucket name
+ * @param {string} [options.region] - Target region
+ * @param {string} [options.visibility="public"] - File visibility
+ * @param {string} [options.prefix=""] - Prefix of the default keys
+ * @param {Function} [options.key] - `(file, req) => key` naming each object (Koa passes
+ *   `ctx` instead of `req`); `file` has
+ *   `fieldName`, `originalName`, `contentType` and the `fields` sent before it. Defaults
+ *   to the prefix, a random hex ID and the original extension
+ * @param {number} [options.maxFileSize] - Maximum bytes of each file
+ * @param {string[]} [options.allowedContentTypes] - Accepted content types, e.g.
+ *   `["image/*", "application/pdf"]`; checked against the type recognised from the data,
+ *   then the declared type, then the filename's extension
+ * @param {number} [options.maxFiles=10] - Maximum files per request
+ * @param {number} [options.maxFields=100] - Maximum text fields per request
+ * @param {number} [options.maxFieldSize=1048576] - Maximum bytes of a text field
+ * @param {number} [options.partSize=8388608] - Part size, and the size above which
+ *   multipart upload is used
+ * @param {number} [options.concurrency=4] - Maximum parts of a file uploaded at once
+ * @returns {Function} `(req, res, next)` for Express, or `(ctx, next)` for Koa
+ * @throws {ValidationError} When the client or an option is invalid
+ */
+function createUploadMiddleware(client, options = {}) {
+  validateOptions(client, options);
+
+  return (first, second, third) => {
+    // Koa passes (ctx, next); Express and Connect pass (req, res, next)
+    const koa = typeof second === 'function' && first.req !== undefined;
+    const req = koa ? first.req : first;
+    const next = koa ? second : third;
+    const boundary = formBoundary(req.headers['content-type']);
+    if (!boundary) {
+      return next();
+    }
+
+    const upload = handleForm(client, req, boundary, options, first);
+    if (koa) {
+      return upload.then(({ files, fields }) => {
+        first.request.files = files;
+        first.request.body = Object.assign(first.request.body || {}, fields);
+        req.files = files;
+        return next();
+      });
+    }
+    upload.then(({ files, fields }) => {
+      req.files = files;
+      req.body = Object.assign(req.body || {}, fields);
+      next();
+    }, next);
+    return undefined;
+  };
+}
+
+module.exports = { createUploadMiddleware };
@@ -0,0 +1,277 @@
+const process = require('process');
+const { Writable } = require('stream');
+const { Buffer } = require('buffer');
+const { ValidationError, AbortError } = require('./errors');
+const { SNIFF_LENGTH, resolveContentType, pickObjectHeaders } = require('./content');
+
+/**
+ * Writable that uploads whatever is written to it as one object. Data is cut
+ * into parts; a multipart upload is started once the first part fills, and
+ * data that never fills a part is sent with a single upload when the stream
+ * ends. Writes wait while `concurrency` parts are in flight, so memory stays
+ * around `partSize * (concurrency + 1)`.
+ *
+ * The service needs the part count when the upload starts. It is exact when
+ * `size` is given; otherwise the part limit is declared and only the parts
+ * actually sent are listed on completion.
+ *
+ * Destroying the stream (including through `stream.pipeline` or the signal)
+ * before it finishes cancels the multipart upload on the server.
+ */
+class UploadStream extends Writable {
+  /**
+   * Creates a new upload stream; use `client.files.createWriteStream` instead
+   * @param {Object} client - ApexxCloud client
+   * @param {string} key - Object key
+   * @param {Object} options - Normalised stream options
+   * @param {number} options.partSize - Part size in bytes
+   * @param {number} options.totalParts - Part count declared to the service
+   * @param {number} options.concurrency - Maximum parts uploaded at once
+   */
+  constructor(client, key, options) {
+    super();
+    this.client = client;
+    this.key = key;
+    this.options = options;
+    this.target = { bucketName: options.bucketName, region: options.region };
+
+    this.chunks = [];
+    this.bufferedLength = 0;
+    this.nextPart = 1;
+    this.uploaded = 0;
+    this.parts = [];
+    this.inFlight = new Map();
+    this.starting = null;
+    this.uploadId = null;
+    this.contentType = undefined;
+    this.completed = false;
+    this.failure = null;
+
+    /**
+     * Response of the upload, set before "finish" is emitted
+     * @type {Object|undefined}
+     */
+    this.result = undefined;
+
+    const { signal } = options;
+    if (signal) {
+      const onAbort = () =>
+        this.destroy(new AbortError('The operation was aborted', { code: 'ABORT_ERR' }));
+      if (signal.aborted) {
+        process.nextTick(onAbort);
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+        this.once('close', () => signal.removeEventListener('abort', onAbort));
+      }
+    }
+  }
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(chunk);
+    this.bufferedLength += chunk.length;
+    this.flushParts(false).then(() => callback(), callback);
+  }
+
+  _final(callback) {
+    this.finishUpload().then((result) => {
+      this.result = result;
+      callback();
+    }, callback);
+  }
+
+  _destroy(error, callback) {
+    if (this.completed || !(this.uploadId || this.starting)) {
+      callback(error);
+      return;
+    }
+    const cancel = async () => {
+      const uploadId = this.uploadId || (await this.starting.catch(() => null));
+      if (uploadId) {
+        await this.client
+          .cancelMultipartUpload(this.key, { ...this.target, uploadId })
+          .catch(() => {});
+      }
+    };
+    cancel().then(() => callback(error));
+  }
+
+  /**
+   * Sends every full part in the buffer, or with `final` everything left
+   * @private
+   * @param {boolean} final - Whether the stream has ended
+   * @returns {Promise<void>}
+   */
+  async flushParts(final) {
+    while (this.bufferedLength >= this.options.partSize || (final && this.bufferedLength)) {
+      if (this.nextPart > this.options.totalParts) {
+        throw new ValidationError(
+          `Stream is larger than ${this.options.totalParts} parts of ${this.options.partSize} ` +
+            'bytes; pass its size or a larger partSize',
+          'size'
+        );
+      }
+      const body = this.takePart();
+      await this.startUpload(body);
+      await this.waitForSlot();
+      this.sendPart(this.nextPart++, body);
+    }
+  }
+
+  /**
+   * Removes up to one part of data from the buffer
+   * @private
+   * @returns {Buffer}
+   */
+  takePart() {
+    const data = Buffer.concat(this.chunks);
+    const body = data.subarray(0, this.options.partSize);
+    const rest = data.subarray(body.length);
+    this.chunks = rest.length ? [rest] : [];
+    this.bufferedLength = rest.length;
+    return body;
+  }
+
+  /**
+   * Starts the multipart upload, once. Without an explicit or extension-based
+   * content type, it is recognised from the first part.
+   * @private
+   * @param {Buffer} firstPart - Data of the first part
+   * @returns {Promise<string>} Upload ID
+   */
+  startUpload(firstPart) {
+    if (!this.starting) {
+      const { options } = this;
+      this.starting = resolveContentType(options.contentType, this.key, async () =>
+        firstPart.subarray(0, SNIFF_LENGTH)
+      )
+        .then((contentType) => {
+          this.contentType = contentType;
+          return this.client.startMultipartUpload(this.key, {
+            ...this.target,
+            ...pickObjectHeaders(options),
+            totalParts: options.totalParts,
+            mimeType: contentType,
+            visibility: options.visibility,
+            signal: options.signal,
+            timeout: options.timeout,
+          });
+        })
+        .then(({ uploadId }) => {
+          this.uploadId = uploadId;
+          return uploadId;
+        });
+    }
+    return this.starting;
+  }
+
+  /**
+   * Waits until fewer than `concurrency` parts are in flight
+   * @private
+   * @returns {Promise<void>}
+   * @throws {Error} The first part failure
+   */
+  async waitForSlot() {
+    while (this.inFlight.size >= this.options.concurrency) {
+      await Promise.race([...this.inFlight.values()].map((part) => part.promise));
+    }
+    if (this.failure) {
+      throw this.failure;
+    }
+  }
+
+  /**
+   * Uploads a part in the background, recording its ETag or the first failure
+   * @private
+   * @param {number} partNumber - Part number
+   * @param {Buffer} body - Part data
+   */
+  sendPart(partNumber, body) {
+    const { onProgress } = this.options;
+    const entry = { loaded: 0 };
+    entry.promise = this.client
+      .uploadPart(this.key, body, {
+        ...this.target,
+        uploadId: this.uploadId,
+        partNumber,
+        totalParts: this.options.totalParts,
+        mimeType: this.contentType,
+        signal: this.options.signal,
+        timeout: this.options.timeout,
+        checksum: this.options.checksum,
+        onProgress:
+          onProgress &&
+          (({ loaded }) => {
+            entry.loaded = loaded;
+            this.reportProgress(partNumber);
+          }),
+      })
+      .then((result) => {
+        this.uploaded += body.length;
+        this.parts.push({ ETag: result.ETag, PartNumber: partNumber });
+      })
+      .catch((error) => {
+        this.failure = this.failure || error;
+      })
+      .finally(() => {
+        this.inFlight.delete(partNumber);
+      });
+    this.inFlight.set(partNumber, entry);
+  }
+
+  /**
+   * Calls onProgress with the bytes of finished parts plus those in flight
+   * @private
+   * @param {number} part - Part that progressed
+   */
+  reportProgress(part) {
+    let loaded = this.uploaded;
+    for (const entry of this.inFlight.values()) {
+      loaded += entry.loaded;
+    }
+    this.options.onProgress({ loaded, total: this.options.size, part });
+  }
+
+  /**
+   * Uploads the rest of the data and completes the upload. Data that never
+   * filled a part is sent with a single upload instead.
+   * @private
+   * @returns {Promise<Object>} Upload response, or complete multipart upload response
+   */
+  async finishUpload() {
+    const { options } = this;
+    if (!this.starting) {
+      const result = await this.client.uploadFile(this.key, Buffer.concat(this.chunks), {
+        ...this.target,
+        visibility: options.visibility,
+        filename: options.filename,
+        contentType: options.contentType,
+        ...pickObjectHeaders(options),
+        onProgress: options.onProgress,
+        signal: options.signal,
+        timeout: options.timeout,
+        checksum: options.checksum,
+      });
+      this.completed = true;
+      return result;
+    }
+
+    await this.flushParts(true);
+    await Promise.all([...this.inFlight.values()].map((part) => part.promise));
+    if (this.failure) {
+      throw this.failure;
+    }
+
+    const parts = this.parts.slice().sort((a, b) => a.PartNumber - b.PartNumber);
+    const result = await this.client.completeMultipartUpload(this.key, parts, {
+      ...this.target,
+      uploadId: this.uploadId,
+      signal: options.signal,
+      timeout: options.timeout,
+      checksum: Boolean(options.checksum),
+    });
+    this.completed = true;
+    return result;
+  }
+}
+
+module.exports = { UploadStream };
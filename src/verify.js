@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const { ValidationError } = require('./errors');
+
+const DEFAULT_URL_MAX_AGE = 3600;
+const DEFAULT_HEADER_MAX_AGE = 300;
+const DEFAULT_CLOCK_SKEW = 300;
+
+const AUTH_QUERY_PARAMS = ['access_key', 'signature', 'timestamp'];
+
+/**
+ * Computes the HMAC-SHA256 signature the SDK uses for requests and signed URLs
+ * @param {string} secretKey - Secret key
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path including the query string
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Hex signature
+ */
+function computeSignature(secretKey, method, path, timestamp) {
+  return crypto
+    .createHmac('sha256', secretKey)
+    .update(`${method}\n${path}\n${timestamp}`)
+    .digest('hex');
+}
+
+/**
+ * Builds a failed verification result
+ * @param {string} reason - Machine-readable rejection reason
+ * @param {string} message - Human-readable explanation
+ * @returns {{valid: false, reason: string, message: string}}
+ */
+function reject(reason, message) {
+  return { valid: false, reason, message };
+}
+
+/**
+ * Compares two hex strings in constant time
+ * @param {string} expected - Expected value
+ * @param {string} actual - Received value
+ * @returns {boolean}
+ */
+function safeEqual(expected, actual) {
+  const a = Buffer.from(expected, 'utf8');
+  const b = Buffer.from(String(actual), 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Checks a signature, its timestamp and the signing key
+ * @param {Object} request - Signed request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Signed path including the query string
+ * @param {string} [request.accessKey] - Access key the caller presented
+ * @param {string} [request.signature] - Signature the caller presented
+ * @param {string} [request.timestamp] - Timestamp the caller presented
+ * @param {Object} options - Verification options
+ * @param {string|Function} options.secretKey - Secret key, or `(accessKey) => secretKey`
+ *   (may be async) for several callers; return nothing for unknown access keys
+ * @param {string} [options.accessKey] - Only accept this access key
+ * @param {number} options.maxAge - Maximum signature age in seconds
+ * @param {number} [options.clockSkew=300] - Seconds a timestamp may lie in the future
+ * @param {number} [options.now] - Current time in milliseconds (for testing)
+ * @returns {Promise<{valid: boolean, reason?: string, message?: string, accessKey?: string, timestamp?: string}>}
+ */
+async function verifySignature(request, options) {
+  const { method, path, accessKey, signature, timestamp } = request;
+  const clockSkew = (options.clockSkew ?? DEFAULT_CLOCK_SKEW) * 1000;
+  const now = options.now ?? Date.now();
+
+  if (!signature) {
+    return reject('MISSING_SIGNATURE', 'Request is not signed');
+  }
+  if (!timestamp) {
+    return reject('MISSING_TIMESTAMP', 'Request has no signature timestamp');
+  }
+  if (!accessKey) {
+    return reject('MISSING_ACCESS_KEY', 'Request has no access key');
+  }
+
+  const signedAt = Date.parse(timestamp);
+  if (Number.isNaN(signedAt)) {
+    return reject('INVALID_TIMESTAMP', `Timestamp ${timestamp} is not a valid date`);
+  }
+  if (signedAt - now > clockSkew) {
+    return reject('TIMESTAMP_IN_FUTURE', `Timestamp ${timestamp} is in the future`);
+  }
+  // The skew allowance only covers signers whose clock runs ahead; it never extends
+  // a signature's lifetime
+  if (now - signedAt > options.maxAge * 1000) {
+    return reject('EXPIRED', `Signature from ${timestamp} is older than ${options.maxAge}s`);
+  }
+
+  if (options.accessKey && !safeEqual(options.accessKey, accessKey)) {
+    return reject('UNKNOWN_ACCESS_KEY', 'Access key is not accepted');
+  }
+  const secretKey =
+    typeof options.secretKey === 'function'
+      ? await options.secretKey(accessKey)
+      : options.secretKey;
+  if (!secretKey) {
+    return reject('UNKNOWN_ACCESS_KEY', 'Access key is not accepted');
+  }
+
+  const expected = computeSignature(secretKey, method.toUpperCase(), path, timestamp);
+  if (!safeEqual(expected, signature)) {
+    return reject('SIGNATURE_MISMATCH', 'Signature does not match the request');
+  }
+
+  return { valid: true, accessKey, timestamp };
+}
+
+/**
+ * Verifies a URL produced by `generateSignedUrl`. A signed `expiresIn` sets the
+ * URL's lifetime (capped by `maxAge` when given). When `request` is passed, the
+ * URL's upload policy (key or key prefix, allowed content types and maximum
+ * content length) is checked against it too.
+ * @param {string} url - Absolute URL, or path with query string
+ * @param {string} method - HTTP method the URL is being used with
+ * @param {Object} options - Verification options
+ * @param {string|Function} options.secretKey - Secret key, or `(accessKey) => secretKey`
+ * @param {string} [options.accessKey] - Only accept this access key
+ * @param {number} [options.maxAge=3600] - Maximum URL age in seconds
+ * @param {number} [options.clockSkew=300] - Seconds a timestamp may lie in the future
+ * @param {Object} [options.request] - What the holder is actually uploading
+ * @param {string} [options.request.key] - Object key
+ * @param {string} [options.request.contentType] - Content type of the file
+ * @param {number} [options.request.contentLength] - Size of the file in bytes
+ * @returns {Promise<{valid: boolean, reason?: string, message?: string, accessKey?: string, timestamp?: string}>}
+ */
+async function verifySignedUrl(url, method, options = {}) {
+  requireSecretKey(options);
+  const parsed = new URL(url, 'http://localhost');
+  const params = new URLSearchParams(parsed.search);
+  const accessKey = params.get('access_key');
+  const signature = params.get('signature');
+  const timestamp = params.get('timestamp');
+
+  // The signature covers the query string as it was before the auth params were added
+  for (const name of AUTH_QUERY_PARAMS) {
+    params.delete(name);
+  }
+
+  let maxAge = options.maxAge ?? DEFAULT_URL_MAX_AGE;
+  if (params.has('expiresIn')) {
+    const expiresIn = Number(params.get('expiresIn'));
+    if (!Number.isFinite(expiresIn) || expiresIn <= 0) {
+      return reject('INVALID_EXPIRY', `expiresIn ${params.get('expiresIn')} is not valid`);
+    }
+    maxAge = options.maxAge === undefined ? expiresIn : Math.min(expiresIn, options.maxAge);
+  }
+
+  const result = await verifySignature(
+    {
+      method,
+      path: `${parsed.pathname}?${params.toString()}`,
+      accessKey,
+      signature,
+      timestamp,
+    },
+    { ...options, maxAge }
+  );
+
+  if (!result.valid || !options.request) {
+    return result;
+  }
+  return checkUploadPolicy(params, options.request) || result;
+}
+
+/**
+ * Checks an upload against the policy carried in signed URL parameters
+ * @param {URLSearchParams} params - Signed query parameters
+ * @param {{key?: string, contentType?: string, contentLength?: number}} request - The upload
+ * @returns {{valid: false, reason: string, message: string}|null} A rejection, or null if allowed
+ */
+function checkUploadPolicy(params, request) {
+  const { key, contentType, contentLength } = request;
+
+  if (key !== undefined) {
+    if (params.has('keyPrefix') && !key.startsWith(params.get('keyPrefix'))) {
+      return reject('POLICY_VIOLATION', `Key ${key} is outside the allowed prefix`);
+    }
+    if (params.has('key') && params.get('key') !== key) {
+      return reject('POLICY_VIOLATION', `URL was not signed for key ${key}`);
+    }
+  }
+
+  if (params.has('allowedContentTypes')) {
+    const allowed = params.get('allowedContentTypes').split(',');
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    const matches = allowed.some((pattern) =>
+      pattern.endsWith('/*')
+        ? type.startsWith(pattern.slice(0, -1).toLowerCase())
+        : type === pattern.toLowerCase()
+    );
+    if (!matches) {
+      return reject('POLICY_VIOLATION', `Content type ${contentType || '(none)'} is not allowed`);
+    }
+  }
+
+  if (params.has('maxContentLength')) {
+    const max = Number(params.get('maxContentLength'));
+    if (!Number.isFinite(contentLength)) {
+      return reject('POLICY_VIOLATION', 'Content length is required by the URL policy');
+    }
+    if (contentLength > max) {
+      return reject('POLICY_VIOLATION', `Content length ${contentLength} exceeds ${max} bytes`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Verifies the X-Access-Key, X-Signature and X-Timestamp headers of an incoming
+ * request, as produced by `generateHeaders`
+ * @param {{method: string, url: string, originalUrl?: string, headers: Object}} req - Node
+ *   or Express request
+ * @param {Object} options - Verification options
+ * @param {string|Function} options.secretKey - Secret key, or `(accessKey) => secretKey`
+ * @param {string} [options.accessKey] - Only accept this access key
+ * @param {number} [options.maxAge=300] - Maximum signature age in seconds
+ * @param {number} [options.clockSkew=300] - Seconds a timestamp may lie in the future
+ * @returns {Promise<{valid: boolean, reason?: string, message?: string, accessKey?: string, timestamp?: string}>}
+ */
+async function verifyRequestHeaders(req, options = {}) {
+  requireSecretKey(options);
+  const header = (name) => {
+    const value = req.headers[name];
+    return Array.isArray(value) ? value[0] : value;
+  };
+
+  return verifySignature(
+    {
+      method: req.method,
+      path: req.originalUrl || req.url,
+      accessKey: header('x-access-key'),
+      signature: header('x-signature'),
+      timestamp: header('x-timestamp'),
+    },
+    { ...options, maxAge: options.maxAge ?? DEFAULT_HEADER_MAX_AGE }
+  );
+}
+
+/**
+ * Creates an Express/Connect middleware that rejects requests without a valid
+ * signature. Signed headers are checked first; requests without them may use
+ * a signed URL instead when `allowSignedUrls` is set. On success the caller's
+ * access key is stored on `req.apexxcloud`.
+ * @param {Object} options - Verification options (see verifyRequestHeaders)
+ * @param {boolean} [options.allowSignedUrls=false] - Also accept signed URL query params
+ * @param {Function} [options.onRejected] - `(req, res, next, result)` handler replacing
+ *   the default 401 JSON response
+ * @returns {(req: Object, res: Object, next: Function) => void}
+ */
+function createSignatureMiddleware(options = {}) {
+  requireSecretKey(options);
+
+  return (req, res, next) => {
+    const useUrl = options.allowSignedUrls && !req.headers['x-signature'];
+    const verification = useUrl
+      ? verifySignedUrl(req.originalUrl || req.url, req.method, options)
+      : verifyRequestHeaders(req, options);
+
+    verification.then((result) => {
+      if (result.valid) {
+        req.apexxcloud = { accessKey: result.accessKey, timestamp: result.timestamp };
+        next();
+        return;
+      }
+      if (options.onRejected) {
+        options.onRejected(req, res, next, result);
+        return;
+      }
+      res.statusCode = 401;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: result.reason, message: result.message }));
+    }, next);
+  };
+}
+
+/**
+ * Checks that a verification secret was configured
+ * @param {Object} options - Verification options
+ * @throws {ValidationError} When secretKey is missing
+ */
+function requireSecretKey(options) {
+  if (!options.secretKey) {
+    throw new ValidationError('secretKey is required to verify signatures', 'secretKey');
+  }
+}
+
+module.exports = {
+  computeSignature,
+  verifySignedUrl,
+  verifyRequestHeaders,
+  createSignatureMiddleware,
+};
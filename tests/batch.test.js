@@ -0,0 +1,81 @@
+const { NotFoundError, ValidationError } = require('../src/errors');
+const { startStub, createClient, putObject, storedObject, routesOf } = require('./helpers');
+
+describe('batch operations', () => {
+  let stub;
+  let client;
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(async () => {
+    stub.objects.clear();
+    for (const key of ['logs/1.txt', 'logs/2.txt', 'logs/old/3.txt', 'logsheet.txt', 'keep.txt']) {
+      await putObject(client, key, key);
+    }
+    stub.reset();
+  });
+
+  describe('deleteMany', () => {
+    it('deletes a list of keys and reports each one', async () => {
+      const result = await client.files.deleteMany(['logs/1.txt', 'missing.txt', 'logs/1.txt']);
+      expect(result).toMatchObject({
+        dryRun: false,
+        keys: ['logs/1.txt', 'missing.txt'],
+        succeeded: 1,
+        failed: 1,
+      });
+      expect(result.results[0]).toMatchObject({ key: 'logs/1.txt', success: true });
+      expect(result.results[1].error).toBeInstanceOf(NotFoundError);
+      expect(storedObject(stub, 'logs/1.txt')).toBeNull();
+    });
+
+    it('expands a prefix through the listing', async () => {
+      const result = await client.files.deleteMany({ prefix: 'logs/' });
+      expect(result.keys).toEqual(['logs/1.txt', 'logs/2.txt', 'logs/old/3.txt']);
+      expect(result.succeeded).toBe(3);
+      expect(storedObject(stub, 'logsheet.txt')).not.toBeNull();
+    });
+
+    it('keeps going after a failure', async () => {
+      stub.fail('delete', 500, 1);
+      const result = await client.files.deleteMany({ prefix: 'logs/' }, { concurrency: 1 });
+      expect(result).toMatchObject({ succeeded: 2, failed: 1 });
+      expect(result.results[0]).toMatchObject({ success: false, error: { status: 500 } });
+    });
+
+    it('only resolves the keys in a dry run', async () => {
+      const result = await client.files.deleteMany({ prefix: 'logs/old/' }, { dryRun: true });
+      expect(result).toEqual({
+        dryRun: true,
+        keys: ['logs/old/3.txt'],
+        results: [],
+        succeeded: 0,
+        failed: 0,
+      });
+      expect(routesOf(stub)).toEqual(['contents']);
+    });
+
+    it('rejects invalid targets', async () => {
+      await expect(client.files.deleteMany({ prefix: '' })).rejects.toMatchObject({
+        field: 'prefix',
+      });
+      await expect(client.files.deleteMany(['ok', ''])).rejects.toMatchObject({ field: 'keys' });
+      await expect(client.files.deleteMany('logs/')).rejects.toBeInstanceOf(ValidationError);
+      expect(stub.requests).toHaveLength(0);
+    });
+  });
+
+  describe('purgeMany', () => {
+    it('purges every key under a prefix', async () => {
+      const result = await client.files.purgeMany({ prefix: 'logs/' }, { concurrency: 2 });
+      expect(result).toMatchObject({ succeeded: 3, failed: 0 });
+      expect(routesOf(stub).filter((route) => route === 'purge')).toHaveLength(3);
+      expect(storedObject(stub, 'logs/1.txt')).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileCheckpointStore } = require('../src/checkpoint');
+const { ValidationError } = require('../src/errors');
+const { BUCKET, startStub, createClient, storedObject, routesOf } = require('./helpers');
+
+const MiB = 1024 * 1024;
+
+describe('FileCheckpointStore', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'apexx-checkpoint-'));
+  });
+
+  afterEach(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  it('requires a directory', () => {
+    expect(() => new FileCheckpointStore()).toThrow(ValidationError);
+  });
+
+  it('saves, loads, lists and removes checkpoints per bucket and key', async () => {
+    const store = new FileCheckpointStore(path.join(dir, 'nested'));
+    const first = { key: 'a.bin', bucketName: 'one', uploadId: 'u1', parts: [] };
+    const second = { key: 'a.bin', bucketName: 'two', uploadId: 'u2', parts: [] };
+
+    await expect(store.list()).resolves.toEqual([]);
+    await store.save(first);
+    await store.save(second);
+    await store.save({ ...first, parts: [{ ETag: 'e', PartNumber: 1 }] });
+
+    await expect(store.load('a.bin', 'one')).resolves.toMatchObject({
+      uploadId: 'u1',
+      parts: [{ PartNumber: 1 }],
+    });
+    await expect(store.list()).resolves.toHaveLength(2);
+
+    await store.remove('a.bin', 'one');
+    await store.remove('a.bin', 'one');
+    await expect(store.load('a.bin', 'one')).resolves.toBeNull();
+    await expect(store.load('a.bin', 'two')).resolves.toMatchObject({ uploadId: 'u2' });
+  });
+
+  it('leaves no temporary files behind', async () => {
+    const store = new FileCheckpointStore(dir);
+    await store.save({ key: 'k', parts: [] });
+    const files = await fs.promises.readdir(dir);
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatch(/^[0-9a-f]{64}\.json$/);
+  });
+});
+
+describe('files.resumeUpload', () => {
+  let stub;
+  let client;
+  let dir;
+  let file;
+  let data;
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'apexx-resume-'));
+    file = path.join(dir, 'large.bin');
+    data = crypto.randomBytes(16 * MiB);
+    await fs.promises.writeFile(file, data);
+  });
+
+  afterAll(async () => {
+    await stub.stop();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => stub.reset());
+
+  /**
+   * Starts an upload whose second part fails, leaving a checkpoint with one part
+   */
+  const interruptedUpload = async (store, key) => {
+    // Fail the next part once the first one has been recorded
+    const failing = {
+      load: (...args) => store.load(...args),
+      remove: (...args) => store.remove(...args),
+      save: async (checkpoint) => {
+        await store.save(checkpoint);
+        if (checkpoint.parts.length === 1) {
+          stub.fail('upload-part', 500, 1);
+        }
+      },
+    };
+    await expect(
+      client.files.uploadLarge(key, file, {
+        partSize: 5 * MiB,
+        multipartThreshold: 5 * MiB,
+        concurrency: 1,
+        checkpointStore: failing,
+      })
+    ).rejects.toMatchObject({ status: 500 });
+    return store.load(key, BUCKET);
+  };
+
+  it('leaves a failed upload open and finishes it from the checkpoint', async () => {
+    const store = new FileCheckpointStore(path.join(dir, 'checkpoints'));
+    const checkpoint = await interruptedUpload(store, 'resumed.bin');
+
+    expect(checkpoint).toMatchObject({
+      key: 'resumed.bin',
+      bucketName: BUCKET,
+      partSize: 5 * MiB,
+      totalParts: 4,
+      source: { path: file, size: data.length },
+      parts: [{ PartNumber: 1 }],
+    });
+    expect(routesOf(stub)).not.toContain('multipart-cancel');
+    expect(stub.uploads.has(checkpoint.uploadId)).toBe(true);
+
+    stub.requests = [];
+    const progress = [];
+    await client.files.resumeUpload(checkpoint, undefined, {
+      checkpointStore: store,
+      onProgress: ({ loaded }) => progress.push(loaded),
+    });
+
+    expect(routesOf(stub).filter((route) => route === 'upload-part')).toHaveLength(3);
+    expect(progress[0]).toBeGreaterThan(5 * MiB);
+    expect(progress[progress.length - 1]).toBe(data.length);
+    expect(storedObject(stub, 'resumed.bin').data.equals(data)).toBe(true);
+    await expect(store.load('resumed.bin', BUCKET)).resolves.toBeNull();
+  });
+
+  it('refuses to resume from a source that changed', async () => {
+    const store = new FileCheckpointStore(path.join(dir, 'changed'));
+    const checkpoint = await interruptedUpload(store, 'changed.bin');
+
+    await expect(client.files.resumeUpload(checkpoint, data.subarray(1))).rejects.toThrow(
+      /source size is/
+    );
+    await expect(
+      client.files.resumeUpload({ ...checkpoint, source: { ...checkpoint.source, mtimeMs: 1 } })
+    ).rejects.toThrow(/modified since the checkpoint/);
+  });
+
+  it('rejects incomplete checkpoints', async () => {
+    await expect(client.files.resumeUpload(null)).rejects.toMatchObject({ field: 'checkpoint' });
+    await expect(
+      client.files.resumeUpload({ uploadId: 'u', key: 'k', parts: [] })
+    ).rejects.toBeInstanceOf(ValidationError);
+  });
+});
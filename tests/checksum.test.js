@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const {
+  normalizeChecksum,
+  createDigester,
+  digestStream,
+  compositeEtag,
+  assertChecksum,
+  verifyUploadDigests,
+  downloadChecksum,
+  expectedDownloadDigest,
+} = require('../src/checksum');
+const { readStream } = require('../src/source');
+const { IntegrityError, ValidationError } = require('../src/errors');
+const { startStub, createClient, storedObject } = require('./helpers');
+
+const MiB = 1024 * 1024;
+const md5 = (data) => crypto.createHash('md5').update(data).digest('hex');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('checksum helpers', () => {
+  it('normalises the checksum option', () => {
+    expect(normalizeChecksum(undefined)).toBeNull();
+    expect(normalizeChecksum(true)).toBe('md5');
+    expect(normalizeChecksum('SHA256')).toBe('sha256');
+    expect(() => normalizeChecksum('crc32')).toThrow(ValidationError);
+    expect(downloadChecksum({ verifyEtag: true })).toBe('md5');
+    expect(downloadChecksum({ checksum: 'sha256', verifyEtag: true })).toBe('sha256');
+    expect(downloadChecksum({})).toBeNull();
+  });
+
+  it('hashes incrementally, always with MD5', () => {
+    const digester = createDigester('sha256');
+    digester.update(Buffer.from('hello '));
+    digester.update(Buffer.from('world'));
+    expect(digester.digest()).toEqual({ md5: md5('hello world'), sha256: sha256('hello world') });
+    expect(digester.digest()).toBe(digester.digest());
+    expect(createDigester('md5').digest()).toEqual({ md5: md5('') });
+  });
+
+  it('streams a digest once it is known', async () => {
+    let resolve;
+    const stream = digestStream(new Promise((done) => (resolve = done)));
+    const reading = readStream(stream);
+    resolve('abc123');
+    await expect(reading).resolves.toEqual(Buffer.from('abc123'));
+  });
+
+  it('computes multipart ETags', () => {
+    const parts = [md5('a'), md5('b')];
+    const expected = md5(Buffer.concat(parts.map((digest) => Buffer.from(digest, 'hex'))));
+    expect(compositeEtag(parts)).toBe(`${expected}-2`);
+  });
+
+  it('reports mismatches as integrity errors', () => {
+    expect(() =>
+      assertChecksum('ABC', 'abc', { algorithm: 'md5', code: 'ETagMismatch', subject: 'Data' })
+    ).not.toThrow();
+    expect(() =>
+      assertChecksum(undefined, 'abc', { algorithm: 'md5', code: 'ETagMismatch', subject: 'Data' })
+    ).not.toThrow();
+    expect(() =>
+      assertChecksum('def', 'abc', { algorithm: 'md5', code: 'ETagMismatch', subject: 'Data' })
+    ).toThrow(expect.objectContaining({ code: 'ETagMismatch', expected: 'def', actual: 'abc' }));
+  });
+
+  it('checks upload responses', () => {
+    const digests = { md5: md5('x'), sha256: sha256('x') };
+    expect(() =>
+      verifyUploadDigests(digests, { ETag: `"${md5('x')}"`, ChecksumSHA256: sha256('x') }, {})
+    ).not.toThrow();
+    // Multipart ETags cannot be compared with the data
+    expect(() =>
+      verifyUploadDigests({ md5: md5('x') }, { ETag: `${md5('y')}-2` }, {})
+    ).not.toThrow();
+    expect(() => verifyUploadDigests(digests, { ETag: md5('y') }, {})).toThrow(IntegrityError);
+    expect(() =>
+      verifyUploadDigests(digests, { ETag: md5('x'), ChecksumSHA256: sha256('y') }, {})
+    ).toThrow(expect.objectContaining({ code: 'ChecksumMismatch' }));
+  });
+
+  it('picks the header a download is checked against', () => {
+    const headers = { etag: `"${md5('x')}"`, 'x-checksum-sha256': sha256('x') };
+    expect(expectedDownloadDigest('md5', headers)).toBe(md5('x'));
+    expect(expectedDownloadDigest('sha256', headers)).toBe(sha256('x'));
+    expect(expectedDownloadDigest('md5', { etag: '"abc-2"' })).toBeUndefined();
+    expect(expectedDownloadDigest('sha256', {})).toBeUndefined();
+  });
+});
+
+describe('upload checksums', () => {
+  let stub;
+  let client;
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(() => stub.reset());
+
+  /**
+   * Makes a route report a zeroed-out `field`, the way a corrupting proxy would
+   */
+  const corrupt = (route, field, match = () => true) => {
+    const handle = stub.handlers[route];
+    stub.handlers[route] = async (...args) => {
+      const result = await handle(...args);
+      if (result && result[field] && match(result)) {
+        result[field] = result[field].replace(/^[0-9a-f]+/, (hex) => '0'.repeat(hex.length));
+      }
+      return result;
+    };
+  };
+
+  it('sends the digest with the upload and checks the response', async () => {
+    const data = Buffer.from('checked data');
+    const result = await client.files.upload('checked.txt', data, { checksum: 'sha256' });
+    expect(result).toMatchObject({ ETag: md5(data), ChecksumSHA256: sha256(data) });
+    await client.files.upload('md5.txt', data, { checksum: true });
+    expect(storedObject(stub, 'md5.txt').etag).toBe(md5(data));
+  });
+
+  it('fails when the service reports a different ETag', async () => {
+    corrupt('upload', 'ETag');
+    await expect(
+      client.files.upload('bad.txt', Buffer.from('data'), { checksum: true })
+    ).rejects.toMatchObject({ constructor: IntegrityError, code: 'ETagMismatch' });
+  });
+
+  it('fails when the service reports a different SHA-256', async () => {
+    corrupt('upload', 'ChecksumSHA256');
+    await expect(
+      client.files.upload('bad.txt', Buffer.from('data'), { checksum: 'sha256' })
+    ).rejects.toMatchObject({ code: 'ChecksumMismatch', algorithm: 'sha256' });
+  });
+
+  it('checks every part and the composite ETag of multipart uploads', async () => {
+    const data = crypto.randomBytes(11 * MiB);
+    const result = await client.files.uploadLarge('parts.bin', data, {
+      multipartThreshold: 5 * MiB,
+      partSize: 5 * MiB,
+      checksum: 'sha256',
+    });
+    expect(result.ETag).toMatch(/^[0-9a-f]{32}-3$/);
+
+    // Only the completed object's ETag is altered, so every part still checks out
+    corrupt('multipart-complete', 'ETag');
+    await expect(
+      client.files.uploadLarge('parts.bin', data, {
+        multipartThreshold: 5 * MiB,
+        partSize: 5 * MiB,
+        checksum: true,
+      })
+    ).rejects.toThrow(/^Multipart object MD5 /);
+  });
+});
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { run } = require('../src/cli');
+const { version } = require('../package.json');
+const { BUCKET, startStub, createClient, putObject, storedObject } = require('./helpers');
+
+/**
+ * Collects everything written to a stream
+ * @returns {PassThrough & {text: Function}}
+ */
+function output() {
+  const stream = new PassThrough();
+  let text = '';
+  stream.on('data', (chunk) => {
+    text += chunk;
+  });
+  stream.text = () => text;
+  return stream;
+}
+
+/**
+ * A terminal that answers the first question with `answer`
+ * @param {string} [answer] - Typed answer
+ * @returns {PassThrough}
+ */
+function terminal(answer) {
+  const stdin = new PassThrough();
+  stdin.isTTY = answer !== undefined;
+  if (answer !== undefined) stdin.end(`${answer}\n`);
+  return stdin;
+}
+
+describe('apexx command line', () => {
+  let stub;
+  let client;
+  let dir;
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(async () => {
+    stub.reset();
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'apexx-cli-'));
+  });
+
+  afterEach(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  const apexx = async (argv, io = {}) => {
+    const stdout = output();
+    const stderr = output();
+    const code = await run(
+      [
+        '--access-key',
+        'test-access-key',
+        '--secret-key',
+        'test-secret-key',
+        '--base-url',
+        stub.url,
+        '--bucket',
+        BUCKET,
+        ...argv,
+      ],
+      { stdout, stderr, stdin: terminal(), ...io }
+    );
+    return { code, stdout: stdout.text(), stderr: stderr.text() };
+  };
+
+  it('prints the version and the usage', async () => {
+    await expect(apexx(['--version'])).resolves.toMatchObject({ code: 0, stdout: `${version}\n` });
+    const help = await apexx(['--help']);
+    expect(help.code).toBe(0);
+    expect(help.stdout).toMatch(/^Usage: apexx/);
+    const missing = await apexx([]);
+    expect(missing.code).toBe(2);
+    expect(missing.stderr).toMatch(/^Usage: apexx/);
+  });
+
+  it.each([
+    [['frobnicate'], 'Unknown command frobnicate'],
+    [['--nope', 'ls'], 'Unknown option --nope'],
+    [['ls', '--limit'], 'Option --limit needs a value'],
+    [['ls', '--limit', 'ten'], 'Option --limit must be a number'],
+    [['cp', 'a', 'b'], 'cp needs one local path and one apexx://bucket/key'],
+    [['presign', 'fly', 'apexx://b/k'], 'Unknown signed URL type fly'],
+  ])('exits with code 2 for %j', async (argv, message) => {
+    const result = await apexx(argv);
+    expect(result.code).toBe(2);
+    expect(result.stderr).toBe(`apexx: ${message}\nRun apexx --help for usage.\n`);
+  });
+
+  it('lists objects as text and as JSON', async () => {
+    await putObject(client, 'ls/a.txt', 'a');
+    await putObject(client, 'ls/b.txt', 'bb');
+    const text = await apexx(['ls', `apexx://${BUCKET}/ls/`]);
+    expect(text.code).toBe(0);
+    expect(
+      text.stdout
+        .trim()
+        .split('\n')
+        .map((line) => line.split('\t').slice(1))
+    ).toEqual([
+      ['1', 'ls/a.txt'],
+      ['2', 'ls/b.txt'],
+    ]);
+
+    const json = await apexx(['--json', 'ls', '--all', 'ls/']);
+    expect(JSON.parse(json.stdout).contents.map((object) => object.key)).toEqual([
+      'ls/a.txt',
+      'ls/b.txt',
+    ]);
+  });
+
+  it('copies files up and down', async () => {
+    const source = path.join(dir, 'up.txt');
+    await fs.promises.writeFile(source, 'uploaded');
+    const upload = await apexx(['cp', source, `apexx://${BUCKET}/cp/`]);
+    expect(upload).toMatchObject({
+      code: 0,
+      stdout: `upload: ${source} -> apexx://${BUCKET}/cp/up.txt\n`,
+    });
+    expect(storedObject(stub, 'cp/up.txt').data.toString()).toBe('uploaded');
+
+    const download = await apexx([
+      'cp',
+      `apexx://${BUCKET}/cp/up.txt`,
+      `${dir}/`,
+      '--checksum',
+      'sha256',
+    ]);
+    expect(download.code).toBe(0);
+    await expect(fs.promises.readFile(path.join(dir, 'up.txt'), 'utf8')).resolves.toBe('uploaded');
+  });
+
+  it('exits with code 3 for missing objects and files', async () => {
+    const remote = await apexx(['cp', `apexx://${BUCKET}/missing.txt`, path.join(dir, 'x')]);
+    expect(remote.code).toBe(3);
+    const local = await apexx(['cp', path.join(dir, 'missing.txt'), `apexx://${BUCKET}/x`]);
+    expect(local.code).toBe(3);
+  });
+
+  it('exits with code 4 when the credentials are rejected', async () => {
+    stub.fail('contents', 401, 1);
+    const result = await apexx(['--json', 'ls']);
+    expect(result.code).toBe(4);
+    expect(JSON.parse(result.stderr).error).toMatchObject({
+      name: 'AuthenticationError',
+      status: 401,
+    });
+  });
+
+  it('exits with code 1 for server errors', async () => {
+    stub.fail('contents', 500, 10);
+    await expect(apexx(['ls'])).resolves.toMatchObject({ code: 1 });
+  });
+
+  it('deletes keys and exits with code 5 when some fail', async () => {
+    await putObject(client, 'rm/a.txt', 'a');
+    await putObject(client, 'rm/b.txt', 'b');
+    await expect(apexx(['rm', 'rm/a.txt'])).resolves.toMatchObject({
+      code: 0,
+      stdout: 'delete: rm/a.txt\n',
+    });
+    expect(storedObject(stub, 'rm/a.txt')).toBeNull();
+
+    // Deletes are retried, so the fault has to outlast the retries
+    stub.fail('delete', 500, 10);
+    const partial = await apexx(['rm', 'rm/b.txt']);
+    expect(partial.code).toBe(5);
+    expect(partial.stdout).toMatch(/^failed: rm\/b.txt: /);
+  });
+
+  describe('rm -r', () => {
+    beforeEach(async () => {
+      await putObject(client, 'tree/a.txt', 'a');
+      await putObject(client, 'tree/b.txt', 'b');
+    });
+
+    const remaining = async () =>
+      (await client.bucket.listContents({ prefix: 'tree/' })).contents.map((object) => object.key);
+
+    it('only shows the keys on a dry run', async () => {
+      const result = await apexx(['rm', '-r', '-n', 'tree/']);
+      expect(result).toMatchObject({
+        code: 0,
+        stdout: 'would delete: tree/a.txt\nwould delete: tree/b.txt\n',
+      });
+      await expect(remaining()).resolves.toHaveLength(2);
+    });
+
+    it('refuses to delete without --yes when it cannot ask', async () => {
+      const result = await apexx(['rm', '-r', 'tree/']);
+      expect(result.code).toBe(2);
+      expect(result.stderr).toMatch('Refusing to delete 2 objects without --yes');
+      await expect(remaining()).resolves.toHaveLength(2);
+    });
+
+    it('asks for confirmation on a terminal', async () => {
+      const stderr = output();
+      const declined = await apexx(['rm', '-r', 'tree/'], { stdin: terminal('n'), stderr });
+      expect(declined).toMatchObject({ code: 130, stdout: 'cancelled\n' });
+      expect(stderr.text()).toMatch('Delete 2 objects under tree/? [y/N]');
+      await expect(remaining()).resolves.toHaveLength(2);
+
+      const accepted = await apexx(['rm', '-r', 'tree/'], { stdin: terminal('yes') });
+      expect(accepted.code).toBe(0);
+      await expect(remaining()).resolves.toEqual([]);
+    });
+
+    it('deletes without asking with --yes', async () => {
+      const result = await apexx(['rm', '-r', '-y', 'tree/']);
+      expect(result.code).toBe(0);
+      await expect(remaining()).resolves.toEqual([]);
+    });
+  });
+
+  it('purges keys from the CDN cache', async () => {
+    await putObject(client, 'purge/a.txt', 'a');
+    await expect(apexx(['purge', 'purge/a.txt'])).resolves.toMatchObject({
+      code: 0,
+      stdout: 'purge: purge/a.txt\n',
+    });
+    await expect(apexx(['purge', 'apexx://one/a', 'apexx://two/b'])).resolves.toMatchObject({
+      code: 2,
+    });
+  });
+
+  it('prints signed URLs', async () => {
+    const upload = await apexx(['presign', 'upload', `apexx://${BUCKET}/signed.txt`]);
+    expect(upload.code).toBe(0);
+    expect(upload.stdout).toMatch(/^https?:\/\/\S+\n$/);
+    await putObject(client, 'signed.txt', 'signed');
+    const download = await apexx(['--json', 'presign', 'download', 'signed.txt']);
+    expect(JSON.parse(download.stdout)).toMatchObject({
+      type: 'download',
+      key: 'signed.txt',
+      url: expect.stringContaining(`${stub.url}/api/v1/files/download?`),
+    });
+    // Download URLs are signed locally too
+    expect(stub.requests.map((request) => request.route)).toEqual(['upload']);
+  });
+
+  it('syncs a directory up and down', async () => {
+    const local = path.join(dir, 'local');
+    await fs.promises.mkdir(local);
+    await fs.promises.writeFile(path.join(local, 'one.txt'), 'one');
+    const up = await apexx(['sync', local, `apexx://${BUCKET}/synced/`]);
+    expect(up.code).toBe(0);
+    expect(up.stdout).toMatch('upload: synced/one.txt');
+
+    const copy = path.join(dir, 'copy');
+    const down = await apexx(['sync', `apexx://${BUCKET}/synced/`, copy]);
+    expect(down.code).toBe(0);
+    await expect(fs.promises.readFile(path.join(copy, 'one.txt'), 'utf8')).resolves.toBe('one');
+  });
+});
@@ -0,0 +1,148 @@
+const ApexxCloud = require('../src/sdk');
+const { NotFoundError, ValidationError } = require('../src/errors');
+const { startStub, createClient, storedObject, routesOf } = require('./helpers');
+
+describe('ApexxCloud client', () => {
+  let stub;
+  let client;
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(() => stub.reset());
+
+  it('requires an access key and a secret key', () => {
+    expect(() => new ApexxCloud({ accessKey: 'key' })).toThrow(ValidationError);
+  });
+
+  it('signs every request with the access key', async () => {
+    await client.bucket.listContents();
+    const { headers } = stub.requests[0];
+    expect(headers['x-access-key']).toBe('test-access-key');
+    expect(headers['x-signature']).toMatch(/^[0-9a-f]{64}$/);
+    expect(Date.parse(headers['x-timestamp'])).not.toBeNaN();
+  });
+
+  it('uploads, lists, purges and deletes files', async () => {
+    await client.files.upload('docs/a.txt', Buffer.from('hello'), { contentType: 'text/plain' });
+    expect(storedObject(stub, 'docs/a.txt')).toMatchObject({
+      data: Buffer.from('hello'),
+      contentType: 'text/plain',
+    });
+    expect(stub.requests[0].params.get('bucket_name')).toBe('test-bucket');
+    expect(stub.requests[0].params.get('region')).toBe('test-region');
+
+    const listing = await client.bucket.listContents({ prefix: 'docs/', limit: 5 });
+    expect(listing.contents.map((item) => item.key)).toEqual(['docs/a.txt']);
+
+    await expect(client.files.purge('docs/a.txt')).resolves.toMatchObject({ message: 'Purged' });
+    await expect(client.files.delete('docs/a.txt')).resolves.toEqual({ success: true });
+    expect(storedObject(stub, 'docs/a.txt')).toBeNull();
+    expect(routesOf(stub)).toEqual(['upload', 'contents', 'purge', 'delete']);
+  });
+
+  it('runs a multipart upload step by step', async () => {
+    const { uploadId } = await client.files.startMultipartUpload('parts.bin', {
+      totalParts: 2,
+      mimeType: 'application/octet-stream',
+    });
+    const parts = [];
+    for (const [index, text] of ['first,', 'second'].entries()) {
+      const part = await client.files.uploadPart('parts.bin', Buffer.from(text), {
+        uploadId,
+        partNumber: index + 1,
+        totalParts: 2,
+      });
+      parts.push({ ETag: part.ETag, PartNumber: part.PartNumber });
+    }
+    await client.files.completeMultipartUpload('parts.bin', parts, { uploadId });
+    expect(storedObject(stub, 'parts.bin').data.toString()).toBe('first,second');
+
+    const second = await client.files.startMultipartUpload('cancelled.bin', { totalParts: 1 });
+    await client.files.cancelMultipartUpload('cancelled.bin', { uploadId: second.uploadId });
+    expect(stub.uploads.size).toBe(0);
+  });
+
+  it('turns error responses into typed errors with the status and message', async () => {
+    const error = await client.files.delete('missing.txt').catch((e) => e);
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error.message).toBe('API Error 404: Object missing.txt does not exist');
+  });
+
+  it('validates required arguments before sending anything', async () => {
+    const field = (promise) => promise.catch((error) => error.field);
+    await expect(field(client.files.upload('key', null))).resolves.toBe('fileData');
+    await expect(field(client.files.upload('', Buffer.from('x')))).resolves.toBe('key');
+    await expect(field(client.files.delete(''))).resolves.toBe('key');
+    await expect(field(client.files.purge(''))).resolves.toBe('key');
+    await expect(field(client.files.startMultipartUpload('key', {}))).resolves.toBe('totalParts');
+    await expect(field(client.files.uploadPart('key', Buffer.from('x'), {}))).resolves.toBe(
+      'uploadId'
+    );
+    await expect(field(client.files.completeMultipartUpload('key', [], {}))).resolves.toBe(
+      'uploadId'
+    );
+    await expect(field(client.files.cancelMultipartUpload('key', {}))).resolves.toBe('uploadId');
+    expect(stub.requests).toHaveLength(0);
+  });
+
+  describe('getSignedUrl', () => {
+    it('signs operation URLs locally', async () => {
+      const url = new URL(
+        await client.files.getSignedUrl('upload', { key: 'a.txt', visibility: 'private' })
+      );
+      expect(url.origin + url.pathname).toBe(`${stub.url}/api/v1/files/upload`);
+      expect(url.searchParams.get('visibility')).toBe('private');
+      expect(url.searchParams.get('access_key')).toBe('test-access-key');
+      expect(url.searchParams.get('signature')).toMatch(/^[0-9a-f]{64}$/);
+      expect(stub.requests).toHaveLength(0);
+    });
+
+    it.each([
+      ['delete', { key: 'a' }, '/api/v1/files/delete'],
+      ['start-multipart', { key: 'a', totalParts: 2, mimeType: 'text/plain' }, '/multipart/start'],
+      ['uploadpart', { key: 'a', uploadId: 'u', partNumber: 1, totalParts: 2 }, '/multipart/u'],
+      ['completemultipart', { key: 'a', uploadId: 'u' }, '/multipart/u/complete'],
+      ['cancelmultipart', { key: 'a', uploadId: 'u' }, '/multipart/u'],
+    ])('signs %s URLs', async (type, options, path) => {
+      const url = new URL(await client.files.getSignedUrl(type, options));
+      expect(url.pathname.endsWith(path)).toBe(true);
+    });
+
+    it('asks the API for download URLs when told to', async () => {
+      const result = await client.files.getSignedUrl('download', {
+        key: 'a.txt',
+        expiresIn: 60,
+        remote: true,
+      });
+      expect(new URL(result.url).searchParams.get('key')).toBe('a.txt');
+      expect(routesOf(stub)).toEqual(['signed-url']);
+      expect(stub.requests[0].params.get('expiresIn')).toBe('60');
+    });
+
+    it.each([
+      ['copy', {}, /Unsupported operation type/],
+      ['delete', {}, /key is required/],
+      ['start-multipart', {}, /key is required/],
+      ['start-multipart', { key: 'a' }, /totalParts is required/],
+      ['start-multipart', { key: 'a', totalParts: 1 }, /mimeType is required/],
+      ['uploadpart', {}, /uploadId is required/],
+      ['uploadpart', { uploadId: 'u' }, /partNumber is required/],
+      ['uploadpart', { uploadId: 'u', partNumber: 1 }, /key is required/],
+      ['uploadpart', { uploadId: 'u', partNumber: 1, key: 'a' }, /totalParts is required/],
+      ['completemultipart', {}, /uploadId is required/],
+      ['completemultipart', { uploadId: 'u' }, /key is required/],
+      ['cancelmultipart', {}, /uploadId is required/],
+      ['cancelmultipart', { uploadId: 'u' }, /key is required/],
+      ['download', {}, /key is required/],
+    ])('rejects %s URLs with missing options %o', async (type, options, message) => {
+      const error = await client.files.getSignedUrl(type, options).catch((e) => e);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toMatch(message);
+    });
+  });
+});
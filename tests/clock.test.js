@@ -0,0 +1,115 @@
+const { Readable } = require('stream');
+const { ClockOffset } = require('../src/clock');
+const { AuthenticationError } = require('../src/errors');
+const { startEmulator, createClient, storedObject, routesOf } = require('./helpers');
+
+const TEN_MINUTES = 10 * 60 * 1000;
+
+describe('ClockOffset', () => {
+  afterEach(() => jest.useRealTimers());
+
+  it('learns the offset from Date headers', () => {
+    jest.useFakeTimers({ now: Date.parse('2024-01-01T00:00:00.000Z') });
+    const clock = new ClockOffset();
+    expect(clock.offset).toBe(0);
+    expect(clock.update('Mon, 01 Jan 2024 00:10:00 GMT')).toBe(true);
+    expect(clock.offset).toBe(TEN_MINUTES + 500);
+    expect(clock.now().toISOString()).toBe('2024-01-01T00:10:00.500Z');
+  });
+
+  it('ignores small differences and unreadable dates', () => {
+    jest.useFakeTimers({ now: Date.parse('2024-01-01T00:00:00.000Z') });
+    const clock = new ClockOffset();
+    expect(clock.update('Mon, 01 Jan 2024 00:00:01 GMT')).toBe(false);
+    expect(clock.update(undefined)).toBe(false);
+    expect(clock.update('yesterday')).toBe(false);
+    expect(clock.offset).toBe(0);
+    expect(clock.update('Sun, 31 Dec 2023 23:59:50 GMT')).toBe(true);
+    expect(clock.offset).toBe(-9500);
+  });
+});
+
+describe('signing with the service clock', () => {
+  it('re-signs a request rejected for a clock ahead of the local one', async () => {
+    const emulator = await startEmulator({ clockOffset: TEN_MINUTES });
+    try {
+      const client = createClient(emulator);
+      await expect(client.bucket.listContents()).resolves.toBeDefined();
+      expect(emulator.requests.map((request) => request.status)).toEqual([401, 200]);
+      expect(Math.abs(client.getClockOffset() - TEN_MINUTES)).toBeLessThan(2000);
+
+      emulator.requests = [];
+      await client.bucket.listContents();
+      expect(emulator.requests.map((request) => request.status)).toEqual([200]);
+    } finally {
+      await emulator.stop();
+    }
+  });
+
+  it('corrects a local clock that is ahead of the service', async () => {
+    const emulator = await startEmulator({ clockOffset: -TEN_MINUTES });
+    try {
+      const client = createClient(emulator);
+      await client.files.upload('behind.txt', Buffer.from('x'), {});
+      expect(routesOf(emulator)).toEqual(['upload', 'upload']);
+      expect(client.getClockOffset()).toBeLessThan(-TEN_MINUTES + 2000);
+      await expect(storedObject(emulator, 'behind.txt')).resolves.not.toBeNull();
+    } finally {
+      await emulator.stop();
+    }
+  });
+
+  it('re-signs only once', async () => {
+    const emulator = await startEmulator({ clockOffset: TEN_MINUTES });
+    try {
+      const client = createClient(emulator, { secretKey: 'wrong' });
+      await expect(client.bucket.listContents()).rejects.toBeInstanceOf(AuthenticationError);
+      expect(routesOf(emulator)).toEqual(['contents', 'contents']);
+    } finally {
+      await emulator.stop();
+    }
+  });
+
+  it('does not repeat a request whose body cannot be replayed', async () => {
+    const emulator = await startEmulator({ clockOffset: TEN_MINUTES });
+    try {
+      const client = createClient(emulator);
+      await expect(
+        client.files.upload('streamed.txt', Readable.from([Buffer.from('data')]), {})
+      ).rejects.toBeInstanceOf(AuthenticationError);
+      expect(routesOf(emulator)).toEqual(['upload']);
+
+      // The offset was still learned from the rejection
+      await client.files.upload('streamed.txt', Readable.from([Buffer.from('data')]), {});
+      await expect(storedObject(emulator, 'streamed.txt')).resolves.not.toBeNull();
+    } finally {
+      await emulator.stop();
+    }
+  });
+
+  it('dates an upload plan by the service clock', async () => {
+    const emulator = await startEmulator({ clockOffset: TEN_MINUTES });
+    try {
+      const client = createClient(emulator);
+      const plan = await client.files.createUploadPlan('planned.bin', {
+        size: 1024,
+        expiresIn: 60,
+      });
+      const expiresIn = Date.parse(plan.expiresAt) - Date.now();
+      expect(Math.abs(expiresIn - TEN_MINUTES - 60 * 1000)).toBeLessThan(2000);
+    } finally {
+      await emulator.stop();
+    }
+  });
+
+  it('keeps a zero offset when the clocks agree', async () => {
+    const emulator = await startEmulator();
+    try {
+      const client = createClient(emulator);
+      await client.bucket.listContents();
+      expect(client.getClockOffset()).toBe(0);
+    } finally {
+      await emulator.stop();
+    }
+  });
+});
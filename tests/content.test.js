@@ -0,0 +1,205 @@
+const {
+  DEFAULT_CONTENT_TYPE,
+  lookupContentType,
+  sniffContentType,
+  resolveContentType,
+  appendObjectHeaders,
+  pickObjectHeaders,
+} = require('../src/content');
+const { ValidationError } = require('../src/errors');
+const { startEmulator, createClient, storedObject } = require('./helpers');
+
+/**
+ * Builds a head of `length` bytes starting with `bytes`
+ * @param {number[]|string} bytes - Leading bytes
+ * @param {number} [length=512] - Head length
+ * @returns {Buffer}
+ */
+function head(bytes, length = 512) {
+  const buffer = Buffer.alloc(length, 0x20);
+  Buffer.from(bytes).copy(buffer);
+  return buffer;
+}
+
+/**
+ * Builds a buffer with 0x47 at the given offsets
+ * @param {number[]} offsets - Sync byte offsets
+ * @returns {Buffer}
+ */
+function transportStream(offsets) {
+  const buffer = Buffer.alloc(512);
+  for (const offset of offsets) buffer[offset] = 0x47;
+  return buffer;
+}
+
+describe('lookupContentType', () => {
+  it.each([
+    ['photo.JPG', 'image/jpeg'],
+    ['dir.v2/report.pdf', 'application/pdf'],
+    ['styles.css', 'text/css'],
+    ['movie.mp4', 'video/mp4'],
+    ['archive.tar', 'application/x-tar'],
+  ])('maps %s to %s', (name, type) => {
+    expect(lookupContentType(name)).toBe(type);
+  });
+
+  it('does not map unknown extensions, .ts or missing names', () => {
+    expect(lookupContentType('README')).toBeUndefined();
+    expect(lookupContentType('index.ts')).toBeUndefined();
+    expect(lookupContentType('file.unknown')).toBeUndefined();
+    expect(lookupContentType(undefined)).toBeUndefined();
+  });
+});
+
+describe('sniffContentType', () => {
+  it.each([
+    ['image/png', head([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+    ['image/jpeg', head([0xff, 0xd8, 0xff, 0xe0])],
+    ['image/gif', head('GIF89a')],
+    ['image/webp', head('RIFF\0\0\0\0WEBP')],
+    ['audio/wav', head('RIFF\0\0\0\0WAVE')],
+    ['application/pdf', head('%PDF-1.7')],
+    ['application/zip', head([0x50, 0x4b, 0x03, 0x04])],
+    ['application/gzip', head([0x1f, 0x8b, 0x08])],
+    [
+      'application/x-tar',
+      Buffer.concat([Buffer.alloc(257), Buffer.from('ustar'), Buffer.alloc(250)]),
+    ],
+    ['video/mp4', head('\0\0\0\x18ftypisom')],
+    ['image/heic', head('\0\0\0\x18ftypheic')],
+    ['video/quicktime', head('\0\0\0\x14ftypqt  ')],
+    ['image/svg+xml', head('\uFEFF  <svg xmlns="http://www.w3.org/2000/svg">')],
+    ['image/svg+xml', head('<?xml version="1.0"?>\n<svg>')],
+    ['application/xml', head('<?xml version="1.0"?><feed>')],
+    ['text/html', head('<!DOCTYPE html><html>')],
+    ['application/postscript', head('%!PS-Adobe-3.0')],
+  ])('recognises %s', (type, data) => {
+    expect(sniffContentType(data)).toBe(type);
+  });
+
+  it('needs the RIFF header for RIFF formats', () => {
+    expect(sniffContentType(head('XXXX\0\0\0\0WEBP'))).toBeUndefined();
+  });
+
+  it('recognises MPEG transport streams by their sync bytes', () => {
+    expect(sniffContentType(transportStream([0, 188, 376]))).toBe('video/mp2t');
+    expect(sniffContentType(transportStream([0, 188]))).toBeUndefined();
+    expect(sniffContentType(transportStream([0, 188, 376]).subarray(0, 376))).toBeUndefined();
+  });
+
+  it('recognises nothing in empty or plain data', () => {
+    expect(sniffContentType(undefined)).toBeUndefined();
+    expect(sniffContentType(Buffer.alloc(0))).toBeUndefined();
+    expect(sniffContentType(Buffer.from('just some text'))).toBeUndefined();
+  });
+});
+
+describe('resolveContentType', () => {
+  it('prefers the explicit type, then the extension, then the data', async () => {
+    const readHead = jest.fn(async () => head('%PDF-1.4'));
+    await expect(resolveContentType('text/x-custom', 'a.txt', readHead)).resolves.toBe(
+      'text/x-custom'
+    );
+    await expect(resolveContentType(undefined, 'a.txt', readHead)).resolves.toBe('text/plain');
+    expect(readHead).not.toHaveBeenCalled();
+    await expect(resolveContentType(undefined, 'document', readHead)).resolves.toBe(
+      'application/pdf'
+    );
+    await expect(resolveContentType(undefined, 'index.ts', async () => head('x'))).resolves.toBe(
+      DEFAULT_CONTENT_TYPE
+    );
+    await expect(resolveContentType(undefined, 'blob')).resolves.toBe(DEFAULT_CONTENT_TYPE);
+  });
+});
+
+describe('object headers', () => {
+  const params = (options) => {
+    const query = new URLSearchParams();
+    appendObjectHeaders(query, options);
+    return Object.fromEntries(query);
+  };
+
+  it('adds validated headers to the query', () => {
+    expect(
+      params({
+        cacheControl: ' public, max-age=60 ',
+        contentDisposition: 'inline',
+        contentEncoding: 'gzip, br',
+        metadata: { owner: 'team-a', version: 2, draft: false },
+      })
+    ).toEqual({
+      cacheControl: 'public, max-age=60',
+      contentDisposition: 'inline',
+      contentEncoding: 'gzip, br',
+      metadata: '{"owner":"team-a","version":"2","draft":"false"}',
+    });
+    expect(params({})).toEqual({});
+  });
+
+  it('encodes dispositions with non-ASCII filenames', () => {
+    expect(params({ contentDisposition: { filename: 'report.pdf' } }).contentDisposition).toBe(
+      'attachment; filename="report.pdf"'
+    );
+    expect(params({ contentDisposition: { type: 'inline' } }).contentDisposition).toBe('inline');
+    expect(params({ contentDisposition: { filename: 'résumé "v2".pdf' } }).contentDisposition).toBe(
+      `attachment; filename="r_sum_ _v2_.pdf"; filename*=UTF-8''r%C3%A9sum%C3%A9%20%22v2%22.pdf`
+    );
+  });
+
+  it.each([
+    [{ cacheControl: 'no-cache\r\nX-Evil: 1' }, 'cacheControl'],
+    [{ cacheControl: '' }, 'cacheControl'],
+    [{ contentDisposition: 'download' }, 'contentDisposition'],
+    [{ contentDisposition: 42 }, 'contentDisposition'],
+    [{ contentDisposition: { type: 'preview' } }, 'contentDisposition.type'],
+    [{ contentDisposition: { filename: '' } }, 'contentDisposition.filename'],
+    [{ contentEncoding: 'gzip;q=1' }, 'contentEncoding'],
+    [{ metadata: ['a'] }, 'metadata'],
+    [{ metadata: { Owner: 'a' } }, 'metadata.Owner'],
+    [{ metadata: { owner: { name: 'a' } } }, 'metadata.owner'],
+    [{ metadata: { owner: 'é' } }, 'metadata.owner'],
+    [{ metadata: { big: 'x'.repeat(2048) } }, 'metadata'],
+  ])('rejects %j', (options, field) => {
+    expect(() => params(options)).toThrow(expect.objectContaining({ field }));
+    expect(() => params(options)).toThrow(ValidationError);
+  });
+
+  it('picks only the header options', () => {
+    expect(
+      pickObjectHeaders({ cacheControl: 'no-cache', metadata: {}, visibility: 'private' })
+    ).toEqual({ cacheControl: 'no-cache', metadata: {} });
+  });
+});
+
+describe('uploads with content types and headers', () => {
+  let emulator;
+  let client;
+
+  beforeAll(async () => {
+    emulator = await startEmulator();
+    client = createClient(emulator);
+  });
+
+  afterAll(() => emulator.stop());
+
+  it('stores the sniffed content type when the key has no known extension', async () => {
+    await client.files.upload('clip.ts', transportStream([0, 188, 376]), {});
+    expect((await storedObject(emulator, 'clip.ts')).contentType).toBe('video/mp2t');
+    await client.files.upload('source.ts', Buffer.from('export const answer = 42;\n'), {});
+    expect((await storedObject(emulator, 'source.ts')).contentType).toBe(DEFAULT_CONTENT_TYPE);
+  });
+
+  it('stores the object headers', async () => {
+    await client.files.upload('headers.txt', Buffer.from('x'), {
+      cacheControl: 'max-age=60',
+      contentDisposition: { filename: 'notes.txt' },
+      metadata: { owner: 'me' },
+    });
+    expect(await storedObject(emulator, 'headers.txt')).toMatchObject({
+      contentType: 'text/plain',
+      cacheControl: 'max-age=60',
+      contentDisposition: 'attachment; filename="notes.txt"',
+      metadata: { owner: 'me' },
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { IntegrityError, NotFoundError, ValidationError } = require('../src/errors');
+const { BUCKET, startEmulator, createClient, putObject, storedObject } = require('./helpers');
+
+describe('files.copy and files.move', () => {
+  let emulator;
+  let client;
+
+  beforeAll(async () => {
+    emulator = await startEmulator();
+    client = createClient(emulator);
+  });
+
+  afterAll(() => emulator.stop());
+
+  beforeEach(() => {
+    emulator.requests = [];
+    emulator.clearFaults();
+    jest.restoreAllMocks();
+  });
+
+  const keysUnder = async (prefix, bucketName = BUCKET) =>
+    (await client.bucket.listContents({ prefix, bucketName })).contents
+      .map((object) => object.key)
+      .sort();
+
+  it('copies an object with its headers and metadata', async () => {
+    await client.files.upload('source/doc.txt', Buffer.from('document'), {
+      cacheControl: 'max-age=60',
+      contentDisposition: 'inline',
+      metadata: { owner: 'me' },
+    });
+    const source = await storedObject(emulator, 'source/doc.txt');
+
+    const result = await client.files.copy('source/doc.txt', 'copies/doc.txt');
+    expect(result).toEqual({
+      srcKey: 'source/doc.txt',
+      destKey: 'copies/doc.txt',
+      srcBucket: BUCKET,
+      destBucket: BUCKET,
+      size: 8,
+      etag: source.etag,
+    });
+    expect(await storedObject(emulator, 'copies/doc.txt')).toMatchObject({
+      data: Buffer.from('document'),
+      contentType: 'text/plain',
+      cacheControl: 'max-age=60',
+      contentDisposition: 'inline',
+      metadata: { owner: 'me' },
+    });
+    await expect(storedObject(emulator, 'source/doc.txt')).resolves.not.toBeNull();
+  });
+
+  it('copies between buckets', async () => {
+    const data = crypto.randomBytes(4096);
+    await putObject(client, 'cross.bin', data);
+    await client.files.copy('cross.bin', 'cross.bin', { destBucket: 'archive' });
+    expect((await storedObject(emulator, 'cross.bin', 'archive')).data.equals(data)).toBe(true);
+  });
+
+  it('copies large objects with a multipart upload', async () => {
+    const data = crypto.randomBytes(16 * 1024 * 1024 + 1);
+    await putObject(client, 'large.bin', data);
+    emulator.requests = [];
+    const result = await client.files.copy('large.bin', 'large-copy.bin');
+    expect(result.etag).toMatch(/-\d+$/);
+    expect(emulator.requests.map((request) => request.route)).toContain('multipart-complete');
+    expect((await storedObject(emulator, 'large-copy.bin')).data.equals(data)).toBe(true);
+  });
+
+  it('copies every object under a prefix, even into the source prefix', async () => {
+    await putObject(client, 'tree/a.txt', 'a');
+    await putObject(client, 'tree/sub/b.txt', 'b');
+    const report = await client.files.copy({ prefix: 'tree/' }, { prefix: 'tree/backup/' });
+    expect(report).toMatchObject({ succeeded: 2, failed: 0 });
+    await expect(keysUnder('tree/')).resolves.toEqual([
+      'tree/a.txt',
+      'tree/backup/a.txt',
+      'tree/backup/sub/b.txt',
+      'tree/sub/b.txt',
+    ]);
+  });
+
+  it('only resolves the keys on a dry run', async () => {
+    await putObject(client, 'dry/a.txt', 'a');
+    await expect(
+      client.files.copy({ prefix: 'dry/' }, { prefix: 'wet/' }, { dryRun: true })
+    ).resolves.toEqual({ dryRun: true, keys: ['dry/a.txt'], results: [], succeeded: 0, failed: 0 });
+    await expect(keysUnder('wet/')).resolves.toEqual([]);
+  });
+
+  it('moves an object once the copy is checked', async () => {
+    await putObject(client, 'moving/a.txt', 'a');
+    await client.files.move('moving/a.txt', 'moved/a.txt');
+    await expect(storedObject(emulator, 'moving/a.txt')).resolves.toBeNull();
+    expect((await storedObject(emulator, 'moved/a.txt')).data.toString()).toBe('a');
+  });
+
+  it('moves every object under a prefix', async () => {
+    await putObject(client, 'old/a.txt', 'a');
+    await putObject(client, 'old/b.txt', 'b');
+    await client.files.move({ prefix: 'old/' }, { prefix: 'new/' });
+    await expect(keysUnder('old/')).resolves.toEqual([]);
+    await expect(keysUnder('new/')).resolves.toEqual(['new/a.txt', 'new/b.txt']);
+  });
+
+  it('keeps the source when the copy does not match', async () => {
+    await putObject(client, 'keep/a.txt', 'original');
+    // Damage the copy as it is stored
+    const put = emulator.backend.put.bind(emulator.backend);
+    jest
+      .spyOn(emulator.backend, 'put')
+      .mockImplementationOnce((object) => put({ ...object, size: 1, etag: 'bad' }));
+    await expect(client.files.move('keep/a.txt', 'kept/a.txt')).rejects.toMatchObject({
+      constructor: IntegrityError,
+      code: 'CopyMismatch',
+    });
+    await expect(storedObject(emulator, 'keep/a.txt')).resolves.not.toBeNull();
+  });
+
+  it('keeps the source when the upload fails', async () => {
+    await putObject(client, 'stay/a.txt', 'a');
+    emulator.injectFault({ route: 'upload', status: 500, times: 1 });
+    await expect(client.files.move('stay/a.txt', 'gone/a.txt')).rejects.toMatchObject({
+      status: 500,
+    });
+    await expect(storedObject(emulator, 'stay/a.txt')).resolves.not.toBeNull();
+  });
+
+  it('fails for a missing source', async () => {
+    await expect(client.files.copy('missing.txt', 'copy.txt')).rejects.toBeInstanceOf(
+      NotFoundError
+    );
+  });
+
+  it.each([
+    ['a.txt', { prefix: 'b/' }, 'destination'],
+    ['', 'b.txt', 'key'],
+    ['same.txt', 'same.txt', 'destination'],
+    [{ prefix: 'a/' }, { prefix: 'a/' }, 'destination'],
+    [{}, { prefix: 'b/' }, 'source'],
+    [{ prefix: 'a/' }, {}, 'destination'],
+  ])('rejects copying %j to %j', async (source, destination, field) => {
+    const error = await client.files.copy(source, destination).catch((caught) => caught);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.field).toBe(field);
+  });
+
+  it('allows the same key in another bucket', async () => {
+    await putObject(client, 'same.txt', 'x');
+    await expect(
+      client.files.copy('same.txt', 'same.txt', { destBucket: 'other' })
+    ).resolves.toMatchObject({ destBucket: 'other' });
+  });
+});
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const process = require('process');
+const ApexxCloud = require('../src/sdk');
+const {
+  fromEnv,
+  fromProfile,
+  chain,
+  CredentialCache,
+  resolveProvider,
+} = require('../src/credentials');
+const { AuthenticationError, ValidationError } = require('../src/errors');
+const { verifyRequestHeaders } = require('../src/verify');
+const { startStub } = require('./helpers');
+
+const ENV_NAMES = [
+  'APEXXCLOUD_ACCESS_KEY',
+  'APEXXCLOUD_SECRET_KEY',
+  'APEXXCLOUD_PROFILE',
+  'APEXXCLOUD_CREDENTIALS_FILE',
+];
+
+describe('credential providers', () => {
+  const saved = {};
+  let dir;
+  let file;
+
+  beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'apexx-credentials-'));
+    file = path.join(dir, 'credentials');
+    await fs.promises.writeFile(
+      file,
+      [
+        '# ApexxCloud credentials',
+        '[default]',
+        'access_key = default-access',
+        'secret_key = default-secret',
+        '',
+        '[profile staging]',
+        '; staging keys',
+        'access_key=staging-access',
+        'secret_key=staging-secret',
+        '',
+        '[broken]',
+        'access_key = only-access',
+      ].join('\n')
+    );
+  });
+
+  afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    for (const name of ENV_NAMES) {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+
+  afterEach(() => {
+    for (const name of ENV_NAMES) {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    }
+  });
+
+  it('reads the environment', async () => {
+    await expect(fromEnv()()).resolves.toBeNull();
+    process.env.APEXXCLOUD_ACCESS_KEY = 'env-access';
+    process.env.APEXXCLOUD_SECRET_KEY = 'env-secret';
+    await expect(fromEnv()()).resolves.toEqual({
+      accessKey: 'env-access',
+      secretKey: 'env-secret',
+    });
+  });
+
+  it('reads profiles from a credentials file', async () => {
+    await expect(fromProfile({ filepath: file })()).resolves.toEqual({
+      accessKey: 'default-access',
+      secretKey: 'default-secret',
+    });
+    await expect(fromProfile({ filepath: file, profile: 'staging' })()).resolves.toEqual({
+      accessKey: 'staging-access',
+      secretKey: 'staging-secret',
+    });
+    await expect(fromProfile({ filepath: file, profile: 'missing' })()).resolves.toBeNull();
+    await expect(fromProfile({ filepath: path.join(dir, 'none') })()).resolves.toBeNull();
+    await expect(fromProfile({ filepath: file, profile: 'broken' })()).rejects.toBeInstanceOf(
+      ValidationError
+    );
+  });
+
+  it('takes the profile and file from the environment', async () => {
+    process.env.APEXXCLOUD_CREDENTIALS_FILE = file;
+    process.env.APEXXCLOUD_PROFILE = 'staging';
+    await expect(fromProfile()()).resolves.toMatchObject({ accessKey: 'staging-access' });
+  });
+
+  it('uses the first provider of a chain that returns credentials', async () => {
+    const provider = chain(
+      async () => null,
+      async () => ({ accessKey: 'second', secretKey: 's' }),
+      async () => ({ accessKey: 'third', secretKey: 's' })
+    );
+    await expect(provider()).resolves.toMatchObject({ accessKey: 'second' });
+  });
+
+  it('defaults to the environment, then the profile', async () => {
+    process.env.APEXXCLOUD_CREDENTIALS_FILE = file;
+    await expect(resolveProvider({})()).resolves.toMatchObject({ accessKey: 'default-access' });
+    process.env.APEXXCLOUD_ACCESS_KEY = 'env-access';
+    process.env.APEXXCLOUD_SECRET_KEY = 'env-secret';
+    await expect(resolveProvider({})()).resolves.toMatchObject({ accessKey: 'env-access' });
+    await expect(resolveProvider({ profile: 'staging' })()).resolves.toMatchObject({
+      accessKey: 'env-access',
+    });
+  });
+
+  it('accepts static keys, credential objects and providers', async () => {
+    await expect(resolveProvider({ accessKey: 'a', secretKey: 's' })()).resolves.toEqual({
+      accessKey: 'a',
+      secretKey: 's',
+    });
+    await expect(
+      resolveProvider({ credentials: { accessKey: 'b', secretKey: 's' } })()
+    ).resolves.toMatchObject({ accessKey: 'b' });
+    const provider = async () => ({ accessKey: 'c', secretKey: 's' });
+    expect(resolveProvider({ credentials: provider })).toBe(provider);
+    expect(() => resolveProvider({ accessKey: 'a' })).toThrow(
+      expect.objectContaining({ field: 'secretKey' })
+    );
+  });
+
+  it('exposes the providers on the client', () => {
+    expect(ApexxCloud.credentials).toEqual({ fromEnv, fromProfile, chain });
+  });
+});
+
+describe('CredentialCache', () => {
+  it('calls the provider once while the credentials are valid', async () => {
+    const provider = jest.fn(async () => ({ accessKey: 'a', secretKey: 's' }));
+    const cache = new CredentialCache(provider);
+    await Promise.all([cache.get(), cache.get()]);
+    await cache.get();
+    expect(provider).toHaveBeenCalledTimes(1);
+  });
+
+  it('refreshes credentials shortly before they expire', async () => {
+    let counter = 0;
+    const provider = jest.fn(async () => ({
+      accessKey: `key-${++counter}`,
+      secretKey: 's',
+      expiration: new Date(Date.now() + 60 * 1000),
+    }));
+    const cache = new CredentialCache(provider, 2 * 60 * 1000);
+    await expect(cache.get()).resolves.toMatchObject({ accessKey: 'key-1' });
+    await expect(cache.get()).resolves.toMatchObject({ accessKey: 'key-2' });
+  });
+
+  it('keeps valid credentials when a refresh fails', async () => {
+    const provider = jest
+      .fn()
+      .mockResolvedValueOnce({ accessKey: 'a', secretKey: 's', expiration: Date.now() + 60000 })
+      .mockRejectedValueOnce(new Error('metadata service down'));
+    const cache = new CredentialCache(provider, 120000);
+    await cache.get();
+    await expect(cache.get()).resolves.toMatchObject({ accessKey: 'a' });
+  });
+
+  it('rejects missing and malformed credentials', async () => {
+    await expect(new CredentialCache(async () => null).get()).rejects.toMatchObject({
+      constructor: AuthenticationError,
+      code: 'CredentialsNotFound',
+    });
+    await expect(
+      new CredentialCache(async () => ({ accessKey: 'a' })).get()
+    ).rejects.toBeInstanceOf(ValidationError);
+    await expect(
+      new CredentialCache(async () => ({
+        accessKey: 'a',
+        secretKey: 's',
+        expiration: 'never',
+      })).get()
+    ).rejects.toThrow('Credential expiration is not a valid date');
+  });
+
+  it('signs requests with rotated credentials', async () => {
+    const stub = await startStub();
+    try {
+      let current = { accessKey: 'old', secretKey: 'old-secret', expiration: Date.now() + 1000 };
+      const provider = jest.fn(async () => current);
+      const client = new ApexxCloud({
+        baseUrl: stub.url,
+        bucket: 'b',
+        retry: false,
+        credentials: provider,
+      });
+      await client.bucket.listContents();
+      // The first credentials expire within the refresh window, so the next call fetches again
+      current = { accessKey: 'new', secretKey: 'new-secret' };
+      await client.bucket.listContents();
+      // Credentials without an expiration are kept
+      current = { accessKey: 'new', secretKey: 'wrong' };
+      await client.bucket.listContents();
+      expect(provider).toHaveBeenCalledTimes(2);
+
+      const keys = { old: 'old-secret', new: 'new-secret' };
+      const results = await Promise.all(
+        stub.requests.map((request) =>
+          verifyRequestHeaders(request, { secretKey: (accessKey) => keys[accessKey] })
+        )
+      );
+      expect(results.map((result) => result.accessKey)).toEqual(['old', 'new', 'new']);
+      expect(results.every((result) => result.valid)).toBe(true);
+    } finally {
+      await stub.stop();
+    }
+  });
+});
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeRange,
+  formatRange,
+  isRangeResponse,
+  normalizeEtag,
+  isContentEtag,
+} = require('../src/download');
+const { readStream } = require('../src/source');
+const { IntegrityError, ValidationError } = require('../src/errors');
+const { startStub, createClient, putObject, storedObject } = require('./helpers');
+
+const downloadsOf = (stub) => stub.requests.filter((request) => request.route === 'download');
+
+describe('download helpers', () => {
+  it('validates and formats byte ranges', () => {
+    expect(normalizeRange()).toEqual({ start: 0, end: undefined });
+    expect(normalizeRange({ start: 2, end: 4 })).toEqual({ start: 2, end: 4 });
+    expect(() => normalizeRange({ start: -1 })).toThrow(ValidationError);
+    expect(() => normalizeRange({ start: 4, end: 2 })).toThrow(ValidationError);
+    expect(formatRange(0)).toBeUndefined();
+    expect(formatRange(5)).toBe('bytes=5-');
+    expect(formatRange(0, 9)).toBe('bytes=0-9');
+  });
+
+  it('only accepts a 206 starting at the requested byte as a range response', () => {
+    const response = (status, range) => ({ status, headers: { 'content-range': range } });
+    expect(isRangeResponse(response(206, 'bytes 5-9/10'), 5)).toBe(true);
+    expect(isRangeResponse(response(206, 'bytes 0-9/10'), 5)).toBe(false);
+    expect(isRangeResponse(response(200, undefined), 5)).toBe(false);
+  });
+
+  it('normalises ETags', () => {
+    expect(normalizeEtag('W/"abc"')).toBe('abc');
+    expect(normalizeEtag(undefined)).toBeUndefined();
+    expect(isContentEtag('0123456789abcdef0123456789abcdef')).toBe(true);
+    expect(isContentEtag('0123456789abcdef0123456789abcdef-2')).toBe(false);
+  });
+});
+
+describe('files.download', () => {
+  let stub;
+  let client;
+  const data = crypto.randomBytes(256 * 1024);
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub, { retry: { maxAttempts: 3, baseDelay: 1 } });
+    await putObject(client, 'object.bin', data);
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(() => stub.reset());
+
+  it('streams a whole object', async () => {
+    const stream = await client.files.download('object.bin', { checksum: 'sha256' });
+    expect((await readStream(stream)).equals(data)).toBe(true);
+  });
+
+  it('streams a byte range', async () => {
+    const stream = await client.files.download('object.bin', { range: { start: 10, end: 19 } });
+    expect(await readStream(stream)).toEqual(data.subarray(10, 20));
+    expect(downloadsOf(stub)[0].headers.range).toBe('bytes=10-19');
+  });
+
+  it('resumes from the last byte received when the connection drops', async () => {
+    stub.fault('download', { resetAfter: 1000 }, 1);
+    const stream = await client.files.download('object.bin', { verifyEtag: true });
+    expect((await readStream(stream)).equals(data)).toBe(true);
+    const downloads = downloadsOf(stub);
+    expect(downloads).toHaveLength(2);
+    expect(downloads[1].headers).toMatchObject({ range: 'bytes=1000-', 'if-match': /"/ });
+    expect(downloads[1].status).toBe(206);
+  });
+
+  it('fails instead of splicing in data when a resumed range is ignored', async () => {
+    stub.fault('download', { resetAfter: 1000 }, 1);
+    stub.fault('download', { ignoreRange: true }, 1);
+    const stream = await client.files.download('object.bin');
+    await expect(readStream(stream)).rejects.toMatchObject({
+      constructor: IntegrityError,
+      code: 'RangeMismatch',
+      status: 200,
+      expected: 'bytes 1000-',
+    });
+  });
+
+  it('fails when a requested range is answered with the whole object', async () => {
+    stub.fault('download', { ignoreRange: true }, 1);
+    await expect(
+      client.files.download('object.bin', { range: { start: 10 } })
+    ).rejects.toMatchObject({ code: 'RangeMismatch', status: 200 });
+  });
+
+  it('does not resume an object that changed mid-download', async () => {
+    await putObject(client, 'changing.bin', data);
+    // Replace the object once the first, interrupted response has been sent
+    const serve = stub.handlers.download;
+    stub.handlers.download = (...args) => {
+      serve(...args);
+      stub.handlers.download = serve;
+      storedObject(stub, 'changing.bin').etag = 'changed';
+    };
+    stub.fault('download', { resetAfter: 1000 }, 1);
+    const stream = await client.files.download('changing.bin');
+    await expect(readStream(stream)).rejects.toMatchObject({
+      status: 412,
+      code: 'PreconditionFailed',
+    });
+  });
+
+  it('checks the data against the ETag', async () => {
+    await putObject(client, 'corrupt.bin', data);
+    storedObject(stub, 'corrupt.bin').etag = '0'.repeat(32);
+    const stream = await client.files.download('corrupt.bin', { verifyEtag: true });
+    await expect(readStream(stream)).rejects.toMatchObject({ code: 'ETagMismatch' });
+  });
+
+  it('checks the data against the checksum header', async () => {
+    await putObject(client, 'corrupt.bin', data);
+    storedObject(stub, 'corrupt.bin').sha256 = '0'.repeat(64);
+    const stream = await client.files.download('corrupt.bin', { checksum: 'sha256' });
+    await expect(readStream(stream)).rejects.toMatchObject({
+      constructor: IntegrityError,
+      code: 'ChecksumMismatch',
+      algorithm: 'sha256',
+    });
+  });
+
+  it('rejects missing keys and checksums of ranges', async () => {
+    await expect(client.files.download('')).rejects.toBeInstanceOf(ValidationError);
+    await expect(
+      client.files.download('object.bin', { range: { start: 1 }, checksum: true })
+    ).rejects.toMatchObject({ field: 'checksum' });
+    await expect(client.files.download('missing.bin')).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('files.downloadToFile', () => {
+  let stub;
+  let client;
+  let dir;
+  let target;
+  let etag;
+  const data = crypto.randomBytes(64 * 1024);
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+    await putObject(client, 'file.bin', data);
+    etag = storedObject(stub, 'file.bin').etag;
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(async () => {
+    stub.reset();
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'apexx-download-'));
+    target = path.join(dir, 'nested', 'file.bin');
+  });
+
+  afterEach(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  const leftovers = () => fs.promises.readdir(path.dirname(target));
+
+  it('writes the object and leaves no partial files', async () => {
+    const result = await client.files.downloadToFile('file.bin', target, { verifyEtag: true });
+    expect(result).toEqual({ path: target, size: data.length, etag });
+    expect((await fs.promises.readFile(target)).equals(data)).toBe(true);
+    await expect(leftovers()).resolves.toEqual(['file.bin']);
+  });
+
+  it('resumes a partial file that belongs to the same object', async () => {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(`${target}.partial`, data.subarray(0, 1000));
+    await fs.promises.writeFile(`${target}.partial.etag`, `"${etag}"`);
+
+    await client.files.downloadToFile('file.bin', target, { verifyEtag: true });
+    expect(downloadsOf(stub).map((request) => request.status)).toEqual([206]);
+    expect(downloadsOf(stub)[0].headers['if-range']).toBe(`"${etag}"`);
+    expect((await fs.promises.readFile(target)).equals(data)).toBe(true);
+    await expect(leftovers()).resolves.toEqual(['file.bin']);
+  });
+
+  it('starts over when the partial file belongs to another version', async () => {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(`${target}.partial`, Buffer.alloc(1000));
+    await fs.promises.writeFile(`${target}.partial.etag`, '"stale"');
+
+    await client.files.downloadToFile('file.bin', target);
+    expect(downloadsOf(stub).map((request) => request.status)).toEqual([200]);
+    expect((await fs.promises.readFile(target)).equals(data)).toBe(true);
+  });
+
+  it('starts over when the partial file has no recorded ETag', async () => {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(`${target}.partial`, Buffer.alloc(1000));
+
+    await client.files.downloadToFile('file.bin', target);
+    expect(downloadsOf(stub).map((request) => request.status)).toEqual([200]);
+    expect((await fs.promises.readFile(target)).equals(data)).toBe(true);
+  });
+
+  it('starts over when the partial file is longer than the object', async () => {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(`${target}.partial`, Buffer.alloc(data.length + 10));
+    await fs.promises.writeFile(`${target}.partial.etag`, `"${etag}"`);
+
+    await client.files.downloadToFile('file.bin', target);
+    expect(downloadsOf(stub).map((request) => request.status)).toEqual([416, 200]);
+    expect((await fs.promises.readFile(target)).equals(data)).toBe(true);
+  });
+
+  it('keeps the partial file and its ETag for a later resume when interrupted', async () => {
+    stub.fault('download', { resetAfter: 1000 }, 1);
+    await expect(client.files.downloadToFile('file.bin', target)).rejects.toThrow();
+    await expect(fs.promises.readFile(`${target}.partial.etag`, 'utf8')).resolves.toBe(`"${etag}"`);
+    await expect(fs.promises.access(target)).rejects.toMatchObject({ code: 'ENOENT' });
+
+    await client.files.downloadToFile('file.bin', target);
+    expect(downloadsOf(stub).map((request) => request.status)).toEqual([200, 206]);
+    expect((await fs.promises.readFile(target)).equals(data)).toBe(true);
+  });
+
+  it('removes the partial file when the ETag does not match', async () => {
+    await putObject(client, 'corrupt.bin', data);
+    storedObject(stub, 'corrupt.bin').etag = '0'.repeat(32);
+    await expect(
+      client.files.downloadToFile('corrupt.bin', target, { verifyEtag: true })
+    ).rejects.toMatchObject({ code: 'ETagMismatch' });
+    await expect(leftovers()).resolves.toEqual([]);
+  });
+
+  it('removes the partial file when the checksum does not match', async () => {
+    await putObject(client, 'corrupt.bin', data);
+    storedObject(stub, 'corrupt.bin').sha256 = '0'.repeat(64);
+    await expect(
+      client.files.downloadToFile('corrupt.bin', target, { checksum: 'sha256' })
+    ).rejects.toBeInstanceOf(IntegrityError);
+    await expect(leftovers()).resolves.toEqual([]);
+  });
+
+  it('requires a key and a path', async () => {
+    await expect(client.files.downloadToFile('', target)).rejects.toMatchObject({ field: 'key' });
+    await expect(client.files.downloadToFile('file.bin')).rejects.toMatchObject({
+      field: 'filePath',
+    });
+  });
+});
@@ -0,0 +1,252 @@
+const childProcess = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const ApexxCloud = require('../src/sdk');
+const { Emulator } = require('../src/emulator');
+const { ValidationError } = require('../src/errors');
+const { BUCKET, startEmulator, createClient, putObject, routesOf } = require('./helpers');
+
+describe('Emulator', () => {
+  it('is loaded only when first used', () => {
+    const script = `
+      require('./src/sdk');
+      const loaded = () => Object.keys(require.cache).map((file) => require('path').basename(file));
+      const before = loaded();
+      require('./src/sdk').Emulator;
+      console.log(JSON.stringify({ before, after: loaded() }));
+    `;
+    const { before, after } = JSON.parse(
+      childProcess.execFileSync(process.execPath, ['-e', script], {
+        cwd: path.join(__dirname, '..'),
+        encoding: 'utf8',
+      })
+    );
+    expect(before).not.toContain('emulator.js');
+    expect(before).not.toContain('upload-middleware.js');
+    expect(after).toContain('emulator.js');
+    expect(ApexxCloud.Emulator).toBe(Emulator);
+  });
+
+  it('hands out client configuration only while running', async () => {
+    const emulator = new Emulator({ accessKey: 'key', secretKey: 'secret' });
+    expect(() => emulator.clientConfig()).toThrow(ValidationError);
+    const url = await emulator.start();
+    expect(emulator.clientConfig()).toEqual({
+      baseUrl: url,
+      accessKey: 'key',
+      secretKey: 'secret',
+    });
+    await emulator.stop();
+    await emulator.stop();
+    expect(emulator.url).toBeNull();
+  });
+
+  it('can be mounted in an existing server', async () => {
+    const emulator = new Emulator();
+    const server = http.createServer(emulator.handler);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const client = new ApexxCloud({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        accessKey: emulator.accessKey,
+        secretKey: emulator.secretKey,
+        bucket: BUCKET,
+        retry: false,
+      });
+      await putObject(client, 'mounted.txt', 'mounted');
+      await expect(client.files.stat('mounted.txt')).resolves.toMatchObject({ size: 7 });
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('keeps objects across restarts with a data directory', async () => {
+    const dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'apexx-emulator-'));
+    try {
+      const first = await startEmulator({ dataDir });
+      await putObject(createClient(first), 'kept.txt', 'kept');
+      await putObject(createClient(first), 'gone.txt', 'gone');
+      await createClient(first).files.delete('gone.txt');
+      await first.stop();
+
+      const second = await startEmulator({ dataDir });
+      try {
+        const client = createClient(second);
+        const listing = await client.bucket.listContents();
+        expect(listing.contents.map((object) => object.key)).toEqual(['kept.txt']);
+        const stored = await second.backend.get(BUCKET, 'kept.txt');
+        expect(stored.data.toString()).toBe('kept');
+        await expect(second.backend.delete(BUCKET, 'gone.txt')).resolves.toBe(false);
+      } finally {
+        await second.stop();
+      }
+    } finally {
+      await fs.promises.rm(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  it('lists an empty data directory that does not exist yet', async () => {
+    const emulator = await startEmulator({ dataDir: path.join(os.tmpdir(), 'apexx-none', 'x') });
+    try {
+      await expect(createClient(emulator).bucket.listContents()).resolves.toMatchObject({
+        contents: [],
+      });
+    } finally {
+      await emulator.stop();
+    }
+  });
+});
+
+describe('Emulator requests', () => {
+  let emulator;
+  let client;
+
+  beforeAll(async () => {
+    emulator = await startEmulator({ buckets: [BUCKET], keys: { a: 'secret-a', b: 'secret-b' } });
+    client = createClient(emulator, { accessKey: 'a', secretKey: 'secret-a' });
+  });
+
+  afterAll(() => emulator.stop());
+
+  beforeEach(() => {
+    emulator.requests = [];
+    emulator.clearFaults();
+  });
+
+  it('logs every request with its route and status', async () => {
+    await putObject(client, 'logged.txt', 'x');
+    await client.files.delete('logged.txt');
+    expect(emulator.requests).toEqual([
+      { method: 'PUT', path: expect.any(String), route: 'upload', status: 200 },
+      { method: 'DELETE', path: expect.any(String), route: 'delete', status: 200 },
+    ]);
+  });
+
+  it('accepts each configured key', async () => {
+    const other = createClient(emulator, { accessKey: 'b', secretKey: 'secret-b' });
+    await expect(other.bucket.listContents()).resolves.toBeDefined();
+    const wrong = createClient(emulator, { accessKey: 'b', secretKey: 'secret-a' });
+    await expect(wrong.bucket.listContents()).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('rejects unsigned requests, unknown routes and unknown buckets', async () => {
+    const unsigned = await axios.get(
+      `${emulator.url}/api/v1/files/contents?bucket_name=${BUCKET}`,
+      {
+        validateStatus: () => true,
+      }
+    );
+    expect(unsigned.status).toBe(401);
+    const unknown = await axios.get(`${emulator.url}/nowhere`, { validateStatus: () => true });
+    expect(unknown.status).toBe(404);
+    expect(unknown.data).toMatchObject({ code: 'NoSuchRoute' });
+    await expect(client.bucket.listContents({ bucketName: 'other' })).rejects.toMatchObject({
+      status: 404,
+      code: 'NoSuchBucket',
+    });
+    await expect(client.files.delete('missing.txt')).rejects.toMatchObject({ code: 'NoSuchKey' });
+  });
+
+  it('injects errors a limited number of times', async () => {
+    emulator.injectFault({ route: 'contents', status: 429, retryAfter: 3, times: 1 });
+    await expect(client.bucket.listContents()).rejects.toMatchObject({
+      status: 429,
+      code: 'Throttled',
+      cause: { response: { headers: expect.objectContaining({ 'retry-after': '3' }) } },
+    });
+    await expect(client.bucket.listContents()).resolves.toBeDefined();
+  });
+
+  it('injects faults until they are removed', async () => {
+    const remove = emulator.injectFault({ status: 503, code: 'Maintenance' });
+    await expect(client.bucket.listContents()).rejects.toMatchObject({ code: 'Maintenance' });
+    await expect(putObject(client, 'x.txt', 'x')).rejects.toMatchObject({ status: 503 });
+    remove();
+    await expect(client.bucket.listContents()).resolves.toBeDefined();
+  });
+
+  it('skips faults that do not match', async () => {
+    emulator.injectFault({ route: 'upload', status: 500 });
+    emulator.injectFault({ route: 'contents', status: 500, probability: 0 });
+    await expect(client.bucket.listContents()).resolves.toBeDefined();
+  });
+
+  it('drops connections and delays responses', async () => {
+    emulator.injectFault({ route: 'contents', reset: true, times: 1 });
+    await expect(client.bucket.listContents()).rejects.toMatchObject({ name: 'NetworkError' });
+
+    emulator.injectFault({ route: 'contents', latency: 100, times: 1 });
+    const started = Date.now();
+    await client.bucket.listContents();
+    expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+  });
+
+  it('honours ranges only while If-Range matches, or not at all when told to', async () => {
+    const { ETag } = await putObject(client, 'ranged.txt', '0123456789');
+    const url = await client.files.getSignedUrl('download', { key: 'ranged.txt' });
+    const get = (headers) => axios.get(url, { headers, responseType: 'text' });
+
+    await expect(get({ Range: 'bytes=5-', 'If-Range': `"${ETag}"` })).resolves.toMatchObject({
+      status: 206,
+      data: '56789',
+    });
+    await expect(get({ Range: 'bytes=5-', 'If-Range': '"changed"' })).resolves.toMatchObject({
+      status: 200,
+      data: '0123456789',
+    });
+    emulator.injectFault({ route: 'download', ignoreRange: true, times: 1 });
+    await expect(get({ Range: 'bytes=5-' })).resolves.toMatchObject({ status: 200 });
+  });
+
+  it('rejects faults for unknown routes', () => {
+    expect(() => emulator.injectFault({ route: ['upload', 'teleport'] })).toThrow(
+      'Unknown emulator route teleport'
+    );
+  });
+
+  it('applies faults given to the constructor', async () => {
+    const faulty = await startEmulator({ faults: [{ route: 'contents', status: 500, times: 1 }] });
+    try {
+      const faultyClient = createClient(faulty);
+      await expect(faultyClient.bucket.listContents()).rejects.toMatchObject({ status: 500 });
+      await expect(faultyClient.bucket.listContents()).resolves.toBeDefined();
+      expect(routesOf(faulty)).toEqual(['contents', 'contents']);
+    } finally {
+      await faulty.stop();
+    }
+  });
+
+  it('delays every response with a latency', async () => {
+    const slow = await startEmulator({ latency: 50 });
+    try {
+      const started = Date.now();
+      await createClient(slow).bucket.listContents();
+      expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+    } finally {
+      await slow.stop();
+    }
+  });
+
+  it('validates multipart uploads', async () => {
+    const { uploadId } = await client.files.startMultipartUpload('parts.bin', { totalParts: 1 });
+    expect(emulator.uploads.has(uploadId)).toBe(true);
+    const parts = [{ ETag: 'x', PartNumber: 1 }];
+    await expect(
+      client.files.completeMultipartUpload('other.bin', parts, { uploadId })
+    ).rejects.toMatchObject({ status: 400, field: 'key' });
+    await expect(
+      client.files.completeMultipartUpload('parts.bin', parts, { uploadId })
+    ).rejects.toMatchObject({ status: 400 });
+    await client.files.cancelMultipartUpload('parts.bin', { uploadId });
+    expect(emulator.uploads.has(uploadId)).toBe(false);
+    await expect(
+      client.files.cancelMultipartUpload('parts.bin', { uploadId })
+    ).rejects.toMatchObject({
+      code: 'NoSuchUpload',
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const ApexxCloud = require('../src/sdk');
+const {
+  ApexxCloudError,
+  ValidationError,
+  AuthenticationError,
+  NotFoundError,
+  ThrottlingError,
+  ServerError,
+  NetworkError,
+  AbortError,
+  IntegrityError,
+  isRetryable,
+  createApiError,
+} = require('../src/errors');
+const { startStub, createClient } = require('./helpers');
+
+const request = { method: 'GET', path: '/api/v1/files/contents' };
+const responseError = (status, data) =>
+  Object.assign(new Error('failed'), { response: { status, data } });
+
+describe('errors', () => {
+  it('exposes every error class on the client', () => {
+    expect(ApexxCloud.ApexxCloudError).toBe(ApexxCloudError);
+    expect(ApexxCloud.ValidationError).toBe(ValidationError);
+    expect(ApexxCloud.NetworkError).toBe(NetworkError);
+    expect(ApexxCloud.IntegrityError).toBe(IntegrityError);
+  });
+
+  it('carries the request details and names the class', () => {
+    const cause = new Error('socket hang up');
+    const error = new ServerError('boom', { status: 502, code: 'BadGateway', cause, ...request });
+    expect(error).toBeInstanceOf(ApexxCloudError);
+    expect(error).toMatchObject({ name: 'ServerError', status: 502, method: 'GET', cause });
+    expect(error.retryable).toBe(false);
+    expect(new ValidationError('bad', 'key').field).toBe('key');
+  });
+
+  it('decides what is worth retrying', () => {
+    expect(isRetryable(503)).toBe(true);
+    expect(isRetryable(429)).toBe(true);
+    expect(isRetryable(404)).toBe(false);
+    expect(isRetryable(undefined, 'ECONNRESET')).toBe(true);
+    expect(isRetryable(undefined, 'ENOTFOUND')).toBe(false);
+  });
+
+  it.each([
+    [400, 'ValidationError', ValidationError],
+    [422, 'ValidationError', ValidationError],
+    [401, 'AuthenticationError', AuthenticationError],
+    [403, 'AuthenticationError', AuthenticationError],
+    [404, 'NotFoundError', NotFoundError],
+    [409, 'ApexxCloudError', ApexxCloudError],
+    [429, 'ThrottlingError', ThrottlingError],
+    [500, 'ServerError', ServerError],
+    [503, 'ServerError', ServerError],
+  ])('maps status %i to %s', (status, name, ErrorClass) => {
+    const error = createApiError(responseError(status, { code: 'Code', message: 'msg' }), request);
+    expect(error.constructor).toBe(ErrorClass);
+    expect(error).toMatchObject({ status, code: 'Code', body: { code: 'Code', message: 'msg' } });
+    expect(error.message).toBe(`API Error ${status}: msg`);
+  });
+
+  it('keeps the offending field of validation errors', () => {
+    const error = createApiError(responseError(400, { error: 'Invalid', field: 'key' }), request);
+    expect(error).toMatchObject({ field: 'key', code: 'Invalid' });
+  });
+
+  it('maps failures without a response to network and abort errors', () => {
+    const reset = Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+    expect(createApiError(reset, request)).toMatchObject({
+      constructor: NetworkError,
+      code: 'ECONNRESET',
+      retryable: true,
+    });
+    const unknown = Object.assign(new Error('lookup failed'), { code: 'ENOTFOUND' });
+    expect(createApiError(unknown, request).retryable).toBe(false);
+    const canceled = Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' });
+    expect(createApiError(canceled, request)).toBeInstanceOf(AbortError);
+  });
+
+  it('passes SDK errors through unchanged', () => {
+    const error = new ValidationError('bad');
+    expect(createApiError(error, request)).toBe(error);
+  });
+
+  describe('from the service', () => {
+    let stub;
+    let client;
+
+    beforeAll(async () => {
+      stub = await startStub();
+      client = createClient(stub);
+    });
+
+    afterAll(() => stub.stop());
+
+    beforeEach(() => stub.reset());
+
+    it('reports missing objects as NotFoundError', async () => {
+      await expect(client.files.delete('missing.txt')).rejects.toMatchObject({
+        constructor: NotFoundError,
+        status: 404,
+        code: 'NoSuchKey',
+        method: 'DELETE',
+      });
+    });
+
+    it('reports rejected credentials as AuthenticationError', async () => {
+      stub.fail('contents', 403, 1);
+      await expect(client.bucket.listContents()).rejects.toBeInstanceOf(AuthenticationError);
+    });
+
+    it('reports dropped connections as retryable NetworkError', async () => {
+      stub.drop('contents', 1);
+      await expect(client.bucket.listContents()).rejects.toMatchObject({
+        constructor: NetworkError,
+        retryable: true,
+      });
+    });
+  });
+});
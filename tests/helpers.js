@@ -0,0 +1,74 @@
+const ApexxCloud = require('../src/sdk');
+const { startStub } = require('./stub');
+
+const BUCKET = 'test-bucket';
+const REGION = 'test-region';
+
+/**
+ * Starts an emulator on a free port
+ * @param {Object} [options] - Emulator options
+ * @returns {Promise<Object>} The running emulator
+ */
+async function startEmulator(options) {
+  const emulator = new ApexxCloud.Emulator(options);
+  await emulator.start();
+  return emulator;
+}
+
+/**
+ * Creates a client for a stub or an emulator, without retries unless asked for
+ * @param {Object} server - Running stub or emulator
+ * @param {Object} [config] - Extra client configuration
+ * @returns {ApexxCloud}
+ */
+function createClient(server, config = {}) {
+  return new ApexxCloud({
+    ...server.clientConfig(),
+    bucket: BUCKET,
+    region: REGION,
+    retry: false,
+    ...config,
+  });
+}
+
+/**
+ * Stores an object in a stub through a client
+ * @param {ApexxCloud} client - Client
+ * @param {string} key - Object key
+ * @param {Buffer|string} data - Object data
+ * @returns {Promise<Object>} Upload response
+ */
+function putObject(client, key, data) {
+  return client.files.upload(key, Buffer.from(data), {});
+}
+
+/**
+ * Reads an object straight from a stub's or an emulator's storage
+ * @param {Object} server - Stub or emulator
+ * @param {string} key - Object key
+ * @returns {Object|null|Promise<Object|null>} Stored object record; emulators answer
+ *   with a promise
+ */
+function storedObject(server, key) {
+  return server.backend ? server.backend.get(BUCKET, key) : server.objects.get(key) || null;
+}
+
+/**
+ * Routes a stub or an emulator has served, in order
+ * @param {Object} server - Stub or emulator
+ * @returns {string[]}
+ */
+function routesOf(server) {
+  return server.requests.map((request) => request.route);
+}
+
+module.exports = {
+  BUCKET,
+  REGION,
+  startStub,
+  startEmulator,
+  createClient,
+  putObject,
+  storedObject,
+  routesOf,
+};
@@ -0,0 +1,207 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const { Readable } = require('stream');
+const { Hooks, describeError, bodySize, responseSize, createRequestId } = require('../src/hooks');
+const { AuthenticationError, ValidationError } = require('../src/errors');
+const { startEmulator, createClient, putObject } = require('./helpers');
+
+describe('Hooks', () => {
+  it('validates hook objects', () => {
+    expect(() => new Hooks('hooks')).toThrow(ValidationError);
+    expect(() => new Hooks({ afterRequest() {} })).toThrow('Unknown hook afterRequest');
+    expect(() => new Hooks({ onError: 'log' })).toThrow(
+      expect.objectContaining({ field: 'hooks.onError' })
+    );
+    expect(new Hooks({ onError: undefined }).active).toBe(true);
+    expect(new Hooks().active).toBe(false);
+  });
+
+  it('calls every hook with a copy of the event and ignores failures', () => {
+    const calls = [];
+    const hooks = new Hooks([
+      {
+        beforeRequest: () => {
+          throw new Error('broken hook');
+        },
+      },
+      { beforeRequest: async () => Promise.reject(new Error('broken async hook')) },
+      {
+        beforeRequest: (event) => calls.push(['before', event]),
+        afterResponse: (event) => calls.push(['after', event]),
+      },
+    ]);
+    const event = hooks.start(
+      {
+        method: 'PUT',
+        path: '/api/v1/upload?bucket_name=b&key=a.txt&signature=abc',
+        operation: 'upload',
+      },
+      'request-1',
+      1
+    );
+    hooks.emit('beforeRequest', event);
+    hooks.emit('afterResponse', event, { status: 200 });
+
+    expect(calls[0]).toEqual([
+      'before',
+      {
+        operation: 'upload',
+        method: 'PUT',
+        path: '/api/v1/upload?bucket_name=b&key=a.txt&signature=%5BREDACTED%5D',
+        bucket: 'b',
+        key: 'a.txt',
+        requestId: 'request-1',
+        attempt: 1,
+      },
+    ]);
+    expect(calls[1][1]).toMatchObject({ status: 200, duration: expect.any(Number) });
+    expect(calls[1][1]).not.toHaveProperty('startTime');
+  });
+
+  it('stops calling removed hooks', () => {
+    const hooks = new Hooks();
+    const beforeRequest = jest.fn();
+    const remove = hooks.add({ beforeRequest });
+    const event = hooks.start({ method: 'GET', path: '/x' }, createRequestId(), 1);
+    hooks.emit('beforeRequest', event);
+    remove();
+    remove();
+    hooks.emit('beforeRequest', event);
+    expect(beforeRequest).toHaveBeenCalledTimes(1);
+    expect(hooks.active).toBe(false);
+  });
+
+  it('describes errors without secrets', () => {
+    const error = new AuthenticationError('Bad signature=abc123 for token: xyz', {
+      status: 403,
+      code: 'SignatureDoesNotMatch',
+      cause: new Error('with config'),
+    });
+    expect(describeError(error)).toEqual({
+      name: 'AuthenticationError',
+      message: 'Bad signature=[REDACTED] for token: [REDACTED]',
+      code: 'SignatureDoesNotMatch',
+      status: 403,
+      retryable: false,
+    });
+  });
+
+  it('measures bodies when their size is known', () => {
+    const form = new FormData();
+    form.append('field', 'value');
+    const streamed = new FormData();
+    streamed.append('file', Readable.from(['x']));
+    expect(bodySize(undefined)).toBe(0);
+    expect(bodySize('héllo')).toBe(6);
+    expect(bodySize(Buffer.alloc(10))).toBe(10);
+    expect(bodySize({ parts: [1] })).toBe(13);
+    expect(bodySize(form)).toBe(form.getLengthSync());
+    expect(bodySize(streamed)).toBeUndefined();
+    expect(bodySize(Readable.from(['x']))).toBeUndefined();
+    expect(responseSize({ headers: { 'content-length': '42' }, data: '' })).toBe(42);
+    expect(responseSize({ headers: {}, data: { ok: true } })).toBe(11);
+  });
+});
+
+describe('client hooks', () => {
+  let emulator;
+
+  beforeAll(async () => {
+    emulator = await startEmulator();
+  });
+
+  afterAll(() => emulator.stop());
+
+  beforeEach(() => {
+    emulator.clearFaults();
+  });
+
+  it('reports each attempt of a request', async () => {
+    const events = [];
+    const record = (name) => (event) => events.push({ name, ...event });
+    const client = createClient(emulator, {
+      retry: { maxAttempts: 3, baseDelay: 1, maxDelay: 1 },
+      hooks: {
+        beforeRequest: record('beforeRequest'),
+        afterResponse: record('afterResponse'),
+        onError: record('onError'),
+        onRetry: record('onRetry'),
+      },
+    });
+    emulator.injectFault({ route: 'contents', status: 503, times: 1 });
+    await client.bucket.listContents();
+
+    expect(events.map((event) => [event.name, event.attempt])).toEqual([
+      ['beforeRequest', 1],
+      ['onError', 1],
+      ['onRetry', 1],
+      ['beforeRequest', 2],
+      ['afterResponse', 2],
+    ]);
+    expect(new Set(events.map((event) => event.requestId)).size).toBe(1);
+    expect(events[1]).toMatchObject({
+      operation: 'listContents',
+      status: 503,
+      willRetry: true,
+      error: { name: 'ServerError', code: 'InjectedFault', retryable: true },
+    });
+    expect(events[2]).toMatchObject({ nextAttempt: 2, delay: expect.any(Number) });
+    expect(events[4]).toMatchObject({
+      status: 200,
+      bytesSent: 0,
+      bytesReceived: expect.any(Number),
+      duration: expect.any(Number),
+    });
+  });
+
+  it('reports the final failure', async () => {
+    const onError = jest.fn();
+    const client = createClient(emulator, { hooks: { onError } });
+    emulator.injectFault({ route: 'delete', status: 500, times: 1 });
+    await expect(client.files.delete('a.txt')).rejects.toMatchObject({ status: 500 });
+    expect(onError).toHaveBeenLastCalledWith(
+      expect.objectContaining({ operation: 'delete', key: 'a.txt', willRetry: false })
+    );
+  });
+
+  it('sends the request ID and the body size of uploads', async () => {
+    const http = axios.create();
+    const sentIds = [];
+    http.interceptors.request.use((config) => {
+      sentIds.push(config.headers['X-Request-Id']);
+      return config;
+    });
+    const client = createClient(emulator, { httpClient: http });
+    const afterResponse = jest.fn();
+    const remove = client.addHooks({ afterResponse });
+    await putObject(client, 'sized.txt', 'hello');
+    remove();
+    await putObject(client, 'unreported.txt', 'hello');
+
+    expect(afterResponse).toHaveBeenCalledTimes(1);
+    const [event] = afterResponse.mock.calls[0];
+    expect(event).toMatchObject({ operation: 'upload', key: 'sized.txt' });
+    expect(event.bytesSent).toBeGreaterThan(5);
+    expect(sentIds[0]).toBe(event.requestId);
+    expect(sentIds[1]).toMatch(/^[0-9a-f]{32}$/);
+  });
+
+  it('never lets a hook fail a request', async () => {
+    const client = createClient(emulator, {
+      hooks: [
+        {
+          beforeRequest: () => {
+            throw new Error('broken');
+          },
+        },
+        { afterResponse: () => Promise.reject(new Error('broken')) },
+      ],
+    });
+    await expect(client.bucket.listContents()).resolves.toBeDefined();
+  });
+
+  it('rejects invalid hooks', () => {
+    expect(() => createClient(emulator, { hooks: { onRetry: 1 } })).toThrow(ValidationError);
+    expect(() => createClient(emulator).addHooks(null)).toThrow(ValidationError);
+  });
+});
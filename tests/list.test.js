@@ -0,0 +1,110 @@
+const { startStub, createClient, putObject } = require('./helpers');
+
+const KEYS = [
+  'docs/a.txt',
+  'docs/b.txt',
+  'docs/drafts/c.txt',
+  'docs/drafts/old/d.txt',
+  'images/logo.png',
+  'images/icons/x.svg',
+  'readme.md',
+];
+
+const collect = async (iterator) => {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item.key);
+  }
+  return items;
+};
+
+describe('bucket listing', () => {
+  let stub;
+  let client;
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+    for (const key of KEYS) {
+      await putObject(client, key, key);
+    }
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(() => stub.reset());
+
+  const pageRequests = () => stub.requests.filter((request) => request.route === 'contents');
+
+  describe('listContents', () => {
+    it('returns one page of objects', async () => {
+      const page = await client.bucket.listContents({ prefix: 'docs/', limit: 3, page: 2 });
+      expect(page).toMatchObject({ page: 2, totalPages: 2, totalItems: 4 });
+      expect(page.contents.map((item) => item.key)).toEqual(['docs/drafts/old/d.txt']);
+      expect(page.contents[0]).toMatchObject({ size: 21, etag: expect.any(String) });
+    });
+  });
+
+  describe('list', () => {
+    it('iterates every object across pages', async () => {
+      await expect(collect(client.bucket.list({ limit: 2 }))).resolves.toEqual(KEYS.slice().sort());
+      expect(pageRequests()).toHaveLength(4);
+    });
+
+    it('filters by prefix', async () => {
+      await expect(collect(client.bucket.list({ prefix: 'images/' }))).resolves.toEqual([
+        'images/icons/x.svg',
+        'images/logo.png',
+      ]);
+    });
+
+    it('stops after maxItems without fetching more pages', async () => {
+      await expect(collect(client.bucket.list({ limit: 2, maxItems: 3 }))).resolves.toHaveLength(3);
+      expect(pageRequests()).toHaveLength(2);
+    });
+
+    it('stops fetching when the loop breaks', async () => {
+      for await (const item of client.bucket.list({ limit: 2 })) {
+        expect(item.key).toBe('docs/a.txt');
+        break;
+      }
+      expect(pageRequests()).toHaveLength(1);
+    });
+
+    it('ends on an empty bucket', async () => {
+      await expect(collect(client.bucket.list({ prefix: 'nothing/' }))).resolves.toEqual([]);
+    });
+  });
+
+  describe('listFolders', () => {
+    it('groups deeper keys into folders', async () => {
+      const result = await client.bucket.listFolders('docs/');
+      expect(result.prefix).toBe('docs/');
+      expect(result.folders).toEqual(['docs/drafts/']);
+      expect(result.files.map((item) => item.key)).toEqual(['docs/a.txt', 'docs/b.txt']);
+    });
+
+    it('lists the top level by default', async () => {
+      const result = await client.bucket.listFolders();
+      expect(result.folders).toEqual(['docs/', 'images/']);
+      expect(result.files.map((item) => item.key)).toEqual(['readme.md']);
+    });
+
+    it('splits on a custom delimiter', async () => {
+      const result = await client.bucket.listFolders('docs/', { delimiter: '.' });
+      expect(result.folders).toEqual([
+        'docs/a.',
+        'docs/b.',
+        'docs/drafts/c.',
+        'docs/drafts/old/d.',
+      ]);
+      expect(result.files).toEqual([]);
+    });
+
+    it('rejects an empty delimiter', async () => {
+      await expect(client.bucket.listFolders('', { delimiter: '' })).rejects.toMatchObject({
+        field: 'delimiter',
+      });
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const { Writable } = require('stream');
+const { FormParser, formBoundary } = require('../src/multipart');
+const { readStream } = require('../src/source');
+
+const BOUNDARY = 'xyzzy';
+
+/**
+ * Builds a form body
+ * @param {Array<{name: string, value: string|Buffer, filename?: string, type?: string,
+ *   disposition?: string}>} parts - Parts
+ * @returns {Buffer}
+ */
+function form(parts) {
+  const chunks = [Buffer.from('preamble to ignore\r\n')];
+  for (const part of parts) {
+    const disposition =
+      part.disposition ||
+      `form-data; name="${part.name}"${part.filename ? `; filename="${part.filename}"` : ''}`;
+    chunks.push(
+      Buffer.from(
+        `--${BOUNDARY}\r\nContent-Disposition: ${disposition}\r\n` +
+          `${part.type ? `Content-Type: ${part.type}\r\n` : ''}\r\n`
+      ),
+      Buffer.from(part.value),
+      Buffer.from('\r\n')
+    );
+  }
+  chunks.push(Buffer.from(`--${BOUNDARY}--\r\nepilogue`));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Parses a body written in chunks of `chunkSize` bytes
+ * @param {Buffer} body - Form body
+ * @param {Object} [options] - Options
+ * @param {number} [options.chunkSize] - Bytes per write
+ * @param {Object} [options.limits] - Parser limits
+ * @returns {Promise<{fields: Array, files: Array}>}
+ */
+async function parse(body, { chunkSize = body.length, limits } = {}) {
+  const parser = new FormParser(BOUNDARY, limits);
+  const fields = [];
+  const files = [];
+  parser.on('field', (name, value) => fields.push([name, value]));
+  parser.on('file', (info, stream) => {
+    files.push(readStream(stream).then((data) => ({ ...info, data: data.toString() })));
+  });
+  const done = new Promise((resolve, reject) => {
+    parser.on('finish', resolve);
+    parser.on('error', reject);
+  });
+  for (let offset = 0; offset < body.length; offset += chunkSize) {
+    parser.write(body.subarray(offset, offset + chunkSize));
+  }
+  parser.end();
+  await done;
+  return { fields, files: await Promise.all(files) };
+}
+
+describe('formBoundary', () => {
+  it('reads the boundary of form uploads only', () => {
+    expect(formBoundary('multipart/form-data; boundary=abc')).toBe('abc');
+    expect(formBoundary('Multipart/Form-Data; charset=utf-8; BOUNDARY="a b;c"')).toBe('a b;c');
+    expect(formBoundary('multipart/form-data')).toBeNull();
+    expect(formBoundary('multipart/mixed; boundary=abc')).toBeNull();
+    expect(formBoundary('application/json')).toBeNull();
+    expect(formBoundary(undefined)).toBeNull();
+  });
+});
+
+describe('FormParser', () => {
+  const body = form([
+    { name: 'title', value: 'Holiday' },
+    {
+      name: 'photo',
+      filename: 'beach.jpg',
+      type: 'image/jpeg',
+      value: `a\r\n--xyz${'b'.repeat(100)}`,
+    },
+    { name: 'tags', value: 'sea' },
+    { name: 'notes', filename: 'notes.txt', value: '' },
+  ]);
+  const expected = {
+    fields: [
+      ['title', 'Holiday'],
+      ['tags', 'sea'],
+    ],
+    files: [
+      {
+        name: 'photo',
+        filename: 'beach.jpg',
+        contentType: 'image/jpeg',
+        data: `a\r\n--xyz${'b'.repeat(100)}`,
+      },
+      { name: 'notes', filename: 'notes.txt', data: '' },
+    ],
+  };
+
+  it('emits fields and files', async () => {
+    await expect(parse(body)).resolves.toEqual(expected);
+  });
+
+  it.each([1, 3, 7, 64])('handles the body arriving in chunks of %i bytes', async (chunkSize) => {
+    await expect(parse(body, { chunkSize })).resolves.toEqual(expected);
+  });
+
+  it('decodes quoted and RFC 5987 filenames', async () => {
+    const { files } = await parse(
+      form([
+        { name: 'a', disposition: 'form-data; name="a"; filename="say \\"hi\\".txt"', value: '1' },
+        {
+          name: 'b',
+          disposition: `form-data; name="b"; filename="fallback.txt"; filename*=UTF-8''r%C3%A9sum%C3%A9.txt`,
+          value: '2',
+        },
+        {
+          name: 'c',
+          disposition: `form-data; name="c"; filename="kept.txt"; filename*=UTF-8''%E0%A4%A`,
+          value: '3',
+        },
+      ])
+    );
+    expect(files.map((file) => file.filename)).toEqual(['say "hi".txt', 'résumé.txt', 'kept.txt']);
+  });
+
+  it('waits for slow file consumers', async () => {
+    const parser = new FormParser(BOUNDARY);
+    const data = 'x'.repeat(256 * 1024);
+    const received = new Promise((resolve) => {
+      parser.on('file', (info, stream) => {
+        let length = 0;
+        stream.pipe(
+          new Writable({
+            highWaterMark: 1024,
+            write(chunk, encoding, callback) {
+              length += chunk.length;
+              setImmediate(callback);
+            },
+            final(callback) {
+              resolve(length);
+              callback();
+            },
+          })
+        );
+      });
+    });
+    parser.end(form([{ name: 'big', filename: 'big.txt', value: data }]));
+    await expect(received).resolves.toBe(data.length);
+  });
+
+  it('skips the rest of a file whose stream was destroyed', async () => {
+    const parser = new FormParser(BOUNDARY);
+    const fields = [];
+    parser.on('file', (info, stream) => stream.destroy());
+    parser.on('field', (name, value) => fields.push(name));
+    const finished = new Promise((resolve) => parser.on('finish', resolve));
+    parser.end(
+      form([
+        { name: 'skipped', filename: 'a.bin', value: 'y'.repeat(200 * 1024) },
+        { name: 'after', value: 'kept' },
+      ])
+    );
+    await finished;
+    expect(fields).toEqual(['after']);
+  });
+
+  it.each([
+    [
+      'a truncated form',
+      Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="a"\r\n\r\nva`),
+      'INVALID_FORM',
+      400,
+    ],
+    ['a malformed boundary', Buffer.from(`--${BOUNDARY}XX`), 'INVALID_FORM', 400],
+    [
+      'a part without a name',
+      form([{ name: 'a', disposition: 'form-data', value: 'x' }]),
+      'INVALID_FORM',
+      400,
+    ],
+    [
+      'oversized part headers',
+      Buffer.from(`--${BOUNDARY}\r\nX-Big: ${'h'.repeat(17 * 1024)}`),
+      'INVALID_FORM',
+      400,
+    ],
+  ])('rejects %s', async (label, data, code, status) => {
+    await expect(parse(data)).rejects.toMatchObject({ code, status });
+  });
+
+  it('limits the number and size of fields', async () => {
+    const fields = form([
+      { name: 'a', value: '1' },
+      { name: 'b', value: '2' },
+    ]);
+    await expect(parse(fields, { limits: { maxFields: 1 } })).rejects.toMatchObject({
+      code: 'TOO_MANY_FIELDS',
+      status: 413,
+      field: 'b',
+    });
+    await expect(
+      parse(form([{ name: 'long', value: 'x'.repeat(11) }]), { limits: { maxFieldSize: 10 } })
+    ).rejects.toMatchObject({ code: 'FIELD_TOO_LARGE', field: 'long' });
+    await expect(parse(fields, { limits: { maxFields: 2, maxFieldSize: 1 } })).resolves.toEqual({
+      fields: [
+        ['a', '1'],
+        ['b', '2'],
+      ],
+      files: [],
+    });
+  });
+
+  it('errors an unfinished file stream when destroyed', async () => {
+    const parser = new FormParser(BOUNDARY);
+    const file = new Promise((resolve) => parser.on('file', (info, stream) => resolve(stream)));
+    parser.on('error', () => {});
+    parser.write(
+      Buffer.from(
+        `--${BOUNDARY}\r\nContent-Disposition: form-data; name="f"; filename="f"\r\n\r\nabc`
+      )
+    );
+    const stream = await file;
+    parser.destroy();
+    await expect(readStream(stream)).rejects.toMatchObject({ code: 'INVALID_FORM' });
+  });
+});
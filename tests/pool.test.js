@@ -0,0 +1,101 @@
+const { runPool } = require('../src/pool');
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('runPool', () => {
+  it('returns worker results in source order', async () => {
+    const results = await runPool([30, 10, 20], 3, async (delay, index) => {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return `${index}:${delay}`;
+    });
+    expect(results).toEqual(['0:30', '1:10', '2:20']);
+  });
+
+  it('keeps at most `concurrency` workers in flight', async () => {
+    let active = 0;
+    let peak = 0;
+    await runPool(
+      Array.from({ length: 10 }, (_, i) => i),
+      3,
+      async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await tick();
+        active--;
+      }
+    );
+    expect(peak).toBe(3);
+  });
+
+  it('pulls items from a generator only as workers free up', async () => {
+    let pulled = 0;
+    function* items() {
+      for (let i = 0; i < 6; i++) {
+        pulled++;
+        yield i;
+      }
+    }
+    const seen = [];
+    await runPool(items(), 2, async (item) => {
+      seen.push(pulled - item);
+      await tick();
+    });
+    // Never more than two items ahead of the one being processed
+    expect(Math.max(...seen)).toBeLessThanOrEqual(2);
+  });
+
+  it('accepts async iterables', async () => {
+    async function* items() {
+      yield 1;
+      yield 2;
+    }
+    await expect(runPool(items(), 4, async (item) => item * 2)).resolves.toEqual([2, 4]);
+  });
+
+  it('stops pulling after the first failure and closes the source', async () => {
+    let pulled = 0;
+    let closed = false;
+    function* items() {
+      try {
+        for (let i = 0; i < 100; i++) {
+          pulled++;
+          yield i;
+        }
+      } finally {
+        closed = true;
+      }
+    }
+    const failure = new Error('part failed');
+    await expect(
+      runPool(items(), 2, async (item) => {
+        await tick();
+        if (item === 3) throw failure;
+      })
+    ).rejects.toBe(failure);
+    expect(pulled).toBeLessThan(10);
+    expect(closed).toBe(true);
+  });
+
+  it('lets calls already in flight settle before rejecting', async () => {
+    let settled = false;
+    await expect(
+      runPool([0, 1], 2, async (item) => {
+        if (item === 0) throw new Error('first');
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        settled = true;
+      })
+    ).rejects.toThrow('first');
+    expect(settled).toBe(true);
+  });
+
+  it('runs one worker when concurrency is not a positive number', async () => {
+    let active = 0;
+    let peak = 0;
+    await runPool([1, 2, 3], 0, async () => {
+      peak = Math.max(peak, ++active);
+      await tick();
+      active--;
+    });
+    expect(peak).toBe(1);
+  });
+});
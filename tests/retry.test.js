@@ -0,0 +1,167 @@
+const {
+  DEFAULT_RETRY_POLICY,
+  normalizeRetryPolicy,
+  isReplayable,
+  parseRetryAfter,
+  retryDelay,
+  sleep,
+} = require('../src/retry');
+const fs = require('fs');
+const { Readable } = require('stream');
+const { ServerError, ValidationError } = require('../src/errors');
+const { startStub, createClient, routesOf } = require('./helpers');
+
+describe('retry policy', () => {
+  it('merges settings with the defaults', () => {
+    expect(normalizeRetryPolicy()).toEqual(DEFAULT_RETRY_POLICY);
+    expect(normalizeRetryPolicy({ maxAttempts: 5 })).toMatchObject({
+      maxAttempts: 5,
+      baseDelay: 100,
+    });
+    expect(normalizeRetryPolicy(false).maxAttempts).toBe(1);
+    expect(() => normalizeRetryPolicy({ maxAttempts: 0 })).toThrow(ValidationError);
+  });
+
+  it.each([
+    [{ baseDelay: -1 }, 'retry.baseDelay'],
+    [{ baseDelay: '100' }, 'retry.baseDelay'],
+    [{ maxDelay: Infinity }, 'retry.maxDelay'],
+    [{ maxDelay: NaN }, 'retry.maxDelay'],
+    [{ baseDelay: 500, maxDelay: 100 }, 'retry.baseDelay'],
+  ])('rejects the delays in %o', (retry, field) => {
+    let error;
+    try {
+      normalizeRetryPolicy(retry);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.field).toBe(field);
+  });
+
+  it('accepts delays of zero', () => {
+    expect(normalizeRetryPolicy({ baseDelay: 0, maxDelay: 0 })).toMatchObject({ maxDelay: 0 });
+  });
+
+  it('treats streams as bodies that cannot be sent twice', () => {
+    expect(isReplayable(Buffer.from('x'))).toBe(true);
+    expect(isReplayable(undefined)).toBe(true);
+    expect(isReplayable(Readable.from([]))).toBe(false);
+  });
+
+  it('parses Retry-After in seconds or as a date', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+    const later = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+    expect(later).toBeGreaterThan(8000);
+    expect(later).toBeLessThanOrEqual(10000);
+    expect(parseRetryAfter(new Date(0).toUTCString())).toBe(0);
+  });
+
+  it('prefers Retry-After on 429 and 503, capped at maxDelay', () => {
+    const policy = normalizeRetryPolicy({ maxDelay: 5000 });
+    const throttled = { response: { status: 429, headers: { 'retry-after': '2' } } };
+    expect(retryDelay(policy, 1, throttled)).toBe(2000);
+    const long = { response: { status: 503, headers: { 'retry-after': '60' } } };
+    expect(retryDelay(policy, 1, long)).toBe(5000);
+  });
+
+  it('otherwise backs off exponentially with jitter', () => {
+    const policy = normalizeRetryPolicy({ baseDelay: 100, maxDelay: 1000 });
+    const error = { response: { status: 500, headers: {} } };
+    for (let i = 0; i < 20; i++) {
+      expect(retryDelay(policy, 3, error)).toBeLessThan(400);
+      expect(retryDelay(policy, 10, error)).toBeLessThan(1000);
+    }
+  });
+
+  it('sleeps until the delay passes', async () => {
+    await expect(sleep(1)).resolves.toBeUndefined();
+  });
+});
+
+describe('request retries', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = await startStub();
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(() => stub.reset());
+
+  const retrying = (retry = {}) =>
+    createClient(stub, { retry: { maxAttempts: 3, baseDelay: 1, ...retry } });
+
+  it('repeats idempotent requests that fail with a retryable error', async () => {
+    stub.fail('contents', 503, 2);
+    await expect(retrying().bucket.listContents()).resolves.toMatchObject({ contents: [] });
+    expect(stub.requests.map((request) => request.status)).toEqual([503, 503, 200]);
+  });
+
+  it('gives up after maxAttempts', async () => {
+    stub.fail('contents', 500);
+    await expect(retrying().bucket.listContents()).rejects.toMatchObject({
+      status: 500,
+      retryable: true,
+    });
+    expect(stub.requests).toHaveLength(3);
+  });
+
+  it('retries dropped connections', async () => {
+    stub.drop('contents', 1);
+    await expect(retrying().bucket.listContents()).resolves.toMatchObject({ contents: [] });
+    expect(stub.requests).toHaveLength(2);
+  });
+
+  it('does not retry errors that are not retryable', async () => {
+    stub.fail('contents', 400, 1);
+    await expect(retrying().bucket.listContents()).rejects.toMatchObject({ status: 400 });
+    expect(stub.requests).toHaveLength(1);
+  });
+
+  it('waits as long as Retry-After asks', async () => {
+    stub.fail('contents', 429, 1, { 'Retry-After': '1' });
+    const started = Date.now();
+    await retrying({ baseDelay: 0 }).bucket.listContents();
+    expect(Date.now() - started).toBeGreaterThanOrEqual(900);
+    expect(stub.requests).toHaveLength(2);
+  });
+
+  it('only retries non-idempotent requests when idempotentOnly is off', async () => {
+    stub.fail('purge', 503, 1);
+    await expect(retrying().files.purge('a.txt')).rejects.toBeInstanceOf(ServerError);
+    expect(routesOf(stub)).toEqual(['purge']);
+
+    stub.requests = [];
+    stub.fail('purge', 503, 1);
+    await expect(retrying({ idempotentOnly: false }).files.purge('a.txt')).resolves.toMatchObject({
+      message: 'Purged',
+    });
+    expect(routesOf(stub)).toEqual(['purge', 'purge']);
+  });
+
+  it('retries part uploads, which replace earlier copies', async () => {
+    const client = retrying();
+    const { uploadId } = await client.files.startMultipartUpload('part.bin', { totalParts: 1 });
+    stub.fail('upload-part', 502, 1);
+    await expect(
+      client.files.uploadPart('part.bin', Buffer.from('data'), {
+        uploadId,
+        partNumber: 1,
+        totalParts: 1,
+      })
+    ).resolves.toMatchObject({ PartNumber: 1 });
+    expect(routesOf(stub)).toEqual(['multipart-start', 'upload-part', 'upload-part']);
+  });
+
+  it('never retries requests with a stream body', async () => {
+    stub.fail('upload', 503, 1);
+    await expect(
+      retrying({ idempotentOnly: false }).files.upload('a.txt', fs.createReadStream(__filename))
+    ).rejects.toBeInstanceOf(ServerError);
+    expect(stub.requests).toHaveLength(1);
+  });
+});
@@ -0,0 +1,123 @@
+const axios = require('axios');
+const { ValidationError } = require('../src/errors');
+const { verifySignedUrl } = require('../src/verify');
+const { startStub, createClient, putObject, routesOf } = require('./helpers');
+
+const SECRET_KEY = 'test-secret-key';
+
+describe('generateSignedUrl', () => {
+  let stub;
+  let client;
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+    await putObject(client, 'report.pdf', 'pdf data');
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(() => stub.reset());
+
+  describe('download', () => {
+    it('signs the URL locally by default', async () => {
+      const url = await client.files.getSignedUrl('download', { key: 'report.pdf' });
+      expect(stub.requests).toHaveLength(0);
+      expect(new URL(url).pathname).toBe('/api/v1/files/download');
+      expect(new URL(url).searchParams.get('expiresIn')).toBe('3600');
+      await expect(verifySignedUrl(url, 'GET', { secretKey: SECRET_KEY })).resolves.toMatchObject({
+        valid: true,
+      });
+      const response = await axios.get(url);
+      expect(response.data).toBe('pdf data');
+    });
+
+    it('covers expiresIn with the signature', async () => {
+      const url = await client.files.getSignedUrl('download', {
+        key: 'report.pdf',
+        expiresIn: 60,
+      });
+      const signedAt = Date.parse(new URL(url).searchParams.get('timestamp'));
+      const options = { secretKey: SECRET_KEY, now: signedAt + 61000 };
+      await expect(verifySignedUrl(url, 'GET', options)).resolves.toMatchObject({
+        reason: 'EXPIRED',
+      });
+      await expect(
+        verifySignedUrl(url.replace('expiresIn=60', 'expiresIn=600'), 'GET', options)
+      ).resolves.toMatchObject({ reason: 'SIGNATURE_MISMATCH' });
+    });
+
+    it('asks the API for the URL with remote', async () => {
+      const result = await client.files.getSignedUrl('download', {
+        key: 'report.pdf',
+        remote: true,
+      });
+      expect(routesOf(stub)).toEqual(['signed-url']);
+      const response = await axios.get(result.url);
+      expect(response.data).toBe('pdf data');
+    });
+  });
+
+  describe('upload', () => {
+    it('signs a policy the verifier enforces', async () => {
+      const url = await client.files.getSignedUrl('upload', {
+        keyPrefix: 'avatars/',
+        allowedContentTypes: ['image/*'],
+        maxContentLength: 16,
+        expiresIn: 600,
+      });
+      const params = new URL(url).searchParams;
+      expect(params.has('key')).toBe(false);
+      expect(params.get('keyPrefix')).toBe('avatars/');
+      expect(params.get('allowedContentTypes')).toBe('image/*');
+      expect(params.get('maxContentLength')).toBe('16');
+      expect(params.get('expiresIn')).toBe('600');
+
+      const check = (request) => verifySignedUrl(url, 'PUT', { secretKey: SECRET_KEY, request });
+      await expect(
+        check({ key: 'avatars/me.png', contentType: 'image/png', contentLength: 3 })
+      ).resolves.toMatchObject({ valid: true });
+      await expect(
+        check({ key: 'avatars/me.txt', contentType: 'text/plain', contentLength: 3 })
+      ).resolves.toMatchObject({ reason: 'POLICY_VIOLATION' });
+      await expect(
+        check({ key: 'avatars/big.png', contentType: 'image/png', contentLength: 17 })
+      ).resolves.toMatchObject({ reason: 'POLICY_VIOLATION' });
+      await expect(
+        verifySignedUrl(url.replace('maxContentLength=16', 'maxContentLength=17'), 'PUT', {
+          secretKey: SECRET_KEY,
+        })
+      ).resolves.toMatchObject({ reason: 'SIGNATURE_MISMATCH' });
+    });
+
+    it('signs the policy into start-multipart URLs', async () => {
+      const url = await client.files.getSignedUrl('start-multipart', {
+        key: 'video.mp4',
+        totalParts: 2,
+        mimeType: 'video/mp4',
+        allowedContentTypes: ['video/mp4'],
+        maxContentLength: 1024,
+      });
+      const params = new URL(url).searchParams;
+      expect(params.get('allowedContentTypes')).toBe('video/mp4');
+      expect(params.get('maxContentLength')).toBe('1024');
+    });
+  });
+
+  it('validates its options', async () => {
+    const invalid = [
+      ['upload', { key: 'a', keyPrefix: 'b/' }, 'keyPrefix'],
+      ['upload', { keyPrefix: '' }, 'keyPrefix'],
+      ['upload', { key: 'a', allowedContentTypes: [] }, 'allowedContentTypes'],
+      ['upload', { key: 'a', allowedContentTypes: ['nonsense'] }, 'allowedContentTypes'],
+      ['upload', { key: 'a', maxContentLength: -1 }, 'maxContentLength'],
+      ['upload', { key: 'a', expiresIn: 0 }, 'expiresIn'],
+      ['download', { key: 'a', expiresIn: 1.5 }, 'expiresIn'],
+    ];
+    for (const [type, options, field] of invalid) {
+      const signing = client.files.getSignedUrl(type, options);
+      await expect(signing).rejects.toBeInstanceOf(ValidationError);
+      await expect(signing).rejects.toMatchObject({ field });
+    }
+  });
+});
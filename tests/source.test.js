@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { readStream, peekHead, resolveSource, readSource, iterateParts } = require('../src/source');
+const { ApexxCloudError, ValidationError } = require('../src/errors');
+
+const collect = async (parts) => {
+  const result = [];
+  for await (const part of parts) {
+    result.push({ partNumber: part.partNumber, body: part.body.toString() });
+  }
+  return result;
+};
+
+describe('source', () => {
+  let dir;
+  let file;
+
+  beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'apexx-source-'));
+    file = path.join(dir, 'data.txt');
+    await fs.promises.writeFile(file, 'abcdefghij');
+  });
+
+  afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  describe('resolveSource', () => {
+    it('sizes buffers, file paths and file streams', async () => {
+      await expect(resolveSource(Buffer.from('abc'))).resolves.toMatchObject({ size: 3 });
+      await expect(resolveSource(file)).resolves.toMatchObject({ path: file, size: 10 });
+      const stream = fs.createReadStream(file, { start: 2, end: 5 });
+      await expect(resolveSource(stream)).resolves.toMatchObject({ stream, size: 4 });
+      stream.destroy();
+    });
+
+    it('uses the given size of a stream', async () => {
+      const stream = Readable.from([Buffer.from('abc')]);
+      await expect(resolveSource(stream, 3)).resolves.toEqual({ stream, size: 3 });
+    });
+
+    it('leaves other streams unsized instead of reading them', async () => {
+      const stream = Readable.from([Buffer.from('abc')]);
+      const resolved = await resolveSource(stream);
+      expect(resolved).toEqual({ stream, size: undefined });
+      expect(stream.readableEnded).toBe(false);
+    });
+
+    it('rejects directories and unsupported values', async () => {
+      await expect(resolveSource(dir)).rejects.toBeInstanceOf(ValidationError);
+      await expect(resolveSource(42)).rejects.toMatchObject({ field: 'source' });
+    });
+  });
+
+  describe('iterateParts', () => {
+    const expected = [
+      { partNumber: 1, body: 'abcd' },
+      { partNumber: 2, body: 'efgh' },
+      { partNumber: 3, body: 'ij' },
+    ];
+
+    it('splits buffers, files and streams the same way', async () => {
+      const data = Buffer.from('abcdefghij');
+      await expect(collect(iterateParts(await resolveSource(data), 4))).resolves.toEqual(expected);
+      await expect(collect(iterateParts(await resolveSource(file), 4))).resolves.toEqual(expected);
+      const stream = Readable.from(['abc', 'defghi', 'j'].map((s) => Buffer.from(s)));
+      await expect(collect(iterateParts({ stream, size: 10 }, 4))).resolves.toEqual(expected);
+    });
+
+    it('splits an unsized stream until it ends', async () => {
+      const stream = Readable.from(['abcdefg', 'hij'].map((s) => Buffer.from(s)));
+      await expect(collect(iterateParts({ stream, size: undefined }, 4))).resolves.toEqual(
+        expected
+      );
+    });
+
+    it('skips parts that are already uploaded', async () => {
+      const parts = iterateParts(await resolveSource(file), 4, new Set([1, 3]));
+      await expect(collect(parts)).resolves.toEqual([{ partNumber: 2, body: 'efgh' }]);
+    });
+
+    it('rejects a stream that does not match its size', async () => {
+      const long = Readable.from([Buffer.from('abcdef')]);
+      await expect(collect(iterateParts({ stream: long, size: 4 }, 4))).rejects.toThrow(
+        ApexxCloudError
+      );
+      const short = Readable.from([Buffer.from('ab')]);
+      await expect(collect(iterateParts({ stream: short, size: 4 }, 4))).rejects.toThrow(
+        /produced 2 bytes but 4 were expected/
+      );
+    });
+  });
+
+  describe('peekHead', () => {
+    it('returns the first bytes and a stream replaying all of them', async () => {
+      const stream = Readable.from(['ab', 'cd', 'ef'].map((s) => Buffer.from(s)));
+      const { head, data } = await peekHead(stream, 3);
+      expect(head.toString()).toBe('abc');
+      expect((await readStream(data)).toString()).toBe('abcdef');
+    });
+
+    it('returns less than asked for when the stream is shorter', async () => {
+      const { head, data } = await peekHead(Readable.from([Buffer.from('xy')]), 10);
+      expect(head.toString()).toBe('xy');
+      expect((await readStream(data)).toString()).toBe('xy');
+    });
+  });
+
+  it('reads resolved sources into memory', async () => {
+    await expect(readSource(await resolveSource(file))).resolves.toEqual(Buffer.from('abcdefghij'));
+    const stream = Readable.from([Buffer.from('xyz')]);
+    await expect(readSource({ stream })).resolves.toEqual(Buffer.from('xyz'));
+  });
+});
@@ -0,0 +1,154 @@
+const { StatCache, createStatCache } = require('../src/stat-cache');
+const { NotFoundError, ValidationError } = require('../src/errors');
+const { startEmulator, createClient, putObject, storedObject, routesOf } = require('./helpers');
+
+describe('StatCache', () => {
+  afterEach(() => jest.useRealTimers());
+
+  it('expires entries after the TTL', () => {
+    jest.useFakeTimers({ now: 0 });
+    const cache = new StatCache(1000);
+    cache.set('bucket', 'a', { key: 'a' });
+    cache.set('bucket', 'missing', null);
+    expect(cache.get('bucket', 'a')).toEqual({ key: 'a' });
+    expect(cache.get('bucket', 'missing')).toBeNull();
+    expect(cache.get('other', 'a')).toBeUndefined();
+    jest.advanceTimersByTime(1000);
+    expect(cache.get('bucket', 'a')).toBeUndefined();
+    expect(cache.entries.size).toBe(1);
+  });
+
+  it('evicts the oldest entries when full', () => {
+    const cache = new StatCache(1000, 2);
+    cache.set(undefined, 'a', null);
+    cache.set(undefined, 'b', null);
+    cache.set(undefined, 'a', null);
+    cache.set(undefined, 'c', null);
+    expect([...cache.entries.keys()]).toEqual(['\na', '\nc']);
+    cache.delete(undefined, 'a');
+    expect(cache.get(undefined, 'a')).toBeUndefined();
+    cache.clear();
+    expect(cache.entries.size).toBe(0);
+  });
+
+  it('is created from a TTL or an options object', () => {
+    expect(createStatCache()).toBeNull();
+    expect(createStatCache(false)).toBeNull();
+    expect(createStatCache(0)).toBeNull();
+    expect(createStatCache(500)).toMatchObject({ ttl: 500, maxEntries: 1000 });
+    expect(createStatCache({ ttl: 500, maxEntries: 10 })).toMatchObject({ maxEntries: 10 });
+    expect(() => createStatCache('1s')).toThrow(ValidationError);
+    expect(() => createStatCache({ ttl: -1 })).toThrow(
+      expect.objectContaining({ field: 'statCache.ttl' })
+    );
+    expect(() => createStatCache({ ttl: 1, maxEntries: 1.5 })).toThrow(
+      expect.objectContaining({ field: 'statCache.maxEntries' })
+    );
+  });
+});
+
+describe('files.stat and files.exists', () => {
+  let emulator;
+  let client;
+
+  beforeAll(async () => {
+    emulator = await startEmulator();
+    client = createClient(emulator);
+    await putObject(client, 'a.txt', 'hello');
+    await putObject(client, 'a.txt.bak', 'backup');
+  });
+
+  afterAll(() => emulator.stop());
+
+  beforeEach(() => {
+    emulator.requests = [];
+  });
+
+  it('returns the object with that exact key', async () => {
+    const stored = await storedObject(emulator, 'a.txt');
+    await expect(client.files.stat('a.txt')).resolves.toMatchObject({
+      key: 'a.txt',
+      size: 5,
+      etag: stored.etag,
+      contentType: 'text/plain',
+    });
+    await expect(client.files.exists('a.txt')).resolves.toBe(true);
+  });
+
+  it('does not mistake longer keys for the object', async () => {
+    await expect(client.files.exists('a.tx')).resolves.toBe(false);
+    await expect(client.files.stat('a.tx')).rejects.toMatchObject({
+      constructor: NotFoundError,
+      code: 'NoSuchKey',
+    });
+  });
+
+  it('requires a key', async () => {
+    await expect(client.files.stat('')).rejects.toMatchObject({ field: 'key' });
+    await expect(client.files.exists()).rejects.toBeInstanceOf(ValidationError);
+  });
+
+  it('looks objects up every time without a cache', async () => {
+    await client.files.exists('a.txt');
+    await client.files.exists('a.txt');
+    expect(routesOf(emulator)).toEqual(['contents', 'contents']);
+  });
+});
+
+describe('stat cache of a client', () => {
+  let emulator;
+  let client;
+
+  beforeAll(async () => {
+    emulator = await startEmulator();
+    client = createClient(emulator, { statCache: { ttl: 60000 } });
+  });
+
+  afterAll(() => emulator.stop());
+
+  beforeEach(() => {
+    emulator.requests = [];
+    client.statCache.clear();
+  });
+
+  it('caches found and missing objects', async () => {
+    await putObject(client, 'cached.txt', 'x');
+    emulator.requests = [];
+    const first = await client.files.stat('cached.txt');
+    first.size = 999;
+    await expect(client.files.stat('cached.txt')).resolves.toMatchObject({ size: 1 });
+    await client.files.exists('nothing.txt');
+    await client.files.exists('nothing.txt');
+    expect(routesOf(emulator)).toEqual(['contents', 'contents']);
+  });
+
+  it('looks again when asked to skip the cache', async () => {
+    await client.files.exists('skip.txt');
+    await putObject(createClient(emulator), 'skip.txt', 'x');
+    await expect(client.files.exists('skip.txt')).resolves.toBe(false);
+    await expect(client.files.exists('skip.txt', { cache: false })).resolves.toBe(true);
+    await expect(client.files.exists('skip.txt')).resolves.toBe(true);
+  });
+
+  it('drops entries of objects the client uploads or deletes', async () => {
+    await expect(client.files.exists('changing.txt')).resolves.toBe(false);
+    await putObject(client, 'changing.txt', 'x');
+    await expect(client.files.exists('changing.txt')).resolves.toBe(true);
+    await client.files.delete('changing.txt');
+    await expect(client.files.exists('changing.txt')).resolves.toBe(false);
+  });
+
+  it('keeps entries per bucket', async () => {
+    await putObject(client, 'shared.txt', 'x');
+    await expect(client.files.exists('shared.txt')).resolves.toBe(true);
+    await expect(client.files.exists('shared.txt', { bucketName: 'other' })).resolves.toBe(false);
+  });
+
+  it('expires entries', async () => {
+    const shortLived = createClient(emulator, { statCache: 20 });
+    await shortLived.files.exists('expiring.txt');
+    await putObject(client, 'expiring.txt', 'x');
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    await expect(shortLived.files.exists('expiring.txt')).resolves.toBe(true);
+  });
+});
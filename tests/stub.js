@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const http = require('http');
+
+const ROUTES = [
+  { name: 'upload', method: 'PUT', pattern: /^\/api\/v1\/files\/upload$/ },
+  { name: 'delete', method: 'DELETE', pattern: /^\/api\/v1\/files\/delete$/ },
+  { name: 'purge', method: 'POST', pattern: /^\/api\/v1\/files\/purge$/ },
+  { name: 'contents', method: 'GET', pattern: /^\/api\/v1\/files\/contents$/ },
+  { name: 'signed-url', method: 'GET', pattern: /^\/api\/v1\/files\/signed-url$/ },
+  { name: 'download', method: 'GET', pattern: /^\/api\/v1\/files\/download$/ },
+  { name: 'multipart-start', method: 'POST', pattern: /^\/api\/v1\/files\/multipart\/start$/ },
+  {
+    name: 'multipart-complete',
+    method: 'POST',
+    pattern: /^\/api\/v1\/files\/multipart\/([^/]+)\/complete$/,
+  },
+  { name: 'upload-part', method: 'POST', pattern: /^\/api\/v1\/files\/multipart\/([^/]+)$/ },
+  { name: 'multipart-cancel', method: 'DELETE', pattern: /^\/api\/v1\/files\/multipart\/([^/]+)$/ },
+];
+
+/**
+ * An error response from the stub
+ */
+class StubError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Splits a multipart/form-data body into its fields
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {Object<string, {data: Buffer, filename?: string, contentType?: string}>}
+ */
+function parseForm(body, contentType) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!boundary) {
+    throw new StubError(400, 'InvalidRequest', 'Expected a multipart/form-data body');
+  }
+  const data = Buffer.concat([Buffer.from('\r\n'), body]);
+  const delimiter = Buffer.from(`\r\n--${boundary[1] || boundary[2]}`);
+  const fields = {};
+  let start = data.indexOf(delimiter);
+  while (start !== -1) {
+    const next = data.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) {
+      break;
+    }
+    const part = data.subarray(start + delimiter.length + 2, next);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString('utf8');
+    const disposition = /\bname="([^"]*)"(?:;\s*filename="([^"]*)")?/i.exec(headers);
+    const type = /content-type:\s*([^\r\n]+)/i.exec(headers);
+    if (disposition) {
+      fields[disposition[1]] = {
+        data: part.subarray(headerEnd + 4),
+        filename: disposition[2],
+        contentType: type ? type[1].trim() : undefined,
+      };
+    }
+    start = next;
+  }
+  if (!fields.file) {
+    throw new StubError(400, 'InvalidRequest', 'The form has no "file" field');
+  }
+  return fields;
+}
+
+const md5 = (data) => crypto.createHash('md5').update(data).digest('hex');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Hashes uploaded data and checks it against the form's "checksum" field, if any
+ * @param {Object} fields - Parsed form fields
+ * @param {URLSearchParams} params - Query parameters with checksumAlgorithm
+ * @returns {{md5: string, sha256: string}}
+ */
+function checkDigests(fields, params) {
+  const digests = { md5: md5(fields.file.data), sha256: sha256(fields.file.data) };
+  if (fields.checksum) {
+    const algorithm = params.get('checksumAlgorithm') === 'sha256' ? 'sha256' : 'md5';
+    if (fields.checksum.data.toString('utf8').trim() !== digests[algorithm]) {
+      throw new StubError(400, 'BadDigest', `The ${algorithm} checksum does not match the data`);
+    }
+  }
+  return digests;
+}
+
+/**
+ * Echoes the SHA-256 of uploaded data when the client asked for it
+ */
+const checksumField = (params, digests) =>
+  params.get('checksumAlgorithm') === 'sha256' ? { ChecksumSHA256: digests.sha256 } : {};
+
+/**
+ * Reads the optional object headers and metadata of an upload
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object}
+ */
+function objectHeaders(params) {
+  const headers = {};
+  for (const name of ['cacheControl', 'contentDisposition', 'contentEncoding']) {
+    if (params.has(name)) headers[name] = params.get(name);
+  }
+  if (params.has('metadata')) headers.metadata = JSON.parse(params.get('metadata'));
+  return headers;
+}
+
+/**
+ * Default route handlers: a minimal in-memory storage service. Each gets the
+ * stub and a request context and returns the JSON response body.
+ */
+const HANDLERS = {
+  upload(stub, { params, body, headers }) {
+    const fields = parseForm(body, headers['content-type']);
+    const { file } = fields;
+    const digests = checkDigests(fields, params);
+    const key = params.get('key');
+    const object = {
+      key,
+      data: file.data,
+      size: file.data.length,
+      contentType: file.contentType,
+      visibility: params.get('visibility') || 'public',
+      etag: digests.md5,
+      sha256: digests.sha256,
+      lastModified: new Date().toISOString(),
+      ...objectHeaders(params),
+    };
+    stub.objects.set(key, object);
+    return {
+      key,
+      size: object.size,
+      contentType: object.contentType,
+      ETag: object.etag,
+      ...checksumField(params, digests),
+    };
+  },
+
+  delete(stub, { params }) {
+    if (!stub.objects.delete(params.get('key'))) {
+      throw new StubError(404, 'NoSuchKey', `Object ${params.get('key')} does not exist`);
+    }
+    return { success: true };
+  },
+
+  purge(stub, { params }) {
+    return { message: 'Purged', purged_urls: [`${stub.url}/${params.get('key')}`] };
+  },
+
+  contents(stub, { params }) {
+    const prefix = params.get('prefix') || '';
+    const page = Number(params.get('page') || 1);
+    const limit = Number(params.get('limit') || 20);
+    const objects = [...stub.objects.values()]
+      .filter((object) => object.key.startsWith(prefix))
+      .sort((a, b) => (a.key < b.key ? -1 : 1));
+    return {
+      contents: objects.slice((page - 1) * limit, page * limit).map((object) => ({
+        key: object.key,
+        size: object.size,
+        lastModified: object.lastModified,
+        etag: object.etag,
+      })),
+      page,
+      totalItems: objects.length,
+      totalPages: Math.ceil(objects.length / limit),
+    };
+  },
+
+  'signed-url'(stub, { params }) {
+    const query = new URLSearchParams({ key: params.get('key'), signature: 'stub' });
+    return { url: `${stub.url}/api/v1/files/download?${query.toString()}` };
+  },
+
+  download(stub, { params, headers, res, fault }) {
+    const object = stub.objects.get(params.get('key'));
+    if (!object) {
+      throw new StubError(404, 'NoSuchKey', `Object ${params.get('key')} does not exist`);
+    }
+    const etag = `"${object.etag}"`;
+    if (headers['if-match'] && headers['if-match'] !== etag) {
+      throw new StubError(412, 'PreconditionFailed', 'The object has changed');
+    }
+
+    // A range is only honoured while If-Range still names the stored object
+    const range =
+      !fault.ignoreRange &&
+      !(headers['if-range'] && headers['if-range'] !== etag) &&
+      /^bytes=(\d+)-(\d*)$/.exec(headers.range || '');
+    const start = range ? Number(range[1]) : 0;
+    const end = range && range[2] ? Math.min(Number(range[2]), object.size - 1) : object.size - 1;
+    if (start >= object.size && range) {
+      throw new StubError(416, 'InvalidRange', `Range ${headers.range} is not satisfiable`);
+    }
+
+    const data = object.data.subarray(start, end + 1);
+    res.writeHead(range ? 206 : 200, {
+      'Content-Type': object.contentType || 'application/octet-stream',
+      'Content-Length': data.length,
+      ETag: etag,
+      'X-Checksum-SHA256': object.sha256,
+      ...(range && { 'Content-Range': `bytes ${start}-${end}/${object.size}` }),
+    });
+    if (fault.resetAfter !== undefined) {
+      // Give the client a moment to read the bytes before the connection drops
+      res.write(data.subarray(0, fault.resetAfter), () => setTimeout(() => res.destroy(), 20));
+    } else {
+      res.end(data);
+    }
+  },
+
+  'multipart-start'(stub, { params }) {
+    const uploadId = crypto.randomBytes(8).toString('hex');
+    stub.uploads.set(uploadId, {
+      key: params.get('key'),
+      totalParts: Number(params.get('totalParts')),
+      contentType: params.get('mimeType') || undefined,
+      parts: new Map(),
+    });
+    return { uploadId };
+  },
+
+  'upload-part'(stub, { params, body, headers, match }) {
+    const upload = requireUpload(stub, match[1]);
+    const partNumber = Number(params.get('partNumber'));
+    if (partNumber > upload.totalParts) {
+      throw new StubError(400, 'InvalidPart', `partNumber exceeds ${upload.totalParts}`);
+    }
+    const fields = parseForm(body, headers['content-type']);
+    const digests = checkDigests(fields, params);
+    upload.parts.set(partNumber, { data: fields.file.data, etag: digests.md5 });
+    return { ETag: digests.md5, PartNumber: partNumber, ...checksumField(params, digests) };
+  },
+
+  'multipart-complete'(stub, { params, body, match }) {
+    const upload = requireUpload(stub, match[1]);
+    const { parts } = JSON.parse(body.toString('utf8'));
+    const stored = parts
+      .slice()
+      .sort((a, b) => a.PartNumber - b.PartNumber)
+      .map((part) => {
+        const uploaded = upload.parts.get(part.PartNumber);
+        if (!uploaded || uploaded.etag !== String(part.ETag).replace(/"/g, '')) {
+          throw new StubError(400, 'InvalidPart', `Part ${part.PartNumber} was not uploaded`);
+        }
+        return uploaded;
+      });
+    const data = Buffer.concat(stored.map((part) => part.data));
+    // The ETag of a multipart object is the MD5 of its binary part MD5s
+    const partDigests = Buffer.concat(stored.map((part) => Buffer.from(part.etag, 'hex')));
+    const etag = `${md5(partDigests)}-${parts.length}`;
+    stub.objects.set(upload.key, {
+      key: upload.key,
+      data,
+      size: data.length,
+      contentType: upload.contentType,
+      etag,
+      sha256: sha256(data),
+      lastModified: new Date().toISOString(),
+    });
+    stub.uploads.delete(match[1]);
+    return {
+      Location: `${stub.url}/${upload.key}`,
+      Bucket: params.get('bucket_name'),
+      Key: upload.key,
+      ETag: etag,
+    };
+  },
+
+  'multipart-cancel'(stub, { match }) {
+    requireUpload(stub, match[1]);
+    stub.uploads.delete(match[1]);
+    return { success: true };
+  },
+};
+
+/**
+ * Loads a multipart upload in progress
+ * @param {Object} stub - Stub
+ * @param {string} uploadId - Upload ID
+ * @returns {Object}
+ */
+function requireUpload(stub, uploadId) {
+  const upload = stub.uploads.get(uploadId);
+  if (!upload) {
+    throw new StubError(404, 'NoSuchUpload', `Upload ${uploadId} does not exist`);
+  }
+  return upload;
+}
+
+/**
+ * Starts a stub of the storage API on a free local port. It keeps objects and
+ * multipart uploads in memory, records every request and can be told to fail
+ * routes; it does not check signatures.
+ *
+ * Tests can replace a route's behaviour through `stub.handlers[route]`.
+ * @returns {Promise<Object>} The running stub
+ */
+async function startStub() {
+  const stub = {
+    url: undefined,
+    requests: [],
+    objects: new Map(),
+    uploads: new Map(),
+    faults: [],
+    handlers: { ...HANDLERS },
+
+    /**
+     * Client settings for this stub, like `Emulator#clientConfig`
+     * @returns {{baseUrl: string, accessKey: string, secretKey: string}}
+     */
+    clientConfig() {
+      return { baseUrl: stub.url, accessKey: 'test-access-key', secretKey: 'test-secret-key' };
+    },
+
+    /**
+     * Makes a route misbehave for its next requests
+     * @param {string} route - Route name
+     * @param {Object} fault - What to do: `status` (with `headers`) answers with an error,
+     *   `drop` closes the connection, `latency` delays the response by that many
+     *   milliseconds, and for downloads `resetAfter` closes it after that
+     *   many body bytes and `ignoreRange` answers with the whole object
+     * @param {number} [times=Infinity] - Requests to affect before recovering
+     */
+    fault(route, fault, times = Infinity) {
+      stub.faults.push({ ...fault, route, times });
+    },
+
+    fail(route, status, times = Infinity, headers = {}) {
+      stub.fault(route, { status, headers }, times);
+    },
+
+    drop(route, times = Infinity) {
+      stub.fault(route, { drop: true }, times);
+    },
+
+    clearFaults() {
+      stub.faults = [];
+    },
+
+    reset() {
+      stub.requests = [];
+      stub.clearFaults();
+      stub.handlers = { ...HANDLERS };
+    },
+
+    stop() {
+      const closed = new Promise((resolve) => server.close(resolve));
+      // Clients keep their connections alive; do not wait for them to go idle
+      server.closeAllConnections();
+      return closed;
+    },
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = ROUTES.find((r) => r.method === req.method && r.pattern.test(url.pathname));
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const entry = {
+      method: req.method,
+      url: req.url,
+      path: url.pathname,
+      route: route && route.name,
+      params: url.searchParams,
+      headers: req.headers,
+      body: Buffer.concat(chunks),
+    };
+    stub.requests.push(entry);
+
+    let status = 200;
+    let result;
+    let headers = {};
+    try {
+      if (!route) {
+        throw new StubError(404, 'NoSuchRoute', `No route for ${req.method} ${url.pathname}`);
+      }
+      const fault = stub.faults.find((f) => f.route === route.name && f.times > 0);
+      if (fault) {
+        fault.times--;
+        if (fault.drop) {
+          req.socket.destroy();
+          return;
+        }
+        if (fault.latency) {
+          await new Promise((resolve) => setTimeout(resolve, fault.latency));
+        }
+        if (fault.status) {
+          headers = fault.headers;
+          throw new StubError(fault.status, 'InjectedFault', `Injected ${fault.status} response`);
+        }
+      }
+      result = await stub.handlers[route.name](stub, {
+        ...entry,
+        res,
+        fault: fault || {},
+        match: route.pattern.exec(url.pathname),
+      });
+      if (result === undefined) {
+        entry.status = res.statusCode;
+        return;
+      }
+    } catch (error) {
+      status = error.status || 500;
+      result = { code: error.code || 'InternalError', message: error.message };
+    }
+    entry.status = status;
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  return stub;
+}
+
+module.exports = { startStub };
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  globToRegExp,
+  createPathFilter,
+  normalizeSyncPrefix,
+  resolveLocalPath,
+} = require('../src/sync');
+const { ValidationError } = require('../src/errors');
+const { startStub, createClient, putObject, storedObject, routesOf } = require('./helpers');
+
+const writeFiles = async (root, files) => {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const file = path.join(root, ...relativePath.split('/'));
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, content);
+  }
+};
+
+const changesOf = (result) =>
+  result.changes.map((change) => `${change.action} ${change.key} ${change.reason}`).sort();
+
+describe('sync helpers', () => {
+  it('matches globs against relative paths', () => {
+    expect(globToRegExp('*.txt').test('a.txt')).toBe(true);
+    expect(globToRegExp('*.txt').test('dir/a.txt')).toBe(false);
+    expect(globToRegExp('**/*.txt').test('a.txt')).toBe(true);
+    expect(globToRegExp('**/*.txt').test('dir/sub/a.txt')).toBe(true);
+    expect(globToRegExp('logs/**').test('logs/2024/x.log')).toBe(true);
+    expect(globToRegExp('file?.[!a-c]s').test('file1.js')).toBe(true);
+    expect(globToRegExp('file?.[!a-c]s').test('file1.bs')).toBe(false);
+    expect(globToRegExp('a+b(1).txt').test('a+b(1).txt')).toBe(true);
+  });
+
+  it('combines include and exclude patterns', () => {
+    const filter = createPathFilter({ include: ['**/*.js', '*.md'], exclude: 'vendor/**' });
+    expect(filter('src/index.js')).toBe(true);
+    expect(filter('README.md')).toBe(true);
+    expect(filter('vendor/lib.js')).toBe(false);
+    expect(filter('image.png')).toBe(false);
+    expect(createPathFilter()('anything')).toBe(true);
+  });
+
+  it('normalises prefixes and keeps local paths inside the root', () => {
+    expect(normalizeSyncPrefix('site')).toBe('site/');
+    expect(normalizeSyncPrefix('site/')).toBe('site/');
+    expect(normalizeSyncPrefix(undefined)).toBe('');
+    expect(resolveLocalPath('/tmp/root', 'a/b.txt')).toBe(path.resolve('/tmp/root/a/b.txt'));
+    expect(resolveLocalPath('/tmp/root', '../escape.txt')).toBeNull();
+  });
+});
+
+describe('bucket sync', () => {
+  let stub;
+  let client;
+  let dir;
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(async () => {
+    stub.reset();
+    stub.objects.clear();
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'apexx-sync-'));
+  });
+
+  afterEach(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  describe('syncUp', () => {
+    it('uploads new and changed files and skips unchanged ones', async () => {
+      await writeFiles(dir, {
+        'same.txt': 'same',
+        'sized.txt': 'longer now',
+        'edited.txt': 'new!',
+        'nested/new.txt': 'new',
+      });
+      await putObject(client, 'site/same.txt', 'same');
+      await putObject(client, 'site/sized.txt', 'short');
+      await putObject(client, 'site/edited.txt', 'old!');
+      await putObject(client, 'site/extra.txt', 'extra');
+
+      const result = await client.bucket.syncUp(dir, 'site', { purge: true });
+      expect(changesOf(result)).toEqual([
+        'upload site/edited.txt etag',
+        'upload site/nested/new.txt new',
+        'upload site/sized.txt size',
+      ]);
+      expect(result.purged.sort()).toEqual(['site/edited.txt', 'site/sized.txt']);
+      expect(storedObject(stub, 'site/nested/new.txt').data.toString()).toBe('new');
+      expect(storedObject(stub, 'site/edited.txt').data.toString()).toBe('new!');
+      expect(storedObject(stub, 'site/extra.txt')).not.toBeNull();
+    });
+
+    it('deletes extraneous objects when asked to', async () => {
+      await writeFiles(dir, { 'keep.txt': 'keep' });
+      await putObject(client, 'site/keep.txt', 'keep');
+      await putObject(client, 'site/gone.txt', 'gone');
+
+      const result = await client.bucket.syncUp(dir, 'site/', { deleteExtraneous: true });
+      expect(changesOf(result)).toEqual(['delete site/gone.txt extraneous']);
+      expect(storedObject(stub, 'site/gone.txt')).toBeNull();
+    });
+
+    it('only plans the changes in a dry run', async () => {
+      await writeFiles(dir, { 'a.txt': 'a', 'b.log': 'b' });
+      const result = await client.bucket.syncUp(dir, 'site', { dryRun: true, exclude: '*.log' });
+      expect(result.dryRun).toBe(true);
+      expect(changesOf(result)).toEqual(['upload site/a.txt new']);
+      expect(routesOf(stub)).toEqual(['contents']);
+    });
+
+    it('requires a local directory', async () => {
+      await expect(client.bucket.syncUp('', 'site')).rejects.toBeInstanceOf(ValidationError);
+    });
+  });
+
+  describe('syncDown', () => {
+    it('downloads new and changed objects with their modification time', async () => {
+      await writeFiles(dir, { 'same.txt': 'same', 'edited.txt': 'old!', 'local.txt': 'local' });
+      await putObject(client, 'site/same.txt', 'same');
+      await putObject(client, 'site/edited.txt', 'new!');
+      await putObject(client, 'site/deep/new.txt', 'new');
+      await putObject(client, 'site/folder/', '');
+
+      const result = await client.bucket.syncDown('site', dir, { deleteExtraneous: true });
+      expect(changesOf(result)).toEqual([
+        'delete site/local.txt extraneous',
+        'download site/deep/new.txt new',
+        'download site/edited.txt etag',
+      ]);
+      await expect(fs.promises.readFile(path.join(dir, 'deep/new.txt'), 'utf8')).resolves.toBe(
+        'new'
+      );
+      await expect(fs.promises.readFile(path.join(dir, 'edited.txt'), 'utf8')).resolves.toBe(
+        'new!'
+      );
+      await expect(fs.promises.access(path.join(dir, 'local.txt'))).rejects.toThrow();
+
+      const { lastModified } = storedObject(stub, 'site/deep/new.txt');
+      const { mtimeMs } = await fs.promises.stat(path.join(dir, 'deep/new.txt'));
+      expect(Math.floor(mtimeMs / 1000)).toBe(Math.floor(Date.parse(lastModified) / 1000));
+    });
+
+    it('creates a missing directory', async () => {
+      await putObject(client, 'site/a.txt', 'a');
+      const target = path.join(dir, 'missing');
+      await client.bucket.syncDown('site', target);
+      await expect(fs.promises.readFile(path.join(target, 'a.txt'), 'utf8')).resolves.toBe('a');
+    });
+
+    it('never writes outside the directory', async () => {
+      await putObject(client, 'site/../escape.txt', 'x');
+      const result = await client.bucket.syncDown('site', dir, { dryRun: true });
+      expect(result).toEqual({ dryRun: true, changes: [] });
+    });
+  });
+});
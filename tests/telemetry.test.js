@@ -0,0 +1,153 @@
+const ApexxCloud = require('../src/sdk');
+const { createOpenTelemetryHooks } = require('../src/telemetry');
+const { ValidationError } = require('../src/errors');
+const { startEmulator, createClient, putObject } = require('./helpers');
+
+/**
+ * Minimal in-memory stand-in for an OpenTelemetry tracer
+ * @returns {{startSpan: Function, spans: Object[]}}
+ */
+function fakeTracer() {
+  const spans = [];
+  return {
+    spans,
+    startSpan(name, options) {
+      const span = {
+        name,
+        kind: options.kind,
+        attributes: { ...options.attributes },
+        exceptions: [],
+        ended: false,
+        setAttributes(attributes) {
+          Object.assign(span.attributes, attributes);
+        },
+        recordException(exception) {
+          span.exceptions.push(exception);
+        },
+        setStatus(status) {
+          span.status = status;
+        },
+        end() {
+          span.ended = true;
+        },
+      };
+      spans.push(span);
+      return span;
+    },
+  };
+}
+
+/**
+ * Minimal in-memory stand-in for an OpenTelemetry meter
+ * @returns {{createHistogram: Function, createCounter: Function, records: Object}}
+ */
+function fakeMeter() {
+  const records = {};
+  const instrument = (name) => {
+    records[name] = [];
+    const add = (value, attributes) => records[name].push({ value, attributes });
+    return { record: add, add };
+  };
+  return { records, createHistogram: instrument, createCounter: instrument };
+}
+
+describe('createOpenTelemetryHooks', () => {
+  let emulator;
+
+  beforeAll(async () => {
+    emulator = await startEmulator();
+  });
+
+  afterAll(() => emulator.stop());
+
+  beforeEach(() => {
+    emulator.clearFaults();
+  });
+
+  it('needs a valid tracer or meter', () => {
+    expect(() => createOpenTelemetryHooks()).toThrow(ValidationError);
+    expect(() => createOpenTelemetryHooks({ tracer: {} })).toThrow(
+      expect.objectContaining({ field: 'tracer' })
+    );
+    expect(() => createOpenTelemetryHooks({ meter: {} })).toThrow(
+      expect.objectContaining({ field: 'meter' })
+    );
+    expect(ApexxCloud.createOpenTelemetryHooks).toBe(createOpenTelemetryHooks);
+  });
+
+  it('records a client span per attempt', async () => {
+    const tracer = fakeTracer();
+    const client = createClient(emulator, { hooks: createOpenTelemetryHooks({ tracer }) });
+    await putObject(client, 'traced.txt', 'hello');
+
+    expect(tracer.spans).toHaveLength(1);
+    const [span] = tracer.spans;
+    expect(span).toMatchObject({
+      name: 'apexxcloud.upload',
+      kind: 2,
+      ended: true,
+      status: { code: 1 },
+      attributes: {
+        'apexxcloud.operation': 'upload',
+        'apexxcloud.bucket': 'test-bucket',
+        'apexxcloud.key': 'traced.txt',
+        'apexxcloud.attempt': 1,
+        'http.request.method': 'PUT',
+        'url.path': '/api/v1/files/upload',
+        'http.response.status_code': 200,
+        'http.request.body.size': expect.any(Number),
+      },
+    });
+  });
+
+  it('records failed attempts, retries and durations', async () => {
+    const tracer = fakeTracer();
+    const meter = fakeMeter();
+    const client = createClient(emulator, {
+      retry: { maxAttempts: 2, baseDelay: 1, maxDelay: 1 },
+      hooks: createOpenTelemetryHooks({ tracer, meter }),
+    });
+    emulator.injectFault({ route: 'contents', status: 503, times: 1 });
+    await client.bucket.listContents();
+
+    expect(
+      tracer.spans.map((span) => [span.attributes['apexxcloud.attempt'], span.status])
+    ).toEqual([
+      [1, { code: 2, message: expect.stringMatching(/^API Error 503/) }],
+      [2, { code: 1 }],
+    ]);
+    expect(tracer.spans[0].attributes).toMatchObject({
+      'error.type': 'InjectedFault',
+      'apexxcloud.will_retry': true,
+    });
+    expect(tracer.spans[0].exceptions).toEqual([
+      { name: 'ServerError', message: expect.any(String), code: 'InjectedFault' },
+    ]);
+
+    const { records } = meter;
+    expect(records['apexxcloud.client.request.duration'].map((r) => r.attributes)).toEqual([
+      {
+        'apexxcloud.operation': 'listContents',
+        'http.request.method': 'GET',
+        'http.response.status_code': 503,
+        'error.type': 'InjectedFault',
+      },
+      {
+        'apexxcloud.operation': 'listContents',
+        'http.request.method': 'GET',
+        'http.response.status_code': 200,
+      },
+    ]);
+    expect(records['apexxcloud.client.request.errors']).toHaveLength(1);
+    expect(records['apexxcloud.client.request.retries']).toEqual([
+      { value: 1, attributes: { 'apexxcloud.operation': 'listContents' } },
+    ]);
+  });
+
+  it('works with only a meter', async () => {
+    const meter = fakeMeter();
+    const client = createClient(emulator, { hooks: createOpenTelemetryHooks({ meter }) });
+    await client.bucket.listContents();
+    expect(meter.records['apexxcloud.client.request.duration']).toHaveLength(1);
+  });
+});
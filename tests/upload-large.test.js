@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { ValidationError } = require('../src/errors');
+const { startStub, createClient, storedObject, routesOf } = require('./helpers');
+
+const MiB = 1024 * 1024;
+
+/**
+ * Streams data in 1 MiB chunks, with no size or path to go by
+ */
+const unsizedStream = (data) =>
+  Readable.from(
+    (function* chunks() {
+      for (let offset = 0; offset < data.length; offset += MiB) {
+        yield data.subarray(offset, offset + MiB);
+      }
+    })()
+  );
+
+describe('files.uploadLarge', () => {
+  let stub;
+  let client;
+  let large;
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+    large = crypto.randomBytes(11 * MiB);
+  });
+
+  afterAll(() => stub.stop());
+
+  beforeEach(() => stub.reset());
+
+  it('sends data up to the threshold with a single upload', async () => {
+    const data = Buffer.from('small file');
+    await client.files.uploadLarge('small.txt', data);
+    expect(routesOf(stub)).toEqual(['upload']);
+    expect(storedObject(stub, 'small.txt').data).toEqual(data);
+  });
+
+  it('splits larger data into parts and completes the upload', async () => {
+    const result = await client.files.uploadLarge('large.bin', large, {
+      partSize: 5 * MiB,
+      multipartThreshold: 5 * MiB,
+    });
+    expect(result).toMatchObject({ Key: 'large.bin' });
+    expect(routesOf(stub)).toEqual([
+      'multipart-start',
+      'upload-part',
+      'upload-part',
+      'upload-part',
+      'multipart-complete',
+    ]);
+    expect(storedObject(stub, 'large.bin').data.equals(large)).toBe(true);
+  });
+
+  it('reads a file path part by part', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'apexx-large-'));
+    const file = path.join(dir, 'large.bin');
+    await fs.promises.writeFile(file, large);
+    try {
+      await client.files.uploadLarge('from-file.bin', file, { multipartThreshold: 5 * MiB });
+      expect(routesOf(stub).filter((route) => route === 'upload-part')).toHaveLength(2);
+      expect(storedObject(stub, 'from-file.bin').data.equals(large)).toBe(true);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('streams an unsized stream above the threshold through a multipart upload', async () => {
+    await client.files.uploadLarge('unsized.bin', unsizedStream(large), {
+      partSize: 5 * MiB,
+      multipartThreshold: 6 * MiB,
+    });
+    const start = stub.requests.find((request) => request.route === 'multipart-start');
+    expect(start).toBeDefined();
+    expect(routesOf(stub).filter((route) => route === 'upload-part')).toHaveLength(3);
+    expect(storedObject(stub, 'unsized.bin').data.equals(large)).toBe(true);
+  });
+
+  it('sends an unsized stream that ends below the threshold with a single upload', async () => {
+    const data = crypto.randomBytes(2 * MiB);
+    await client.files.uploadLarge('short-stream.bin', unsizedStream(data));
+    expect(routesOf(stub)).toEqual(['upload']);
+    expect(storedObject(stub, 'short-stream.bin').data.equals(data)).toBe(true);
+  });
+
+  it('passes the content type to multipart uploads', async () => {
+    await client.files.uploadLarge('video.mp4', large, {
+      multipartThreshold: 5 * MiB,
+      contentType: 'video/mp4',
+    });
+    expect(storedObject(stub, 'video.mp4').contentType).toBe('video/mp4');
+  });
+
+  it('cancels the multipart upload when a part fails', async () => {
+    stub.fail('upload-part', 500, 1);
+    await expect(
+      client.files.uploadLarge('failed.bin', large, { multipartThreshold: 5 * MiB })
+    ).rejects.toMatchObject({ status: 500 });
+    expect(routesOf(stub)).toContain('multipart-cancel');
+    expect(stub.uploads.size).toBe(0);
+    expect(storedObject(stub, 'failed.bin')).toBeNull();
+  });
+
+  it('validates its arguments', async () => {
+    await expect(client.files.uploadLarge('', large)).rejects.toBeInstanceOf(ValidationError);
+    await expect(client.files.uploadLarge('key', null)).rejects.toMatchObject({
+      field: 'source',
+    });
+    await expect(client.files.uploadLarge('key', large, { partSize: MiB })).rejects.toMatchObject({
+      field: 'partSize',
+    });
+    await expect(client.files.uploadLarge('key', 42)).rejects.toMatchObject({ field: 'source' });
+    expect(stub.requests).toHaveLength(0);
+  });
+});
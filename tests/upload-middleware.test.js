@@ -0,0 +1,319 @@
+const http = require('http');
+const axios = require('axios');
+const FormData = require('form-data');
+const ApexxCloud = require('../src/sdk');
+const { createUploadMiddleware } = require('../src/upload-middleware');
+const { ValidationError } = require('../src/errors');
+const { BUCKET, startEmulator, createClient, storedObject } = require('./helpers');
+
+const PNG = Buffer.concat([
+  Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'),
+  Buffer.alloc(100),
+]);
+
+/**
+ * Starts an HTTP server on a free port
+ * @param {Function} listener - Request listener
+ * @returns {Promise<{url: string, close: Function}>}
+ */
+async function listen(listener) {
+  const server = http.createServer(listener);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Serves an Express-style middleware, answering with what it left on the request
+ * @param {Function} middleware - `(req, res, next)` middleware
+ * @param {Function} [handler] - Runs after the middleware, like a route handler
+ * @returns {Promise<{url: string, errors: Error[], close: Function}>}
+ */
+async function serve(middleware, handler = () => {}) {
+  const errors = [];
+  const server = await listen((req, res) => {
+    middleware(req, res, (error) => {
+      if (!error) {
+        try {
+          handler(req);
+        } catch (thrown) {
+          error = thrown;
+        }
+      }
+      if (error) {
+        errors.push(error);
+        if (!res.destroyed) {
+          res.statusCode = error.status || 500;
+          res.end(JSON.stringify({ code: error.code }));
+        }
+        return;
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ files: req.files, body: req.body }));
+    });
+  });
+  return { ...server, errors };
+}
+
+/**
+ * Posts a form
+ * @param {string} url - Server URL
+ * @param {Array<[string, string|Buffer, Object?]>} entries - Form entries
+ * @returns {Promise<Object>} Axios response
+ */
+function post(url, entries) {
+  const form = new FormData();
+  for (const [name, value, options] of entries) {
+    form.append(name, value, options);
+  }
+  return axios.post(url, form, { headers: form.getHeaders(), validateStatus: () => true });
+}
+
+describe('upload middleware', () => {
+  let emulator;
+  let client;
+  let server;
+
+  beforeAll(async () => {
+    emulator = await startEmulator();
+    client = createClient(emulator);
+  });
+
+  afterAll(() => emulator.stop());
+
+  beforeEach(() => {
+    emulator.requests = [];
+    emulator.clearFaults();
+    emulator.backend.objects.clear();
+  });
+
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+  });
+
+  const storedKeys = () => [...emulator.backend.objects.values()].map((object) => object.key);
+
+  it('streams files to storage and collects the fields', async () => {
+    server = await serve(createUploadMiddleware(client, { prefix: 'uploads/' }));
+    const response = await post(server.url, [
+      ['title', 'Holiday'],
+      ['photo', PNG, { filename: 'Beach.JPG', contentType: 'application/octet-stream' }],
+      ['tag', 'sea'],
+      ['tag', 'sun'],
+      ['notes', 'some notes', { filename: 'notes.txt', contentType: 'text/plain' }],
+    ]);
+
+    expect(response.status).toBe(200);
+    expect(response.data.body).toEqual({ title: 'Holiday', tag: ['sea', 'sun'] });
+    const [photo, notes] = response.data.files;
+    expect(photo).toMatchObject({
+      fieldName: 'photo',
+      originalName: 'Beach.JPG',
+      key: expect.stringMatching(/^uploads\/[0-9a-f]{32}\.jpg$/),
+      bucket: BUCKET,
+      contentType: 'image/png',
+      size: PNG.length,
+      etag: expect.any(String),
+    });
+    expect(notes).toMatchObject({ contentType: 'text/plain', size: 10 });
+    expect((await storedObject(emulator, photo.key)).data.equals(PNG)).toBe(true);
+    expect((await storedObject(emulator, notes.key)).contentType).toBe('text/plain');
+  });
+
+  it('names objects with the key option', async () => {
+    const key = jest.fn(
+      (file, req) => `${file.fields.user}/${req.headers['x-folder']}/${file.originalName}`
+    );
+    server = await serve(createUploadMiddleware(client, { key }));
+    const form = new FormData();
+    form.append('user', 'alice');
+    form.append('file', 'data', { filename: 'a.txt' });
+    const response = await axios.post(server.url, form, {
+      headers: { ...form.getHeaders(), 'X-Folder': 'docs' },
+    });
+    expect(response.data.files[0].key).toBe('alice/docs/a.txt');
+    expect(key).toHaveBeenCalledWith(
+      expect.objectContaining({ fieldName: 'file', contentType: 'text/plain' }),
+      expect.any(http.IncomingMessage)
+    );
+  });
+
+  it('passes other requests through', async () => {
+    server = await serve(createUploadMiddleware(client));
+    const response = await axios.post(server.url, { json: true });
+    expect(response.data).toEqual({});
+    expect(emulator.requests).toHaveLength(0);
+  });
+
+  it('uploads large files in parts', async () => {
+    server = await serve(createUploadMiddleware(client, { partSize: 5 * 1024 * 1024 }));
+    const data = Buffer.alloc(6 * 1024 * 1024, 1);
+    const response = await post(server.url, [['file', data, { filename: 'big.bin' }]]);
+    expect(response.data.files[0]).toMatchObject({
+      size: data.length,
+      etag: expect.stringMatching(/-2$/),
+    });
+    expect((await storedObject(emulator, response.data.files[0].key)).data.equals(data)).toBe(true);
+  });
+
+  it.each([
+    [
+      { maxFileSize: 5 },
+      [
+        ['a', 'small', { filename: 'a.txt' }],
+        ['b', 'too large', { filename: 'b.txt' }],
+      ],
+      413,
+      'FILE_TOO_LARGE',
+    ],
+    [
+      { maxFiles: 1 },
+      [
+        ['a', 'one', { filename: 'a.txt' }],
+        ['b', 'two', { filename: 'b.txt' }],
+      ],
+      413,
+      'TOO_MANY_FILES',
+    ],
+    [
+      { allowedContentTypes: ['image/*'] },
+      [
+        ['a', PNG, { filename: 'a.png' }],
+        ['b', 'text', { filename: 'b.txt' }],
+      ],
+      415,
+      'CONTENT_TYPE_NOT_ALLOWED',
+    ],
+    [
+      { maxFields: 1 },
+      [
+        ['a', PNG, { filename: 'a.png' }],
+        ['x', '1'],
+        ['y', '2'],
+      ],
+      413,
+      'TOO_MANY_FIELDS',
+    ],
+  ])('rejects the whole form for %j', async (options, entries, status, code) => {
+    server = await serve(createUploadMiddleware(client, options));
+    const response = await post(server.url, entries);
+    expect(response.status).toBe(status);
+    expect(response.data).toEqual({ code });
+    expect(storedKeys()).toEqual([]);
+  });
+
+  it('rejects malformed forms', async () => {
+    server = await serve(createUploadMiddleware(client));
+    const response = await axios.post(server.url, '--b\r\nnot a form', {
+      headers: { 'Content-Type': 'multipart/form-data; boundary=b' },
+      validateStatus: () => true,
+    });
+    expect(response.status).toBe(400);
+    expect(response.data).toEqual({ code: 'INVALID_FORM' });
+  });
+
+  it('rejects keys that are not strings', async () => {
+    server = await serve(createUploadMiddleware(client, { key: () => 42 }));
+    await post(server.url, [['a', 'x', { filename: 'a.txt' }]]);
+    expect(server.errors[0]).toMatchObject({ constructor: ValidationError, field: 'key' });
+  });
+
+  it('passes storage failures on', async () => {
+    emulator.injectFault({ route: 'upload', status: 500 });
+    server = await serve(createUploadMiddleware(client));
+    const response = await post(server.url, [['a', 'x', { filename: 'a.txt' }]]);
+    expect(response.status).toBe(500);
+    expect(server.errors[0]).toMatchObject({ status: 500 });
+  });
+
+  it('calls next once, with the files or with the upload error', async () => {
+    const handler = jest.fn();
+    server = await serve(createUploadMiddleware(client), handler);
+    await post(server.url, [['a', 'x', { filename: 'a.txt' }]]);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(server.errors).toEqual([]);
+
+    emulator.injectFault({ route: 'upload', status: 500 });
+    await post(server.url, [['a', 'x', { filename: 'a.txt' }]]);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(server.errors).toHaveLength(1);
+  });
+
+  it('cancels the upload when the client disconnects', async () => {
+    server = await serve(createUploadMiddleware(client));
+    const request = http.request(server.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'multipart/form-data; boundary=b' },
+    });
+    request.on('error', () => {});
+    request.write('--b\r\nContent-Disposition: form-data; name="f"; filename="f.bin"\r\n\r\n');
+    request.write(Buffer.alloc(64 * 1024));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    request.destroy();
+    for (let i = 0; i < 100 && !server.errors.length; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    expect(server.errors[0]).toMatchObject({ code: 'CLIENT_DISCONNECTED' });
+    expect(storedKeys()).toEqual([]);
+  });
+
+  it('works as Koa middleware', async () => {
+    const middleware = ApexxCloud.uploadMiddleware(client, { prefix: 'koa/' });
+    const contexts = [];
+    server = await listen((req, res) => {
+      const ctx = { req, res, request: { body: { existing: true } } };
+      contexts.push(ctx);
+      middleware(ctx, async () => {
+        res.end('ok');
+      }).catch((error) => {
+        res.statusCode = error.status || 500;
+        res.end(error.code);
+      });
+    });
+    const { url } = server;
+
+    const ok = await post(url, [
+      ['name', 'x'],
+      ['file', 'x', { filename: 'x.txt' }],
+    ]);
+    expect(ok.data).toBe('ok');
+    const [ctx] = contexts;
+    expect(ctx.request.body).toEqual({ existing: true, name: 'x' });
+    expect(ctx.request.files[0].key).toMatch(/^koa\/.+\.txt$/);
+    expect(ctx.req.files).toBe(ctx.request.files);
+
+    const rejected = await post(
+      url,
+      [['file', 'x', { filename: 'x.txt' }]].concat(
+        Array.from({ length: 10 }, (_, i) => [`f${i}`, 'x', { filename: `${i}.txt` }])
+      )
+    );
+    expect(rejected.status).toBe(413);
+    expect(rejected.data).toBe('TOO_MANY_FILES');
+  });
+
+  it.each([
+    [undefined, {}, 'client'],
+    [{}, {}, 'client'],
+    ['client', { key: 'uploads/' }, 'key'],
+    ['client', { maxFileSize: -1 }, 'maxFileSize'],
+    ['client', { maxFiles: 1.5 }, 'maxFiles'],
+    ['client', { allowedContentTypes: [] }, 'allowedContentTypes'],
+  ])('validates the options (%#)', (target, options, field) => {
+    const error = (() => {
+      try {
+        createUploadMiddleware(target === 'client' ? client : target, options);
+      } catch (caught) {
+        return caught;
+      }
+      return null;
+    })();
+    expect(error).toMatchObject({ constructor: ValidationError, field });
+  });
+});
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const FormData = require('form-data');
+const { ValidationError } = require('../src/errors');
+const { BUCKET, REGION, startStub, createClient, storedObject } = require('./helpers');
+
+const MiB = 1024 * 1024;
+
+/**
+ * Sends one part of a plan the way a browser would
+ */
+const sendPart = async (plan, part, data) => {
+  const form = new FormData();
+  form.append(plan.fieldName, data.subarray(part.offset, part.offset + part.length), {
+    filename: 'blob',
+  });
+  const response = await axios({
+    method: part.method,
+    url: part.url,
+    data: form,
+    headers: form.getHeaders(),
+    maxBodyLength: Infinity,
+  });
+  return response.data.ETag;
+};
+
+describe('upload plans', () => {
+  let stub;
+  let client;
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+  });
+
+  afterAll(() => stub.stop());
+
+  it('lets a third party upload every part and completes the upload', async () => {
+    const data = crypto.randomBytes(11 * MiB);
+    const plan = await client.files.createUploadPlan('movie.mp4', {
+      size: data.length,
+      partSize: 5 * MiB,
+      expiresIn: 600,
+    });
+
+    expect(JSON.parse(JSON.stringify(plan))).toEqual(plan);
+    expect(plan).toMatchObject({
+      key: 'movie.mp4',
+      bucketName: BUCKET,
+      region: REGION,
+      mimeType: 'video/mp4',
+      partSize: 5 * MiB,
+      totalParts: 3,
+      fieldName: 'file',
+    });
+    expect(plan.parts.map(({ offset, length }) => [offset, length])).toEqual([
+      [0, 5 * MiB],
+      [5 * MiB, 5 * MiB],
+      [10 * MiB, MiB],
+    ]);
+    expect(Date.parse(plan.expiresAt) - Date.now()).toBeGreaterThan(590 * 1000);
+
+    const etags = [];
+    for (const part of plan.parts) {
+      etags.push(await sendPart(plan, part, data));
+    }
+    const result = await client.files.finalizeUploadPlan(plan, etags);
+    expect(result).toMatchObject({ Key: 'movie.mp4', Bucket: BUCKET });
+    expect(storedObject(stub, 'movie.mp4').data.equals(data)).toBe(true);
+  });
+
+  it('accepts part entries in any order', async () => {
+    const data = Buffer.from('tiny file');
+    const plan = await client.files.createUploadPlan('tiny.bin', { size: data.length });
+    expect(plan.mimeType).toBe('application/octet-stream');
+    const ETag = await sendPart(plan, plan.parts[0], data);
+    await client.files.finalizeUploadPlan(plan, [{ ETag: `"${ETag}"`, PartNumber: 1 }]);
+    expect(storedObject(stub, 'tiny.bin').data).toEqual(data);
+  });
+
+  it('includes a URL that cancels the upload', async () => {
+    const plan = await client.files.createUploadPlan('cancelled.bin', { size: 10 });
+    expect(stub.uploads.has(plan.uploadId)).toBe(true);
+    await axios({ method: plan.cancel.method, url: plan.cancel.url });
+    expect(stub.uploads.has(plan.uploadId)).toBe(false);
+  });
+
+  it('checks the reported parts before completing', async () => {
+    const plan = { uploadId: 'u', key: 'k', totalParts: 2 };
+    const finalize = (parts) => client.files.finalizeUploadPlan(plan, parts);
+
+    await expect(finalize(['a'])).rejects.toThrow('Missing ETags for parts 2');
+    await expect(finalize(['a', 'b', 'c'])).rejects.toThrow('Invalid part number 3');
+    await expect(
+      finalize([
+        { ETag: 'a', PartNumber: 1 },
+        { ETag: 'b', PartNumber: 1 },
+      ])
+    ).rejects.toThrow('Part 1 was reported twice');
+    await expect(finalize(['a', 'not an etag'])).rejects.toThrow('Part 2 has an invalid ETag');
+    await expect(finalize('a,b')).rejects.toMatchObject({ field: 'parts' });
+    await expect(client.files.finalizeUploadPlan({}, [])).rejects.toMatchObject({ field: 'plan' });
+  });
+
+  it('validates the plan options', async () => {
+    await expect(client.files.createUploadPlan('', { size: 1 })).rejects.toMatchObject({
+      field: 'key',
+    });
+    await expect(client.files.createUploadPlan('k', { size: 0 })).rejects.toMatchObject({
+      field: 'size',
+    });
+    await expect(
+      client.files.createUploadPlan('k', { size: 1, partSize: MiB })
+    ).rejects.toBeInstanceOf(ValidationError);
+    await expect(
+      client.files.createUploadPlan('k', { size: 10001 * 5 * MiB, partSize: 5 * MiB })
+    ).rejects.toThrow(/the limit is 10000/);
+  });
+});
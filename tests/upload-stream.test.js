@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { Readable, pipeline: pipelineCallback } = require('stream');
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const { AbortError, ValidationError } = require('../src/errors');
+const { startEmulator, createClient, storedObject, routesOf } = require('./helpers');
+
+const pipeline = promisify(pipelineCallback);
+
+/**
+ * Streams data in chunks of 1 MiB
+ * @param {Buffer} data - Data
+ * @returns {Readable}
+ */
+function chunked(data) {
+  const chunks = [];
+  for (let offset = 0; offset < data.length; offset += 1024 * 1024) {
+    chunks.push(data.subarray(offset, offset + 1024 * 1024));
+  }
+  return Readable.from(chunks);
+}
+
+describe('files.createWriteStream', () => {
+  let emulator;
+  let client;
+  const data = crypto.randomBytes(2 * MIN_PART_SIZE + 1000);
+
+  beforeAll(async () => {
+    emulator = await startEmulator();
+    client = createClient(emulator);
+  });
+
+  afterAll(() => emulator.stop());
+
+  beforeEach(() => {
+    emulator.requests = [];
+    emulator.clearFaults();
+  });
+
+  it('sends data smaller than a part with a single upload', async () => {
+    const stream = client.files.createWriteStream('small.txt', { metadata: { origin: 'stream' } });
+    const finished = new Promise((resolve) => stream.on('finish', () => resolve(stream.result)));
+    stream.write('hello ');
+    stream.end('world');
+    await expect(finished).resolves.toMatchObject({ ETag: expect.any(String) });
+    expect(routesOf(emulator)).toEqual(['upload']);
+    const stored = await storedObject(emulator, 'small.txt');
+    expect(stored.data.toString()).toBe('hello world');
+    expect(stored.contentType).toBe('text/plain');
+    expect(stored.metadata).toEqual({ origin: 'stream' });
+  });
+
+  it('uploads larger streams in parts with the exact part count', async () => {
+    const progress = [];
+    const stream = client.files.createWriteStream('large.bin', {
+      size: data.length,
+      partSize: MIN_PART_SIZE,
+      concurrency: 2,
+      checksum: true,
+      onProgress: (event) => progress.push(event),
+    });
+    await pipeline(chunked(data), stream);
+
+    expect(routesOf(emulator)).toEqual([
+      'multipart-start',
+      'upload-part',
+      'upload-part',
+      'upload-part',
+      'multipart-complete',
+    ]);
+    expect((await storedObject(emulator, 'large.bin')).data.equals(data)).toBe(true);
+    expect(stream.result.ETag).toMatch(/-3$/);
+    expect(progress[progress.length - 1]).toMatchObject({
+      loaded: data.length,
+      total: data.length,
+    });
+    for (let i = 1; i < progress.length; i++) {
+      expect(progress[i].loaded).toBeGreaterThanOrEqual(progress[i - 1].loaded);
+    }
+  });
+
+  it('declares the part limit when the size is unknown', async () => {
+    const stream = client.files.createWriteStream('unsized', { partSize: MIN_PART_SIZE });
+    await pipeline(chunked(data), stream);
+    const stored = await storedObject(emulator, 'unsized');
+    expect(stored.data.equals(data)).toBe(true);
+    // Random data without an extension has no recognisable type
+    expect(stored.contentType).toBe('application/octet-stream');
+  });
+
+  it('recognises the content type from the first part', async () => {
+    const png = Buffer.concat([
+      Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'),
+      Buffer.alloc(MIN_PART_SIZE),
+    ]);
+    await pipeline(
+      chunked(png),
+      client.files.createWriteStream('image', { partSize: MIN_PART_SIZE })
+    );
+    expect((await storedObject(emulator, 'image')).contentType).toBe('image/png');
+  });
+
+  it('fails and cancels the upload when the stream outgrows its size', async () => {
+    const stream = client.files.createWriteStream('overflow.bin', {
+      size: MIN_PART_SIZE,
+      partSize: MIN_PART_SIZE,
+    });
+    await expect(pipeline(chunked(data), stream)).rejects.toMatchObject({
+      constructor: ValidationError,
+      field: 'size',
+    });
+    expect(routesOf(emulator)).toContain('multipart-cancel');
+    expect(emulator.uploads.size).toBe(0);
+    await expect(storedObject(emulator, 'overflow.bin')).resolves.toBeNull();
+  });
+
+  it('cancels the upload when a part fails', async () => {
+    emulator.injectFault({ route: 'upload-part', status: 500 });
+    const stream = client.files.createWriteStream('failed.bin', { partSize: MIN_PART_SIZE });
+    await expect(pipeline(chunked(data), stream)).rejects.toMatchObject({ status: 500 });
+    expect(routesOf(emulator)).toContain('multipart-cancel');
+    expect(emulator.uploads.size).toBe(0);
+  });
+
+  it('cancels the upload when the signal aborts', async () => {
+    const controller = new AbortController();
+    const stream = client.files.createWriteStream('aborted.bin', {
+      partSize: MIN_PART_SIZE,
+      signal: controller.signal,
+    });
+    const closed = new Promise((resolve) => stream.on('close', resolve));
+    const failed = new Promise((resolve) => stream.on('error', resolve));
+    stream.write(data.subarray(0, MIN_PART_SIZE));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    controller.abort();
+    await expect(failed).resolves.toBeInstanceOf(AbortError);
+    await closed;
+    expect(routesOf(emulator)).toContain('multipart-cancel');
+    expect(emulator.uploads.size).toBe(0);
+  });
+
+  it('errors at once with an aborted signal', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const stream = client.files.createWriteStream('never.bin', { signal: controller.signal });
+    await expect(
+      new Promise((resolve, reject) => stream.on('error', reject))
+    ).rejects.toMatchObject({ code: 'ABORT_ERR' });
+    expect(emulator.requests).toEqual([]);
+  });
+
+  it('validates its options', () => {
+    expect(() => client.files.createWriteStream('')).toThrow(ValidationError);
+    expect(() => client.files.createWriteStream('k', { partSize: 1024 })).toThrow(
+      expect.objectContaining({ field: 'partSize' })
+    );
+    expect(() => client.files.createWriteStream('k', { size: -1 })).toThrow(
+      expect.objectContaining({ field: 'size' })
+    );
+  });
+});
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { FileCheckpointStore } = require('../src/checkpoint');
+const { AbortError, ValidationError } = require('../src/errors');
+const { BUCKET, startStub, createClient, storedObject, routesOf } = require('./helpers');
+
+const MiB = 1024 * 1024;
+
+describe('files.upload', () => {
+  let stub;
+  let client;
+  let dir;
+
+  beforeAll(async () => {
+    stub = await startStub();
+    client = createClient(stub);
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'apexx-upload-'));
+  });
+
+  afterAll(async () => {
+    await stub.stop();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    stub.reset();
+  });
+
+  it('uploads a buffer with its object headers', async () => {
+    const result = await client.files.upload('page.html', Buffer.from('<html></html>'), {
+      cacheControl: 'max-age=60',
+      contentDisposition: { type: 'attachment', filename: 'page.html' },
+      metadata: { owner: 'tests' },
+    });
+    expect(result).toMatchObject({ key: 'page.html', contentType: 'text/html' });
+    const stored = await storedObject(stub, 'page.html');
+    expect(stored).toMatchObject({ cacheControl: 'max-age=60', metadata: { owner: 'tests' } });
+    expect(stored.contentDisposition).toMatch(/^attachment; filename="page.html"/);
+  });
+
+  it('streams a file and reports progress up to its size', async () => {
+    const file = path.join(dir, 'data.bin');
+    const data = crypto.randomBytes(3 * MiB);
+    await fs.promises.writeFile(file, data);
+
+    const progress = [];
+    await client.files.upload('data.bin', fs.createReadStream(file), {
+      onProgress: (event) => progress.push(event),
+    });
+
+    expect(progress.length).toBeGreaterThan(1);
+    expect(progress.every((event) => event.total === data.length)).toBe(true);
+    const loaded = progress.map((event) => event.loaded);
+    expect(loaded).toEqual(loaded.slice().sort((a, b) => a - b));
+    expect(loaded[loaded.length - 1]).toBe(data.length);
+    expect(storedObject(stub, 'data.bin').data.equals(data)).toBe(true);
+  });
+
+  it('reports progress without a total for streams of unknown length', async () => {
+    const progress = [];
+    await client.files.upload(
+      'stream.txt',
+      Readable.from([Buffer.from('abc'), Buffer.from('de')]),
+      {
+        onProgress: (event) => progress.push(event),
+      }
+    );
+    expect(progress[progress.length - 1]).toEqual({ loaded: 5, total: undefined });
+    expect(storedObject(stub, 'stream.txt').data.toString()).toBe('abcde');
+  });
+
+  it('sends nothing when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(
+      client.files.upload('never.txt', Buffer.from('x'), { signal: controller.signal })
+    ).rejects.toBeInstanceOf(AbortError);
+    expect(stub.requests).toHaveLength(0);
+  });
+
+  it('cancels an upload in flight', async () => {
+    stub.fault('upload', { latency: 500 });
+    const controller = new AbortController();
+    const upload = client.files.upload('slow.txt', Buffer.from('x'), {
+      signal: controller.signal,
+    });
+    setTimeout(() => controller.abort(), 50);
+    await expect(upload).rejects.toMatchObject({ constructor: AbortError, code: 'ABORT_ERR' });
+  });
+
+  it('requires a key and data', async () => {
+    await expect(client.files.upload('', Buffer.from('x'))).rejects.toBeInstanceOf(ValidationError);
+    await expect(client.files.upload('key', null)).rejects.toMatchObject({ field: 'fileData' });
+  });
+
+  describe('multipart', () => {
+    const data = crypto.randomBytes(11 * MiB);
+    const options = { partSize: 5 * MiB, multipartThreshold: 5 * MiB, concurrency: 1 };
+
+    it('reports progress across parts', async () => {
+      const progress = [];
+      await client.files.uploadLarge('progress.bin', data, {
+        ...options,
+        onProgress: (event) => progress.push(event),
+      });
+      expect(new Set(progress.map((event) => event.part))).toEqual(new Set([1, 2, 3]));
+      expect(progress.every((event) => event.total === data.length)).toBe(true);
+      expect(progress[progress.length - 1].loaded).toBe(data.length);
+    });
+
+    it('cancels the multipart upload and removes its checkpoint when aborted', async () => {
+      const store = new FileCheckpointStore(path.join(dir, 'checkpoints'));
+      const controller = new AbortController();
+      stub.fault('upload-part', { latency: 200 });
+
+      const upload = client.files.uploadLarge('aborted.bin', data, {
+        ...options,
+        checkpointStore: store,
+        signal: controller.signal,
+        onProgress: () => controller.abort(),
+      });
+      await expect(upload).rejects.toBeInstanceOf(AbortError);
+      expect(routesOf(stub)).toContain('multipart-cancel');
+      expect(stub.uploads.size).toBe(0);
+      await expect(store.load('aborted.bin', BUCKET)).resolves.toBeNull();
+    });
+  });
+});
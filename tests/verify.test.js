@@ -0,0 +1,270 @@
+const ApexxCloud = require('../src/sdk');
+const {
+  computeSignature,
+  verifySignedUrl,
+  verifyRequestHeaders,
+  createSignatureMiddleware,
+} = require('../src/verify');
+const { ValidationError } = require('../src/errors');
+
+const ACCESS_KEY = 'test-access-key';
+const SECRET_KEY = 'test-secret-key';
+
+const client = new ApexxCloud({
+  accessKey: ACCESS_KEY,
+  secretKey: SECRET_KEY,
+  bucket: 'test-bucket',
+  region: 'test-region',
+});
+
+/**
+ * A request signed the way the SDK signs its own
+ */
+const signedRequest = (method, url, timestamp = new Date().toISOString(), secret = SECRET_KEY) => ({
+  method,
+  url,
+  headers: {
+    'x-access-key': ACCESS_KEY,
+    'x-timestamp': timestamp,
+    'x-signature': computeSignature(secret, method, url, timestamp),
+  },
+});
+
+const timestampOf = (url) => Date.parse(new URL(url).searchParams.get('timestamp'));
+
+describe('verifySignedUrl', () => {
+  it('accepts URLs signed by the client', async () => {
+    const url = await client.generateSignedUrl('delete', { key: 'a.txt' });
+    await expect(
+      ApexxCloud.verifySignedUrl(url, 'DELETE', { secretKey: SECRET_KEY })
+    ).resolves.toEqual({ valid: true, accessKey: ACCESS_KEY, timestamp: expect.any(String) });
+  });
+
+  it('rejects tampered URLs, other methods and unknown keys', async () => {
+    const url = await client.generateSignedUrl('delete', { key: 'a.txt' });
+    const options = { secretKey: SECRET_KEY };
+    await expect(
+      verifySignedUrl(url.replace('a.txt', 'b.txt'), 'DELETE', options)
+    ).resolves.toMatchObject({ valid: false, reason: 'SIGNATURE_MISMATCH' });
+    await expect(verifySignedUrl(url, 'GET', options)).resolves.toMatchObject({
+      reason: 'SIGNATURE_MISMATCH',
+    });
+    await expect(
+      verifySignedUrl(url, 'DELETE', { secretKey: () => undefined })
+    ).resolves.toMatchObject({ reason: 'UNKNOWN_ACCESS_KEY' });
+    await expect(
+      verifySignedUrl(url, 'DELETE', { ...options, accessKey: 'someone-else' })
+    ).resolves.toMatchObject({ reason: 'UNKNOWN_ACCESS_KEY' });
+  });
+
+  it('looks secret keys up by access key', async () => {
+    const url = await client.generateSignedUrl('delete', { key: 'a.txt' });
+    const secretKey = async (accessKey) => ({ [ACCESS_KEY]: SECRET_KEY })[accessKey];
+    await expect(verifySignedUrl(url, 'DELETE', { secretKey })).resolves.toMatchObject({
+      valid: true,
+    });
+  });
+
+  it('reports missing parameters', async () => {
+    const options = { secretKey: SECRET_KEY };
+    await expect(
+      verifySignedUrl('/api/v1/files/delete?key=a', 'DELETE', options)
+    ).resolves.toMatchObject({ reason: 'MISSING_SIGNATURE' });
+    await expect(verifySignedUrl('/x?signature=s', 'GET', options)).resolves.toMatchObject({
+      reason: 'MISSING_TIMESTAMP',
+    });
+    await expect(
+      verifySignedUrl('/x?signature=s&timestamp=2024-01-01T00:00:00Z', 'GET', options)
+    ).resolves.toMatchObject({ reason: 'MISSING_ACCESS_KEY' });
+    await expect(
+      verifySignedUrl('/x?signature=s&timestamp=yesterday&access_key=a', 'GET', options)
+    ).resolves.toMatchObject({ reason: 'INVALID_TIMESTAMP' });
+  });
+
+  it('expires signatures after maxAge', async () => {
+    const url = await client.generateSignedUrl('delete', { key: 'a.txt' });
+    const signedAt = timestampOf(url);
+    const options = { secretKey: SECRET_KEY, maxAge: 60 };
+    await expect(
+      verifySignedUrl(url, 'DELETE', { ...options, now: signedAt + 59000 })
+    ).resolves.toMatchObject({ valid: true });
+    await expect(
+      verifySignedUrl(url, 'DELETE', { ...options, now: signedAt + 61000 })
+    ).resolves.toMatchObject({ valid: false, reason: 'EXPIRED' });
+  });
+
+  it('never lets the clock skew allowance extend maxAge', async () => {
+    const url = await client.generateSignedUrl('delete', { key: 'a.txt' });
+    const now = timestampOf(url) + 61000;
+    await expect(
+      verifySignedUrl(url, 'DELETE', { secretKey: SECRET_KEY, maxAge: 60, clockSkew: 300, now })
+    ).resolves.toMatchObject({ valid: false, reason: 'EXPIRED' });
+  });
+
+  it('expires URLs after their signed lifetime', async () => {
+    const url = await client.generateSignedUrl('download', { key: 'a.txt', expiresIn: 60 });
+    const signedAt = timestampOf(url);
+    const options = { secretKey: SECRET_KEY };
+    await expect(
+      verifySignedUrl(url, 'GET', { ...options, now: signedAt + 59000 })
+    ).resolves.toMatchObject({ valid: true });
+    await expect(
+      verifySignedUrl(url, 'GET', { ...options, now: signedAt + 61000 })
+    ).resolves.toMatchObject({ valid: false, reason: 'EXPIRED' });
+    await expect(
+      verifySignedUrl(url, 'GET', { ...options, maxAge: 10, now: signedAt + 11000 })
+    ).resolves.toMatchObject({ reason: 'EXPIRED' });
+  });
+
+  it('tolerates timestamps up to the clock skew in the future', async () => {
+    const url = await client.generateSignedUrl('delete', { key: 'a.txt' });
+    const signedAt = timestampOf(url);
+    const options = { secretKey: SECRET_KEY, clockSkew: 30 };
+    await expect(
+      verifySignedUrl(url, 'DELETE', { ...options, now: signedAt - 29000 })
+    ).resolves.toMatchObject({ valid: true });
+    await expect(
+      verifySignedUrl(url, 'DELETE', { ...options, now: signedAt - 31000 })
+    ).resolves.toMatchObject({ reason: 'TIMESTAMP_IN_FUTURE' });
+  });
+
+  it('rejects a malformed expiresIn', async () => {
+    const path = '/api/v1/files/download?key=a&expiresIn=soon';
+    const timestamp = new Date().toISOString();
+    const signature = computeSignature(SECRET_KEY, 'GET', path, timestamp);
+    const url = `${path}&access_key=${ACCESS_KEY}&signature=${signature}&timestamp=${timestamp}`;
+    await expect(verifySignedUrl(url, 'GET', { secretKey: SECRET_KEY })).resolves.toMatchObject({
+      reason: 'INVALID_EXPIRY',
+    });
+  });
+
+  it('checks uploads against the URL policy', async () => {
+    const url = await client.generateSignedUrl('upload', {
+      keyPrefix: 'avatars/',
+      allowedContentTypes: ['image/*'],
+      maxContentLength: 1000,
+    });
+    const check = (request) => verifySignedUrl(url, 'PUT', { secretKey: SECRET_KEY, request });
+
+    await expect(
+      check({ key: 'avatars/me.png', contentType: 'image/png', contentLength: 10 })
+    ).resolves.toMatchObject({ valid: true });
+    await expect(
+      check({ key: 'other/me.png', contentType: 'image/png', contentLength: 10 })
+    ).resolves.toMatchObject({ reason: 'POLICY_VIOLATION' });
+    await expect(
+      check({ key: 'avatars/me.pdf', contentType: 'application/pdf', contentLength: 10 })
+    ).resolves.toMatchObject({ reason: 'POLICY_VIOLATION' });
+    await expect(
+      check({ key: 'avatars/me.png', contentType: 'image/png', contentLength: 1001 })
+    ).resolves.toMatchObject({ reason: 'POLICY_VIOLATION' });
+    await expect(check({ key: 'avatars/me.png', contentType: 'image/png' })).resolves.toMatchObject(
+      { message: 'Content length is required by the URL policy' }
+    );
+  });
+
+  it('checks the key of URLs signed for one key', async () => {
+    const url = await client.generateSignedUrl('upload', { key: 'fixed.txt' });
+    const check = (key) => verifySignedUrl(url, 'PUT', { secretKey: SECRET_KEY, request: { key } });
+    await expect(check('fixed.txt')).resolves.toMatchObject({ valid: true });
+    await expect(check('other.txt')).resolves.toMatchObject({ reason: 'POLICY_VIOLATION' });
+  });
+
+  it('requires a secret key', async () => {
+    await expect(verifySignedUrl('/x', 'GET', {})).rejects.toBeInstanceOf(ValidationError);
+  });
+});
+
+describe('verifyRequestHeaders', () => {
+  it('accepts signed headers and rejects stale ones', async () => {
+    const url = '/api/v1/files/contents?bucket_name=b';
+    await expect(
+      verifyRequestHeaders(signedRequest('GET', url), { secretKey: SECRET_KEY })
+    ).resolves.toMatchObject({ valid: true, accessKey: ACCESS_KEY });
+
+    const old = new Date(Date.now() - 301000).toISOString();
+    await expect(
+      verifyRequestHeaders(signedRequest('GET', url, old), { secretKey: SECRET_KEY })
+    ).resolves.toMatchObject({ reason: 'EXPIRED' });
+  });
+
+  it('verifies the original URL of mounted routers', async () => {
+    const req = {
+      ...signedRequest('GET', '/api/files?x=1'),
+      url: '/files?x=1',
+      originalUrl: '/api/files?x=1',
+    };
+    await expect(verifyRequestHeaders(req, { secretKey: SECRET_KEY })).resolves.toMatchObject({
+      valid: true,
+    });
+  });
+});
+
+describe('signatureMiddleware', () => {
+  const response = () => {
+    const res = { headers: {}, statusCode: 200 };
+    res.setHeader = (name, value) => (res.headers[name.toLowerCase()] = value);
+    res.end = jest.fn();
+    return res;
+  };
+  const run = (middleware, req, res = response()) =>
+    new Promise((resolve) => {
+      res.end.mockImplementation(() => resolve({ res }));
+      middleware(req, res, (error) => resolve({ res, error, called: true }));
+    });
+
+  it('passes signed requests on with the caller on req.apexxcloud', async () => {
+    const middleware = ApexxCloud.signatureMiddleware({ secretKey: SECRET_KEY });
+    const req = signedRequest('POST', '/webhook');
+    const { called, error } = await run(middleware, req);
+    expect(called).toBe(true);
+    expect(error).toBeUndefined();
+    expect(req.apexxcloud).toEqual({ accessKey: ACCESS_KEY, timestamp: expect.any(String) });
+  });
+
+  it('answers unsigned requests with a 401', async () => {
+    const middleware = createSignatureMiddleware({ secretKey: SECRET_KEY });
+    const { res, called } = await run(middleware, { method: 'GET', url: '/x', headers: {} });
+    expect(called).toBeUndefined();
+    expect(res.statusCode).toBe(401);
+    expect(JSON.parse(res.end.mock.calls[0][0])).toMatchObject({ error: 'MISSING_SIGNATURE' });
+  });
+
+  it('accepts signed URLs when allowed', async () => {
+    const url = await client.generateSignedUrl('delete', { key: 'a.txt' });
+    const { pathname, search } = new URL(url);
+    const middleware = createSignatureMiddleware({ secretKey: SECRET_KEY, allowSignedUrls: true });
+    const { called } = await run(middleware, {
+      method: 'DELETE',
+      url: pathname + search,
+      headers: {},
+    });
+    expect(called).toBe(true);
+  });
+
+  it('hands rejections to onRejected', async () => {
+    const onRejected = jest.fn((req, res, next) => next('route'));
+    const middleware = createSignatureMiddleware({ secretKey: SECRET_KEY, onRejected });
+    const { error } = await run(middleware, { method: 'GET', url: '/x', headers: {} });
+    expect(error).toBe('route');
+    expect(onRejected.mock.calls[0][3]).toMatchObject({ valid: false });
+  });
+
+  it('passes errors from the secret key lookup to next once', async () => {
+    const failure = new Error('key store unavailable');
+    const middleware = createSignatureMiddleware({
+      secretKey: async () => {
+        throw failure;
+      },
+    });
+    const next = jest.fn();
+    middleware(signedRequest('GET', '/x'), response(), next);
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(next).toHaveBeenCalledWith(failure);
+  });
+
+  it('requires a secret key', () => {
+    expect(() => createSignatureMiddleware()).toThrow(ValidationError);
+  });
+});